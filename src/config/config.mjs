@@ -1,3 +1,81 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * An encryption key: 32 bytes written as 64 hexadecimal characters.
+ * @type {RegExp}
+ */
+const SECRET_KEY_PATTERN = /^[0-9a-fA-F]{64}$/;
+
+/**
+ * Validates a keyring passed to `setConfig`. A keyring is a non-empty array of keys,
+ * each with a unique `id` and a hex `secretKey`, of which exactly one is marked `active`.
+ *
+ * @param {Array<{ id: string, secretKey: string, active?: boolean }>} keyring - The keyring to validate.
+ * @throws {Error} Will throw an error describing the first problem found in the keyring.
+ */
+const validateKeyring = (keyring) => {
+  if (!Array.isArray(keyring) || keyring.length === 0) {
+    throw new Error('keyring must be a non-empty array of keys.');
+  }
+
+  const ids = new Set();
+  for (const key of keyring) {
+    if (!key || typeof key.id !== 'string' || key.id.length === 0) {
+      throw new Error('Every key in the keyring must have a non-empty string id.');
+    }
+    if (typeof key.secretKey !== 'string' || key.secretKey.length === 0) {
+      throw new Error(`Key "${key.id}" in the keyring must have a secretKey.`);
+    }
+    if (!SECRET_KEY_PATTERN.test(key.secretKey)) {
+      throw new Error(`The secretKey of key "${key.id}" in the keyring must be 64 hexadecimal characters.`);
+    }
+    if (ids.has(key.id)) {
+      throw new Error(`Key id "${key.id}" is used more than once in the keyring.`);
+    }
+    ids.add(key.id);
+  }
+
+  const activeKeys = keyring.filter(key => key.active === true);
+  if (activeKeys.length !== 1) {
+    throw new Error('Exactly one key in the keyring must be marked as active.');
+  }
+};
+
+/**
+ * Holds the configuration of the scope created by `scopeConfig` that the current asynchronous
+ * execution runs in. Outside of a scope, the configuration set with `setConfig` applies.
+ * @type {AsyncLocalStorage}
+ */
+const scopeStorage = new AsyncLocalStorage();
+
+/**
+ * Checks that the required settings are present, fills in the defaults and freezes the result.
+ *
+ * @param {Object} newConfig - The configuration object (see `setConfig`).
+ * @returns {Object} The frozen configuration.
+ * @throws {Error} Will throw an error if neither `secretKey` nor `keyring` is provided, or if `developmentToken` is not provided.
+ * @throws {Error} Will throw an error if `secretKey` is not 64 hexadecimal characters, or if the keyring is malformed.
+ */
+const prepareConfig = (newConfig) => {
+  const defaults = {
+    timezone: 'UTC',
+  };
+
+  if ((!newConfig.secretKey && !newConfig.keyring) || !newConfig.developmentToken) {
+    throw new Error('Both secretKey (or keyring) and developmentToken must be provided.');
+  }
+
+  if (newConfig.secretKey !== undefined && !SECRET_KEY_PATTERN.test(newConfig.secretKey)) {
+    throw new Error('secretKey must be 64 hexadecimal characters.');
+  }
+
+  if (newConfig.keyring) {
+    validateKeyring(newConfig.keyring);
+  }
+
+  return Object.freeze({ ...defaults, ...newConfig });
+};
+
 /**
  * @namespace configNamespace
  * A namespace that holds the configuration settings and provides methods to set and retrieve the configuration.
@@ -12,45 +90,100 @@ const configNamespace = {
 
   /**
    * Sets the configuration for the application. This method can only be called once;
-   * subsequent attempts to set the configuration will throw an error.
+   * subsequent attempts to set the configuration will throw an error. The stored configuration
+   * is frozen. Use `scopeConfig` to run code with another configuration, e.g. per tenant, and
+   * `resetConfig` to clear the configuration in tests.
+   *
+   * Only the presence of the required settings and the format of the keys are checked here; use
+   * `loadConfig` to read the configuration from files and environment variables and validate every setting.
+   *
+   * Encryption keys are given either as a single `secretKey` or as a `keyring` that supports key
+   * rotation. When a keyring is given, `secretKey` is not used for encryption.
    *
    * @param {Object} newConfig - The new configuration object.
-   * @param {string} newConfig.secretKey - The secret key required for encryption.
-   * @param {string} newConfig.developmentToken - The development token used for authentication or rate limits.
-   * @param {string} [newConfig.timezone='UTC'] - The timezone setting, defaults to 'UTC' if not provided.
-   * @throws {Error} Will throw an error if `secretKey` or `developmentToken` is not provided.
+   * @param {string} [newConfig.secretKey] - The 256-bit secret key as 64 hexadecimal characters, required for encryption unless a keyring is provided.
+   * @param {Array<{ id: string, secretKey: string, active?: boolean }>} [newConfig.keyring] - The encryption keys,
+   * each with a unique ID. Exactly one key must be marked `active`; it is used for new ciphertexts.
+   * @param {string} newConfig.developmentToken - The development token; requests carrying it in the `x-development-token` header bypass `rateLimiter`.
+   * @param {string} [newConfig.timezone='UTC'] - The IANA timezone of the date helpers (see `formatDate`), defaults to 'UTC' if not provided.
+   * @param {boolean} [newConfig.strictCrypto=false] - Whether the encryption helpers throw typed errors instead of returning their input.
+   * @param {boolean} [newConfig.legacyDecryption=false] - Whether `decrypt` and `reencrypt` accept unauthenticated legacy AES-256-CTR
+   * payloads. Only enable it while migrating old data.
+   * @param {Object} [newConfig.redaction] - Redaction policies used by `convertRequestData` (see `redact`).
+   * @param {Object} [newConfig.redaction.headers] - The policy for request headers.
+   * @param {Object} [newConfig.redaction.data] - The policy for the body, query, params and cookies.
+   * @param {Object} [newConfig.errors] - Defaults for the error envelope of `errorHandler` and `sendError`.
+   * @param {'json'|'problem'} [newConfig.errors.format='json'] - `problem` sends RFC 7807 `application/problem+json` documents.
+   * @param {boolean} [newConfig.errors.includeStack] - Whether stack traces are sent; defaults to `NODE_ENV === 'development'`.
+   * @param {string} [newConfig.errors.typeBaseUrl] - The base URI of problem types.
+   * @throws {Error} Will throw an error if neither `secretKey` nor `keyring` is provided, or if `developmentToken` is not provided.
+   * @throws {Error} Will throw an error if `secretKey` is not 64 hexadecimal characters, or if the keyring is malformed.
    * @throws {Error} Will throw an error if the configuration has already been set.
    */
   setConfig(newConfig) {
-    const defaults = {
-      timezone: 'UTC',
-    };
-
-    if (!newConfig.secretKey || !newConfig.developmentToken) {
-      throw new Error('Both secretKey and developmentToken must be provided.');
-    }
+    const config = prepareConfig(newConfig);
 
     // Reference configNamespace.config directly
     if (!configNamespace.config) {
-      configNamespace.config = { ...defaults, ...newConfig };
+      configNamespace.config = config;
     } else {
       throw new Error('Config has already been set.');
     }
   },
 
   /**
-   * Retrieves the current configuration object.
+   * Retrieves the current configuration object: the configuration of the enclosing scope (see
+   * `scopeConfig`), or else the one set with `setConfig`.
    *
    * @returns {Object} The current configuration object.
    * @throws {Error} Will throw an error if the configuration has not been set.
    */
   getConfig() {
+    const scopedConfig = scopeStorage.getStore();
+    if (scopedConfig) {
+      return scopedConfig;
+    }
     // Reference configNamespace.config directly
     if (!configNamespace.config) {
       throw new Error('Configuration has not been set. Please call setConfig() before calling any function.');
     }
     return configNamespace.config;
   },
+
+  /**
+   * Clears the configuration set with `setConfig`, so that it can be set again. Meant for tests,
+   * which need a fresh configuration between cases; it throws unless `NODE_ENV` is `test`.
+   *
+   * @throws {Error} Will throw an error if `NODE_ENV` is not `test`.
+   */
+  resetConfig() {
+    if (process.env.NODE_ENV !== 'test') {
+      throw new Error('resetConfig() can only be called when NODE_ENV is "test".');
+    }
+    configNamespace.config = null;
+  },
+
+  /**
+   * Creates a configuration scope. The returned function runs a callback with the given
+   * configuration as the current one: `getConfig()` returns it in the callback and in all
+   * asynchronous work started from it, while code outside the scope keeps using the configuration
+   * set with `setConfig`. Scopes don't require `setConfig` to have been called and can be created
+   * any number of times, e.g. one per tenant.
+   *
+   * @param {Object} newConfig - The configuration of the scope, with the same settings as `setConfig`.
+   * @returns {function(function, ...*): *} A function that calls its first argument with the other
+   * arguments inside the scope, and returns its result.
+   * @throws {Error} Will throw an error if neither `secretKey` nor `keyring` is provided, or if `developmentToken` is not provided.
+   * @throws {Error} Will throw an error if `secretKey` is not 64 hexadecimal characters, or if the keyring is malformed.
+   *
+   * @example
+   * const runAsTenant = scopeConfig({ secretKey: tenantKey, developmentToken });
+   * const ciphertext = runAsTenant(encrypt, 'secret');
+   */
+  scopeConfig(newConfig) {
+    const config = prepareConfig(newConfig);
+    return (callback, ...args) => scopeStorage.run(config, callback, ...args);
+  },
 };
 
-export const { setConfig, getConfig } = configNamespace;
+export const { setConfig, getConfig, resetConfig, scopeConfig } = configNamespace;
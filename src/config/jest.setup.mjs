@@ -15,11 +15,35 @@ test('Config variable should be loaded', () => {
 describe('setConfig', () => {
     test('should arise an error "Config has already been set."', () => {
         // Attempt to modify the config after it has already been set
-        const modifiedConfig = { ...getConfig(), secretKey: '1234567890abcdef1234567890abcdef' };
+        const modifiedConfig = { ...getConfig(), secretKey: '1234567890abcdef'.repeat(4) };
 
         // Expect setConfig to throw an error when called again
         expect(() => {
             setConfig(modifiedConfig);
         }).toThrow('Config has already been set.');
     });
+
+    test('should reject a config without secretKey or keyring', () => {
+        expect(() => {
+            setConfig({ developmentToken: 'token' });
+        }).toThrow('Both secretKey (or keyring) and developmentToken must be provided.');
+    });
+
+    test('should reject a secretKey that is not 64 hexadecimal characters', () => {
+        expect(() => {
+            setConfig({ developmentToken: 'token', secretKey: 'ab' });
+        }).toThrow('secretKey must be 64 hexadecimal characters.');
+    });
+
+    test('should reject a keyring without exactly one active key', () => {
+        expect(() => {
+            setConfig({ developmentToken: 'token', keyring: [{ id: 'a', secretKey: 'ab'.repeat(32) }, { id: 'b', secretKey: 'cd'.repeat(32) }] });
+        }).toThrow('Exactly one key in the keyring must be marked as active.');
+    });
+
+    test('should reject a keyring with duplicate key ids', () => {
+        expect(() => {
+            setConfig({ developmentToken: 'token', keyring: [{ id: 'a', secretKey: 'ab'.repeat(32), active: true }, { id: 'a', secretKey: 'cd'.repeat(32) }] });
+        }).toThrow('Key id "a" is used more than once in the keyring.');
+    });
 });
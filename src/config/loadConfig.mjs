@@ -0,0 +1,315 @@
+import { readFileSync } from 'fs';
+import { extname } from 'path';
+import { ConfigError } from '../utils/errors.mjs';
+import { validateSchema } from '../utils/schema.mjs';
+import { getConfig, setConfig } from './config.mjs';
+
+/**
+ * The prefix of the environment variables read by `loadConfig`.
+ * @type {string}
+ */
+const ENV_PREFIX = 'MRA_';
+
+/**
+ * Keys that are skipped when merging configuration sources, so that a `__proto__` key in a JSON
+ * file cannot change the prototype of the merged configuration.
+ * @type {Set<string>}
+ */
+const UNSAFE_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+/**
+ * An encryption key: 32 bytes written as 64 hexadecimal characters.
+ * @type {Object}
+ */
+const SECRET_KEY_SCHEMA = { type: 'string', pattern: '^[0-9a-fA-F]{64}$' };
+
+/**
+ * The schema of the configuration (see `validateSchema`). Properties that are not declared are kept,
+ * so that applications can store their own settings next to these.
+ * @type {Object}
+ */
+export const CONFIG_SCHEMA = Object.freeze({
+  type: 'object',
+  required: ['developmentToken'],
+  properties: {
+    secretKey: SECRET_KEY_SCHEMA,
+    keyring: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'secretKey'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          secretKey: SECRET_KEY_SCHEMA,
+          active: { type: 'boolean' },
+        },
+      },
+    },
+    developmentToken: { type: 'string', minLength: 1 },
+    timezone: { type: 'string', format: 'timezone', default: 'UTC' },
+    strictCrypto: { type: 'boolean', default: false },
+    legacyDecryption: { type: 'boolean', default: false },
+    redaction: {
+      type: 'object',
+      properties: {
+        headers: { type: 'object' },
+        data: { type: 'object' },
+      },
+    },
+    errors: {
+      type: 'object',
+      properties: {
+        format: { enum: ['json', 'problem'] },
+        includeStack: { type: 'boolean' },
+        typeBaseUrl: { type: 'string', format: 'url' },
+      },
+    },
+  },
+});
+
+/**
+ * Checks whether a value is a plain object, as opposed to an array, a class instance or a primitive.
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean} Returns `true` if the value is a plain object.
+ */
+const _isPlainObject = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+/**
+ * Merges configuration sources; later sources win. Plain objects are merged property by property,
+ * other values (including arrays) replace the earlier ones. `__proto__`, `constructor` and
+ * `prototype` keys are dropped.
+ *
+ * @param {...Object} sources - The configuration sources.
+ * @returns {Object} The merged configuration.
+ */
+const _mergeDeep = (...sources) => {
+  const result = {};
+  for (const source of sources) {
+    for (const [key, value] of Object.entries(source || {})) {
+      if (UNSAFE_KEYS.has(key)) {
+        continue;
+      }
+      result[key] = _isPlainObject(value) && _isPlainObject(result[key]) ? _mergeDeep(result[key], value) : value;
+    }
+  }
+  return result;
+};
+
+/**
+ * Freezes a configuration object and the plain objects and arrays inside it.
+ *
+ * @param {*} value - The value to freeze.
+ * @returns {*} The frozen value.
+ */
+const _deepFreeze = (value) => {
+  if (Array.isArray(value) || _isPlainObject(value)) {
+    Object.values(value).forEach(_deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+};
+
+/**
+ * Parses the contents of a `.env` file: `KEY=value` lines, optionally prefixed with `export`,
+ * with values optionally in single or double quotes. Blank lines and `#` comments are skipped.
+ *
+ * @param {string} text - The file contents.
+ * @returns {Object<string, string>} The variables.
+ */
+const _parseDotenv = (text) => {
+  const variables = {};
+  for (const line of text.split(/\r?\n/)) {
+    const match = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/.exec(line);
+    if (!match) {
+      continue;
+    }
+    let value = match[2];
+    const quote = value[0];
+    if ((quote === '"' || quote === "'") && value.endsWith(quote) && value.length >= 2) {
+      value = value.slice(1, -1);
+      if (quote === '"') {
+        value = value.replace(/\\n/g, '\n').replace(/\\(["\\])/g, '$1');
+      }
+    } else {
+      // Unquoted values end at an inline comment
+      value = value.replace(/\s+#.*$/, '');
+    }
+    variables[match[1]] = value;
+  }
+  return variables;
+};
+
+/**
+ * Builds a configuration object from `MRA_*` variables. The name after the prefix is converted to
+ * camel case and `__` separates nested properties: `MRA_SECRET_KEY` sets `secretKey` and
+ * `MRA_ERRORS__INCLUDE_STACK` sets `errors.includeStack`. Values of properties declared as objects
+ * or arrays, such as `MRA_KEYRING`, are parsed as JSON; other values are converted to the declared
+ * type during validation.
+ *
+ * @param {Object<string, string>} variables - The variables, e.g. `process.env`.
+ * @param {string} source - Where the variables come from, for error messages.
+ * @returns {Object} The configuration.
+ * @throws {ConfigError} If a JSON value cannot be parsed.
+ */
+const _fromVariables = (variables, source) => {
+  const config = {};
+  for (const [name, value] of Object.entries(variables)) {
+    if (!name.startsWith(ENV_PREFIX) || value === undefined) {
+      continue;
+    }
+    const path = name.slice(ENV_PREFIX.length).split('__').map(segment => {
+      return segment.toLowerCase().replace(/_+([a-z0-9])/g, (_, character) => character.toUpperCase());
+    });
+    let target = config;
+    let schema = CONFIG_SCHEMA;
+    path.slice(0, -1).forEach(segment => {
+      target[segment] = _isPlainObject(target[segment]) ? target[segment] : {};
+      target = target[segment];
+      schema = schema?.properties?.[segment];
+    });
+    const key = path[path.length - 1];
+    const type = schema?.properties?.[key]?.type;
+    if (type === 'object' || type === 'array') {
+      try {
+        target[key] = JSON.parse(value);
+      } catch {
+        throw new ConfigError(`Invalid configuration: ${name} in ${source} must be valid JSON.`, [{ path: path.join('.'), message: 'Must be valid JSON.' }]);
+      }
+    } else {
+      target[key] = value;
+    }
+  }
+  return config;
+};
+
+/**
+ * Reads a configuration file: a JSON file (`.json`), or a `.env` file of `MRA_*` variables.
+ *
+ * @param {string} file - The path of the file.
+ * @returns {Object} The configuration in the file.
+ * @throws {ConfigError} If the file cannot be read or parsed.
+ */
+const _readConfigFile = (file) => {
+  let text;
+  try {
+    text = readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new ConfigError(`Cannot read the configuration file "${file}": ${err.message}`);
+  }
+  if (extname(file).toLowerCase() !== '.json') {
+    return _fromVariables(_parseDotenv(text), file);
+  }
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (err) {
+    throw new ConfigError(`Invalid JSON in the configuration file "${file}": ${err.message}`);
+  }
+  if (!_isPlainObject(config)) {
+    throw new ConfigError(`The configuration file "${file}" must contain a JSON object.`);
+  }
+  return config;
+};
+
+/**
+ * Validates a configuration against `CONFIG_SCHEMA`, converting values to the declared types (e.g.
+ * `'true'` to `true`) and filling in defaults. Besides the schema, a `secretKey` or a `keyring` is
+ * required, and a keyring must have unique key IDs and exactly one active key.
+ *
+ * @param {Object} config - The configuration.
+ * @returns {Object} The validated configuration.
+ * @throws {ConfigError} If the configuration is invalid; the message names every invalid field.
+ *
+ * @example
+ * validateConfig({ secretKey: 'abc', timezone: 'Mars/Olympus' });
+ * // ConfigError: Invalid configuration:
+ * // - secretKey: Must match the pattern ^[0-9a-fA-F]{64}$.
+ * // - timezone: Must be a valid timezone.
+ * // - developmentToken: Is required.
+ */
+export const validateConfig = (config) => {
+  if (!_isPlainObject(config)) {
+    throw new ConfigError('Invalid configuration: it must be an object.');
+  }
+  const { value, errors } = validateSchema(config, CONFIG_SCHEMA, { coerce: true, removeAdditional: false });
+  const problems = errors.map(({ path, message }) => ({ path, message }));
+
+  if (config.secretKey === undefined && config.keyring === undefined) {
+    problems.push({ path: 'secretKey', message: 'Is required unless a keyring is provided.' });
+  }
+  if (Array.isArray(config.keyring) && config.keyring.length > 0) {
+    const ids = config.keyring.map(key => key?.id);
+    if (ids.some((id, index) => ids.indexOf(id) !== index)) {
+      problems.push({ path: 'keyring', message: 'Key ids must be unique.' });
+    }
+    if (config.keyring.filter(key => key?.active === true).length !== 1) {
+      problems.push({ path: 'keyring', message: 'Exactly one key must be marked as active.' });
+    }
+  }
+
+  if (problems.length > 0) {
+    const lines = problems.map(({ path, message }) => `- ${path}: ${message}`);
+    throw new ConfigError(`Invalid configuration:\n${lines.join('\n')}`, problems);
+  }
+  return value;
+};
+
+/**
+ * Checks whether the configuration has already been set.
+ *
+ * @returns {boolean} Returns `true` if `getConfig()` returns a configuration.
+ */
+const _isConfigSet = () => {
+  try {
+    getConfig();
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Loads the configuration from several layers, validates it and sets it (see `setConfig`).
+ *
+ * Layers are merged in this order, later layers overriding earlier ones property by property:
+ * 1. the defaults of `CONFIG_SCHEMA` (e.g. `timezone: 'UTC'`);
+ * 2. the configuration file, if any: a JSON object, or a `.env` file of `MRA_*` variables;
+ * 3. the `MRA_*` environment variables, e.g. `MRA_SECRET_KEY` or `MRA_ERRORS__FORMAT` (see below);
+ * 4. the explicit `overrides`.
+ *
+ * Variable names are converted to camel case after the `MRA_` prefix, and `__` separates nested
+ * properties. Object and array values, such as `MRA_KEYRING`, are written as JSON.
+ *
+ * The merged configuration is validated with `validateConfig`, so that every invalid field is
+ * reported at once, and is deeply frozen.
+ *
+ * @param {Object} [options] - Loading options.
+ * @param {string} [options.file] - The path of a `.json` or `.env` configuration file.
+ * @param {Object<string, string>} [options.env=process.env] - The environment variables.
+ * @param {Object} [options.overrides={}] - Values that take precedence over all other layers.
+ * @returns {Object} The frozen configuration.
+ * @throws {Error} If the configuration has already been set.
+ * @throws {ConfigError} If the file cannot be read, or the configuration is invalid.
+ *
+ * @example
+ * // MRA_SECRET_KEY=0a06...827c MRA_DEVELOPMENT_TOKEN=... MRA_ERRORS__FORMAT=problem node server.mjs
+ * const config = loadConfig({ file: '.env', overrides: { timezone: 'Europe/Berlin' } });
+ */
+export const loadConfig = ({ file, env = process.env, overrides = {} } = {}) => {
+  if (_isConfigSet()) {
+    throw new Error('Config has already been set.');
+  }
+  const fileConfig = file ? _readConfigFile(file) : {};
+  const envConfig = _fromVariables(env, 'the environment');
+  const config = validateConfig(_mergeDeep(fileConfig, envConfig, overrides));
+  setConfig(_deepFreeze(config));
+  return getConfig();
+};
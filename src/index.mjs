@@ -1,7 +1,19 @@
-import { getConfig, setConfig } from './config/config.mjs';
-import { convertRequestData, decrypt, decryptObjectItems, encrypt, encryptObjectItems, toLowerCamelCase, toSnakeCase } from './utils/converters.mjs';
-import { getCreptoConfig, isEmptyObject, sleep } from './utils/miscellaneous.mjs';
-import { checkJSONBody, checkRequestValidity, isValidEmail, isValidUrl, testUrlAccessibility } from './utils/validations.mjs';
+import { getConfig, resetConfig, scopeConfig, setConfig } from './config/config.mjs';
+import { CONFIG_SCHEMA, loadConfig, validateConfig } from './config/loadConfig.mjs';
+import { getCorrelationHeaders, getRequestContext, requestContext } from './utils/context.mjs';
+import { KEY_CASES, blindIndex, caseConversion, convertKey, convertKeys, convertRequestData, decrypt, decryptObjectItems, encrypt, encryptObjectItems, reencrypt, toLowerCamelCase, toSnakeCase } from './utils/converters.mjs';
+import { endOfDay, formatDate, fromZoned, getPeriod, parseISODate, startOfDay, toZoned } from './utils/dates.mjs';
+import { DISPOSABLE_DOMAINS } from './utils/disposableDomains.mjs';
+import { BadRequestError, ConfigError, ConflictError, CryptoError, DecryptionError, EncryptionError, ForbiddenError, HttpError, InternalServerError, InvalidEnvelopeError, KeyNotFoundError, NotFoundError, ServiceUnavailableError, TimeoutError, TooManyRequestsError, UnauthorizedError, UnprocessableEntityError, errorHandler, sendError } from './utils/errors.mjs';
+import { DEFAULT_MAX_DEPTH, createPathMatcher, formatPath, getCreptoConfig, isEmptyObject, retry, sleep, transformDeep, withTimeout } from './utils/miscellaneous.mjs';
+import { createDecryptStream, createEncryptStream, decryptBuffer, encryptBuffer } from './utils/streams.mjs';
+import { consoleSink, fileSink, requestLogger } from './utils/logging.mjs';
+import { checkUrls, inspectUrl, isPrivateAddress } from './utils/network.mjs';
+import { rateLimiter } from './utils/rateLimiting.mjs';
+import { DEFAULT_HEADER_REDACTION_POLICY, DEFAULT_REDACTION_POLICY, redact, validateRedactionPolicy } from './utils/redaction.mjs';
+import { validateRequest, validateResponse, validateSchema } from './utils/schema.mjs';
+import { memoryStore } from './utils/stores.mjs';
+import { checkJSONBody, checkRequestValidity, isRemoteResource, isValidEmail, isValidUrl, testUrlAccessibility, validateEmail, validateRemoteResource } from './utils/validations.mjs';
 
 export const utils = {
   /**
@@ -9,12 +21,22 @@ export const utils = {
    *
    * @param {Object} [newConfig] - The new configuration object. If provided, it sets the configuration.
    * If not provided, it retrieves the current configuration.
-   * @param {string} newConfig.secretKey - The secret key required for encryption (when setting config).
-   * @param {string} newConfig.developmentToken - The development token used for authentication or rate limits (when setting config).
-   * @param {string} [newConfig.timezone='UTC'] - The timezone setting, defaults to 'UTC' if not provided (when setting config).
+   * @param {string} [newConfig.secretKey] - The 256-bit secret key as 64 hexadecimal characters, required for encryption unless a keyring is provided (when setting config).
+   * @param {Array<{ id: string, secretKey: string, active?: boolean }>} [newConfig.keyring] - The encryption keys, each with a unique ID.
+   * Exactly one key must be marked `active`; it is used for new ciphertexts (when setting config).
+   * @param {string} newConfig.developmentToken - The development token; requests carrying it in the `x-development-token` header
+   * bypass `rateLimiter` (when setting config).
+   * @param {string} [newConfig.timezone='UTC'] - The IANA timezone of the date helpers (see `formatDate`), defaults to 'UTC' if not provided (when setting config).
+   * @param {boolean} [newConfig.strictCrypto=false] - Whether the encryption helpers throw typed errors instead of returning their input (when setting config).
+   * @param {boolean} [newConfig.legacyDecryption=false] - Whether `decrypt` and `reencrypt` accept unauthenticated legacy AES-256-CTR
+   * payloads. Only enable it while migrating old data (when setting config).
+   * @param {Object} [newConfig.redaction] - Redaction policies used by `convertRequestData`: `headers` for request headers and
+   * `data` for the body, query, params and cookies (when setting config).
+   * @param {Object} [newConfig.errors] - Defaults for the error envelope of `errorHandler` and `sendError`: `format` (`json` or
+   * `problem`), `includeStack` and `typeBaseUrl` (when setting config).
    * @returns {Object} The current configuration object (when getting config).
    * @throws {Error} Will throw an error if the configuration is not set (when getting config).
-   * @throws {Error} Will throw an error if required properties are missing when setting config.
+   * @throws {Error} Will throw an error if required properties are missing or a key is not 64 hexadecimal characters when setting config.
    */
   config: (newConfig) => {
     if (!newConfig) {
@@ -25,6 +47,115 @@ export const utils = {
       return setConfig(newConfig);
     }
   },
+
+  /**
+   * Creates an isolated context bound to its own configuration, e.g. one per tenant with its own keys.
+   * The context exposes the `converters`, `validations`, `miscellaneous`, `dates`, `streams` and
+   * `rateLimiting` functions, which behave as the global ones but use the context configuration,
+   * including in the middlewares, validators and streams they create and the handlers that run after
+   * those middlewares. `utils.config` stays the default context for everything called outside of a
+   * context, and doesn't need to be set to use contexts.
+   *
+   * @param {Object} newConfig - The configuration of the context, with the same settings as `utils.config`.
+   * @returns {{ config: function(): Object, converters: Object, validations: Object, miscellaneous: Object, dates: Object,
+   * streams: Object, rateLimiting: Object }}
+   * The frozen context; `config()` returns its configuration.
+   * @throws {Error} Will throw an error if required properties are missing, a key is not 64 hexadecimal characters or the keyring is malformed.
+   *
+   * @example
+   * const tenant = utils.createContext({ keyring: tenantKeyring, developmentToken });
+   * const ciphertext = tenant.converters.encrypt('secret');
+   * tenant.converters.decrypt(ciphertext); // 'secret'
+   * converters.decrypt(ciphertext); // fails: the global configuration doesn't have the tenant keys
+   */
+  createContext: (newConfig) => {
+    const run = scopeConfig(newConfig);
+    // Run every call in the scope, and bind the middlewares and validators created by factories too
+    const bind = (fn) => {
+      const bound = function (...args) {
+        const result = run(() => fn.apply(this, args));
+        return typeof result === 'function' ? bind(result) : result;
+      };
+      // Express tells error handlers apart by their number of parameters
+      Object.defineProperty(bound, 'length', { value: fn.length });
+      Object.defineProperty(bound, 'name', { value: fn.name });
+      return bound;
+    };
+    const bindAll = (namespace) => Object.freeze(Object.fromEntries(
+      Object.entries(namespace).map(([name, value]) => [name, typeof value === 'function' ? bind(value) : value])
+    ));
+    return Object.freeze({
+      config: () => run(getConfig),
+      converters: bindAll(converters),
+      validations: bindAll(validations),
+      miscellaneous: bindAll(miscellaneous),
+      dates: bindAll(dates),
+      streams: bindAll(streams),
+      rateLimiting: bindAll(rateLimiting),
+    });
+  },
+
+  /**
+   * Clears the configuration set with `setConfig`, so that it can be set again. Meant for tests,
+   * which need a fresh configuration between cases; it throws unless `NODE_ENV` is `test`.
+   *
+   * @throws {Error} Will throw an error if `NODE_ENV` is not `test`.
+   */
+  resetConfig,
+
+  /**
+   * Loads the configuration from several layers, validates it and sets it (see `setConfig`).
+   *
+   * Layers are merged in this order, later layers overriding earlier ones property by property:
+   * 1. the defaults of `CONFIG_SCHEMA` (e.g. `timezone: 'UTC'`);
+   * 2. the configuration file, if any: a JSON object, or a `.env` file of `MRA_*` variables;
+   * 3. the `MRA_*` environment variables, e.g. `MRA_SECRET_KEY` or `MRA_ERRORS__FORMAT` (see below);
+   * 4. the explicit `overrides`.
+   *
+   * Variable names are converted to camel case after the `MRA_` prefix, and `__` separates nested
+   * properties. Object and array values, such as `MRA_KEYRING`, are written as JSON.
+   *
+   * The merged configuration is validated with `validateConfig`, so that every invalid field is
+   * reported at once, and is deeply frozen.
+   *
+   * @param {Object} [options] - Loading options.
+   * @param {string} [options.file] - The path of a `.json` or `.env` configuration file.
+   * @param {Object<string, string>} [options.env=process.env] - The environment variables.
+   * @param {Object} [options.overrides={}] - Values that take precedence over all other layers.
+   * @returns {Object} The frozen configuration.
+   * @throws {Error} If the configuration has already been set.
+   * @throws {ConfigError} If the file cannot be read, or the configuration is invalid.
+   *
+   * @example
+   * // MRA_SECRET_KEY=0a06...827c MRA_DEVELOPMENT_TOKEN=... MRA_ERRORS__FORMAT=problem node server.mjs
+   * const config = loadConfig({ file: '.env', overrides: { timezone: 'Europe/Berlin' } });
+   */
+  loadConfig,
+
+  /**
+   * Validates a configuration against `CONFIG_SCHEMA`, converting values to the declared types (e.g.
+   * `'true'` to `true`) and filling in defaults. Besides the schema, a `secretKey` or a `keyring` is
+   * required, and a keyring must have unique key IDs and exactly one active key.
+   *
+   * @param {Object} config - The configuration.
+   * @returns {Object} The validated configuration.
+   * @throws {ConfigError} If the configuration is invalid; the message names every invalid field.
+   *
+   * @example
+   * validateConfig({ secretKey: 'abc', timezone: 'Mars/Olympus' });
+   * // ConfigError: Invalid configuration:
+   * // - secretKey: Must match the pattern ^[0-9a-fA-F]{64}$.
+   * // - timezone: Must be a valid timezone.
+   * // - developmentToken: Is required.
+   */
+  validateConfig,
+
+  /**
+   * The schema of the configuration (see `validateSchema`). Properties that are not declared are kept,
+   * so that applications can store their own settings next to these.
+   * @type {Object}
+   */
+  CONFIG_SCHEMA,
 };
 
 export const validations = {
@@ -33,7 +164,8 @@ export const validations = {
    * This middleware captures `SyntaxError` thrown by the `express.json()` middleware
    * when the incoming request contains invalid JSON. It extracts useful information
    * about the error, including the error type, message, and position where the error
-   * occurred in the JSON string, and sends a detailed response back to the client.
+   * occurred in the JSON string, and sends a 400 error response in the standard envelope
+   * (see `sendError`) with the code `INVALID_JSON` and these details.
    *
    * @param {object} err - The error object thrown by `express.json()` when it encounters malformed JSON.
    * @param {object} req - The request object from Express.js containing the client's request data.
@@ -53,7 +185,8 @@ export const validations = {
   /**
    * Middleware to validate request data using validationResult.
    * It checks if the request meets the validation criteria set by previous validation middlewares.
-   * If the validation fails, it sends a 400 status code with the validation errors.
+   * If the validation fails, it sends a 400 error response in the standard envelope (see `sendError`)
+   * with the code `VALIDATION_FAILED` and the validation errors as `details`.
    * Otherwise, it passes control to the next middleware function in the stack.
    *
    * @param {object} req - The request object from Express.js containing the client's request data.
@@ -62,16 +195,125 @@ export const validations = {
    */
   checkRequestValidity,
 
+  /**
+   * Checks many URLs with `inspectUrl`, e.g. the sources of an import.
+   *
+   * - At most `concurrency` requests run at the same time, and at most `perHostConcurrency` of them
+   *   go to the same host.
+   * - Timeouts, network errors and transient statuses (408, 425, 429, 500, 502, 503 and 504) are retried
+   *   up to `retries` times, waiting `backoff`, then twice as long after each attempt, up to `maxBackoff`.
+   * - Results are cached for `cacheTtl`, so a URL that appears several times is only checked once. Pass
+   *   the same `cache` to several calls to share results between them; any store with `get(key)` and
+   *   `set(key, value, ttlMs)` methods, such as `memoryStore()`, will do. Results are cached per URL
+   *   and `inspectUrl` options, so that a call with other options, e.g. `allowedAddresses`, does not
+   *   reuse the verdicts of another.
+   *
+   * @param {string[]} urls - The URLs to check.
+   * @param {Object} [options] - Check options, and the options of `inspectUrl`.
+   * @param {number} [options.concurrency=10] - The maximum number of requests at the same time.
+   * @param {number} [options.perHostConcurrency=2] - The maximum number of requests to the same host at the same time.
+   * @param {number} [options.retries=2] - The number of retries of transient failures.
+   * @param {number} [options.backoff=250] - The delay before the first retry, in milliseconds.
+   * @param {number} [options.maxBackoff=10000] - The maximum delay between two attempts, in milliseconds.
+   * @param {number} [options.cacheTtl=300000] - How long results are cached, in milliseconds.
+   * @param {{ get: function(string): *, set: function(string, Object, number): * }} [options.cache=memoryStore()] - Where results are cached.
+   * @returns {Promise<Array<Object>>} The result of `inspectUrl` for each URL, in the same order, with the `url`
+   * and the number of `attempts` it took.
+   *
+   * @example
+   * const results = await checkUrls(sources.map(source => source.url), { concurrency: 20, retries: 3 });
+   * const broken = results.filter(result => !result.ok).map(result => `${result.url}: ${result.reason}`);
+   */
+  checkUrls,
+
+  /**
+   * Checks whether a URL is accessible without letting it reach internal services (server-side
+   * request forgery). Use it on every URL supplied by users, such as profile picture URLs.
+   *
+   * Before each request, including every redirect, the URL must:
+   * - use an allowed protocol (`http:` or `https:` by default) and port (80 and 443 by default);
+   * - resolve only to public addresses: private, loopback, link-local (e.g. `169.254.169.254`),
+   *   multicast and other reserved ranges are rejected unless listed in `allowedAddresses`.
+   *
+   * The connection is made to the address that was checked, not to a second DNS answer. Redirects
+   * are followed manually, up to `maxRedirects`. The whole inspection, DNS lookups included, is
+   * bounded by `timeoutMs`. Servers that refuse `HEAD` requests with 405 or 501 are asked again with
+   * a `GET` request; its body is not read, unless `sniffBytes` is set, in which case only that many
+   * bytes are requested with a `Range` header and read. Environment proxy settings are ignored.
+   *
+   * The `reason` of a failed inspection is one of `INVALID_URL`, `PROTOCOL_NOT_ALLOWED`,
+   * `PORT_NOT_ALLOWED`, `DNS_FAILED`, `PRIVATE_ADDRESS`, `TOO_MANY_REDIRECTS`, `TIMEOUT`,
+   * `NETWORK_ERROR` or `HTTP_ERROR` (the final status is not 2xx).
+   *
+   * The request ID and trace context of the current request are forwarded (see `getCorrelationHeaders`).
+   *
+   * @param {string} url - The URL to inspect.
+   * @param {Object} [options] - Inspection options.
+   * @param {string[]} [options.allowedProtocols=['http:', 'https:']] - The allowed protocols.
+   * @param {number[]} [options.allowedPorts=[80, 443]] - The allowed ports.
+   * @param {string[]} [options.allowedAddresses=[]] - Non-public addresses or CIDR subnets that may be contacted,
+   * e.g. `['10.1.2.0/24']` for a trusted internal service.
+   * @param {number} [options.maxRedirects=5] - The maximum number of redirects to follow.
+   * @param {number} [options.timeoutMs=5000] - The time limit of the whole inspection.
+   * @param {Object<string, string>} [options.headers] - Additional request headers.
+   * @param {number} [options.sniffBytes=0] - The number of bytes of the body to read when falling back to `GET`.
+   * @returns {Promise<{ ok: boolean, status: number|null, finalUrl: string, contentType: string|null, contentLength: number|null, firstBytes: Buffer|null, reason: string|null }>}
+   * The outcome: `ok` is `true` if the final response has a 2xx status; `status`, `contentType` and
+   * `contentLength` (the size of the whole resource, if known) are those of the last response (or `null`);
+   * `firstBytes` holds the bytes read when sniffing (or `null`); and `finalUrl` is the last URL requested or checked.
+   * @throws {Error} If `allowedAddresses` holds an invalid entry.
+   *
+   * @example
+   * const result = await inspectUrl(req.body.avatarUrl);
+   * if (!result.ok || !result.contentType?.startsWith('image/')) {
+   *   throw new BadRequestError('The avatar URL is not accessible.', { details: { reason: result.reason } });
+   * }
+   */
+  inspectUrl,
+
+  /**
+   * Checks whether an IP address belongs to a range that is not reachable on the public internet,
+   * such as private networks, loopback and link-local addresses.
+   *
+   * @param {string} address - The IPv4 or IPv6 address.
+   * @returns {boolean} Returns `true` if the address is not public, or is not a valid IP address.
+   *
+   * @example
+   * isPrivateAddress('169.254.169.254'); // true
+   * isPrivateAddress('::1'); // true
+   * isPrivateAddress('93.184.215.14'); // false
+   */
+  isPrivateAddress,
+
+  /**
+   * Creates an asynchronous custom validator for express-validator chains that checks a URL with
+   * `validateRemoteResource`. The validation error message explains why the URL was rejected.
+   *
+   * @param {Object} [options] - The options of `validateRemoteResource`.
+   * @returns {function(string): Promise<boolean>} The custom validator.
+   *
+   * @example
+   * app.put('/profile',
+   *   body('profilePictureUrl').isURL().bail().custom(isRemoteResource({ allowedTypes: ['image/png', 'image/jpeg'], maxBytes: 2 * 1024 * 1024 })),
+   *   checkRequestValidity,
+   *   updateProfile
+   * );
+   */
+  isRemoteResource,
+
   /**
    * Function to validate an email address format.
-   * It uses a regular expression to check if the email follows the standard email format.
+   * It checks the syntax with `validateEmail`, without rejecting disposable domains.
+   * Values that are not strings are invalid.
    *
    * @param {string} email - The email address to validate.
    * @returns {boolean} - Returns true if the email is valid, otherwise false.
    *
    * @example
    * isValidEmail('test@example.com'); // true
+   * isValidEmail('"john doe"@bücher.de'); // true
    * isValidEmail('invalid-email'); // false
+   * isValidEmail(undefined); // false
    */
   isValidEmail,
 
@@ -84,21 +326,362 @@ export const validations = {
   isValidUrl,
 
   /**
-   * Tests if a given URL is accessible by making a HEAD request.
+   * Tests if a given URL is accessible by making a HEAD request, with the protection against
+   * server-side request forgery of `inspectUrl`: only public addresses on the allowed protocols and
+   * ports are contacted, also after redirects. When called while handling a request, the request ID
+   * and trace context are forwarded (see `getCorrelationHeaders`).
    *
    * @async
    * @param {string} url - The URL to test for accessibility.
-   * @returns {Promise<boolean>} True if the URL is accessible, false otherwise.
+   * @param {Object} [options] - The options of `inspectUrl`.
+   * @param {boolean} [options.detailed=false] - Resolve with the detailed result of `inspectUrl` instead of a boolean.
+   * @returns {Promise<boolean|Object>} True if the URL is accessible, false otherwise; or the detailed result of `inspectUrl`.
+   *
+   * @example
+   * await testUrlAccessibility('http://169.254.169.254/latest/meta-data/'); // false
+   * await testUrlAccessibility('https://example.com/avatar.png', { detailed: true });
+   * // { ok: true, status: 200, finalUrl: 'https://example.com/avatar.png', contentType: 'image/png', contentLength: 5120, firstBytes: null, reason: null }
    */
-  testUrlAccessibility
+  testUrlAccessibility,
+
+  /**
+   * Validates and normalizes an email address.
+   *
+   * The address is checked against the syntax of RFC 5321/5322: an unquoted (`john.doe+news`) or quoted
+   * (`"john doe"`) local part of up to 64 characters, and a domain with a top-level domain. Internationalized
+   * domains are accepted and converted to punycode (`user@bücher.de` becomes `user@xn--bcher-kva.de`).
+   * IP address literals and comments are not accepted.
+   *
+   * The normalized address is trimmed and has a lower-case ASCII domain. With `canonicalize`, addresses of providers
+   * that ignore dots or `+tags` are reduced to the mailbox they are delivered to, e.g.
+   * `John.Doe+news@googlemail.com` becomes `johndoe@gmail.com`; use it to detect duplicate accounts.
+   *
+   * The `reason` of an invalid address is one of `NOT_A_STRING`, `INVALID_FORMAT`, `TOO_LONG`,
+   * `INVALID_LOCAL_PART`, `INVALID_DOMAIN` or `DISPOSABLE_DOMAIN`.
+   *
+   * @param {*} email - The email address.
+   * @param {Object} [options] - Validation options.
+   * @param {boolean} [options.canonicalize=false] - Canonicalize the addresses of providers such as Gmail.
+   * @param {boolean} [options.blockDisposable=true] - Reject disposable email domains, see `DISPOSABLE_DOMAINS`.
+   * @param {string[]} [options.disposableDomains=[]] - More disposable domains to reject.
+   * @param {string[]} [options.allowedDomains=[]] - Domains that are never considered disposable.
+   * @returns {{ valid: boolean, normalized: string|null, reason: string|null }} The outcome, with the
+   * normalized address if the syntax is valid.
+   *
+   * @example
+   * validateEmail('John.Doe+news@GoogleMail.com', { canonicalize: true });
+   * // { valid: true, normalized: 'johndoe@gmail.com', reason: null }
+   * validateEmail('user@mailinator.com');
+   * // { valid: false, normalized: 'user@mailinator.com', reason: 'DISPOSABLE_DOMAIN' }
+   */
+  validateEmail,
+
+  /**
+   * Checks that a URL points to a resource of an allowed type and size, e.g. a profile picture or
+   * an attached document. The URL is inspected with `inspectUrl`, so the same protection against
+   * server-side request forgery applies.
+   *
+   * The type and size are taken from the headers of a `HEAD` request. If the server does not support
+   * `HEAD`, the first bytes of the resource are fetched with a ranged `GET` and the type is recognized
+   * from its signature (PNG, JPEG, GIF, WebP or PDF), falling back to the `Content-Type` header. The
+   * size comes from `Content-Range` or `Content-Length`; resources of unknown size are accepted.
+   *
+   * The `reason` of an invalid resource is one of the reasons of `inspectUrl`, `TYPE_NOT_ALLOWED` or
+   * `TOO_LARGE`.
+   *
+   * @async
+   * @param {string} url - The URL of the resource.
+   * @param {Object} [options] - Validation options, and the options of `inspectUrl`.
+   * @param {string[]} [options.allowedTypes=['image/png', 'image/jpeg', 'application/pdf']] - The allowed MIME types.
+   * @param {number} [options.maxBytes=5242880] - The maximum size in bytes (5 MB).
+   * @returns {Promise<{ valid: boolean, mimeType: string|null, size: number|null, finalUrl: string, reason: string|null }>}
+   * The outcome, with the MIME type and size of the resource when they are known.
+   *
+   * @example
+   * await validateRemoteResource('https://example.com/cv.pdf', { allowedTypes: ['application/pdf'], maxBytes: 1024 * 1024 });
+   * // { valid: true, mimeType: 'application/pdf', size: 48213, finalUrl: 'https://example.com/cv.pdf', reason: null }
+   */
+  validateRemoteResource,
+
+  /**
+   * Creates an Express middleware that validates the request against declarative schemas (see
+   * `validateSchema`), one per request property: `params`, `query`, `headers` and `body`.
+   *
+   * If any check fails, it sends a 400 error response in the standard envelope (see `sendError`) with
+   * the code `VALIDATION_FAILED` and one entry per error in `details`, in the same shape as the errors
+   * of `checkRequestValidity`: `{ type: 'field', location, path, msg, value }`.
+   *
+   * Otherwise `req.body`, `req.query` and `req.params` are replaced with the sanitized, typed values,
+   * and all validated values are also available as `req.validated`. Headers are validated but
+   * `req.headers` is left unchanged; header names in the schema must be lower case.
+   *
+   * Values are coerced to the declared types by default, since query strings, params and headers are
+   * always strings.
+   *
+   * @param {Object} schemas - The schemas of the request properties.
+   * @param {Object} [schemas.params] - The schema of the route params.
+   * @param {Object} [schemas.query] - The schema of the query string.
+   * @param {Object} [schemas.headers] - The schema of the headers.
+   * @param {Object} [schemas.body] - The schema of the body.
+   * @param {Object} [options] - The options of `validateSchema`; `coerce` defaults to `true`.
+   * @returns {function(object, object, function): void} The Express middleware.
+   * @throws {Error} If a schema declares an unknown type or format.
+   *
+   * @example
+   * app.post('/users',
+   *   validateRequest({
+   *     body: {
+   *       type: 'object',
+   *       required: ['email'],
+   *       properties: { email: { type: 'string', format: 'email' }, age: { type: 'integer', minimum: 0 } },
+   *       additionalProperties: false
+   *     },
+   *     query: { type: 'object', properties: { notify: { type: 'boolean', default: false } } }
+   *   }),
+   *   (req, res) => { ... }
+   * );
+   */
+  validateRequest,
+
+  /**
+   * Creates an Express middleware that validates and serializes the payloads sent with `res.json`
+   * against a declared response schema (see `validateSchema`).
+   *
+   * The payload is validated as it would be serialized, e.g. with Dates as ISO strings. Properties
+   * that the schema does not declare are stripped, so that handlers cannot leak fields, and so are
+   * values of the wrong type, e.g. an object sent where the schema declares a string.
+   * The sanitized payload can then be serialized: first its keys are converted with `convertKeys`,
+   * then properties are encrypted with `encryptObjectItems`. Encryption selectors
+   * therefore refer to the converted keys.
+   *
+   * `schema` is either one schema, used for 2xx responses, or a map of schemas by status such as
+   * `{ 200: schema, 201: schema, '4xx': schema, default: schema }`. Responses without a schema are
+   * sent unchanged.
+   *
+   * When a payload violates its schema, the `strict` mode sends a 500 error in the standard envelope
+   * (see `sendError`) with the code `RESPONSE_VALIDATION_FAILED` and the paths and messages of the
+   * violations as `details`; the `log` mode reports the violations to `onViolation` and sends the
+   * stripped payload. In both modes the offending values are left out of the violations. The mode
+   * defaults to `strict` only when `NODE_ENV` is `development` or `test`, so that mistakes surface
+   * there, and to `log` otherwise.
+   *
+   * @param {Object} schema - The response schema, or a map of schemas by status.
+   * @param {Object} [options] - Response options.
+   * @param {'camel'|'pascal'|'snake'|'kebab'|'constant'} [options.case] - Convert the keys of the payload to this case.
+   * @param {string[]} [options.acronyms] - Known acronyms for the key conversion, see `convertKey`.
+   * @param {string[]} [options.encrypt] - Path selectors of the properties to encrypt (see `encryptObjectItems`).
+   * @param {Object} [options.encryptOptions] - Options passed to `encryptObjectItems`, e.g. `{ deterministic: ['email'] }`.
+   * @param {'strict'|'log'} [options.mode] - How violations are handled.
+   * @param {function(Array<{ path: string, keyword: string, message: string }>, object): void} [options.onViolation=console.error] -
+   * Called with the violations and the request in `log` mode.
+   * @returns {function(object, object, function): void} The Express middleware.
+   * @throws {Error} If a schema declares an unknown type or format.
+   *
+   * @example
+   * app.get('/users/:id',
+   *   validateResponse({
+   *     type: 'object',
+   *     properties: { id: { type: 'integer' }, email: { type: 'string' }, createdAt: { type: 'string' } }
+   *   }, { case: 'snake', encrypt: ['email'] }),
+   *   async (req, res) => {
+   *     res.json(await findUser(req.params.id)); // passwordHash and other columns are stripped
+   *   }
+   * );
+   */
+  validateResponse,
+
+  /**
+   * Validates a value against a JSON-Schema-like schema and returns the sanitized value.
+   *
+   * Supported keywords:
+   * - `type` - `string`, `number`, `integer`, `boolean`, `object`, `array`, `null`, or an array of them.
+   * - `enum`, `const`, `default`.
+   * - Strings: `minLength`, `maxLength`, `pattern`, `format` (`email` and `url`, which use
+   *   `isValidEmail` and `isValidUrl`, `uuid`, `date`, `date-time` and `timezone`, an IANA timezone).
+   * - Numbers: `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`.
+   * - Arrays: `items`, `minItems`, `maxItems`, `uniqueItems`.
+   * - Objects: `properties`, `required`, `additionalProperties` (`false` or a schema).
+   *
+   * The input is not modified. Other keywords are ignored.
+   *
+   * @param {*} value - The value to validate.
+   * @param {Object} schema - The schema.
+   * @param {Object} [options] - Validation options.
+   * @param {boolean} [options.coerce=false] - Convert values to the declared type where possible, e.g. `'42'` to `42`.
+   * @param {boolean} [options.useDefaults=true] - Fill in missing properties from their `default`.
+   * @param {boolean|'all'} [options.removeAdditional=true] - Remove properties not allowed by `additionalProperties: false`
+   * instead of reporting them as errors. With `'all'`, properties not listed in `properties` are removed from every object
+   * schema that lists properties, unless `additionalProperties` is a schema.
+   * @param {boolean} [options.removeInvalid=false] - Remove values that do not match their declared type, along with
+   * everything nested in them, instead of returning them unchanged. Array items are replaced with `undefined`.
+   * @returns {{ valid: boolean, value: *, errors: Array<{ path: string, keyword: string, message: string, value: * }> }}
+   * The result; `value` is the sanitized value, and `path` is e.g. `contacts[0].email`.
+   * @throws {Error} If the schema declares an unknown type or format.
+   *
+   * @example
+   * validateSchema({ age: '42', extra: true }, {
+   *   type: 'object',
+   *   properties: { age: { type: 'integer', minimum: 0 }, role: { type: 'string', default: 'user' } },
+   *   additionalProperties: false
+   * }, { coerce: true });
+   * // { valid: true, value: { age: 42, role: 'user' }, errors: [] }
+   */
+  validateSchema,
+
+  /**
+   * Domains of well-known disposable (temporary) email providers, used by `validateEmail`.
+   * Subdomains of these domains are disposable as well.
+   *
+   * The list is not exhaustive; extend it with the `disposableDomains` option of `validateEmail`.
+   * @type {ReadonlyArray<string>}
+   */
+  DISPOSABLE_DOMAINS,
 };
 
 
 export const converters = {
+  /**
+   * Computes a blind index for a value: an HMAC-SHA256 lookup token that can be stored next to the
+   * encrypted value and queried by equality without decrypting anything. The HMAC key is derived
+   * from the active key and scoped to `field`, so equal values in different fields yield unrelated tokens.
+   *
+   * Normalise the value first (e.g. lowercase an email) so that equivalent inputs match.
+   *
+   * @param {string} value - The value to index.
+   * @param {string} field - The name of the field the index belongs to, e.g. `email`.
+   * @param {Object} [options] - Options.
+   * @param {string} [options.keyId] - The key to derive the index key from. Defaults to the active key;
+   * pin it to keep tokens stable across key rotations.
+   * @returns {string} The blind index as a hex string.
+   * @throws {EncryptionError} If `value` or `field` is not a string (`INVALID_INPUT`).
+   * @throws {KeyNotFoundError} If the key is not configured.
+   *
+   * @example
+   * const emailIndex = blindIndex(email.toLowerCase(), 'email');
+   * // SELECT * FROM users WHERE email_index = $1
+   */
+  blindIndex,
+
+  /**
+   * Creates an Express middleware that converts the keys of `req.body` and `req.query` on the way
+   * in, and wraps `res.json` to convert the keys of the payload on the way out. By default, clients
+   * speak snake_case and handlers work with lowerCamelCase.
+   *
+   * Mount it globally or per route with different options; set a direction to `false` to leave it
+   * untouched. Keys or subtrees that must not be converted, such as free-form metadata maps, are
+   * given as path selectors (see `encryptObjectItems`) matched against the original keys of each
+   * direction: `metadata.*` keeps the keys inside a top-level `metadata` while still converting
+   * `metadata` itself, and `**.metadata.*` does the same at any depth.
+   *
+   * @param {Object} [options] - Conversion options.
+   * @param {'camel'|'pascal'|'snake'|'kebab'|'constant'|false} [options.request='camel'] - The case of incoming body and query keys.
+   * @param {'camel'|'pascal'|'snake'|'kebab'|'constant'|false} [options.response='snake'] - The case of outgoing `res.json` payload keys.
+   * @param {string[]} [options.acronyms] - Known acronyms, see `convertKey`.
+   * @param {string[]} [options.exclude] - Path selectors of properties left untouched in both directions.
+   * @param {string[]} [options.excludeRequest] - Path selectors of properties left untouched in the request only.
+   * @param {string[]} [options.excludeResponse] - Path selectors of properties left untouched in the response only.
+   * @param {Object} [options.dates] - The date codec (see `convertKeys`): `revive` applies to the request and `serialize`
+   * to the response, both in `timeZone`.
+   * @returns {function(object, object, function): void} The Express middleware.
+   * @throws {Error} If a direction names an unknown case, or a date option is unknown.
+   *
+   * @example
+   * app.use(express.json());
+   * app.use(caseConversion({ exclude: ['metadata.*'] }));
+   * // A third-party webhook keeps its own keys
+   * app.post('/webhooks/stripe', caseConversion({ request: false, response: false }), handleWebhook);
+   * // Timestamps are sent in the configured timezone, and `*_at` fields arrive as Dates
+   * app.use(caseConversion({ dates: { serialize: 'iso', revive: ['*_at'] } }));
+   */
+  caseConversion,
+
+  /**
+   * Converts a single key into another case.
+   *
+   * Keys are split into words at `_`, `-` and spaces and at case changes, so that `userID`, `user_id`,
+   * `user-id` and `UserId` are all the words `user` and `id`. Runs of capitals are kept together
+   * (`XMLHttpRequest` is `xml`, `http`, `request`) and digits stay with the word before them
+   * (`address2`, `line2Text`). Letters of any script are supported (`prénom_client` is `prénom`,
+   * `client`). Leading and trailing underscores, as in `_id` or `__v`, are kept, and keys with other
+   * characters, such as `$ref`, `a.b` or letters without case, are returned unchanged.
+   *
+   * Known acronyms are split apart (`XMLHTTPRequest` with `XML` and `HTTP`) and written in capitals
+   * in camel and Pascal case, except as the first word in camel case.
+   *
+   * @param {string} key - The key to convert.
+   * @param {'camel'|'pascal'|'snake'|'kebab'|'constant'} targetCase - The target case.
+   * @param {Object} [options] - Conversion options.
+   * @param {string[]} [options.acronyms=[]] - Known acronyms, e.g. `['ID', 'URL', 'API']`.
+   * @returns {string} The converted key.
+   * @throws {Error} If the target case is unknown.
+   *
+   * @example
+   * convertKey('userID', 'snake'); // 'user_id'
+   * convertKey('user_id', 'camel', { acronyms: ['ID'] }); // 'userID'
+   * convertKey('XMLHttpRequest', 'constant'); // 'XML_HTTP_REQUEST'
+   * convertKey('_created_at', 'kebab'); // '_created-at'
+   */
+  convertKey,
+
+  /**
+   * Converts the keys of an object into another case, recursively. See `convertKey` for how keys are
+   * split into words.
+   *
+   * Arrays, Sets and the values of Maps are converted item by item, and the string keys of Maps are
+   * converted. Class instances are converted into plain objects, using their `toJSON()` method if
+   * they have one. Dates, Buffers, typed arrays, regular expressions and BigInts are kept as they are,
+   * and circular references are preserved (see `transformDeep`).
+   *
+   * Conversion is lossy for some keys, e.g. `user__id` and `user_id` are both `userId` in camel case.
+   * With `reversible`, every key must convert back to itself from the target case (in the case it was
+   * written in), and no two keys of an object may convert to the same key; otherwise an error is thrown.
+   *
+   * The `dates` option adds a date codec to the conversion. When serializing, Dates become ISO 8601
+   * strings with the offset of the timezone (see `formatDate`) or milliseconds since the epoch. When
+   * parsing, ISO 8601 strings become Dates (see `parseISODate`): every such string, or only those
+   * under keys matching patterns such as `*At` or `*_date`, tested against the key as written and as
+   * converted. Strings that are not valid dates are kept.
+   *
+   * @param {*} obj - The value whose keys need to be converted.
+   * @param {'camel'|'pascal'|'snake'|'kebab'|'constant'} targetCase - The target case.
+   * @param {Object} [options] - Conversion options.
+   * @param {string[]} [options.acronyms=[]] - Known acronyms, see `convertKey`.
+   * @param {string[]} [options.exclude] - Path selectors (see `encryptObjectItems`) of properties whose key and value are
+   * left untouched, matched against the original keys. For example, `metadata.*` converts the `metadata` key but not the
+   * free-form map inside it.
+   * @param {boolean} [options.reversible=false] - Throw if a key cannot be converted back, or two keys collide.
+   * @param {number} [options.maxDepth=100] - The maximum nesting depth of the value.
+   * @param {Object} [options.dates] - The date codec.
+   * @param {'iso'|'epoch'|false} [options.dates.serialize=false] - Replace Dates with ISO 8601 strings or epoch milliseconds.
+   * @param {boolean|string[]} [options.dates.revive=false] - Replace ISO 8601 strings with Dates: all of them, or only
+   * those under keys matching these patterns, where `*` stands for any characters.
+   * @param {string} [options.dates.timeZone] - The timezone of serialized Dates and of revived strings without an offset.
+   * Defaults to the `timezone` configuration.
+   * @returns {*} A new value with converted keys. Non-object values are returned unchanged.
+   * @throws {Error} If the target case or a date option is unknown, or in reversible mode if a key cannot be converted reversibly.
+   * @throws {RangeError} If the value is nested deeper than `maxDepth`.
+   *
+   * @example
+   * convertKeys({ userID: 1, billingAddress: { line2: 'x' } }, 'snake'); // { user_id: 1, billing_address: { line2: 'x' } }
+   * convertKeys(new Map([['first_name', 'John']]), 'pascal'); // Map { 'FirstName' => 'John' }
+   * convertKeys({ api_url: 'x' }, 'camel', { acronyms: ['API', 'URL'], reversible: true }); // { apiURL: 'x' }
+   * convertKeys({ created_at: '2024-07-01T09:00:00Z' }, 'camel', { dates: { revive: ['*At'] } }); // { createdAt: Date }
+   * convertKeys({ createdAt: new Date(0) }, 'snake', { dates: { serialize: 'iso', timeZone: 'Europe/Berlin' } });
+   * // { created_at: '1970-01-01T01:00:00.000+01:00' }
+   */
+  convertKeys,
+
   /**
    * Extracts key information from the Express request object and returns it as a JSON string.
    * Handles circular references in the object structure to ensure proper JSON serialization.
    *
+   * Sensitive data is masked with `redact`. The policies come from the `redaction` configuration
+   * (`redaction.headers` for headers, `redaction.data` for the body, query, params and cookies) and
+   * default to `DEFAULT_HEADER_REDACTION_POLICY` and `DEFAULT_REDACTION_POLICY`.
+   *
+   * When the request passed through `requestContext`, its `requestId` and `traceId` are included
+   * so that log entries can be correlated across services.
+   *
    * @param {object} req - The Express request object.
    * @returns {string} A JSON string representing key information from the request object.
    */
@@ -106,67 +689,495 @@ export const converters = {
   /**
    * Decrypts a base64 encoded string that was encrypted using the encrypt function.
    *
+   * The key is picked from the keyring by the key ID stored in the envelope. Versioned envelopes
+   * are verified against their GCM authentication tag, so a tampered or truncated payload is
+   * rejected rather than decrypted to garbage. Legacy `{ iv, content }` payloads written with
+   * AES-256-CTR are rejected unless the `legacyDecryption` configuration flag is set. They are not
+   * authenticated, and a versioned envelope can be rewritten as a legacy one to alter its plaintext,
+   * so only enable the flag while migrating old data with `reencrypt`.
+   *
    * @param {string} base64String - A base64 encoded string representing the encrypted text.
-   * @returns {string} The decrypted text. Returns the original base64 string if an error occurs during decryption.
+   * @param {Object} [options] - Decryption options.
+   * @param {boolean} [options.strict] - Throw typed errors instead of returning the input. Defaults to the `strictCrypto` configuration flag.
+   * @returns {string} The decrypted text. Returns the original base64 string if the payload is rejected or an error occurs during decryption, unless in strict mode.
+   * @throws {InvalidEnvelopeError} In strict mode, if the input is not a ciphertext envelope (e.g. plaintext or corrupted data),
+   * or is a legacy payload and `legacyDecryption` is not enabled.
+   * @throws {KeyNotFoundError} In strict mode, if the key referenced by the envelope is not configured.
+   * @throws {DecryptionError} In strict mode, if the envelope fails authentication.
    */
   decrypt,
   /**
-   * Encrypts a given text using AES-256-CTR encryption algorithm.
+   * Encrypts a given text using the AES-256-GCM authenticated encryption algorithm.
+   *
+   * The result is a base64 encoded JSON envelope of the form `{ v, kid, iv, content, tag }`, where `v` is
+   * the envelope version, `kid` is the ID of the active key and `tag` is the GCM authentication tag
+   * used by `decrypt` to detect tampering.
+   *
+   * With `deterministic: true` the IV is derived from an HMAC of the text, so the same text always
+   * encrypts to the same ciphertext under the same key. This makes the value searchable by equality,
+   * at the cost of revealing which records share a value; use it only for lookup fields such as emails.
    *
    * @param {string} text - The text to be encrypted.
-   * @param {Buffer} [iv] - The initialization vector. If not provided, a random 16-byte IV is generated.
-   * @returns {string} A base64 encoded string representing the encrypted text. Returns the original text if an error occurs.
+   * @param {Buffer} [iv] - Ignored. Kept for backward compatibility; a fresh random 12-byte IV is generated for every
+   * call, since reusing a GCM nonce under the same key exposes the authentication key.
+   * @param {Object} [options] - Encryption options.
+   * @param {boolean} [options.deterministic=false] - Derive the IV from the text instead of generating a random one.
+   * @param {boolean} [options.strict] - Throw typed errors instead of returning the input. Defaults to the `strictCrypto` configuration flag.
+   * @returns {string} A base64 encoded string representing the encrypted text. Returns the original text if an error occurs, unless in strict mode.
+   * @throws {KeyNotFoundError} In strict mode, if no key is configured.
+   * @throws {EncryptionError} In strict mode, if the text is not a string or cannot be encrypted.
+   *
+   * @example
+   * // Searchable ciphertext for an email column
+   * const encryptedEmail = encrypt(email.toLowerCase(), undefined, { deterministic: true });
    */
   encrypt,
 
+  /**
+   * Moves an existing ciphertext onto the active key. The payload is decrypted with the key it
+   * references and encrypted again with the active key and a fresh IV. Deterministic ciphertexts
+   * stay deterministic under the new key. Legacy AES-256-CTR payloads are upgraded to the
+   * versioned envelope on the way when the `legacyDecryption` configuration flag is set.
+   *
+   * @param {string} base64String - A base64 encoded string produced by `encrypt`.
+   * @param {Object} [options] - Options.
+   * @param {boolean} [options.strict] - Throw typed errors instead of returning the input. Defaults to the `strictCrypto` configuration flag.
+   * @returns {string} The ciphertext encrypted with the active key. Returns the input unchanged if it is
+   * already encrypted with the active key, or if it cannot be decrypted (unless in strict mode).
+   * @throws {CryptoError} In strict mode, the error raised by `decrypt` or `encrypt`.
+   *
+   * @example
+   * // After marking a new key as active in the keyring
+   * record.email = reencrypt(record.email);
+   */
+  reencrypt,
+
   /**
    * Decrypts all string values within an object that were encrypted using encryptObjectItems.
+   * As there, the items of arrays and Sets are only decrypted when a selector addresses them.
    *
    * @param {Object} obj - The object with encrypted string values.
-   * @param {string[]} [propertiesToDecrypt] - List of property names to decrypt. If not provided, all string properties are decrypted.
-   * @returns {Object} A new object with all string values decrypted. Non-string values are copied as is.
+   * @param {string[]} [propertiesToDecrypt] - Path selectors of the properties to decrypt, as for `encryptObjectItems`. If not provided, all string properties are decrypted.
+   * @param {Object} [options] - Decryption options.
+   * @param {boolean} [options.strict] - Throw typed errors instead of leaving values as they are. Defaults to the `strictCrypto` configuration flag.
+   * @param {number} [options.maxDepth=100] - The maximum nesting depth of the object, see `transformDeep`.
+   * @returns {Object} A new object with all string values decrypted. Non-string values are copied as is, and circular
+   * references are preserved.
+   * @throws {CryptoError} In strict mode, the error raised by `decrypt`, with `path` set to the property that failed.
+   * @throws {RangeError} If the object is nested deeper than `maxDepth`.
    */
   decryptObjectItems,
 
   /**
    * Encrypts all string values within an object.
    *
+   * Properties are chosen with path selectors: a bare name such as `email` matches at any depth,
+   * `user.email` is anchored at the root, `contacts[*].phone` matches every array element, `**.ssn`
+   * matches any number of levels and a leading `!` excludes paths, e.g. `!auditLog.**`. Strings held
+   * in arrays and Sets are encrypted when a selector addresses them, such as `phones[*]` or `phones[0]`;
+   * without selectors, only string properties are encrypted.
+   *
    * @param {Object} obj - The object whose string values are to be encrypted.
-   * @param {string[]} [propertiesToEncrypt] - List of property names to encrypt. If not provided, all string properties are encrypted.
-   * @param {Buffer} [iv] - The initialization vector for encryption. If not provided, a random 16-byte IV is generated.
-   * @returns {Object} A new object with all string values encrypted. Non-string values are copied as is.
+   * @param {string[]} [propertiesToEncrypt] - Path selectors of the properties to encrypt. If not provided, all string properties are encrypted.
+   * @param {Buffer} [iv] - Ignored, see `encrypt`. Every value gets its own random 12-byte IV.
+   * @param {Object} [options] - Encryption options.
+   * @param {boolean|string[]} [options.deterministic=false] - Path selectors of the properties to encrypt deterministically (see `encrypt`),
+   * or `true` for all of them. Other properties get a random IV.
+   * @param {boolean} [options.strict] - Throw typed errors instead of leaving values unencrypted. Defaults to the `strictCrypto` configuration flag.
+   * @param {number} [options.maxDepth=100] - The maximum nesting depth of the object, see `transformDeep`.
+   * @returns {Object} A new object with all string values encrypted. Non-string values are copied as is, and circular
+   * references are preserved.
+   * @throws {CryptoError} In strict mode, the error raised by `encrypt`, with `path` set to the property that failed.
+   * @throws {RangeError} If the object is nested deeper than `maxDepth`.
+   *
+   * @example
+   * // Email is searchable, phone numbers are not, audit log entries are left alone
+   * encryptObjectItems(report, ['user.email', 'contacts[*].phone', '**.ssn'], undefined, { deterministic: ['user.email'] });
    */
   encryptObjectItems,
 
   /**
-   * Converts the keys of an object from snake_case to lowerCamelCase.
+   * Converts the keys of an object to lowerCamelCase. Shorthand for `convertKeys(obj, 'camel', options)`.
+   *
+   * Every key is split into words and joined again (see `convertKey`), including keys that already are
+   * in camel case: `userID` becomes `userId` unless `ID` is one of the `acronyms`. Use `exclude` to keep
+   * keys as they are.
    *
    * @param {Object} obj - The object whose keys need to be converted.
+   * @param {Object} [options] - The options of `convertKeys`, e.g. `exclude`, `acronyms` and `dates`.
    * @returns {Object} A new object with all keys in lowerCamelCase.
+   *
+   * @example
+   * toLowerCamelCase({ userID: 1, prénom_client: 'x' }); // { userId: 1, prénomClient: 'x' }
+   * toLowerCamelCase({ userID: 1 }, { acronyms: ['ID'] }); // { userID: 1 }
    */
   toLowerCamelCase,
   /**
- * Converts the keys of an object from lowerCamelCase to snake_case.
- *
- * This function recursively converts all object keys to snake_case, where
- * each word is separated by an underscore and all letters are in lowercase.
- * It handles nested objects and arrays, ensuring that keys at every level
- * are converted. Non-object values, including arrays, are left unchanged
- * except for the recursive conversion of array items or object properties.
- *
- * @param {Object} obj - The object whose keys need to be converted to snake_case.
- * @returns {Object} A new object with all keys in snake_case.
- */
+   * Converts the keys of an object to snake_case. Shorthand for `convertKeys(obj, 'snake', options)`.
+   *
+   * This function recursively converts all object keys to snake_case, where
+   * each word is separated by an underscore and all letters are in lowercase.
+   * It handles nested objects and arrays, ensuring that keys at every level
+   * are converted. Non-object values, including arrays, are left unchanged
+   * except for the recursive conversion of array items or object properties.
+   *
+   * @param {Object} obj - The object whose keys need to be converted to snake_case.
+   * @param {Object} [options] - The options of `convertKeys`, e.g. `exclude`, `acronyms` and `dates`.
+   * @returns {Object} A new object with all keys in snake_case.
+   */
   toSnakeCase,
+
+  /**
+   * The cases supported by `convertKey` and `convertKeys`.
+   * @type {ReadonlyArray<string>}
+   */
+  KEY_CASES,
+};
+
+export const redaction = {
+  /**
+   * The default policy applied to request headers by `convertRequestData`.
+   * @type {{ mask: string, rules: Array<Object> }}
+   */
+  DEFAULT_HEADER_REDACTION_POLICY,
+
+  /**
+   * The default policy applied to the body, query, params and cookies by `convertRequestData`.
+   * Keys are matched exactly (case-insensitive) or by pattern, so `accessToken`, `contactEmail` and
+   * `first_name` are masked while `tokenCount` and `emailVerified` are not. Email addresses are also
+   * masked by value, whatever their key.
+   * @type {{ mask: string, rules: Array<Object> }}
+   */
+  DEFAULT_REDACTION_POLICY,
+
+  /**
+   * Redacts sensitive data within an object according to a policy. The object is walked
+   * recursively; a property is masked when the first matching rule of the policy matches its key,
+   * its path, or (for string values) its content.
+   *
+   * This function is non-destructive; it returns a new object while leaving the original intact.
+   * Shared and circular references are redacted once and preserved in the copy (see `transformDeep`).
+   * Objects nested deeper than `maxDepth` are replaced by `[MaxDepth]` rather than throwing, so that
+   * redaction is safe to use when logging.
+   *
+   * A policy has the form `{ mask, hashSecret, rules }`, where each rule has one or more of:
+   * - `keys` - exact property names, matched case-insensitively.
+   * - `pattern` - a regular expression tested against property names.
+   * - `paths` - path selectors as accepted by `createPathMatcher`, e.g. `user.email`.
+   * - `detector` - `email`, `jwt`, `creditCard`, `iban`, a RegExp or a function tested against string values.
+   * - `mask` - the strategy for this rule, overriding the policy-wide `mask`:
+   *   `full` (`****`), `partial` (`****1234`), `hash` (`sha256:…`, keyed with `hashSecret` if given) or a
+   *   function `(value, key, path) => maskedValue`.
+   *
+   * @param {*} obj - The value containing potential sensitive data.
+   * @param {Object} [policy=DEFAULT_REDACTION_POLICY] - The redaction policy.
+   * @param {Object} [options] - Redaction options.
+   * @param {number} [options.maxDepth=100] - The maximum nesting depth of the value.
+   * @returns {*} A copy of the value with sensitive data masked. Non-object values are returned unchanged.
+   * @throws {Error} If the policy references an unknown detector or mask strategy.
+   *
+   * @example
+   * redact({ user: { ssn: '123-45-6789', card: '4111 1111 1111 1111' } }, {
+   *   rules: [{ keys: ['ssn'] }, { detector: 'creditCard', mask: 'partial' }]
+   * });
+   * // { user: { ssn: '****', card: '****1111' } }
+   */
+  redact,
+
+  /**
+   * Checks a redaction policy without applying it, e.g. when a middleware that redacts is created,
+   * so that a misconfigured policy fails at startup rather than on the first request.
+   *
+   * @param {Object} policy - The redaction policy (see `redact`).
+   * @throws {Error} If the policy references an unknown detector or mask strategy, or a rule has nothing to match on.
+   *
+   * @example
+   * validateRedactionPolicy({ rules: [{ detector: 'phone' }] }); // throws 'Unknown redaction detector "phone".'
+   */
+  validateRedactionPolicy,
+};
+
+export const logging = {
+  /**
+   * Creates a sink that writes each log entry as one line of JSON to a stream.
+   *
+   * @param {Object} [options] - Sink options.
+   * @param {import('stream').Writable} [options.stream=process.stdout] - The stream to write to.
+   * @returns {{ write: function(Object): void }} The sink.
+   *
+   * @example
+   * app.use(requestLogger({ sink: consoleSink({ stream: process.stderr }) }));
+   */
+  consoleSink,
+  /**
+   * Creates a sink that appends each log entry as one line of JSON to a file, rotating it by size.
+   * When the file would grow past `maxBytes`, it is renamed to `<path>.1`, older files are shifted
+   * to `<path>.2` … `<path>.<maxFiles>`, and the oldest one is dropped.
+   *
+   * Writes are queued so that lines are never interleaved; `flush()` resolves once the queue is empty.
+   *
+   * @param {Object} options - Sink options.
+   * @param {string} options.path - The path of the log file.
+   * @param {number} [options.maxBytes=10485760] - The size at which the file is rotated.
+   * @param {number} [options.maxFiles=5] - The number of rotated files to keep.
+   * @returns {{ write: function(Object): Promise<void>, flush: function(): Promise<void> }} The sink.
+   * @throws {Error} If `path` is not provided.
+   *
+   * @example
+   * app.use(requestLogger({ sink: fileSink({ path: 'logs/requests.log', maxBytes: 5 * 1024 * 1024 }) }));
+   */
+  fileSink,
+  /**
+   * Creates an Express middleware that logs every request once its response has been sent.
+   *
+   * Each entry holds the sanitized request (see `convertRequestData`), the response status,
+   * the duration in milliseconds, the response size in bytes and, optionally, the redacted
+   * response body:
+   * `{ timestamp, request, response: { statusCode, size, body? }, durationMs, aborted }`.
+   *
+   * A sink is either a function receiving the entry or an object with a `write(entry)` method;
+   * see `consoleSink` and `fileSink`. Sinks may return a promise; failures, like failures to build
+   * an entry, are reported to `onError` and never affect the response.
+   *
+   * @param {Object} [options] - Logger options.
+   * @param {function(Object)|{ write: function(Object) }} [options.sink=consoleSink()] - Where entries are written.
+   * @param {Array<{ path?: string|RegExp, method?: string, rate: number }>} [options.sampling=[]] - Per-route sampling rules;
+   * the first rule whose `path` (exact or prefix string, or RegExp) and `method` match gives the rate between 0 and 1.
+   * @param {number} [options.sampleRate=1] - The rate used when no sampling rule matches.
+   * @param {boolean} [options.alwaysLogErrors=true] - Log responses with a 5xx status regardless of sampling.
+   * @param {boolean} [options.responseBody=false] - Capture the response body; JSON bodies are redacted, text bodies
+   * are logged as a `[text: N bytes]` placeholder.
+   * @param {Object} [options.redaction] - The policy for response bodies. Defaults to the `redaction.data` configuration or `DEFAULT_REDACTION_POLICY`.
+   * @param {number} [options.maxBodyBytes=65536] - The maximum number of response body bytes captured.
+   * @param {function(Error)} [options.onError=console.error] - Called when an entry cannot be built or a sink fails.
+   * @returns {function(object, object, function): void} The Express middleware.
+   * @throws {Error} If `options.redaction` is not a valid redaction policy.
+   *
+   * @example
+   * app.use(requestLogger({
+   *   sink: fileSink({ path: 'logs/requests.log' }),
+   *   sampling: [{ path: '/health', rate: 0 }, { path: /^\/api\/reports/, method: 'GET', rate: 0.1 }],
+   *   responseBody: true
+   * }));
+   */
+  requestLogger,
+};
+
+export const rateLimiting = {
+  /**
+   * Creates an in-memory store with expiring entries, used by `rateLimiter` for its counters and by
+   * `checkUrls` as its cache. Entries expire after their TTL; expired entries are removed when they
+   * are read and by a sweep that runs at most once per `sweepIntervalMs` on writes.
+   *
+   * `update(key, updater)` calls `updater` with the current value (or `undefined`) and stores the
+   * `value` it returns for `ttlMs`, in one synchronous step, so that no other update of the key can
+   * interleave. It returns the new value.
+   *
+   * The store is local to the process; use a shared store when running several instances.
+   *
+   * @param {Object} [options] - Store options.
+   * @param {number} [options.sweepIntervalMs=60000] - The minimum time between two sweeps of expired entries.
+   * @returns {{ get: function(string): Object|undefined, set: function(string, Object, number): void,
+   * update: function(string, function(*): { value: *, ttlMs: number }): *, delete: function(string): void, clear: function(): void }} The store.
+   */
+  memoryStore,
+
+  /**
+   * Creates an Express middleware that limits the number of requests per client.
+   *
+   * Two algorithms are available:
+   * - `fixed-window` - at most `limit` requests per window of `windowMs`.
+   * - `token-bucket` - bursts of up to `limit` requests, refilled at `limit` requests per `windowMs`.
+   *
+   * Every response carries the `RateLimit-Limit`, `RateLimit-Remaining`, `RateLimit-Reset` (in seconds)
+   * and `RateLimit-Policy` headers. Limited requests receive a 429 error in the standard envelope
+   * (see `sendError`) with a `Retry-After` header.
+   *
+   * Requests whose `x-development-token` header matches the configured `developmentToken` bypass the
+   * limit. The token is compared in constant time.
+   *
+   * A store is any object with an atomic `update(key, updater)` method, synchronous or returning a
+   * promise. It calls `updater` with the stored state (or `undefined`), which returns `{ value, ttlMs }`,
+   * and stores `value` with that TTL so that no other request updates the key in between; a separate
+   * read and write would let concurrent requests overshoot the limit. A Redis adapter can, for example,
+   * run the updater in a `WATCH`/`MULTI` transaction and call it again when the transaction is aborted.
+   * The default is a `memoryStore()` per limiter. If the store fails, the request is allowed and the
+   * error is reported to `onError`, so that an outage of the store does not take the API down.
+   *
+   * @param {Object} [options] - Limiter options.
+   * @param {'fixed-window'|'token-bucket'} [options.algorithm='fixed-window'] - The algorithm.
+   * @param {number} [options.limit=100] - The number of requests allowed per window, or the bucket size.
+   * @param {number} [options.windowMs=60000] - The window, or the time to refill the whole bucket.
+   * @param {'ip'|'user'|function(object): string} [options.keyBy='ip'] - How clients are identified:
+   * by `req.ip`, by `req.user.id` (falling back to the IP), or by a function of the request.
+   * @param {{ update: function(string, function(*): { value: Object, ttlMs: number }): * }} [options.store=memoryStore()] - Where the state is kept.
+   * @param {string} [options.prefix='rl:'] - Prefix of the store keys, to share a store between limiters.
+   * @param {boolean} [options.allowDevelopmentToken=true] - Whether the development token bypasses the limit.
+   * @param {string} [options.message='Too many requests, please try again later.'] - The message of the 429 error.
+   * @param {function(Error): void} [options.onError=console.error] - Called when the store fails.
+   * @returns {function(object, object, function): Promise<void>} The Express middleware.
+   * @throws {Error} If the algorithm is unknown, the limit or window is not a positive number, or the store has no `update` method.
+   *
+   * @example
+   * app.use('/api', rateLimiter({ limit: 100, windowMs: 60 * 1000 }));
+   * app.post('/login', rateLimiter({ algorithm: 'token-bucket', limit: 5, windowMs: 60 * 1000, prefix: 'rl:login:' }), login);
+   */
+  rateLimiter,
+};
+
+export const context = {
+  /**
+   * Returns the headers that propagate the current request context to an outgoing call:
+   * `X-Request-Id` and `traceparent`, with this service's span as the parent.
+   *
+   * @returns {Object<string, string>} The headers, or an empty object when called outside of a request.
+   *
+   * @example
+   * await axios.get(url, { headers: { ...getCorrelationHeaders(), accept: 'application/json' } });
+   */
+  getCorrelationHeaders,
+  /**
+   * Returns the context of the request currently being handled, as set up by `requestContext`.
+   *
+   * @returns {{ requestId: string, traceId: string, spanId: string, parentSpanId: string|null, traceFlags: string, traceparent: string }|undefined}
+   * The request context, or `undefined` when called outside of a request.
+   */
+  getRequestContext,
+  /**
+   * Creates an Express middleware that gives every request a correlation context.
+   *
+   * The request ID is read from the `X-Request-Id` header or generated, and the W3C `traceparent`
+   * header is continued: the trace ID is kept and a new span ID is created for this service, or a new
+   * trace is started if the header is missing or invalid. Both are echoed in the response headers,
+   * attached to the request as `req.requestContext`, and made available to all code running for the
+   * request through `getRequestContext()`.
+   *
+   * @param {Object} [options] - Middleware options.
+   * @param {boolean} [options.trustIncoming=true] - Reuse valid IDs sent by the client; set to `false`
+   * at a public edge to always generate new ones.
+   * @param {function(object): string} [options.generateId=randomUUID] - Generates a request ID for the request.
+   * @returns {function(object, object, function): void} The Express middleware.
+   *
+   * @example
+   * app.use(requestContext());
+   * app.get('/users', async (req, res) => {
+   *   console.log(getRequestContext().requestId);
+   * });
+   */
+  requestContext,
+};
+
+export const streams = {
+  /**
+   * Creates a Transform stream that decrypts data produced by `createEncryptStream` or `encryptBuffer`.
+   *
+   * The authentication tag sits at the end of the data, so decrypted chunks are emitted before the
+   * data has been verified. The stream emits a `DecryptionError` at the end if verification fails;
+   * treat the output as untrusted until the stream has finished without error.
+   *
+   * As with `createEncryptStream`, keys are looked up in the configuration the stream is created in.
+   *
+   * @returns {import('stream').Transform} The decrypting stream. It emits an `InvalidEnvelopeError`,
+   * `KeyNotFoundError` or `DecryptionError` if decryption fails.
+   *
+   * @example
+   * await pipeline(fs.createReadStream('export.csv.enc'), createDecryptStream(), res);
+   */
+  createDecryptStream,
+
+  /**
+   * Creates a Transform stream that encrypts everything written to it with the active key,
+   * producing the same binary format as `encryptBuffer`. The key is taken from the configuration
+   * the stream is created in, even if data is written to it outside that `scopeConfig` scope.
+   *
+   * @returns {import('stream').Transform} The encrypting stream. It emits an `EncryptionError` or
+   * `KeyNotFoundError` if encryption fails.
+   *
+   * @example
+   * await pipeline(fs.createReadStream('export.csv'), createEncryptStream(), fs.createWriteStream('export.csv.enc'));
+   */
+  createEncryptStream,
+
+  /**
+   * Decrypts a Buffer produced by `encryptBuffer` or `createEncryptStream`. The key is picked from
+   * the keyring by the key ID stored in the header, and the data is verified against its
+   * authentication tag before anything is returned.
+   *
+   * @param {Buffer|Uint8Array} buffer - The binary ciphertext.
+   * @returns {Buffer} The decrypted data.
+   * @throws {InvalidEnvelopeError} If the input is not a binary ciphertext or is truncated.
+   * @throws {KeyNotFoundError} If the key referenced by the header is not configured.
+   * @throws {DecryptionError} If the data fails authentication.
+   */
+  decryptBuffer,
+
+  /**
+   * Encrypts a Buffer with AES-256-GCM using the active key.
+   *
+   * Unlike `encrypt`, the result is raw binary with a compact header instead of hex inside JSON
+   * inside base64, so it is only slightly larger than the input. It is meant for files such as
+   * generated PDFs and CSV exports.
+   *
+   * @param {Buffer|Uint8Array} buffer - The data to encrypt.
+   * @returns {Buffer} The binary ciphertext.
+   * @throws {EncryptionError} If the input is not a Buffer (`INVALID_INPUT`).
+   * @throws {KeyNotFoundError} If no key is configured.
+   *
+   * @example
+   * await fs.promises.writeFile('report.pdf.enc', encryptBuffer(pdfBuffer));
+   */
+  encryptBuffer,
 };
 
 export const miscellaneous = {
+  /**
+   * Compiles a list of path selectors into a matcher function for nested object paths.
+   *
+   * Supported selector syntax:
+   * - `email` - a bare property name matches that property at any depth (same as `**.email`).
+   * - `user.email` - a dot path anchored at the root object.
+   * - `contacts[*].phone`, `contacts[0].phone` - any or a specific array element.
+   * - `user.*` - any single property; `**.ssn` - any number of levels.
+   * - `!auditLog.**` - a leading `!` excludes matching paths, even if another selector includes them.
+   *
+   * If the list only holds exclusions, every other path matches.
+   *
+   * @param {string[]} selectors - The path selectors.
+   * @returns {function(Array<string|number>): boolean} A function that takes the path segments of a value
+   * (numbers for array indices) and returns `true` if the path is selected.
+   * @throws {Error} If a selector is malformed.
+   *
+   * @example
+   * const matches = createPathMatcher(['user.email', 'contacts[*].phone', '!auditLog.**']);
+   * matches(['user', 'email']); // true
+   * matches(['contacts', 2, 'phone']); // true
+   * matches(['auditLog', 'actor', 'email']); // false
+   */
+  createPathMatcher,
+
+  /**
+   * Formats path segments as a readable property path, e.g. `contacts[0].email`.
+   *
+   * @param {Array<string|number>} path - The path segments; numbers are array indices.
+   * @returns {string} The formatted path.
+   */
+  formatPath,
+
   /**
    * Retrieves the cryptographic configuration for encryption.
    *
-   * @returns {{ algorithm: string, secretKey: Buffer }} The cryptographic configuration object containing the algorithm and secret key.
+   * `algorithm` is the authenticated cipher used for new ciphertexts, while `legacyAlgorithm`
+   * is only used to read payloads produced before the versioned envelope was introduced.
    *
-   * @throws {Error} If the secret key is not defined in the environment variables.
+   * Keys come from the configured `keyring`, or from `secretKey` which then acts as a
+   * one-key keyring whose ID is `default`.
+   *
+   * @param {string} [keyId] - The ID of the key to use. If not provided, the active key is returned.
+   * @param {Object} [config=getConfig()] - The configuration to read the keys from, e.g. one captured earlier in a `scopeConfig` scope.
+   * @returns {{ algorithm: string, legacyAlgorithm: string, keyId: string, secretKey: Buffer }} The cryptographic configuration object containing the algorithms, the key ID and the secret key.
+   *
+   * @throws {KeyNotFoundError} If the secret key is not defined in the environment variables (`KEY_NOT_CONFIGURED`).
+   * @throws {KeyNotFoundError} If no key with the given ID is defined in the keyring (`KEY_NOT_FOUND`).
    */
   getCreptoConfig,
   /**
@@ -190,11 +1201,407 @@ export const miscellaneous = {
    * Pauses the execution for a specified amount of time.
    *
    * @param {number} ms - The number of milliseconds to pause.
+   * @param {Object} [options] - Options.
+   * @param {AbortSignal} [options.signal] - Stops waiting when aborted; the promise then rejects with the abort reason.
    * @returns {Promise<void>} A promise that resolves after the specified time has elapsed.
    *
    * @example
    * // Pauses execution for 1 second
    * await sleep(1000);
+   * // Stops waiting when the client disconnects
+   * await sleep(30000, { signal: controller.signal });
    */
   sleep,
+
+  /**
+   * Calls a function until it succeeds, waiting longer after each failure (exponential backoff).
+   *
+   * The wait before retry `n` is `delay * factor ** (n - 1)`, at most `maxDelay`. With `jitter`, a random
+   * part of it is left out so that clients failing together do not retry together: `0.5` waits between
+   * 50% and 100% of the delay. Only errors for which `retryIf` returns `true` are retried; the last
+   * error is thrown once `retries` retries have failed.
+   *
+   * @param {function(number): Promise<*>|*} fn - The function to call, with the number of the attempt, starting at 1.
+   * @param {Object} [options] - Retry options.
+   * @param {number} [options.retries=3] - The maximum number of retries after the first attempt.
+   * @param {number} [options.delay=100] - The wait before the first retry, in milliseconds.
+   * @param {number} [options.factor=2] - The factor by which the wait grows after each retry.
+   * @param {number} [options.maxDelay=30000] - The maximum wait between two attempts, in milliseconds.
+   * @param {number} [options.jitter=0] - The part of the wait that is random, from 0 to 1.
+   * @param {function(Error, number): boolean|Promise<boolean>} [options.retryIf] - Decides from the error and the number of
+   * the failed attempt whether to retry. By default, every error is retried.
+   * @param {function(Error, number, number): *} [options.onRetry] - Called before waiting for a retry, with the error, the
+   * number of the failed attempt and the wait in milliseconds, e.g. to log the failure.
+   * @param {AbortSignal} [options.signal] - Stops retrying when aborted; the promise then rejects with the abort reason.
+   * @returns {Promise<*>} The result of the first successful call.
+   * @throws {RangeError} If `retries` or `jitter` is out of range.
+   *
+   * @example
+   * const user = await retry(() => withTimeout(signal => fetchUser(id, { signal }), 2000), {
+   *   retries: 5,
+   *   jitter: 0.5,
+   *   retryIf: err => err instanceof TimeoutError || err.status >= 500,
+   *   onRetry: (err, attempt, wait) => logger.warn(`Attempt ${attempt} failed, retrying in ${wait} ms: ${err.message}`)
+   * });
+   */
+  retry,
+
+  /**
+   * Waits for an operation with a time limit.
+   *
+   * The operation is a promise, or a function that receives an `AbortSignal` and returns a promise. The
+   * signal is aborted when the time limit is reached or `options.signal` is aborted, so that the
+   * operation can stop its work, e.g. by passing the signal to `fetch`. A promise cannot be cancelled:
+   * it keeps running, but its result is ignored.
+   *
+   * @param {Promise<*>|function(AbortSignal): Promise<*>} operation - The operation.
+   * @param {number} ms - The time limit, in milliseconds.
+   * @param {Object} [options] - Options.
+   * @param {AbortSignal} [options.signal] - Stops waiting when aborted; the promise then rejects with the abort reason.
+   * @param {string} [options.message] - The message of the `TimeoutError`.
+   * @returns {Promise<*>} The result of the operation.
+   * @throws {TimeoutError} If the operation does not settle within `ms` milliseconds.
+   *
+   * @example
+   * const response = await withTimeout(signal => fetch(url, { signal }), 5000);
+   */
+  withTimeout,
+
+  /**
+   * Copies a value deeply, letting a callback rename or replace each entry on the way. This is the
+   * traversal shared by the key converters, the object encryption helpers and `redact`.
+   *
+   * - Primitives (including BigInts), dates, regular expressions, errors, Buffers, typed arrays and
+   *   other ArrayBuffer views are kept as they are.
+   * - Arrays, Maps and Sets are copied entry by entry; the entries of arrays and Sets are keyed by index.
+   * - Class instances with a `toJSON()` method are replaced by its result, as `JSON.stringify` does;
+   *   other objects are copied into plain objects with their own enumerable properties.
+   * - Every object is copied once: shared references and circular references point to the same copy
+   *   in the result, so cycles are preserved rather than followed forever.
+   *
+   * For every entry, `onEntry(key, value, path, parent)` may return `undefined` to copy the entry and walk
+   * into its value, or an object with a `key` to rename the entry (objects and Maps only) and/or a `value`
+   * to use instead of walking into the original one.
+   *
+   * @param {*} root - The value to copy.
+   * @param {function(string|number|*, *, Array<string|number|*>, Object): ({ key?: *, value?: * }|undefined)} [onEntry] - Called
+   * for each entry with its key, value, path from the root and the container it belongs to.
+   * @param {Object} [options] - Traversal options.
+   * @param {number} [options.maxDepth=DEFAULT_MAX_DEPTH] - The maximum number of nested containers.
+   * @param {function(Object, Array<string|number|*>): *} [options.onMaxDepth] - Returns the replacement of a container
+   * nested deeper than `maxDepth`. If not provided, an error is thrown instead.
+   * @returns {*} The copy.
+   * @throws {RangeError} If a container is nested deeper than `maxDepth` and `onMaxDepth` is not provided.
+   *
+   * @example
+   * const user = { name: 'John', password: 'secret' };
+   * user.self = user;
+   * const copy = transformDeep(user, key => (key === 'password' ? { value: '****' } : undefined));
+   * // { name: 'John', password: '****', self: [Circular] }, with copy.self === copy
+   */
+  transformDeep,
+
+  /**
+   * The default maximum nesting depth of `transformDeep`.
+   * @type {number}
+   */
+  DEFAULT_MAX_DEPTH,
+};
+
+export const dates = {
+  /**
+   * Returns the last millisecond of the day of a date in a timezone. Days with a DST transition are
+   * 23 or 25 hours long.
+   *
+   * @param {Date|number|string} date - The date, as a `Date`, milliseconds since the epoch or an ISO 8601 string.
+   * @param {Object} [options] - Options.
+   * @param {string} [options.timeZone] - The IANA timezone. Defaults to the `timezone` configuration.
+   * @returns {Date} The end of the day.
+   * @throws {TypeError} If the date is invalid.
+   * @throws {RangeError} If the timezone is unknown.
+   *
+   * @example
+   * endOfDay('2024-07-01T20:00:00Z', { timeZone: 'Asia/Tokyo' }); // 2024-07-02T14:59:59.999Z
+   */
+  endOfDay,
+
+  /**
+   * Formats a date in a timezone.
+   *
+   * `format` is either a pattern or `Intl.DateTimeFormat` options. Patterns support the tokens
+   * `yyyy`, `yy`, `MM`, `M`, `dd`, `d`, `HH`, `H`, `mm`, `ss`, `SSS` (milliseconds) and `XXX` (the
+   * offset, e.g. `+01:00`, or `Z` for UTC); text in single quotes is copied as it is. The default
+   * pattern is ISO 8601 with the offset of the timezone.
+   *
+   * @param {Date|number|string} date - The date, as a `Date`, milliseconds since the epoch or an ISO 8601 string.
+   * @param {string|Intl.DateTimeFormatOptions} [format="yyyy-MM-dd'T'HH:mm:ss.SSSXXX"] - The pattern or `Intl.DateTimeFormat` options.
+   * @param {Object} [options] - Options.
+   * @param {string} [options.timeZone] - The IANA timezone. Defaults to the `timezone` configuration.
+   * @param {string} [options.locale='en-US'] - The locale used with `Intl.DateTimeFormat` options.
+   * @returns {string} The formatted date.
+   * @throws {TypeError} If the date is invalid.
+   * @throws {RangeError} If the timezone is unknown.
+   *
+   * @example
+   * formatDate('2024-07-01T12:00:00Z', undefined, { timeZone: 'Europe/Berlin' }); // '2024-07-01T14:00:00.000+02:00'
+   * formatDate(new Date(), "dd.MM.yyyy 'at' HH:mm"); // '01.07.2024 at 12:00'
+   * formatDate(new Date(), { dateStyle: 'long' }, { locale: 'de-DE' }); // '1. Juli 2024'
+   */
+  formatDate,
+
+  /**
+   * Returns the instant at which the clocks of a timezone show a wall-clock time.
+   *
+   * Around DST transitions a wall-clock time can be skipped (when clocks move forward) or repeated
+   * (when they move back). `disambiguation` picks the instant in these cases:
+   * - `compatible` (default): the later instant for skipped times, moving forward by the length of the
+   *   gap (02:30 becomes 03:30), and the earlier instant for repeated times, as `Date` does;
+   * - `earlier` / `later`: the earlier or later of the two possible instants;
+   * - `reject`: throw a `RangeError`.
+   *
+   * @param {{ year: number, month?: number, day?: number, hour?: number, minute?: number, second?: number, millisecond?: number }} fields -
+   * The wall-clock time; `month` is 1-based. Out-of-range fields roll over, e.g. day 32 of January is the 1st of February.
+   * @param {Object} [options] - Options.
+   * @param {string} [options.timeZone] - The IANA timezone. Defaults to the `timezone` configuration.
+   * @param {'compatible'|'earlier'|'later'|'reject'} [options.disambiguation='compatible'] - How skipped and repeated times are resolved.
+   * @returns {Date} The instant.
+   * @throws {RangeError} If the timezone is unknown, or the time is skipped or repeated with the `reject` disambiguation.
+   * @throws {Error} If the disambiguation is unknown.
+   *
+   * @example
+   * fromZoned({ year: 2024, month: 3, day: 10, hour: 2, minute: 30 }, { timeZone: 'America/New_York' });
+   * // 2024-03-10T07:30:00.000Z, i.e. 03:30 EDT, as 02:30 was skipped
+   */
+  fromZoned,
+
+  /**
+   * Returns the reporting period that contains a date in a timezone.
+   *
+   * Periods are `day`, `week` (starting on `weekStartsOn`), `month`, `quarter` (calendar quarters),
+   * `year`, and `fiscalQuarter` and `fiscalYear`, which start in the month `fiscalYearStart`. A fiscal
+   * year is named after the calendar year it starts in. Periods start at the beginning of their first
+   * day (see `startOfDay`) and end at the last millisecond of their last day, so their length follows
+   * DST transitions.
+   *
+   * @param {Date|number|string} date - The date, as a `Date`, milliseconds since the epoch or an ISO 8601 string.
+   * @param {'day'|'week'|'month'|'quarter'|'year'|'fiscalQuarter'|'fiscalYear'} unit - The kind of period.
+   * @param {Object} [options] - Options.
+   * @param {string} [options.timeZone] - The IANA timezone. Defaults to the `timezone` configuration.
+   * @param {number} [options.weekStartsOn=1] - The first day of weeks, from 1 (Monday) to 7 (Sunday).
+   * @param {number} [options.fiscalYearStart=1] - The first month of fiscal years, from 1 (January) to 12.
+   * @returns {{ start: Date, end: Date }} The first and last millisecond of the period.
+   * @throws {TypeError} If the date is invalid.
+   * @throws {RangeError} If the timezone is unknown, or `weekStartsOn` or `fiscalYearStart` is out of range.
+   * @throws {Error} If the unit is unknown.
+   *
+   * @example
+   * getPeriod('2024-05-15', 'fiscalYear', { timeZone: 'Australia/Sydney', fiscalYearStart: 7 });
+   * // { start: 2023-06-30T14:00:00.000Z, end: 2024-06-30T13:59:59.999Z }, i.e. 1 July 2023 to 30 June 2024 in Sydney
+   */
+  getPeriod,
+
+  /**
+   * Parses an ISO 8601 date or date-time.
+   *
+   * Date-times with an offset (`Z`, `+01:00`, `+0100` or `+01`) denote that instant. Dates and
+   * date-times without an offset are wall-clock times in the timezone, so `2024-03-10` is the start
+   * of that day there (see `fromZoned` for times skipped or repeated by DST transitions).
+   * Impossible dates such as `2024-02-30` are rejected.
+   *
+   * @param {string} value - The string to parse.
+   * @param {Object} [options] - Options.
+   * @param {string} [options.timeZone] - The IANA timezone of values without an offset. Defaults to the `timezone` configuration.
+   * @returns {Date|null} The date, or `null` if the value is not a valid ISO 8601 date.
+   * @throws {RangeError} If the timezone is unknown.
+   *
+   * @example
+   * parseISODate('2024-07-01T09:00:00+02:00'); // 2024-07-01T07:00:00.000Z
+   * parseISODate('2024-07-01', { timeZone: 'Europe/Berlin' }); // 2024-06-30T22:00:00.000Z
+   * parseISODate('2024-02-30'); // null
+   */
+  parseISODate,
+
+  /**
+   * Returns the first instant of the day of a date in a timezone. This is usually midnight, but it
+   * can be later when a DST transition skips midnight.
+   *
+   * @param {Date|number|string} date - The date, as a `Date`, milliseconds since the epoch or an ISO 8601 string.
+   * @param {Object} [options] - Options.
+   * @param {string} [options.timeZone] - The IANA timezone. Defaults to the `timezone` configuration.
+   * @returns {Date} The start of the day.
+   * @throws {TypeError} If the date is invalid.
+   * @throws {RangeError} If the timezone is unknown.
+   *
+   * @example
+   * startOfDay('2024-07-01T20:00:00Z', { timeZone: 'Asia/Tokyo' }); // 2024-07-01T15:00:00.000Z
+   */
+  startOfDay,
+
+  /**
+   * Returns the wall-clock time of a date in a timezone.
+   *
+   * @param {Date|number|string} date - The date, as a `Date`, milliseconds since the epoch or an ISO 8601 string.
+   * @param {Object} [options] - Options.
+   * @param {string} [options.timeZone] - The IANA timezone. Defaults to the `timezone` configuration.
+   * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number, millisecond: number, weekday: number, offset: number, timeZone: string }}
+   * The fields; `month` is 1-based, `weekday` goes from 1 (Monday) to 7 (Sunday) and `offset` is the offset from UTC in minutes.
+   * @throws {TypeError} If the date is invalid.
+   * @throws {RangeError} If the timezone is unknown.
+   *
+   * @example
+   * toZoned(new Date('2024-07-01T12:00:00Z'), { timeZone: 'Europe/Berlin' });
+   * // { year: 2024, month: 7, day: 1, hour: 14, minute: 0, second: 0, millisecond: 0, weekday: 1, offset: 120, timeZone: 'Europe/Berlin' }
+   */
+  toZoned,
+};
+
+export const errors = {
+  /**
+   * Base class for errors raised by the encryption helpers in strict mode.
+   * Every error carries a machine-readable `code` describing the reason of the failure and,
+   * when raised while processing an object, the `path` of the property that failed.
+   */
+  CryptoError,
+
+  /**
+   * Raised when a value cannot be encrypted, e.g. because it is not a string or the IV is invalid.
+   * Reason codes: `INVALID_INPUT`, `ENCRYPTION_FAILED`.
+   */
+  EncryptionError,
+
+  /**
+   * Raised when a well-formed envelope cannot be decrypted, e.g. because the authentication tag does not match.
+   * Reason codes: `AUTHENTICATION_FAILED`, `DECRYPTION_FAILED`.
+   */
+  DecryptionError,
+
+  /**
+   * Raised when a value is not a ciphertext envelope produced by `encrypt`, such as plaintext or corrupted data.
+   * Reason codes: `INVALID_INPUT`, `MALFORMED_ENVELOPE`, `UNSUPPORTED_VERSION`.
+   */
+  InvalidEnvelopeError,
+
+  /**
+   * Raised when no key is configured, or the key referenced by a ciphertext is not in the keyring.
+   * Reason codes: `KEY_NOT_CONFIGURED`, `KEY_NOT_FOUND`.
+   */
+  KeyNotFoundError,
+
+  /**
+   * Raised by `loadConfig` and `validateConfig` when the configuration cannot be read or is invalid. The message names
+   * every invalid field, and `errors` lists them as `{ path, message }` entries.
+   */
+  ConfigError,
+
+  /**
+   * Raised by `withTimeout` when an operation does not settle in time. `timeout` is the time limit in milliseconds.
+   */
+  TimeoutError,
+
+  /**
+   * Base class for errors that map to an HTTP response. `errorHandler` turns them into the standard
+   * error envelope with their `status`, `code`, `message` and `details`.
+   *
+   * The message of a 4xx error is sent to the client; the message of a 5xx error is replaced with a
+   * generic one unless `expose` is set, as it may contain internal details.
+   */
+  HttpError,
+
+  /**
+   * 400 Bad Request: the request is malformed or fails validation.
+   */
+  BadRequestError,
+
+  /**
+   * 401 Unauthorized: the request lacks valid credentials.
+   */
+  UnauthorizedError,
+
+  /**
+   * 403 Forbidden: the credentials do not allow the request.
+   */
+  ForbiddenError,
+
+  /**
+   * 404 Not Found: the requested resource does not exist.
+   */
+  NotFoundError,
+
+  /**
+   * 409 Conflict: the request conflicts with the current state of the resource, e.g. a duplicate.
+   */
+  ConflictError,
+
+  /**
+   * 422 Unprocessable Entity: the request is well-formed but semantically invalid.
+   */
+  UnprocessableEntityError,
+
+  /**
+   * 429 Too Many Requests: the client has exceeded a rate limit.
+   */
+  TooManyRequestsError,
+
+  /**
+   * 500 Internal Server Error: an unexpected failure on the server.
+   */
+  InternalServerError,
+
+  /**
+   * 503 Service Unavailable: the server cannot handle the request right now.
+   */
+  ServiceUnavailableError,
+
+  /**
+   * Creates the final error-handling middleware, which turns any error passed to `next(err)` or
+   * thrown by a route handler into the standard error envelope (see `sendError`).
+   *
+   * Errors that are not `HttpError`s become 500 errors with a generic message, unless they carry a
+   * 4xx status such as the errors of `express.json()`. Server errors are reported to `onError`.
+   * If the response has already been started, the error is passed on to Express.
+   *
+   * @param {Object} [options] - The envelope options of `sendError`, plus:
+   * @param {function(Error, object): void} [options.onError=console.error] - Called with every 5xx error and the request.
+   * @returns {function(*, object, object, function): void} The Express error-handling middleware.
+   *
+   * @example
+   * app.get('/users/:id', async (req, res, next) => {
+   *   const user = await findUser(req.params.id);
+   *   if (!user) {
+   *     return next(new NotFoundError('User not found.'));
+   *   }
+   *   res.json(user);
+   * });
+   * app.use(errorHandler({ format: 'problem' }));
+   */
+  errorHandler,
+
+  /**
+   * Sends an error response in the standard envelope. Used by `errorHandler`, `checkJSONBody` and
+   * `checkRequestValidity`, and by route handlers that answer with an error directly.
+   *
+   * The `json` format (the default) sends:
+   * `{ error: { status, code, message, details?, requestId?, stack? } }`.
+   *
+   * The `problem` format sends an RFC 7807 `application/problem+json` document:
+   * `{ type, title, status, detail, instance, code, details?, requestId?, stack? }`.
+   *
+   * The request ID from `requestContext` is included when available. The stack trace is only
+   * included when `includeStack` is set, which by default is the case when `NODE_ENV` is `development`.
+   *
+   * @param {object} req - The Express request object.
+   * @param {object} res - The Express response object.
+   * @param {*} err - The error to send; anything other than an `HttpError` is converted to one.
+   * @param {Object} [options] - Envelope options. Defaults come from the `errors` configuration.
+   * @param {'json'|'problem'} [options.format='json'] - The envelope format.
+   * @param {boolean} [options.includeStack] - Whether the stack trace is included.
+   * @param {string} [options.typeBaseUrl] - The base of the problem `type` URI, followed by the error code in
+   * lower kebab case. Without it the type is `about:blank`.
+   * @returns {object} The Express response.
+   *
+   * @example
+   * sendError(req, res, new NotFoundError('User not found.'));
+   * // 404 { error: { status: 404, code: 'NOT_FOUND', message: 'User not found.' } }
+   */
+  sendError,
 };
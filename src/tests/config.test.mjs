@@ -0,0 +1,151 @@
+import express from 'express';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import request from 'supertest';
+import { getConfig, resetConfig, scopeConfig, setConfig } from '../config/config.mjs';
+import { utils } from '../index.mjs';
+import { decrypt, encrypt } from '../utils/converters.mjs';
+import { KeyNotFoundError } from '../utils/errors.mjs';
+
+describe('Test config', () => {
+
+    const tenantA = { keyring: [{ id: 'tenant-a', secretKey: 'aa'.repeat(32), active: true }], developmentToken: 'token-a', strictCrypto: true };
+    const tenantB = { keyring: [{ id: 'tenant-b', secretKey: 'bb'.repeat(32), active: true }], developmentToken: 'token-b', timezone: 'Europe/Berlin' };
+
+    // Collects a stream into a single Buffer, as the last stage of a pipeline
+    const collect = async (source) => {
+        const chunks = [];
+        for await (const chunk of source) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    };
+
+    describe('resetConfig', () => {
+        const originalEnv = process.env.NODE_ENV;
+
+        afterEach(() => {
+            process.env.NODE_ENV = originalEnv;
+        });
+
+        test('should allow setting the configuration again', () => {
+            const globalConfig = getConfig();
+            resetConfig();
+            expect(() => getConfig()).toThrow('Configuration has not been set.');
+
+            setConfig(tenantA);
+            expect(getConfig().developmentToken).toBe('token-a');
+
+            resetConfig();
+            setConfig(globalConfig);
+            expect(getConfig()).toEqual(globalConfig);
+        });
+
+        test('should only be available in tests', () => {
+            process.env.NODE_ENV = 'production';
+            expect(() => resetConfig()).toThrow('resetConfig() can only be called when NODE_ENV is "test".');
+            expect(getConfig().secretKey).toBeDefined();
+        });
+    });
+
+    describe('scopeConfig', () => {
+        test('should use the scoped configuration inside the scope only', async () => {
+            const runAsTenant = scopeConfig(tenantB);
+            const globalConfig = getConfig();
+
+            expect(runAsTenant(getConfig)).toEqual({ timezone: 'Europe/Berlin', ...tenantB });
+            expect(Object.isFrozen(runAsTenant(getConfig))).toBe(true);
+            expect(runAsTenant((a, b) => a + b, 1, 2)).toBe(3);
+            expect(getConfig()).toBe(globalConfig);
+
+            // Asynchronous work started in the scope stays in it
+            const promise = runAsTenant(async () => {
+                await new Promise(resolve => setTimeout(resolve, 10));
+                return getConfig().developmentToken;
+            });
+            expect(getConfig()).toBe(globalConfig);
+            await expect(promise).resolves.toBe('token-b');
+        });
+
+        test('should validate the configuration like setConfig', () => {
+            expect(() => scopeConfig({ secretKey: 'ab'.repeat(32) })).toThrow('Both secretKey (or keyring) and developmentToken must be provided.');
+            expect(() => scopeConfig({ developmentToken: 'token', keyring: [] })).toThrow('keyring must be a non-empty array of keys.');
+        });
+
+        test('should reject keys that are not 64 hexadecimal characters', () => {
+            expect(() => scopeConfig({ secretKey: 'ab', developmentToken: 'token' })).toThrow('secretKey must be 64 hexadecimal characters.');
+            expect(() => scopeConfig({ secretKey: 'zz'.repeat(32), developmentToken: 'token' })).toThrow('secretKey must be 64 hexadecimal characters.');
+            expect(() => scopeConfig({ developmentToken: 'token', keyring: [{ id: 'a', secretKey: 'ab'.repeat(16), active: true }] }))
+                .toThrow('The secretKey of key "a" in the keyring must be 64 hexadecimal characters.');
+        });
+    });
+
+    describe('createContext', () => {
+        test('should bind the API to the context configuration', () => {
+            const contextA = utils.createContext(tenantA);
+            const contextB = utils.createContext(tenantB);
+
+            expect(contextA.config().developmentToken).toBe('token-a');
+            expect(contextB.config().timezone).toBe('Europe/Berlin');
+            expect(utils.config().developmentToken).toBe('IgnoreRateLimit_2004');
+
+            const ciphertext = contextA.converters.encrypt('secret');
+            expect(JSON.parse(Buffer.from(ciphertext, 'base64').toString()).kid).toBe('tenant-a');
+            expect(contextA.converters.decrypt(ciphertext)).toBe('secret');
+            // The keys of one tenant are not available to another, nor to the default context
+            expect(() => contextA.converters.decrypt(contextB.converters.encrypt('secret'))).toThrow(KeyNotFoundError);
+            expect(() => decrypt(ciphertext, { strict: true })).toThrow(KeyNotFoundError);
+            expect(contextA.miscellaneous.getCreptoConfig().keyId).toBe('tenant-a');
+            expect(contextB.dates.formatDate('2024-07-01T12:00:00Z')).toBe('2024-07-01T14:00:00.000+02:00');
+        });
+
+        test('should keep constants and the signature of functions', () => {
+            const context = utils.createContext(tenantA);
+            expect(context.converters.KEY_CASES).toEqual(expect.any(Array));
+            expect(context.validations.DISPOSABLE_DOMAINS).toBe(utils.createContext(tenantB).validations.DISPOSABLE_DOMAINS);
+            expect(context.validations.checkJSONBody).toHaveLength(4);
+            expect(context.converters.encrypt.name).toBe('encrypt');
+            expect(Object.isFrozen(context.converters)).toBe(true);
+        });
+
+        test('should apply to the middlewares it creates and the handlers after them', async () => {
+            const context = utils.createContext(tenantA);
+            const app = express();
+            app.use(context.converters.caseConversion());
+            app.get('/', (req, res) => res.json({ tokenValue: encrypt('secret') }));
+
+            const response = await request(app).get('/');
+            expect(response.status).toBe(200);
+            expect(context.converters.decrypt(response.body.token_value)).toBe('secret');
+            expect(() => decrypt(response.body.token_value, { strict: true })).toThrow(KeyNotFoundError);
+        });
+
+        test('should encrypt and decrypt streams with the keys of the context they were created in', async () => {
+            const context = utils.createContext(tenantA);
+            // The streams are created in the context but written to outside of it
+            const encryptStream = context.streams.createEncryptStream();
+            const encrypted = await pipeline(Readable.from([Buffer.from('secret')]), encryptStream, collect);
+            expect(context.streams.decryptBuffer(encrypted).toString()).toBe('secret');
+            expect(() => utils.createContext(tenantB).streams.decryptBuffer(encrypted)).toThrow(KeyNotFoundError);
+
+            const decryptStream = context.streams.createDecryptStream();
+            const decrypted = await pipeline(Readable.from([encrypted]), decryptStream, collect);
+            expect(decrypted.toString()).toBe('secret');
+        });
+
+        test('should apply to the rate limiters it creates', async () => {
+            const context = utils.createContext(tenantA);
+            const app = express();
+            app.use(context.rateLimiting.rateLimiter({ limit: 1 }));
+            app.get('/', (req, res) => res.json({ ok: true }));
+
+            await request(app).get('/');
+            expect((await request(app).get('/').set('x-development-token', 'token-a')).status).toBe(200);
+            expect((await request(app).get('/').set('x-development-token', 'IgnoreRateLimit_2004')).status).toBe(429);
+        });
+
+        test('should reject an invalid configuration', () => {
+            expect(() => utils.createContext({ developmentToken: 'token' })).toThrow('Both secretKey (or keyring) and developmentToken must be provided.');
+        });
+    });
+});
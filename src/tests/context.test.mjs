@@ -0,0 +1,93 @@
+import express from 'express';
+import request from 'supertest';
+import { getCorrelationHeaders, getRequestContext, requestContext } from '../utils/context.mjs';
+
+describe('Test context', () => {
+
+    let app;
+
+    beforeEach(() => {
+        app = express();
+        app.use(requestContext());
+        app.get('/context', async (req, res) => {
+            // The context must survive asynchronous work
+            await new Promise(resolve => setTimeout(resolve, 5));
+            res.json({ context: getRequestContext(), headers: getCorrelationHeaders(), same: getRequestContext() === req.requestContext });
+        });
+    });
+
+    describe('requestContext', () => {
+        test('should generate a request ID and start a new trace', async () => {
+            const response = await request(app).get('/context');
+            const { context } = response.body;
+
+            expect(context.requestId).toMatch(/^[0-9a-f-]{36}$/);
+            expect(context.traceId).toMatch(/^[0-9a-f]{32}$/);
+            expect(context.spanId).toMatch(/^[0-9a-f]{16}$/);
+            expect(context.parentSpanId).toBe(null);
+            expect(context.traceparent).toBe(`00-${context.traceId}-${context.spanId}-01`);
+            expect(response.body.same).toBe(true);
+        });
+
+        test('should echo the request ID and traceparent in the response', async () => {
+            const response = await request(app).get('/context');
+            expect(response.headers['x-request-id']).toBe(response.body.context.requestId);
+            expect(response.headers.traceparent).toBe(response.body.context.traceparent);
+        });
+
+        test('should reuse a valid incoming request ID and continue the trace', async () => {
+            const response = await request(app)
+                .get('/context')
+                .set('X-Request-Id', 'abc-123')
+                .set('traceparent', '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-00');
+            const { context } = response.body;
+
+            expect(context.requestId).toBe('abc-123');
+            expect(context.traceId).toBe('4bf92f3577b34da6a3ce929d0e0e4736');
+            expect(context.parentSpanId).toBe('00f067aa0ba902b7');
+            expect(context.spanId).not.toBe('00f067aa0ba902b7');
+            expect(context.traceFlags).toBe('00');
+        });
+
+        test('should replace invalid incoming IDs', async () => {
+            const response = await request(app)
+                .get('/context')
+                .set('X-Request-Id', 'bad id\twith spaces')
+                .set('traceparent', '00-00000000000000000000000000000000-00f067aa0ba902b7-01');
+            const { context } = response.body;
+
+            expect(context.requestId).not.toBe('bad id\twith spaces');
+            expect(context.traceId).not.toBe('00000000000000000000000000000000');
+            expect(context.parentSpanId).toBe(null);
+        });
+
+        test('should ignore incoming IDs when trustIncoming is false', async () => {
+            app = express();
+            app.use(requestContext({ trustIncoming: false, generateId: () => 'generated' }));
+            app.get('/context', (_, res) => res.json(getRequestContext()));
+
+            const response = await request(app)
+                .get('/context')
+                .set('X-Request-Id', 'abc-123')
+                .set('traceparent', '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01');
+
+            expect(response.body.requestId).toBe('generated');
+            expect(response.body.traceId).not.toBe('4bf92f3577b34da6a3ce929d0e0e4736');
+        });
+    });
+
+    describe('getRequestContext and getCorrelationHeaders', () => {
+        test('should return the headers for outgoing calls', async () => {
+            const response = await request(app).get('/context');
+            expect(response.body.headers).toEqual({
+                'x-request-id': response.body.context.requestId,
+                traceparent: response.body.context.traceparent
+            });
+        });
+
+        test('should be empty outside of a request', () => {
+            expect(getRequestContext()).toBeUndefined();
+            expect(getCorrelationHeaders()).toEqual({});
+        });
+    });
+});
@@ -1,4 +1,8 @@
-import { convertRequestData, decrypt, decryptObjectItems, encrypt, encryptObjectItems, toLowerCamelCase, toSnakeCase } from '../utils/converters.mjs';
+import express, { json } from 'express';
+import request from 'supertest';
+import * as configModule from '../config/config.mjs';
+import { DecryptionError, EncryptionError, InvalidEnvelopeError, KeyNotFoundError } from '../utils/errors.mjs';
+import { blindIndex, caseConversion, convertKey, convertKeys, convertRequestData, decrypt, decryptObjectItems, encrypt, encryptObjectItems, reencrypt, toLowerCamelCase, toSnakeCase } from '../utils/converters.mjs';
 
 describe('Test converters', () => {
 
@@ -7,13 +11,35 @@ describe('Test converters', () => {
         const ivHexString = 'b16bf361893a9a874671090a4c969ba6';
         const iv = Buffer.from(ivHexString, 'hex');
         const rawString = 'string';
-        const base64Encrypted = 'eyJpdiI6ImIxNmJmMzYxODkzYTlhODc0NjcxMDkwYTRjOTY5YmE2IiwiY29udGVudCI6Ijc0ZmFhZjk0ZjE4YSJ9';
+        const base64Encrypted = 'eyJ2IjoyLCJraWQiOiJkZWZhdWx0IiwiaXYiOiJiMTZiZjM2MTg5M2E5YTg3NDY3MTA5MGE0Yzk2OWJhNiIsImNvbnRlbnQiOiJhMWEyMjNjM2YyMzgiLCJ0YWciOiI4ZmEzNGUyYTllNzY0NTA3MjZiYmZiZjY3MTkxODg5YyJ9';
+        const legacyBase64Encrypted = 'eyJpdiI6ImIxNmJmMzYxODkzYTlhODc0NjcxMDkwYTRjOTY5YmE2IiwiY29udGVudCI6Ijc0ZmFhZjk0ZjE4YSJ9';
+
+        // Helpers to tamper with the JSON envelope inside the base64 string
+        const decodeEnvelope = (value) => JSON.parse(Buffer.from(value, 'base64').toString('utf-8'));
+        const encodeEnvelope = (envelope) => Buffer.from(JSON.stringify(envelope)).toString('base64');
 
         test('encrypt should return a base64 string', () => {
-            const encryted = encrypt(rawString, iv);
+            const encryted = encrypt(rawString);
             expect(encryted).not.toBe(rawString);
             expect(typeof encryted).toBe('string');
-            expect(encryted).toBe(base64Encrypted);
+            expect(decrypt(encryted)).toBe(rawString);
+        });
+
+        test('encrypt should ignore a caller-supplied iv', () => {
+            const first = decodeEnvelope(encrypt(rawString, iv));
+            const second = decodeEnvelope(encrypt(rawString, iv));
+            expect(first.iv).toHaveLength(24);
+            expect(first.iv).not.toBe(ivHexString);
+            expect(first.iv).not.toBe(second.iv);
+        });
+
+        test('encrypt should write a versioned envelope with an auth tag', () => {
+            const envelope = decodeEnvelope(encrypt(rawString));
+            expect(envelope.v).toBe(2);
+            expect(envelope.kid).toBe('default');
+            expect(envelope.iv).toHaveLength(24); // 12-byte random IV
+            expect(envelope.tag).toHaveLength(32); // 16-byte GCM tag
+            expect(typeof envelope.content).toBe('string');
         });
 
         test('decrypt should return original string', () => {
@@ -21,6 +47,663 @@ describe('Test converters', () => {
             expect(typeof decryted).toBe('string');
             expect(decryted).toBe(rawString);
         });
+
+        test('decrypt should read legacy AES-256-CTR payloads only with the legacyDecryption flag', () => {
+            expect(decrypt(legacyBase64Encrypted)).toBe(legacyBase64Encrypted);
+            expect(() => decrypt(legacyBase64Encrypted, { strict: true })).toThrow(expect.objectContaining({ name: 'InvalidEnvelopeError', code: 'UNSUPPORTED_VERSION' }));
+
+            const runWithLegacy = configModule.scopeConfig({ ...configModule.getConfig(), legacyDecryption: true });
+            expect(runWithLegacy(decrypt, legacyBase64Encrypted)).toBe(rawString);
+        });
+
+        test('decrypt should reject a versioned envelope downgraded to a legacy payload', () => {
+            // GCM encrypts with CTR from counter 2, so the same key and IV in CTR mode yield its keystream
+            const encrypted = encrypt('amount=100');
+            const { iv, content } = decodeEnvelope(encrypted);
+            const altered = Buffer.from(content, 'hex');
+            altered[7] ^= '1'.charCodeAt(0) ^ '9'.charCodeAt(0);
+            const downgraded = encodeEnvelope({ iv: `${iv}00000002`, content: altered.toString('hex') });
+
+            expect(decrypt(downgraded)).toBe(downgraded);
+            expect(() => decrypt(downgraded, { strict: true })).toThrow(InvalidEnvelopeError);
+            expect(reencrypt(downgraded)).toBe(downgraded);
+        });
+
+        test('encrypt and decrypt should round-trip an empty string', () => {
+            expect(decrypt(encrypt(''))).toBe('');
+        });
+
+        test('decrypt should reject a payload with tampered content', () => {
+            const envelope = decodeEnvelope(base64Encrypted);
+            envelope.content = 'b1a223c3f238';
+            const tampered = encodeEnvelope(envelope);
+            expect(decrypt(tampered)).toBe(tampered);
+        });
+
+        test('decrypt should reject a payload with a tampered auth tag', () => {
+            const envelope = decodeEnvelope(base64Encrypted);
+            envelope.tag = '0'.repeat(32);
+            const tampered = encodeEnvelope(envelope);
+            expect(decrypt(tampered)).toBe(tampered);
+        });
+
+        test('decrypt should reject a payload with a truncated auth tag', () => {
+            const envelope = decodeEnvelope(base64Encrypted);
+            envelope.tag = envelope.tag.slice(0, 8);
+            const truncated = encodeEnvelope(envelope);
+            expect(decrypt(truncated)).toBe(truncated);
+        });
+
+        test('decrypt should reject a versioned payload without an auth tag', () => {
+            const envelope = decodeEnvelope(base64Encrypted);
+            delete envelope.tag;
+            const stripped = encodeEnvelope(envelope);
+            expect(decrypt(stripped)).toBe(stripped);
+        });
+
+        test('decrypt should reject an unknown envelope version', () => {
+            const envelope = decodeEnvelope(base64Encrypted);
+            envelope.v = 99;
+            const unknown = encodeEnvelope(envelope);
+            expect(decrypt(unknown)).toBe(unknown);
+        });
+
+        test('decrypt should reject a truncated base64 string', () => {
+            const truncated = base64Encrypted.slice(0, 40);
+            expect(decrypt(truncated)).toBe(truncated);
+        });
+    });
+
+    describe('Key rotation', () => {
+
+        const newKeyHex = '5f0c1d3e2a4b6c8d9e0f1a2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f9a0b1c2d';
+        const legacyBase64Encrypted = 'eyJpdiI6ImIxNmJmMzYxODkzYTlhODc0NjcxMDkwYTRjOTY5YmE2IiwiY29udGVudCI6Ijc0ZmFhZjk0ZjE4YSJ9';
+        const decodeEnvelope = (value) => JSON.parse(Buffer.from(value, 'base64').toString('utf-8'));
+
+        let baseConfig;
+        let getConfigSpy;
+
+        // Swap the configured keys for the duration of a test
+        const useKeyring = (keyring) => {
+            getConfigSpy.mockReturnValue({ ...baseConfig, keyring });
+        };
+
+        beforeEach(() => {
+            baseConfig = configModule.getConfig();
+            getConfigSpy = jest.spyOn(configModule, 'getConfig');
+        });
+
+        afterEach(() => {
+            getConfigSpy.mockRestore();
+        });
+
+        test('encrypt should write the ID of the active key into the envelope', () => {
+            useKeyring([
+                { id: '2023', secretKey: baseConfig.secretKey },
+                { id: '2024', secretKey: newKeyHex, active: true }
+            ]);
+            expect(decodeEnvelope(encrypt('value')).kid).toBe('2024');
+        });
+
+        test('decrypt should pick the key matching the envelope key ID', () => {
+            useKeyring([
+                { id: '2023', secretKey: baseConfig.secretKey, active: true },
+                { id: '2024', secretKey: newKeyHex }
+            ]);
+            const encrypted = encrypt('value');
+
+            useKeyring([
+                { id: '2023', secretKey: baseConfig.secretKey },
+                { id: '2024', secretKey: newKeyHex, active: true }
+            ]);
+            expect(decrypt(encrypted)).toBe('value');
+        });
+
+        test('decrypt should reject a payload whose key is not in the keyring', () => {
+            useKeyring([{ id: '2023', secretKey: baseConfig.secretKey, active: true }]);
+            const encrypted = encrypt('value');
+
+            useKeyring([{ id: '2024', secretKey: newKeyHex, active: true }]);
+            expect(decrypt(encrypted)).toBe(encrypted);
+        });
+
+        test('decrypt should read payloads without a key ID with the default key', () => {
+            getConfigSpy.mockReturnValue({
+                ...baseConfig,
+                legacyDecryption: true,
+                keyring: [{ id: 'default', secretKey: baseConfig.secretKey }, { id: '2024', secretKey: newKeyHex, active: true }]
+            });
+            expect(decrypt(legacyBase64Encrypted)).toBe('string');
+        });
+
+        test('reencrypt should move a ciphertext onto the active key', () => {
+            const encrypted = encrypt('value');
+            useKeyring([
+                { id: 'default', secretKey: baseConfig.secretKey },
+                { id: '2024', secretKey: newKeyHex, active: true }
+            ]);
+
+            const reencrypted = reencrypt(encrypted);
+            expect(decodeEnvelope(reencrypted).kid).toBe('2024');
+            expect(decrypt(reencrypted)).toBe('value');
+
+            // The old key can be dropped once everything has been moved
+            useKeyring([{ id: '2024', secretKey: newKeyHex, active: true }]);
+            expect(decrypt(reencrypted)).toBe('value');
+        });
+
+        test('reencrypt should upgrade a legacy payload to the versioned envelope', () => {
+            getConfigSpy.mockReturnValue({ ...baseConfig, legacyDecryption: true });
+            const reencrypted = reencrypt(legacyBase64Encrypted);
+            const envelope = decodeEnvelope(reencrypted);
+            expect(envelope.v).toBe(2);
+            expect(envelope.kid).toBe('default');
+            expect(decrypt(reencrypted)).toBe('string');
+        });
+
+        test('reencrypt should return the input unchanged when it already uses the active key', () => {
+            const encrypted = encrypt('value');
+            expect(reencrypt(encrypted)).toBe(encrypted);
+        });
+
+        test('reencrypt should return the input unchanged when it cannot be decrypted', () => {
+            expect(reencrypt('not encrypted')).toBe('not encrypted');
+        });
+    });
+
+    describe('Strict mode', () => {
+
+        const newKeyHex = '5f0c1d3e2a4b6c8d9e0f1a2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f9a0b1c2d';
+        const decodeEnvelope = (value) => JSON.parse(Buffer.from(value, 'base64').toString('utf-8'));
+        const encodeEnvelope = (envelope) => Buffer.from(JSON.stringify(envelope)).toString('base64');
+
+        test('decrypt should throw InvalidEnvelopeError for plaintext', () => {
+            expect(() => decrypt('plain text', { strict: true })).toThrow(InvalidEnvelopeError);
+            try {
+                decrypt('plain text', { strict: true });
+            } catch (err) {
+                expect(err.code).toBe('MALFORMED_ENVELOPE');
+            }
+        });
+
+        test('decrypt should throw DecryptionError for a tampered payload', () => {
+            const envelope = decodeEnvelope(encrypt('value'));
+            envelope.tag = '0'.repeat(32);
+            expect(() => decrypt(encodeEnvelope(envelope), { strict: true })).toThrow(expect.objectContaining({
+                name: 'DecryptionError',
+                code: 'AUTHENTICATION_FAILED'
+            }));
+        });
+
+        test('decrypt should throw InvalidEnvelopeError for an unknown envelope version', () => {
+            const envelope = decodeEnvelope(encrypt('value'));
+            envelope.v = 99;
+            expect(() => decrypt(encodeEnvelope(envelope), { strict: true })).toThrow(expect.objectContaining({
+                name: 'InvalidEnvelopeError',
+                code: 'UNSUPPORTED_VERSION'
+            }));
+        });
+
+        test('decrypt should throw KeyNotFoundError for an unknown key ID', () => {
+            const envelope = decodeEnvelope(encrypt('value'));
+            envelope.kid = 'missing';
+            expect(() => decrypt(encodeEnvelope(envelope), { strict: true })).toThrow(expect.objectContaining({
+                name: 'KeyNotFoundError',
+                code: 'KEY_NOT_FOUND'
+            }));
+        });
+
+        test('InvalidEnvelopeError should be a DecryptionError', () => {
+            expect(() => decrypt('', { strict: true })).toThrow(DecryptionError);
+        });
+
+        test('encrypt should throw EncryptionError for non-string input', () => {
+            expect(() => encrypt(42, undefined, { strict: true })).toThrow(expect.objectContaining({
+                name: 'EncryptionError',
+                code: 'INVALID_INPUT'
+            }));
+            expect(encrypt(42)).toBe(42);
+        });
+
+        test('decryptObjectItems should report the path of the property that failed', () => {
+            const encryptedObj = encryptObjectItems({ contacts: [{ email: 'a@b.com' }, { email: 'c@d.com' }] });
+            encryptedObj.contacts[1].email = 'not encrypted';
+
+            expect(() => decryptObjectItems(encryptedObj, undefined, { strict: true })).toThrow(expect.objectContaining({
+                name: 'InvalidEnvelopeError',
+                path: 'contacts[1].email',
+                message: expect.stringContaining('contacts[1].email')
+            }));
+        });
+
+        test('encryptObjectItems should report the path of the property that failed', () => {
+            const getConfigSpy = jest.spyOn(configModule, 'getConfig').mockReturnValue({ ...configModule.getConfig(), secretKey: 'ab' });
+            try {
+                expect(() => encryptObjectItems({ user: { email: 'a@b.com' } }, undefined, undefined, { strict: true })).toThrow(expect.objectContaining({
+                    name: 'EncryptionError',
+                    code: 'ENCRYPTION_FAILED',
+                    path: 'user.email'
+                }));
+            } finally {
+                getConfigSpy.mockRestore();
+            }
+        });
+
+        test('encryptObjectItems should use a fresh iv for every value', () => {
+            const encryptedObj = encryptObjectItems({ a: 'same', b: 'same' }, undefined, Buffer.alloc(12));
+            const ivs = [encryptedObj.a, encryptedObj.b].map(value => decodeEnvelope(value).iv);
+            expect(ivs[0]).not.toBe(ivs[1]);
+            expect(ivs).not.toContain('0'.repeat(24));
+        });
+
+        describe('with the strictCrypto configuration flag', () => {
+            let strictConfig;
+            let getConfigSpy;
+
+            beforeEach(() => {
+                strictConfig = { ...configModule.getConfig(), strictCrypto: true };
+                getConfigSpy = jest.spyOn(configModule, 'getConfig').mockReturnValue(strictConfig);
+            });
+
+            afterEach(() => {
+                getConfigSpy.mockRestore();
+            });
+
+            test('decrypt should throw without a per-call option', () => {
+                expect(() => decrypt('plain text')).toThrow(InvalidEnvelopeError);
+            });
+
+            test('a per-call option should override the configuration flag', () => {
+                expect(decrypt('plain text', { strict: false })).toBe('plain text');
+            });
+
+            test('decrypt should throw KeyNotFoundError when the key was removed from the keyring', () => {
+                const encrypted = encrypt('value');
+                getConfigSpy.mockReturnValue({ ...strictConfig, keyring: [{ id: '2024', secretKey: newKeyHex, active: true }] });
+                expect(() => decrypt(encrypted)).toThrow(KeyNotFoundError);
+            });
+        });
+    });
+
+    describe('Deterministic encryption', () => {
+
+        const newKeyHex = '5f0c1d3e2a4b6c8d9e0f1a2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f9a0b1c2d';
+        const decodeEnvelope = (value) => JSON.parse(Buffer.from(value, 'base64').toString('utf-8'));
+
+        test('encrypt should produce the same ciphertext for the same text', () => {
+            const first = encrypt('john.doe@example.com', undefined, { deterministic: true });
+            const second = encrypt('john.doe@example.com', undefined, { deterministic: true });
+            expect(first).toBe(second);
+            expect(decrypt(first)).toBe('john.doe@example.com');
+        });
+
+        test('encrypt should produce different ciphertexts for different texts', () => {
+            const first = decodeEnvelope(encrypt('a@example.com', undefined, { deterministic: true }));
+            const second = decodeEnvelope(encrypt('b@example.com', undefined, { deterministic: true }));
+            expect(first.iv).not.toBe(second.iv);
+            expect(first.content).not.toBe(second.content);
+        });
+
+        test('encrypt should ignore an explicit iv in deterministic mode', () => {
+            expect(encrypt('value', Buffer.alloc(12), { deterministic: true })).toBe(encrypt('value', undefined, { deterministic: true }));
+        });
+
+        test('encryptObjectItems should encrypt only the selected properties deterministically', () => {
+            const inputObj = { email: 'john.doe@example.com', phone: '1234567890' };
+            const first = encryptObjectItems(inputObj, undefined, undefined, { deterministic: ['email'] });
+            const second = encryptObjectItems(inputObj, undefined, undefined, { deterministic: ['email'] });
+
+            expect(first.email).toBe(second.email);
+            expect(first.phone).not.toBe(second.phone);
+            expect(decryptObjectItems(first)).toEqual(inputObj);
+        });
+
+        test('reencrypt should keep a deterministic ciphertext deterministic', () => {
+            const getConfigSpy = jest.spyOn(configModule, 'getConfig');
+            try {
+                const baseConfig = configModule.getConfig();
+                const encrypted = encrypt('value', undefined, { deterministic: true });
+
+                getConfigSpy.mockReturnValue({
+                    ...baseConfig,
+                    keyring: [
+                        { id: 'default', secretKey: baseConfig.secretKey },
+                        { id: '2024', secretKey: newKeyHex, active: true }
+                    ]
+                });
+                expect(reencrypt(encrypted)).toBe(encrypt('value', undefined, { deterministic: true }));
+            } finally {
+                getConfigSpy.mockRestore();
+            }
+        });
+
+        test('reencrypt should not make a random ciphertext deterministic', () => {
+            const getConfigSpy = jest.spyOn(configModule, 'getConfig');
+            try {
+                const baseConfig = configModule.getConfig();
+                const encrypted = encrypt('value');
+
+                getConfigSpy.mockReturnValue({
+                    ...baseConfig,
+                    keyring: [
+                        { id: 'default', secretKey: baseConfig.secretKey },
+                        { id: '2024', secretKey: newKeyHex, active: true }
+                    ]
+                });
+                expect(reencrypt(encrypted)).not.toBe(encrypt('value', undefined, { deterministic: true }));
+            } finally {
+                getConfigSpy.mockRestore();
+            }
+        });
+    });
+
+    describe('blindIndex', () => {
+        test('should return a stable hex HMAC token', () => {
+            const token = blindIndex('john.doe@example.com', 'email');
+            expect(token).toMatch(/^[0-9a-f]{64}$/);
+            expect(blindIndex('john.doe@example.com', 'email')).toBe(token);
+        });
+
+        test('should scope tokens to the field', () => {
+            expect(blindIndex('value', 'email')).not.toBe(blindIndex('value', 'username'));
+        });
+
+        test('should throw for non-string values or a missing field', () => {
+            expect(() => blindIndex(42, 'email')).toThrow(EncryptionError);
+            expect(() => blindIndex('value')).toThrow(EncryptionError);
+        });
+
+        test('should throw for an unknown key ID', () => {
+            expect(() => blindIndex('value', 'email', { keyId: 'missing' })).toThrow(KeyNotFoundError);
+        });
+    });
+
+    describe('Path selectors in encryptObjectItems and decryptObjectItems', () => {
+
+        const report = {
+            user: { email: 'user@example.com', name: 'User' },
+            auditLog: { actor: { email: 'actor@example.com', ssn: '111-11-1111' } },
+            contacts: [
+                { phone: '111', email: 'c1@example.com' },
+                { phone: '222', email: 'c2@example.com' }
+            ],
+            ssn: '222-22-2222'
+        };
+
+        test('bare property names should still match at any depth', () => {
+            const encryptedObj = encryptObjectItems(report, ['email']);
+            expect(encryptedObj.user.email).not.toBe(report.user.email);
+            expect(encryptedObj.auditLog.actor.email).not.toBe(report.auditLog.actor.email);
+            expect(encryptedObj.contacts[0].email).not.toBe(report.contacts[0].email);
+            expect(encryptedObj.user.name).toBe(report.user.name);
+        });
+
+        test('dot paths should be anchored at the root object', () => {
+            const encryptedObj = encryptObjectItems(report, ['user.email']);
+            expect(encryptedObj.user.email).not.toBe(report.user.email);
+            expect(encryptedObj.auditLog.actor.email).toBe(report.auditLog.actor.email);
+            expect(encryptedObj.contacts[0].email).toBe(report.contacts[0].email);
+        });
+
+        test('array wildcards should match every element', () => {
+            const encryptedObj = encryptObjectItems(report, ['contacts[*].phone']);
+            expect(encryptedObj.contacts[0].phone).not.toBe('111');
+            expect(encryptedObj.contacts[1].phone).not.toBe('222');
+            expect(encryptedObj.contacts[0].email).toBe(report.contacts[0].email);
+        });
+
+        test('array indices should match a single element', () => {
+            const encryptedObj = encryptObjectItems(report, ['contacts[1].phone']);
+            expect(encryptedObj.contacts[0].phone).toBe('111');
+            expect(encryptedObj.contacts[1].phone).not.toBe('222');
+        });
+
+        test('selectors addressing array and Set items should transform those strings', () => {
+            const profile = { phones: ['123', '456'], emails: new Set(['a@b.com']), tags: ['vip'] };
+            const encryptedObj = encryptObjectItems(profile, ['phones[*]', 'emails[*]']);
+            expect(encryptedObj.phones).not.toContain('123');
+            expect(encryptedObj.phones).not.toContain('456');
+            expect([...encryptedObj.emails]).not.toContain('a@b.com');
+            expect(encryptedObj.tags).toEqual(['vip']);
+            expect(decryptObjectItems(encryptedObj, ['phones[*]', 'emails[*]'])).toEqual(profile);
+
+            const first = encryptObjectItems(profile, ['phones[0]']);
+            expect(first.phones[0]).not.toBe('123');
+            expect(first.phones[1]).toBe('456');
+            expect(decryptObjectItems(first, ['phones[0]']).phones).toEqual(['123', '456']);
+        });
+
+        test('array items should be left alone without selectors', () => {
+            expect(encryptObjectItems({ tags: ['vip'] }).tags).toEqual(['vip']);
+        });
+
+        test('globstars should match any number of levels', () => {
+            const encryptedObj = encryptObjectItems(report, ['**.ssn']);
+            expect(encryptedObj.ssn).not.toBe(report.ssn);
+            expect(encryptedObj.auditLog.actor.ssn).not.toBe(report.auditLog.actor.ssn);
+            expect(encryptedObj.user.email).toBe(report.user.email);
+        });
+
+        test('exclusion patterns should win over inclusions', () => {
+            const encryptedObj = encryptObjectItems(report, ['email', '!auditLog.**']);
+            expect(encryptedObj.user.email).not.toBe(report.user.email);
+            expect(encryptedObj.auditLog.actor.email).toBe(report.auditLog.actor.email);
+        });
+
+        test('exclusions alone should select every other property', () => {
+            const encryptedObj = encryptObjectItems(report, ['!contacts.**']);
+            expect(encryptedObj.user.name).not.toBe(report.user.name);
+            expect(encryptedObj.contacts).toEqual(report.contacts);
+        });
+
+        test('decryptObjectItems should accept the same selectors', () => {
+            const selectors = ['user.email', 'contacts[*].phone'];
+            const encryptedObj = encryptObjectItems(report, selectors);
+            expect(decryptObjectItems(encryptedObj, selectors)).toEqual(report);
+        });
+
+        test('deterministic selectors should use the same syntax', () => {
+            const first = encryptObjectItems(report, ['email'], undefined, { deterministic: ['user.email'] });
+            const second = encryptObjectItems(report, ['email'], undefined, { deterministic: ['user.email'] });
+            expect(first.user.email).toBe(second.user.email);
+            expect(first.auditLog.actor.email).not.toBe(second.auditLog.actor.email);
+        });
+
+        test('malformed selectors should throw', () => {
+            expect(() => encryptObjectItems(report, ['user..email'])).toThrow('Invalid path selector "user..email".');
+        });
+    });
+
+    describe('convertKey', () => {
+        test('should convert between all supported cases', () => {
+            const cases = ['camel', 'pascal', 'snake', 'kebab', 'constant'];
+            expect(cases.map(targetCase => convertKey('billingAddress', targetCase))).toEqual([
+                'billingAddress', 'BillingAddress', 'billing_address', 'billing-address', 'BILLING_ADDRESS'
+            ]);
+            for (const key of ['billingAddress', 'BillingAddress', 'billing_address', 'billing-address', 'BILLING_ADDRESS']) {
+                expect(convertKey(key, 'snake')).toBe('billing_address');
+            }
+        });
+
+        test('should keep runs of capitals together', () => {
+            expect(convertKey('userID', 'snake')).toBe('user_id');
+            expect(convertKey('userIDs', 'snake')).toBe('user_ids');
+            expect(convertKey('XMLHttpRequest', 'snake')).toBe('xml_http_request');
+            expect(convertKey('HTTPServer', 'kebab')).toBe('http-server');
+        });
+
+        test('should keep digits with the word before them', () => {
+            expect(convertKey('address2', 'snake')).toBe('address2');
+            expect(convertKey('line2Text', 'snake')).toBe('line2_text');
+            expect(convertKey('line2_text', 'camel')).toBe('line2Text');
+        });
+
+        test('should convert letters of any script', () => {
+            expect(convertKey('prénom_client', 'camel')).toBe('prénomClient');
+            expect(convertKey('prénomClient', 'snake')).toBe('prénom_client');
+            expect(convertKey('ÉtatCivil', 'kebab')).toBe('état-civil');
+            expect(convertKey('größe_in_cm', 'pascal')).toBe('GrößeInCm');
+            expect(convertKey('имя_пользователя', 'camel')).toBe('имяПользователя');
+            expect(convertKey('名前', 'snake')).toBe('名前');
+        });
+
+        test('should keep leading and trailing underscores', () => {
+            expect(convertKey('_id', 'camel')).toBe('_id');
+            expect(convertKey('__v', 'constant')).toBe('__V');
+            expect(convertKey('_createdAt', 'snake')).toBe('_created_at');
+            expect(convertKey('private_', 'camel')).toBe('private_');
+        });
+
+        test('should leave keys with other characters unchanged', () => {
+            expect(convertKey('$ref', 'snake')).toBe('$ref');
+            expect(convertKey('a.b', 'camel')).toBe('a.b');
+        });
+
+        test('should use the acronym dictionary', () => {
+            const acronyms = ['ID', 'url', 'XML', 'HTTP'];
+            expect(convertKey('user_id', 'camel', { acronyms })).toBe('userID');
+            expect(convertKey('id_token', 'camel', { acronyms })).toBe('idToken');
+            expect(convertKey('profile_url', 'pascal', { acronyms })).toBe('ProfileURL');
+            expect(convertKey('XMLHTTPRequest', 'snake', { acronyms })).toBe('xml_http_request');
+            expect(convertKey('XMLHTTPRequest', 'snake')).toBe('xmlhttp_request');
+        });
+
+        test('should throw for unknown cases', () => {
+            expect(() => convertKey('a', 'title')).toThrow('Unknown case "title".');
+        });
+    });
+
+    describe('convertKeys', () => {
+        test('should convert nested objects and arrays', () => {
+            expect(convertKeys({ userId: 1, contactInfo: [{ phoneNumber: '1' }] }, 'kebab')).toEqual({
+                'user-id': 1,
+                'contact-info': [{ 'phone-number': '1' }]
+            });
+        });
+
+        test('should convert Maps, Sets and class instances', () => {
+            class User {
+                constructor() {
+                    this.firstName = 'John';
+                    this.createdAt = new Date(0);
+                }
+            }
+            class Money {
+                toJSON() {
+                    return { amountCents: 100 };
+                }
+            }
+            const result = convertKeys({
+                user: new User(),
+                price: new Money(),
+                lookup: new Map([['first_name', { lastName: 'Doe' }], [42, 'numeric key']]),
+                tags: new Set([{ tagName: 'a' }])
+            }, 'snake');
+
+            expect(result.user).toEqual({ first_name: 'John', created_at: new Date(0) });
+            expect(Object.getPrototypeOf(result.user)).toBe(Object.prototype);
+            expect(result.price).toEqual({ amount_cents: 100 });
+            expect(result.lookup).toEqual(new Map([['first_name', { last_name: 'Doe' }], [42, 'numeric key']]));
+            expect(result.tags).toEqual(new Set([{ tag_name: 'a' }]));
+        });
+
+        test('should keep Buffers and typed arrays', () => {
+            const buffer = Buffer.from('abc');
+            const bytes = new Uint8Array([1, 2]);
+            const result = convertKeys({ fileData: buffer, rawBytes: bytes }, 'snake');
+            expect(result.file_data).toBe(buffer);
+            expect(result.raw_bytes).toBe(bytes);
+        });
+
+        test('should round-trip keys written in canonical form', () => {
+            const obj = { userId: 1, billingAddress: { line2Text: 'x', _id: 'y' }, apiUrl: 'z' };
+            for (const targetCase of ['pascal', 'snake', 'kebab', 'constant']) {
+                expect(convertKeys(convertKeys(obj, targetCase, { reversible: true }), 'camel', { reversible: true })).toEqual(obj);
+            }
+        });
+
+        test('should throw in reversible mode for lossy keys and collisions', () => {
+            expect(() => convertKeys({ user__id: 1 }, 'camel', { reversible: true })).toThrow('Key "user__id" cannot be converted to camel case reversibly.');
+            expect(() => convertKeys({ userID: 1 }, 'snake', { reversible: true })).toThrow('Key "userID" cannot be converted to snake case reversibly.');
+            expect(convertKeys({ userID: 1 }, 'snake', { reversible: true, acronyms: ['ID'] })).toEqual({ user_id: 1 });
+            expect(() => convertKeys({ userId: 1, user_id: 2 }, 'snake', { reversible: true })).toThrow('Keys "userId" and "user_id" both convert to "user_id".');
+            expect(convertKeys({ userId: 1, user_id: 2 }, 'snake')).toEqual({ user_id: 2 });
+        });
+
+        test('should preserve circular references and special values', () => {
+            const obj = { firstName: 'John', avatar: Buffer.from('png'), visits: 10n, tags: new Set(['a']), bytes: new Uint8Array([1]) };
+            obj.selfRef = obj;
+
+            const result = convertKeys(obj, 'snake');
+            expect(result.first_name).toBe('John');
+            expect(result.self_ref).toBe(result);
+            expect(result.avatar).toBe(obj.avatar);
+            expect(result.visits).toBe(10n);
+            expect(result.tags).toEqual(new Set(['a']));
+            expect(result.bytes).toBe(obj.bytes);
+        });
+
+        test('should throw when the value is nested deeper than maxDepth', () => {
+            expect(() => convertKeys({ a: { b: {} } }, 'snake', { maxDepth: 1 })).toThrow('Maximum depth of 1 exceeded at "a".');
+        });
+
+        describe('with the date codec', () => {
+            test('should serialize Dates as ISO 8601 in the timezone or as epoch milliseconds', () => {
+                const value = { createdAt: new Date('2024-07-01T12:00:00Z'), history: [new Date(0)], invalidAt: new Date('x'), note: 'kept' };
+
+                expect(convertKeys(value, 'snake', { dates: { serialize: 'iso', timeZone: 'Europe/Berlin' } })).toEqual({
+                    created_at: '2024-07-01T14:00:00.000+02:00',
+                    history: ['1970-01-01T01:00:00.000+01:00'],
+                    invalid_at: null,
+                    note: 'kept'
+                });
+                expect(convertKeys(value, 'snake', { dates: { serialize: 'epoch' } }).created_at).toBe(1719835200000);
+                // The configured timezone is the default
+                expect(convertKeys(value, 'snake', { dates: { serialize: 'iso' } }).created_at).toBe('2024-07-01T12:00:00.000Z');
+            });
+
+            test('should revive every ISO 8601 string', () => {
+                const result = convertKeys({ updated: '2024-07-01T09:00:00+02:00', birthday: '1990-05-01', code: '2024-13-01', name: 'x' }, 'camel', {
+                    dates: { revive: true, timeZone: 'Europe/Berlin' }
+                });
+
+                expect(result.updated).toEqual(new Date('2024-07-01T07:00:00Z'));
+                expect(result.birthday).toEqual(new Date('1990-04-30T22:00:00Z'));
+                expect(result.code).toBe('2024-13-01');
+                expect(result.name).toBe('x');
+            });
+
+            test('should revive strings under keys matching the patterns only', () => {
+                const input = {
+                    created_at: '2024-07-01T09:00:00Z',
+                    due_date: '2024-07-31',
+                    reminder_dates: ['2024-07-10', '2024-07-20'],
+                    reference: '2024-07-01',
+                    meta: { createdAt: '2024-07-01T09:00:00Z' }
+                };
+                const result = convertKeys(input, 'camel', { dates: { revive: ['*At', '*_date', '*_dates'] } });
+
+                expect(result).toEqual({
+                    createdAt: new Date('2024-07-01T09:00:00Z'),
+                    dueDate: new Date('2024-07-31T00:00:00Z'),
+                    reminderDates: [new Date('2024-07-10T00:00:00Z'), new Date('2024-07-20T00:00:00Z')],
+                    reference: '2024-07-01',
+                    meta: { createdAt: new Date('2024-07-01T09:00:00Z') }
+                });
+                // Characters other than `*` are literal
+                expect(convertKeys({ 'a.b': '2024-07-01', axb: '2024-07-01' }, 'camel', { dates: { revive: ['a.b'] } })).toEqual({
+                    'a.b': new Date('2024-07-01T00:00:00Z'),
+                    axb: '2024-07-01'
+                });
+            });
+
+            test('should leave excluded paths untouched and reject invalid options', () => {
+                const date = new Date(0);
+                expect(convertKeys({ rawData: { sentAt: date } }, 'snake', { exclude: ['rawData.*'], dates: { serialize: 'iso' } })).toEqual({ raw_data: { sentAt: date } });
+                expect(() => convertKeys({}, 'snake', { dates: { serialize: 'unix' } })).toThrow('Unknown date serialization "unix".');
+                expect(() => convertKeys({}, 'snake', { dates: { revive: '*At' } })).toThrow('dates.revive must be a boolean or an array of key patterns.');
+            });
+        });
     });
 
     describe('toLowerCamelCase', () => {
@@ -54,6 +737,24 @@ describe('Test converters', () => {
             const inputObj = { user_ids: [1, 2, 3] };
             expect(toLowerCamelCase(inputObj)).toEqual({ userIds: [1, 2, 3] });
         });
+
+        test('should convert keys with non-ASCII letters', () => {
+            expect(toLowerCamelCase({ 'prénom_client': 1, 'date_de_création': 2 })).toEqual({ prénomClient: 1, dateDeCréation: 2 });
+        });
+
+        test('should re-case keys that already are in camel case unless their acronyms are given', () => {
+            expect(toLowerCamelCase({ userID: 1, apiURL: 'x', firstName: 'John' })).toEqual({ userId: 1, apiUrl: 'x', firstName: 'John' });
+            expect(toLowerCamelCase({ userID: 1, api_url: 'x' }, { acronyms: ['ID', 'URL'] })).toEqual({ userID: 1, apiURL: 'x' });
+        });
+
+        test('should leave excluded keys and subtrees untouched', () => {
+            const inputObj = { user_id: 1, metadata: { source_app: 'x', nested_map: { a_b: 1 } }, raw_payload: { some_key: 1 } };
+            expect(toLowerCamelCase(inputObj, { exclude: ['metadata.*', 'raw_payload'] })).toEqual({
+                userId: 1,
+                metadata: { source_app: 'x', nested_map: { a_b: 1 } },
+                raw_payload: { some_key: 1 }
+            });
+        });
     });
 
     describe('toSnakeCase', () => {
@@ -87,6 +788,88 @@ describe('Test converters', () => {
             const inputObj = { userIds: [1, 2, 3] };
             expect(toSnakeCase(inputObj)).toEqual({ user_ids: [1, 2, 3] });
         });
+
+        test('should convert objects inside arrays, including a top-level array', () => {
+            expect(toSnakeCase([{ userId: 1 }, { userId: 2 }])).toEqual([{ user_id: 1 }, { user_id: 2 }]);
+        });
+
+        test('should leave excluded paths untouched', () => {
+            const inputObj = { items: [{ itemId: 1, customFields: { fieldA: 1 } }] };
+            expect(toSnakeCase(inputObj, { exclude: ['items[*].customFields.*'] })).toEqual({
+                items: [{ item_id: 1, custom_fields: { fieldA: 1 } }]
+            });
+            expect(toSnakeCase(inputObj, { exclude: [] })).toEqual({ items: [{ item_id: 1, custom_fields: { field_a: 1 } }] });
+        });
+    });
+
+    describe('caseConversion', () => {
+        // Creates an app that echoes the converted request data
+        const createApp = (...middlewares) => {
+            const app = express();
+            app.use(json());
+            app.post('/echo', ...middlewares, (req, res) => {
+                res.json({ receivedBody: req.body, receivedQuery: req.query });
+            });
+            return app;
+        };
+
+        test('should convert request keys to camelCase and response keys to snake_case', async () => {
+            const response = await request(createApp(caseConversion()))
+                .post('/echo?page_size=10')
+                .send({ first_name: 'John', contact_info: { phone_number: '1' } });
+
+            expect(response.body).toEqual({
+                received_body: { first_name: 'John', contact_info: { phone_number: '1' } },
+                received_query: { page_size: '10' }
+            });
+        });
+
+        test('should expose camelCase keys to the handler', async () => {
+            const app = express();
+            app.use(json());
+            app.use(caseConversion({ response: false }));
+            app.post('/', (req, res) => res.json({ keys: Object.keys(req.body), query: Object.keys(req.query) }));
+
+            const response = await request(app).post('/?page_size=10').send({ first_name: 'John' });
+            expect(response.body).toEqual({ keys: ['firstName'], query: ['pageSize'] });
+        });
+
+        test('should leave excluded subtrees untouched in both directions', async () => {
+            const response = await request(createApp(caseConversion({ exclude: ['**.metadata.*'], excludeResponse: ['receivedQuery'] })))
+                .post('/echo?page_size=10')
+                .send({ user_id: 1, metadata: { external_ref: 'x', camelKey: 'y' } });
+
+            expect(response.body).toEqual({
+                received_body: { user_id: 1, metadata: { external_ref: 'x', camelKey: 'y' } },
+                receivedQuery: { pageSize: '10' }
+            });
+        });
+
+        test('should support disabling a direction per route', async () => {
+            const response = await request(createApp(caseConversion({ request: false, response: 'snake' })))
+                .post('/echo')
+                .send({ firstName: 'John' });
+
+            expect(response.body).toEqual({ received_body: { first_name: 'John' }, received_query: {} });
+        });
+
+        test('should revive dates in the request and serialize them in the response', async () => {
+            const app = express();
+            app.use(json());
+            app.use(caseConversion({ dates: { serialize: 'epoch', revive: ['*At'] } }));
+            app.post('/', (req, res) => {
+                const { startsAt } = req.body;
+                res.json({ isDate: startsAt instanceof Date, endsAt: new Date(startsAt.getTime() + 3600000), label: '2024-07-01' });
+            });
+
+            const response = await request(app).post('/').send({ starts_at: '2024-07-01T09:00:00Z' });
+            expect(response.body).toEqual({ is_date: true, ends_at: Date.parse('2024-07-01T10:00:00Z'), label: '2024-07-01' });
+        });
+
+        test('should throw for unknown cases', () => {
+            expect(() => caseConversion({ response: 'title' })).toThrow('Unknown case "title".');
+            expect(() => caseConversion({ dates: { serialize: 'unix' } })).toThrow('Unknown date serialization "unix".');
+        });
     });
 
     describe('convertRequestData', () => {
@@ -296,6 +1079,39 @@ describe('Test converters', () => {
             expect(result.body).toEqual(obj);
         });
 
+        test('should not mask keys that merely contain a sensitive word', () => {
+            const req = { body: { tokenCount: 5, ssn: '123-45-6789', creditCard: '4111111111111111' } };
+            expect(convertRequestData(req).body).toEqual({ tokenCount: 5, ssn: '****', creditCard: '****' });
+        });
+
+        test('should include the request context for correlation', () => {
+            const req = { requestContext: { requestId: 'abc-123', traceId: '4bf92f3577b34da6a3ce929d0e0e4736' } };
+            const result = convertRequestData(req);
+            expect(result.requestId).toBe('abc-123');
+            expect(result.traceId).toBe('4bf92f3577b34da6a3ce929d0e0e4736');
+        });
+
+        test('should use the redaction policies registered through config', () => {
+            const getConfigSpy = jest.spyOn(configModule, 'getConfig').mockReturnValue({
+                ...configModule.getConfig(),
+                redaction: {
+                    headers: { rules: [{ keys: ['x-tenant'] }] },
+                    data: { rules: [{ keys: ['phone'], mask: 'partial' }] }
+                }
+            });
+            try {
+                const req = {
+                    headers: { authorization: 'Bearer xyz123', 'x-tenant': 'acme' },
+                    body: { phone: '5551234567', email: 'a@b.com' }
+                };
+                const result = convertRequestData(req);
+                expect(result.headers).toEqual({ authorization: 'Bearer xyz123', 'x-tenant': '****' });
+                expect(result.body).toEqual({ phone: '****4567', email: 'a@b.com' });
+            } finally {
+                getConfigSpy.mockRestore();
+            }
+        });
+
         test('should handle non-object values', () => {
             const req = {
                 method: 'GET',
@@ -391,6 +1207,27 @@ describe('Test converters', () => {
             expect(decryptedObj.isVerified).toBe(inputObj.isVerified);
             expect(decryptedObj.birthDate).toEqual(inputObj.birthDate);
         });
+
+        test('should handle circular references and keep Buffers and Maps intact', () => {
+            const avatar = Buffer.from('png');
+            const inputObj = { firstName: 'John', avatar, settings: new Map([['theme', 'dark']]) };
+            inputObj.self = inputObj;
+
+            const encryptedObj = encryptObjectItems(inputObj);
+            expect(encryptedObj.self).toBe(encryptedObj);
+            expect(encryptedObj.avatar).toBe(avatar);
+            expect(encryptedObj.settings.get('theme')).not.toBe('dark');
+
+            const decryptedObj = decryptObjectItems(encryptedObj);
+            expect(decryptedObj.firstName).toBe('John');
+            expect(decryptedObj.settings.get('theme')).toBe('dark');
+            expect(decryptedObj.self).toBe(decryptedObj);
+        });
+
+        test('should throw when the object is nested deeper than maxDepth', () => {
+            expect(() => encryptObjectItems({ a: { b: 'x' } }, undefined, undefined, { maxDepth: 1 })).toThrow(RangeError);
+            expect(() => decryptObjectItems({ a: { b: 'x' } }, undefined, { maxDepth: 1 })).toThrow(RangeError);
+        });
     });
 
 });
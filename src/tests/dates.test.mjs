@@ -0,0 +1,142 @@
+import { scopeConfig } from '../config/config.mjs';
+import { endOfDay, formatDate, fromZoned, getPeriod, parseISODate, startOfDay, toZoned } from '../utils/dates.mjs';
+
+describe('Test dates', () => {
+
+    const newYork = { timeZone: 'America/New_York' };
+    const iso = date => date.toISOString();
+
+    describe('toZoned', () => {
+        test('should return the wall-clock time, weekday and offset', () => {
+            expect(toZoned(new Date('2024-07-01T12:00:00Z'), { timeZone: 'Europe/Berlin' })).toEqual({
+                year: 2024, month: 7, day: 1, hour: 14, minute: 0, second: 0, millisecond: 0, weekday: 1, offset: 120, timeZone: 'Europe/Berlin'
+            });
+            expect(toZoned(Date.UTC(2024, 0, 7, 3, 4, 5, 6), { timeZone: 'Asia/Kolkata' })).toMatchObject({ day: 7, hour: 8, minute: 34, millisecond: 6, weekday: 7, offset: 330 });
+        });
+
+        test('should default to the configured timezone', () => {
+            expect(toZoned('2024-07-01T12:00:00Z').timeZone).toBe('UTC');
+            const runInTokyo = scopeConfig({ secretKey: 'ab'.repeat(32), developmentToken: 'token', timezone: 'Asia/Tokyo' });
+            expect(runInTokyo(toZoned, '2024-07-01T12:00:00Z')).toMatchObject({ hour: 21, timeZone: 'Asia/Tokyo' });
+        });
+
+        test('should reject invalid dates and timezones', () => {
+            expect(() => toZoned('yesterday')).toThrow(new TypeError('Invalid date "yesterday".'));
+            expect(() => toZoned(new Date('x'))).toThrow(TypeError);
+            expect(() => toZoned(0, { timeZone: 'Mars/Olympus' })).toThrow(new RangeError('Unknown timezone "Mars/Olympus".'));
+        });
+    });
+
+    describe('fromZoned', () => {
+        test('should convert a wall-clock time to an instant', () => {
+            expect(iso(fromZoned({ year: 2024, month: 7, day: 1, hour: 9 }, newYork))).toBe('2024-07-01T13:00:00.000Z');
+            expect(iso(fromZoned({ year: 2024, month: 1, day: 32 }, newYork))).toBe('2024-02-01T05:00:00.000Z');
+        });
+
+        test('should resolve times skipped when clocks move forward', () => {
+            // 02:00 to 02:59 do not exist on 10 March 2024 in New York
+            const skipped = { year: 2024, month: 3, day: 10, hour: 2, minute: 30 };
+            expect(iso(fromZoned(skipped, newYork))).toBe('2024-03-10T07:30:00.000Z');
+            expect(iso(fromZoned(skipped, { ...newYork, disambiguation: 'later' }))).toBe('2024-03-10T07:30:00.000Z');
+            expect(iso(fromZoned(skipped, { ...newYork, disambiguation: 'earlier' }))).toBe('2024-03-10T06:30:00.000Z');
+            expect(() => fromZoned(skipped, { ...newYork, disambiguation: 'reject' })).toThrow('2024-03-10T02:30:00.000 does not exist in America/New_York.');
+        });
+
+        test('should resolve times repeated when clocks move back', () => {
+            // 01:00 to 01:59 happen twice on 3 November 2024 in New York
+            const repeated = { year: 2024, month: 11, day: 3, hour: 1, minute: 30 };
+            expect(iso(fromZoned(repeated, newYork))).toBe('2024-11-03T05:30:00.000Z');
+            expect(iso(fromZoned(repeated, { ...newYork, disambiguation: 'later' }))).toBe('2024-11-03T06:30:00.000Z');
+            expect(() => fromZoned(repeated, { ...newYork, disambiguation: 'reject' })).toThrow('2024-11-03T01:30:00.000 is ambiguous in America/New_York.');
+            expect(() => fromZoned(repeated, { ...newYork, disambiguation: 'first' })).toThrow('Unknown disambiguation "first".');
+        });
+    });
+
+    describe('parseISODate', () => {
+        test('should parse dates and date-times with an offset', () => {
+            expect(iso(parseISODate('2024-07-01T09:00:00+02:00'))).toBe('2024-07-01T07:00:00.000Z');
+            expect(iso(parseISODate('2024-07-01T09:00+0530'))).toBe('2024-07-01T03:30:00.000Z');
+            expect(iso(parseISODate('2024-07-01t09:00:00.1234z'))).toBe('2024-07-01T09:00:00.123Z');
+        });
+
+        test('should read values without an offset in the timezone', () => {
+            expect(iso(parseISODate('2024-07-01', { timeZone: 'Europe/Berlin' }))).toBe('2024-06-30T22:00:00.000Z');
+            expect(iso(parseISODate('2024-03-10T02:30', newYork))).toBe('2024-03-10T07:30:00.000Z');
+            expect(iso(parseISODate('2024-07-01T09:00'))).toBe('2024-07-01T09:00:00.000Z');
+        });
+
+        test('should return null for invalid values', () => {
+            for (const value of ['2024-02-30', '2023-02-29', '2024-13-01', '2024-07-01T24:00', '2024-07-01T09:60', '2024-07-01T09:00+24:00', '2024-07-01Z', '01/07/2024', '', 20240701, null]) {
+                expect(parseISODate(value)).toBeNull();
+            }
+            expect(parseISODate('2024-02-29')).not.toBeNull();
+        });
+    });
+
+    describe('formatDate', () => {
+        const date = new Date('2024-07-01T12:05:09.007Z');
+
+        test('should format as ISO 8601 with the offset by default', () => {
+            expect(formatDate(date, undefined, { timeZone: 'Europe/Berlin' })).toBe('2024-07-01T14:05:09.007+02:00');
+            expect(formatDate(date, undefined, { timeZone: 'America/St_Johns' })).toBe('2024-07-01T09:35:09.007-02:30');
+            expect(formatDate(date)).toBe('2024-07-01T12:05:09.007Z');
+        });
+
+        test('should support patterns and Intl options', () => {
+            expect(formatDate(date, "d.M.yy 'at' H:mm:ss", newYork)).toBe('1.7.24 at 8:05:09');
+            expect(formatDate(date, "yyyy-MM-dd'T'HH 'hours (EDT)'", newYork)).toBe('2024-07-01T08 hours (EDT)');
+            expect(formatDate(date, { dateStyle: 'long' }, { timeZone: 'Asia/Tokyo', locale: 'de-DE' })).toBe('1. Juli 2024');
+        });
+    });
+
+    describe('startOfDay and endOfDay', () => {
+        test('should return the bounds of the day in the timezone', () => {
+            const tokyo = { timeZone: 'Asia/Tokyo' };
+            expect(iso(startOfDay('2024-07-01T20:00:00Z', tokyo))).toBe('2024-07-01T15:00:00.000Z');
+            expect(iso(endOfDay('2024-07-01T20:00:00Z', tokyo))).toBe('2024-07-02T14:59:59.999Z');
+        });
+
+        test('should follow DST transitions', () => {
+            // A 23-hour day
+            const day = '2024-03-10T12:00:00Z';
+            expect(endOfDay(day, newYork) - startOfDay(day, newYork) + 1).toBe(23 * 60 * 60 * 1000);
+            // Midnight was skipped on 4 November 2018 in São Paulo, so the day started at 01:00
+            expect(iso(startOfDay('2018-11-04T12:00:00Z', { timeZone: 'America/Sao_Paulo' }))).toBe('2018-11-04T03:00:00.000Z');
+        });
+    });
+
+    describe('getPeriod', () => {
+        const period = (...args) => {
+            const { start, end } = getPeriod(...args);
+            return [iso(start), iso(end)];
+        };
+
+        test('should return weeks starting on the given day', () => {
+            // 3 July 2024 is a Wednesday
+            expect(period('2024-07-03T12:00:00Z', 'week')).toEqual(['2024-07-01T00:00:00.000Z', '2024-07-07T23:59:59.999Z']);
+            expect(period('2024-07-03T12:00:00Z', 'week', { weekStartsOn: 7 })).toEqual(['2024-06-30T00:00:00.000Z', '2024-07-06T23:59:59.999Z']);
+            expect(period('2024-07-03T12:00:00Z', 'week', { weekStartsOn: 3 })).toEqual(['2024-07-03T00:00:00.000Z', '2024-07-09T23:59:59.999Z']);
+        });
+
+        test('should return calendar months, quarters and years', () => {
+            expect(period('2024-02-10', 'month', newYork)).toEqual(['2024-02-01T05:00:00.000Z', '2024-03-01T04:59:59.999Z']);
+            // The quarter spans the start of DST
+            expect(period('2024-02-10', 'quarter', newYork)).toEqual(['2024-01-01T05:00:00.000Z', '2024-04-01T03:59:59.999Z']);
+            expect(period('2024-12-31T23:00:00Z', 'year', { timeZone: 'Europe/Berlin' })).toEqual(['2024-12-31T23:00:00.000Z', '2025-12-31T22:59:59.999Z']);
+        });
+
+        test('should return fiscal years and quarters with a configurable start', () => {
+            const sydney = { timeZone: 'Australia/Sydney', fiscalYearStart: 7 };
+            expect(period('2024-05-15', 'fiscalYear', sydney)).toEqual(['2023-06-30T14:00:00.000Z', '2024-06-30T13:59:59.999Z']);
+            expect(period('2024-07-01', 'fiscalYear', sydney)).toEqual(['2024-06-30T14:00:00.000Z', '2025-06-30T13:59:59.999Z']);
+            expect(period('2024-05-15', 'fiscalQuarter', sydney)).toEqual(['2024-03-31T13:00:00.000Z', '2024-06-30T13:59:59.999Z']);
+            expect(period('2024-01-15', 'fiscalQuarter', { fiscalYearStart: 2 })).toEqual(['2023-11-01T00:00:00.000Z', '2024-01-31T23:59:59.999Z']);
+        });
+
+        test('should reject invalid options', () => {
+            expect(() => getPeriod(0, 'decade')).toThrow('Unknown period "decade".');
+            expect(() => getPeriod(0, 'week', { weekStartsOn: 0 })).toThrow(RangeError);
+            expect(() => getPeriod(0, 'fiscalYear', { fiscalYearStart: 13 })).toThrow(RangeError);
+        });
+    });
+});
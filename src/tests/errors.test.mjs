@@ -0,0 +1,184 @@
+import express, { json } from 'express';
+import request from 'supertest';
+import * as configModule from '../config/config.mjs';
+import { requestContext } from '../utils/context.mjs';
+import {
+    BadRequestError,
+    ConflictError,
+    HttpError,
+    InternalServerError,
+    NotFoundError,
+    TooManyRequestsError,
+    UnauthorizedError,
+    errorHandler,
+    sendError
+} from '../utils/errors.mjs';
+
+describe('Test errors', () => {
+
+    describe('HttpError', () => {
+        test('should derive the message and code from the status', () => {
+            const error = new NotFoundError();
+            expect(error).toBeInstanceOf(HttpError);
+            expect(error).toBeInstanceOf(Error);
+            expect(error.name).toBe('NotFoundError');
+            expect(error.status).toBe(404);
+            expect(error.statusCode).toBe(404);
+            expect(error.message).toBe('Not Found');
+            expect(error.code).toBe('NOT_FOUND');
+            expect(error.expose).toBe(true);
+        });
+
+        test('should accept a message, code, details and headers', () => {
+            const cause = new Error('duplicate key');
+            const error = new ConflictError('Email already in use.', {
+                code: 'EMAIL_TAKEN',
+                details: { field: 'email' },
+                headers: { 'X-Reason': 'duplicate' },
+                cause
+            });
+            expect(error.status).toBe(409);
+            expect(error.code).toBe('EMAIL_TAKEN');
+            expect(error.details).toEqual({ field: 'email' });
+            expect(error.headers).toEqual({ 'X-Reason': 'duplicate' });
+            expect(error.cause).toBe(cause);
+        });
+
+        test('should not expose the message of server errors by default', () => {
+            expect(new InternalServerError('db down').expose).toBe(false);
+            expect(new InternalServerError().code).toBe('INTERNAL_SERVER_ERROR');
+            expect(new HttpError(502, 'upstream', { expose: true }).expose).toBe(true);
+        });
+    });
+
+    describe('errorHandler', () => {
+        let app;
+        let onError;
+        const originalEnv = process.env.NODE_ENV;
+
+        const createApp = (options) => {
+            app = express();
+            app.use(requestContext());
+            app.use(json());
+            app.get('/not-found', (_, __, next) => next(new NotFoundError('User not found.')));
+            app.get('/validation', () => {
+                throw new BadRequestError('Invalid input.', { details: [{ path: 'email' }] });
+            });
+            app.get('/limited', (_, __, next) => next(new TooManyRequestsError(undefined, { headers: { 'Retry-After': '30' } })));
+            app.get('/crash', () => {
+                throw new Error('Connection string postgres://user:pass@db leaked');
+            });
+            app.get('/unauthorized', (_, __, next) => next(new UnauthorizedError()));
+            app.post('/body', (_, res) => res.json({ ok: true }));
+            app.use(errorHandler({ onError, ...options }));
+        };
+
+        beforeEach(() => {
+            onError = jest.fn();
+            createApp();
+        });
+
+        afterEach(() => {
+            process.env.NODE_ENV = originalEnv;
+        });
+
+        test('should send the standard envelope for HTTP errors', async () => {
+            const response = await request(app).get('/not-found').set('X-Request-Id', 'abc-123');
+            expect(response.status).toBe(404);
+            expect(response.headers['content-type']).toMatch(/^application\/json/);
+            expect(response.body).toEqual({
+                error: { status: 404, code: 'NOT_FOUND', message: 'User not found.', requestId: 'abc-123' }
+            });
+            expect(onError).not.toHaveBeenCalled();
+        });
+
+        test('should include details and error headers', async () => {
+            const validation = await request(app).get('/validation');
+            expect(validation.status).toBe(400);
+            expect(validation.body.error.details).toEqual([{ path: 'email' }]);
+
+            const limited = await request(app).get('/limited');
+            expect(limited.status).toBe(429);
+            expect(limited.headers['retry-after']).toBe('30');
+            expect(limited.body.error.code).toBe('TOO_MANY_REQUESTS');
+        });
+
+        test('should hide the message of unexpected errors and report them', async () => {
+            const response = await request(app).get('/crash');
+            expect(response.status).toBe(500);
+            expect(response.body.error).toEqual({
+                status: 500,
+                code: 'INTERNAL_SERVER_ERROR',
+                message: 'Internal Server Error',
+                requestId: expect.any(String)
+            });
+            expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: expect.stringContaining('postgres') }), expect.anything());
+        });
+
+        test('should keep the status of errors raised by express.json()', async () => {
+            const response = await request(app).post('/body').set('Content-Type', 'application/json').send('{ bad');
+            expect(response.status).toBe(400);
+            expect(response.body.error.status).toBe(400);
+            expect(response.body.error.code).toBe('BAD_REQUEST');
+        });
+
+        test('should include the stack trace only in development', async () => {
+            process.env.NODE_ENV = 'production';
+            expect((await request(app).get('/crash')).body.error.stack).toBeUndefined();
+
+            process.env.NODE_ENV = 'development';
+            const response = await request(app).get('/crash');
+            expect(response.body.error.stack).toContain('Connection string');
+            expect(response.body.error.message).toBe('Internal Server Error');
+        });
+
+        test('should send RFC 7807 problem details when requested', async () => {
+            createApp({ format: 'problem', typeBaseUrl: 'https://errors.example.com/' });
+            const response = await request(app).get('/not-found').set('X-Request-Id', 'abc-123');
+            expect(response.status).toBe(404);
+            expect(response.headers['content-type']).toMatch(/^application\/problem\+json/);
+            expect(JSON.parse(response.text)).toEqual({
+                type: 'https://errors.example.com/not-found',
+                title: 'Not Found',
+                status: 404,
+                detail: 'User not found.',
+                instance: '/not-found',
+                code: 'NOT_FOUND',
+                requestId: 'abc-123'
+            });
+        });
+
+        test('should read the format from the errors configuration', async () => {
+            const getConfigSpy = jest.spyOn(configModule, 'getConfig').mockReturnValue({
+                ...configModule.getConfig(),
+                errors: { format: 'problem' }
+            });
+            try {
+                const response = await request(app).get('/unauthorized');
+                expect(response.status).toBe(401);
+                expect(response.headers['content-type']).toMatch(/^application\/problem\+json/);
+                expect(JSON.parse(response.text).type).toBe('about:blank');
+            } finally {
+                getConfigSpy.mockRestore();
+            }
+        });
+
+        test('should pass the error on if the response has already started', () => {
+            const next = jest.fn();
+            const error = new Error('late');
+            errorHandler()(error, {}, { headersSent: true }, next);
+            expect(next).toHaveBeenCalledWith(error);
+        });
+    });
+
+    describe('sendError', () => {
+        test('should send an error response from a route handler', async () => {
+            const app = express();
+            app.get('/', (req, res) => sendError(req, res, new ConflictError('Already exists.')));
+
+            const response = await request(app).get('/');
+            expect(response.status).toBe(409);
+            expect(response.body).toEqual({ error: { status: 409, code: 'CONFLICT', message: 'Already exists.' } });
+        });
+    });
+});
@@ -0,0 +1,152 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { getConfig, resetConfig, setConfig } from '../config/config.mjs';
+import { CONFIG_SCHEMA, loadConfig, validateConfig } from '../config/loadConfig.mjs';
+import { ConfigError } from '../utils/errors.mjs';
+
+describe('Test loadConfig', () => {
+
+    const secretKey = '0a06bb4c1e6d2b8f62ec71166d8997f588b3b3b1c313bbf14fcdfc9ba882827c';
+    const otherKey = 'ff'.repeat(32);
+    let directory;
+    let globalConfig;
+
+    beforeEach(() => {
+        directory = mkdtempSync(join(tmpdir(), 'mra-config-'));
+        // loadConfig runs against an empty configuration, as at application start
+        globalConfig = getConfig();
+        resetConfig();
+    });
+
+    afterEach(() => {
+        resetConfig();
+        setConfig(globalConfig);
+        rmSync(directory, { recursive: true, force: true });
+    });
+
+    describe('loadConfig', () => {
+        test('should merge defaults, the file, the environment and overrides in this order', () => {
+            const file = join(directory, 'config.json');
+            writeFileSync(file, JSON.stringify({ secretKey, developmentToken: 'from-file', timezone: 'Europe/Berlin', errors: { format: 'problem', typeBaseUrl: 'https://errors.example.com/' } }));
+
+            const config = loadConfig({
+                file,
+                env: { MRA_DEVELOPMENT_TOKEN: 'from-env', MRA_ERRORS__INCLUDE_STACK: 'true', MRA_STRICT_CRYPTO: 'true', OTHER: 'x' },
+                overrides: { timezone: 'America/New_York' }
+            });
+
+            expect(config).toEqual({
+                secretKey,
+                developmentToken: 'from-env',
+                timezone: 'America/New_York',
+                strictCrypto: true,
+                legacyDecryption: false,
+                errors: { format: 'problem', typeBaseUrl: 'https://errors.example.com/', includeStack: true }
+            });
+            expect(getConfig()).toBe(config);
+        });
+
+        test('should read MRA_* variables from a .env file and JSON values', () => {
+            const file = join(directory, '.env');
+            writeFileSync(file, [
+                '# Local settings',
+                `export MRA_SECRET_KEY="${secretKey}"`,
+                "MRA_DEVELOPMENT_TOKEN='token value'",
+                'MRA_TIMEZONE=Asia/Tokyo # inline comment',
+                `MRA_KEYRING=[{"id":"2024","secretKey":"${otherKey}","active":true}]`,
+                'DATABASE_URL=ignored',
+                ''
+            ].join('\n'));
+
+            const config = loadConfig({ file, env: {} });
+            expect(config).toMatchObject({ secretKey, developmentToken: 'token value', timezone: 'Asia/Tokyo', strictCrypto: false, legacyDecryption: false });
+            expect(config.keyring).toEqual([{ id: '2024', secretKey: otherKey, active: true }]);
+        });
+
+        test('should freeze the merged configuration deeply', () => {
+            const config = loadConfig({ env: {}, overrides: { secretKey, developmentToken: 'token', errors: { format: 'json' } } });
+            expect(Object.isFrozen(config)).toBe(true);
+            expect(Object.isFrozen(config.errors)).toBe(true);
+            expect(() => {
+                config.errors.format = 'problem';
+            }).toThrow(TypeError);
+        });
+
+        test('should drop __proto__ and constructor keys when merging', () => {
+            const file = join(directory, 'config.json');
+            writeFileSync(file, `{ "secretKey": "${secretKey}", "__proto__": { "strictCrypto": true }, "errors": { "__proto__": { "includeStack": true } } }`);
+
+            const config = loadConfig({ file, env: {}, overrides: JSON.parse('{ "developmentToken": "token", "constructor": { "prototype": { "polluted": true } } }') });
+            expect(Object.getPrototypeOf(config)).toBe(Object.prototype);
+            expect(config.strictCrypto).toBe(false);
+            expect(config.errors?.includeStack).toBeUndefined();
+            expect(Object.keys(config)).not.toContain('constructor');
+            expect({}.polluted).toBeUndefined();
+        });
+
+        test('should name every invalid field', () => {
+            let error;
+            try {
+                loadConfig({ env: { MRA_SECRET_KEY: '1234567890abcdef', MRA_TIMEZONE: 'Mars/Olympus', MRA_STRICT_CRYPTO: 'maybe' } });
+            } catch (err) {
+                error = err;
+            }
+            expect(error).toBeInstanceOf(ConfigError);
+            expect(error.errors.map(item => item.path)).toEqual(['secretKey', 'timezone', 'strictCrypto', 'developmentToken']);
+            expect(error.message).toBe([
+                'Invalid configuration:',
+                '- secretKey: Must match the pattern ^[0-9a-fA-F]{64}$.',
+                '- timezone: Must be a valid timezone.',
+                '- strictCrypto: Must be of type boolean.',
+                '- developmentToken: Is required.'
+            ].join('\n'));
+            expect(() => getConfig()).toThrow('Configuration has not been set.');
+        });
+
+        test('should report unreadable files and invalid JSON', () => {
+            expect(() => loadConfig({ file: join(directory, 'missing.json'), env: {} })).toThrow(/^Cannot read the configuration file/);
+
+            const file = join(directory, 'config.json');
+            writeFileSync(file, '{ "secretKey": ');
+            expect(() => loadConfig({ file, env: {} })).toThrow(/^Invalid JSON in the configuration file/);
+            expect(() => loadConfig({ env: { MRA_KEYRING: 'not json' } })).toThrow('Invalid configuration: MRA_KEYRING in the environment must be valid JSON.');
+        });
+
+        test('should refuse to load the configuration twice', () => {
+            setConfig(globalConfig);
+            expect(() => loadConfig({ env: {} })).toThrow('Config has already been set.');
+        });
+    });
+
+    describe('validateConfig', () => {
+        test('should require a secretKey or a valid keyring', () => {
+            expect(() => validateConfig({ developmentToken: 'token' })).toThrow('- secretKey: Is required unless a keyring is provided.');
+
+            const keyring = [{ id: 'a', secretKey, active: true }, { id: 'a', secretKey: otherKey, active: true }];
+            const error = (() => {
+                try {
+                    validateConfig({ developmentToken: 'token', keyring });
+                } catch (err) {
+                    return err;
+                }
+            })();
+            expect(error.errors).toEqual([
+                { path: 'keyring', message: 'Key ids must be unique.' },
+                { path: 'keyring', message: 'Exactly one key must be marked as active.' }
+            ]);
+        });
+
+        test('should keep settings that are not in the schema', () => {
+            expect(validateConfig({ secretKey, developmentToken: 'token', featureFlags: { beta: true } })).toEqual({
+                secretKey,
+                developmentToken: 'token',
+                timezone: 'UTC',
+                strictCrypto: false,
+                legacyDecryption: false,
+                featureFlags: { beta: true }
+            });
+            expect(CONFIG_SCHEMA.properties.timezone.default).toBe('UTC');
+        });
+    });
+});
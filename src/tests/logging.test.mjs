@@ -0,0 +1,235 @@
+import express, { json } from 'express';
+import { mkdtemp, readFile, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Writable } from 'stream';
+import request from 'supertest';
+import * as configModule from '../config/config.mjs';
+import { consoleSink, fileSink, requestLogger } from '../utils/logging.mjs';
+
+// Collects log entries and lets a test wait until a number of them has been written
+const createMemorySink = () => {
+    const entries = [];
+    const waiters = [];
+    const sink = (entry) => {
+        entries.push(entry);
+        waiters.filter(waiter => entries.length >= waiter.count).forEach(waiter => waiter.resolve());
+    };
+    sink.entries = entries;
+    sink.waitFor = count => new Promise((resolve) => {
+        if (entries.length >= count) {
+            resolve();
+        } else {
+            waiters.push({ count, resolve });
+        }
+    });
+    return sink;
+};
+
+describe('Test logging', () => {
+
+    describe('requestLogger', () => {
+        let app;
+        let sink;
+
+        const createApp = (options) => {
+            app = express();
+            app.use(json());
+            app.use(requestLogger({ sink, ...options }));
+            app.post('/users', (req, res) => {
+                res.status(201).json({ id: 1, email: 'a@b.com', name: 'John' });
+            });
+            app.get('/health', (_, res) => {
+                res.send('ok');
+            });
+            app.get('/contact', (_, res) => {
+                res.type('text/plain').send('Contact john.doe@example.com');
+            });
+            app.get('/fail', (_, res) => {
+                res.status(500).send('error');
+            });
+            app.get('/file', (_, res) => {
+                res.type('application/octet-stream').send(Buffer.alloc(100));
+            });
+        };
+
+        beforeEach(() => {
+            sink = createMemorySink();
+        });
+
+        test('should log the sanitized request, status, duration and size', async () => {
+            createApp();
+            await request(app).post('/users').set('Authorization', 'Bearer x').send({ password: 'secret', name: 'John' });
+            await sink.waitFor(1);
+
+            const [entry] = sink.entries;
+            expect(entry.request.method).toBe('POST');
+            expect(entry.request.originalUrl).toBe('/users');
+            expect(entry.request.headers.authorization).toBe('****');
+            expect(entry.request.body).toEqual({ password: '****', name: 'John' });
+            expect(entry.response.statusCode).toBe(201);
+            expect(entry.response.size).toBe(Buffer.byteLength(JSON.stringify({ id: 1, email: 'a@b.com', name: 'John' })));
+            expect(entry.response.body).toBeUndefined();
+            expect(typeof entry.durationMs).toBe('number');
+            expect(entry.durationMs).toBeGreaterThanOrEqual(0);
+            expect(entry.aborted).toBe(false);
+            expect(new Date(entry.timestamp).toISOString()).toBe(entry.timestamp);
+        });
+
+        test('should log the redacted response body when enabled', async () => {
+            createApp({ responseBody: true });
+            await request(app).post('/users').send({});
+            await request(app).get('/health');
+            await request(app).get('/file');
+            await sink.waitFor(3);
+
+            expect(sink.entries[0].response.body).toEqual({ id: 1, email: '****', name: 'John' });
+            expect(sink.entries[1].response.body).toBe('[text: 2 bytes]');
+            expect(sink.entries[2].response.body).toBe('[binary: 100 bytes]');
+        });
+
+        test('should not capture response bodies beyond maxBodyBytes', async () => {
+            createApp({ responseBody: true, maxBodyBytes: 10 });
+            await request(app).post('/users').send({});
+            await sink.waitFor(1);
+
+            expect(sink.entries[0].response.body).toBe('[truncated: more than 0 bytes]');
+            expect(sink.entries[0].response.size).toBeGreaterThan(10);
+        });
+
+        test('should apply per-route sampling rules', async () => {
+            createApp({ sampling: [{ path: '/health', rate: 0 }] });
+            await request(app).get('/health');
+            await request(app).post('/users').send({});
+            await sink.waitFor(1);
+
+            expect(sink.entries).toHaveLength(1);
+            expect(sink.entries[0].request.originalUrl).toBe('/users');
+        });
+
+        test('should match sampling rules by RegExp and method', async () => {
+            createApp({ sampleRate: 0, sampling: [{ path: /^\/us/, method: 'post', rate: 1 }] });
+            await request(app).get('/health');
+            await request(app).post('/users').send({});
+            await sink.waitFor(1);
+
+            expect(sink.entries.map(entry => entry.request.originalUrl)).toEqual(['/users']);
+        });
+
+        test('should always log server errors unless disabled', async () => {
+            createApp({ sampleRate: 0 });
+            await request(app).get('/fail');
+            await sink.waitFor(1);
+            expect(sink.entries[0].response.statusCode).toBe(500);
+
+            sink = createMemorySink();
+            createApp({ sampleRate: 0, alwaysLogErrors: false });
+            await request(app).get('/fail');
+            await request(app).get('/health');
+            expect(sink.entries).toHaveLength(0);
+        });
+
+        test('should accept an object sink and report sink failures to onError', async () => {
+            const onError = jest.fn();
+            const failure = new Error('sink failed');
+            sink = { write: jest.fn().mockRejectedValue(failure) };
+            createApp({ onError });
+
+            const response = await request(app).get('/health');
+            expect(response.status).toBe(200);
+
+            await new Promise(resolve => setImmediate(resolve));
+            expect(sink.write).toHaveBeenCalledTimes(1);
+            expect(onError).toHaveBeenCalledWith(failure);
+        });
+
+        test('should log a placeholder instead of text bodies', async () => {
+            createApp({ responseBody: true });
+            await request(app).get('/contact');
+            await sink.waitFor(1);
+
+            expect(sink.entries[0].response.body).toBe('[text: 28 bytes]');
+            expect(JSON.stringify(sink.entries[0])).not.toContain('john.doe@example.com');
+        });
+
+        test('should throw for an invalid redaction policy when created', () => {
+            expect(() => requestLogger({ redaction: { rules: [{ detector: 'phone' }] } })).toThrow('Unknown redaction detector "phone".');
+            expect(() => requestLogger({ redaction: { mask: 'scramble' } })).toThrow('Unknown redaction mask strategy "scramble".');
+        });
+
+        test('should report entries that cannot be built to onError', async () => {
+            const onError = jest.fn();
+            const config = configModule.getConfig();
+            const spy = jest.spyOn(configModule, 'getConfig').mockReturnValue({ ...config, redaction: { data: { rules: [{ detector: 'nope' }] } } });
+            try {
+                createApp({ responseBody: true, onError });
+                const response = await request(app).post('/users').send({});
+                expect(response.status).toBe(201);
+
+                await new Promise(resolve => setImmediate(resolve));
+                expect(sink.entries).toHaveLength(0);
+                expect(onError).toHaveBeenCalledWith(new Error('Unknown redaction detector "nope".'));
+            } finally {
+                spy.mockRestore();
+            }
+        });
+    });
+
+    describe('consoleSink', () => {
+        test('should write one JSON line per entry', () => {
+            const lines = [];
+            const stream = new Writable({
+                write(chunk, encoding, callback) {
+                    lines.push(chunk.toString());
+                    callback();
+                }
+            });
+
+            const sink = consoleSink({ stream });
+            sink.write({ a: 1 });
+            sink.write({ b: 2 });
+
+            expect(lines).toEqual(['{"a":1}\n', '{"b":2}\n']);
+        });
+    });
+
+    describe('fileSink', () => {
+        let directory;
+
+        beforeEach(async () => {
+            directory = await mkdtemp(join(tmpdir(), 'mra-utils-logs-'));
+        });
+
+        afterEach(async () => {
+            await rm(directory, { recursive: true, force: true });
+        });
+
+        test('should append JSON lines to the file', async () => {
+            const path = join(directory, 'requests.log');
+            const sink = fileSink({ path });
+            sink.write({ a: 1 });
+            sink.write({ b: 2 });
+            await sink.flush();
+
+            expect(await readFile(path, 'utf-8')).toBe('{"a":1}\n{"b":2}\n');
+        });
+
+        test('should rotate the file by size and keep maxFiles rotated files', async () => {
+            const path = join(directory, 'requests.log');
+            const sink = fileSink({ path, maxBytes: 20, maxFiles: 2 });
+            for (let index = 0; index < 5; index++) {
+                sink.write({ index });
+            }
+            await sink.flush();
+
+            expect((await readdir(directory)).sort()).toEqual(['requests.log', 'requests.log.1', 'requests.log.2']);
+            expect(await readFile(path, 'utf-8')).toBe('{"index":4}\n');
+            expect(await readFile(`${path}.1`, 'utf-8')).toBe('{"index":3}\n');
+            expect(await readFile(`${path}.2`, 'utf-8')).toBe('{"index":2}\n');
+        });
+
+        test('should require a path', () => {
+            expect(() => fileSink()).toThrow('fileSink requires a path.');
+        });
+    });
+});
@@ -1,5 +1,7 @@
+import * as configModule from '../config/config.mjs';
 import { getConfig } from '../config/config.mjs';
-import { getCreptoConfig, isEmptyObject, sleep } from '../utils/miscellaneous.mjs';
+import { TimeoutError } from '../utils/errors.mjs';
+import { createPathMatcher, formatPath, getCreptoConfig, isEmptyObject, retry, sleep, transformDeep, withTimeout } from '../utils/miscellaneous.mjs';
 
 describe('Test functions in miscellaneous', () => {
 
@@ -34,6 +36,135 @@ describe('Test functions in miscellaneous', () => {
 
             jest.useFakeTimers(); // Switch back to fake timers if needed for other tests
         });
+
+        it('should reject with the abort reason when the signal is aborted', async () => {
+            const controller = new AbortController();
+            const sleepPromise = sleep(1000, { signal: controller.signal });
+            controller.abort(new Error('Cancelled.'));
+            await expect(sleepPromise).rejects.toThrow('Cancelled.');
+            expect(jest.getTimerCount()).toBe(0);
+
+            await expect(sleep(1000, { signal: AbortSignal.abort() })).rejects.toMatchObject({ name: 'AbortError' });
+        });
+    });
+
+    describe('withTimeout', () => {
+        beforeEach(() => {
+            jest.useFakeTimers();
+        });
+
+        test('should resolve with the result of an operation that settles in time', async () => {
+            const promise = withTimeout(sleep(100).then(() => 'done'), 200);
+            await jest.advanceTimersByTimeAsync(100);
+            await expect(promise).resolves.toBe('done');
+            expect(jest.getTimerCount()).toBe(0);
+
+            await expect(withTimeout(Promise.reject(new Error('Failed.')), 200)).rejects.toThrow('Failed.');
+        });
+
+        test('should reject with a TimeoutError and abort the operation', async () => {
+            let operationSignal;
+            const promise = withTimeout((signal) => {
+                operationSignal = signal;
+                return sleep(1000, { signal });
+            }, 200);
+            const expectation = expect(promise).rejects.toThrow(new TimeoutError('Operation timed out after 200 ms.', 200));
+
+            await jest.advanceTimersByTimeAsync(200);
+            await expectation;
+            await expect(promise).rejects.toMatchObject({ name: 'TimeoutError', timeout: 200 });
+            expect(operationSignal.aborted).toBe(true);
+            expect(jest.getTimerCount()).toBe(0);
+        });
+
+        test('should stop waiting when the signal is aborted', async () => {
+            const controller = new AbortController();
+            const promise = withTimeout(new Promise(() => { }), 200, { signal: controller.signal, message: 'Too slow.' });
+            controller.abort(new Error('Client disconnected.'));
+            await expect(promise).rejects.toThrow('Client disconnected.');
+
+            const operation = jest.fn();
+            await expect(withTimeout(operation, 200, { signal: AbortSignal.abort() })).rejects.toMatchObject({ name: 'AbortError' });
+            expect(operation).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('retry', () => {
+        beforeEach(() => {
+            jest.useFakeTimers();
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('should retry with exponential backoff until the function succeeds', async () => {
+            const fn = jest.fn()
+                .mockRejectedValueOnce(new Error('First.'))
+                .mockRejectedValueOnce(new Error('Second.'))
+                .mockResolvedValue('ok');
+            const onRetry = jest.fn();
+            const promise = retry(fn, { delay: 100, onRetry });
+
+            await jest.advanceTimersByTimeAsync(99);
+            expect(fn).toHaveBeenCalledTimes(1);
+            await jest.advanceTimersByTimeAsync(1);
+            expect(fn).toHaveBeenCalledTimes(2);
+            await jest.advanceTimersByTimeAsync(200);
+            await expect(promise).resolves.toBe('ok');
+
+            expect(fn.mock.calls).toEqual([[1], [2], [3]]);
+            expect(onRetry.mock.calls).toEqual([[new Error('First.'), 1, 100], [new Error('Second.'), 2, 200]]);
+        });
+
+        test('should throw the last error when the retries are exhausted', async () => {
+            let attempts = 0;
+            const promise = retry(() => {
+                attempts++;
+                throw new Error(`Attempt ${attempts} failed.`);
+            }, { retries: 2, delay: 10 });
+            const expectation = expect(promise).rejects.toThrow('Attempt 3 failed.');
+
+            await jest.advanceTimersByTimeAsync(30);
+            await expectation;
+            expect(attempts).toBe(3);
+        });
+
+        test('should only retry the errors selected by retryIf', async () => {
+            const fn = jest.fn().mockRejectedValue(new TypeError('Bad input.'));
+            const retryIf = jest.fn(err => !(err instanceof TypeError));
+            await expect(retry(fn, { retryIf })).rejects.toThrow('Bad input.');
+            expect(fn).toHaveBeenCalledTimes(1);
+            expect(retryIf).toHaveBeenCalledWith(new TypeError('Bad input.'), 1);
+        });
+
+        test('should cap the delay and apply jitter', async () => {
+            jest.spyOn(Math, 'random').mockReturnValue(1);
+            const onRetry = jest.fn();
+            const promise = retry(() => Promise.reject(new Error('Down.')), { retries: 4, delay: 100, factor: 3, maxDelay: 1000, jitter: 0.5, onRetry });
+            const expectation = expect(promise).rejects.toThrow('Down.');
+
+            await jest.advanceTimersByTimeAsync(10000);
+            await expectation;
+            expect(onRetry.mock.calls.map(call => call[2])).toEqual([50, 150, 450, 500]);
+        });
+
+        test('should stop retrying when the signal is aborted', async () => {
+            const controller = new AbortController();
+            const fn = jest.fn().mockRejectedValue(new Error('Down.'));
+            const promise = retry(fn, { delay: 1000, signal: controller.signal });
+            const expectation = expect(promise).rejects.toThrow('Stopped.');
+
+            await jest.advanceTimersByTimeAsync(500);
+            controller.abort(new Error('Stopped.'));
+            await expectation;
+            expect(fn).toHaveBeenCalledTimes(1);
+        });
+
+        test('should reject invalid options', async () => {
+            await expect(retry(jest.fn(), { retries: -1 })).rejects.toThrow(new RangeError('retries must be a non-negative integer.'));
+            await expect(retry(jest.fn(), { jitter: 2 })).rejects.toThrow(new RangeError('jitter must be a number from 0 to 1.'));
+        });
     });
 
 
@@ -86,9 +217,165 @@ describe('Test functions in miscellaneous', () => {
 
             // Assert: Verify the configuration
             expect(config).toEqual({
-                algorithm: 'aes-256-ctr',
+                algorithm: 'aes-256-gcm',
+                legacyAlgorithm: 'aes-256-ctr',
+                keyId: 'default',
                 secretKey: Buffer.from(originalConfig.secretKey, 'hex')
             });
         });
+
+        describe('with a keyring', () => {
+            const keyring = [
+                { id: 'old', secretKey: '00'.repeat(32) },
+                { id: 'new', secretKey: 'ff'.repeat(32), active: true }
+            ];
+            let getConfigSpy;
+
+            beforeEach(() => {
+                getConfigSpy = jest.spyOn(configModule, 'getConfig').mockReturnValue({ ...getConfig(), keyring });
+            });
+
+            afterEach(() => {
+                getConfigSpy.mockRestore();
+            });
+
+            test('should return the active key when no key ID is given', () => {
+                const config = getCreptoConfig();
+                expect(config.keyId).toBe('new');
+                expect(config.secretKey).toEqual(Buffer.from('ff'.repeat(32), 'hex'));
+            });
+
+            test('should return the key matching the given key ID', () => {
+                const config = getCreptoConfig('old');
+                expect(config.keyId).toBe('old');
+                expect(config.secretKey).toEqual(Buffer.from('00'.repeat(32), 'hex'));
+            });
+
+            test('should throw for an unknown key ID', () => {
+                expect(() => getCreptoConfig('missing')).toThrow('Key "missing" is not defined in the configured keyring.');
+            });
+        });
+    });
+
+    describe('createPathMatcher', () => {
+        test('should match bare property names at any depth', () => {
+            const matches = createPathMatcher(['email']);
+            expect(matches(['email'])).toBe(true);
+            expect(matches(['user', 'email'])).toBe(true);
+            expect(matches(['users', 3, 'email'])).toBe(true);
+            expect(matches(['emailAddress'])).toBe(false);
+        });
+
+        test('should anchor dot paths at the root', () => {
+            const matches = createPathMatcher(['user.email']);
+            expect(matches(['user', 'email'])).toBe(true);
+            expect(matches(['auditLog', 'user', 'email'])).toBe(false);
+        });
+
+        test('should distinguish array indices from property names', () => {
+            expect(createPathMatcher(['contacts[*].phone'])(['contacts', 0, 'phone'])).toBe(true);
+            expect(createPathMatcher(['contacts[*].phone'])(['contacts', 'home', 'phone'])).toBe(false);
+            expect(createPathMatcher(['contacts.*.phone'])(['contacts', 'home', 'phone'])).toBe(true);
+            expect(createPathMatcher(['contacts[2].phone'])(['contacts', 1, 'phone'])).toBe(false);
+        });
+
+        test('should let globstars match zero or more segments', () => {
+            const matches = createPathMatcher(['**.ssn']);
+            expect(matches(['ssn'])).toBe(true);
+            expect(matches(['a', 0, 'b', 'ssn'])).toBe(true);
+        });
+
+        test('should apply exclusions after inclusions', () => {
+            const matches = createPathMatcher(['**.email', '!auditLog.**']);
+            expect(matches(['user', 'email'])).toBe(true);
+            expect(matches(['auditLog', 'actor', 'email'])).toBe(false);
+        });
+
+        test('should throw for malformed selectors', () => {
+            expect(() => createPathMatcher(['a..b'])).toThrow('Invalid path selector "a..b".');
+            expect(() => createPathMatcher(['contacts[x]'])).toThrow();
+            expect(() => createPathMatcher([''])).toThrow();
+        });
+    });
+
+    describe('formatPath', () => {
+        test('should format keys with dots and indices with brackets', () => {
+            expect(formatPath(['contacts', 0, 'email'])).toBe('contacts[0].email');
+            expect(formatPath([1, 'name'])).toBe('[1].name');
+            expect(formatPath([])).toBe('');
+        });
+    });
+
+    describe('transformDeep', () => {
+        test('should copy circular and shared references once', () => {
+            const shared = { name: 'shared' };
+            const obj = { a: shared, b: shared, list: [shared] };
+            obj.self = obj;
+            obj.list.push(obj.list);
+
+            const copy = transformDeep(obj);
+            expect(copy).not.toBe(obj);
+            expect(copy.self).toBe(copy);
+            expect(copy.a).not.toBe(shared);
+            expect(copy.b).toBe(copy.a);
+            expect(copy.list[0]).toBe(copy.a);
+            expect(copy.list[1]).toBe(copy.list);
+        });
+
+        test('should keep special values and copy Maps, Sets and class instances', () => {
+            class Money {
+                constructor(amount) {
+                    this.amount = amount;
+                }
+                toJSON() {
+                    return { amount: String(this.amount) };
+                }
+            }
+            class Point {
+                constructor() {
+                    this.x = 1;
+                }
+            }
+            const values = {
+                buffer: Buffer.from('abc'),
+                bytes: new Uint8Array([1, 2]),
+                date: new Date(0),
+                pattern: /a/g,
+                big: 10n,
+                error: new Error('x')
+            };
+            const copy = transformDeep({ ...values, map: new Map([['k', { v: 1 }]]), set: new Set([1, { v: 2 }]), money: new Money(5), point: new Point() });
+
+            for (const key of Object.keys(values)) {
+                expect(copy[key]).toBe(values[key]);
+            }
+            expect(copy.map).toEqual(new Map([['k', { v: 1 }]]));
+            expect(copy.set).toEqual(new Set([1, { v: 2 }]));
+            expect(copy.money).toEqual({ amount: '5' });
+            expect(Object.getPrototypeOf(copy.point)).toBe(Object.prototype);
+        });
+
+        test('should rename and replace entries', () => {
+            const copy = transformDeep({ a: { secret: 1, b: 2 }, items: [{ secret: 3 }] }, (key, _, path) => {
+                if (key === 'secret') {
+                    return { value: `masked at ${formatPath(path)}` };
+                }
+                return key === 'b' ? { key: 'B' } : undefined;
+            });
+            expect(copy).toEqual({ a: { secret: 'masked at a.secret', B: 2 }, items: [{ secret: 'masked at items[0].secret' }] });
+        });
+
+        test('should not let a __proto__ key replace the prototype', () => {
+            const copy = transformDeep(JSON.parse('{"__proto__": {"isAdmin": true}}'));
+            expect(copy.isAdmin).toBeUndefined();
+            expect(Object.keys(copy)).toEqual(['__proto__']);
+        });
+
+        test('should limit the depth', () => {
+            const deep = { a: { b: { c: {} } } };
+            expect(() => transformDeep(deep, undefined, { maxDepth: 2 })).toThrow('Maximum depth of 2 exceeded at "a.b".');
+            expect(transformDeep(deep, undefined, { maxDepth: 2, onMaxDepth: () => '...' })).toEqual({ a: { b: '...' } });
+            expect(transformDeep(deep, undefined, { maxDepth: 4 })).toEqual(deep);
+        });
     });
 });
@@ -0,0 +1,297 @@
+import { promises as dns } from 'dns';
+import { createServer } from 'http';
+import { checkUrls, inspectUrl, isPrivateAddress } from '../utils/network.mjs';
+import { memoryStore } from '../utils/stores.mjs';
+
+describe('Test network', () => {
+
+    describe('isPrivateAddress', () => {
+        test('should detect non-public IPv4 and IPv6 addresses', () => {
+            for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', 'not-an-ip']) {
+                expect(isPrivateAddress(address)).toBe(true);
+            }
+            for (const address of ['93.184.215.14', '8.8.8.8', '172.32.0.1', '2606:4700::1111', '::ffff:8.8.8.8']) {
+                expect(isPrivateAddress(address)).toBe(false);
+            }
+        });
+
+        test('should detect IPv6 addresses that embed an IPv4 address, and site-local addresses', () => {
+            for (const address of ['64:ff9b::a9fe:a9fe', '2002:a9fe:a9fe::1', '::127.0.0.1', '::a9fe:a9fe', 'fec0::1']) {
+                expect(isPrivateAddress(address)).toBe(true);
+            }
+        });
+    });
+
+    describe('inspectUrl', () => {
+        let server;
+        let port;
+        let baseUrl;
+        let handler;
+        let lookupSpy;
+        // The local test server is only reachable when loopback is explicitly allowed
+        const localOptions = () => ({ allowedAddresses: ['127.0.0.1'], allowedPorts: [port] });
+
+        beforeAll(async () => {
+            server = createServer((req, res) => handler(req, res));
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            port = server.address().port;
+            baseUrl = `http://127.0.0.1:${port}`;
+        });
+
+        afterAll(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        beforeEach(() => {
+            handler = (_, res) => {
+                res.setHeader('Content-Type', 'image/png');
+                res.end();
+            };
+        });
+
+        afterEach(() => {
+            lookupSpy?.mockRestore();
+            lookupSpy = undefined;
+        });
+
+        test('should return the details of an accessible URL', async () => {
+            await expect(inspectUrl(`${baseUrl}/avatar.png`, localOptions())).resolves.toEqual({
+                ok: true,
+                status: 200,
+                finalUrl: `${baseUrl}/avatar.png`,
+                contentType: 'image/png',
+                contentLength: null,
+                firstBytes: null,
+                reason: null
+            });
+        });
+
+        test('should refuse internal addresses, protocols and ports that are not allowed', async () => {
+            expect((await inspectUrl(`${baseUrl}/`, { allowedPorts: [port] })).reason).toBe('PRIVATE_ADDRESS');
+            expect((await inspectUrl('http://169.254.169.254/latest/meta-data/')).reason).toBe('PRIVATE_ADDRESS');
+            expect((await inspectUrl('http://[::ffff:127.0.0.1]/')).reason).toBe('PRIVATE_ADDRESS');
+            expect((await inspectUrl('file:///etc/passwd')).reason).toBe('PROTOCOL_NOT_ALLOWED');
+            expect((await inspectUrl('ftp://example.com/')).reason).toBe('PROTOCOL_NOT_ALLOWED');
+            expect((await inspectUrl('http://example.com:22/')).reason).toBe('PORT_NOT_ALLOWED');
+            expect((await inspectUrl('not a url')).reason).toBe('INVALID_URL');
+        });
+
+        test('should refuse hosts that resolve to an internal address', async () => {
+            lookupSpy = jest.spyOn(dns, 'lookup').mockResolvedValue([{ address: '93.184.215.14', family: 4 }, { address: '10.0.0.5', family: 4 }]);
+            const result = await inspectUrl('http://internal.example.test/');
+            expect(result.reason).toBe('PRIVATE_ADDRESS');
+            expect(lookupSpy).toHaveBeenCalledWith('internal.example.test', { all: true, verbatim: true });
+        });
+
+        test('should connect to the address that was checked', async () => {
+            let host;
+            handler = (req, res) => {
+                host = req.headers.host;
+                res.end();
+            };
+            lookupSpy = jest.spyOn(dns, 'lookup').mockResolvedValue([{ address: '127.0.0.1', family: 4 }]);
+
+            const result = await inspectUrl(`http://pinned.example.test:${port}/`, localOptions());
+            expect(result.ok).toBe(true);
+            expect(host).toBe(`pinned.example.test:${port}`);
+            // The name is resolved once, for the check
+            expect(lookupSpy).toHaveBeenCalledTimes(1);
+        });
+
+        test('should check every redirect target', async () => {
+            handler = (req, res) => {
+                const targets = { '/to-metadata': 'http://169.254.169.254/', '/to-local': '/final', '/final': null };
+                const target = targets[req.url];
+                if (target) {
+                    res.writeHead(302, { Location: target });
+                } else {
+                    res.setHeader('Content-Type', 'text/plain');
+                }
+                res.end();
+            };
+
+            await expect(inspectUrl(`${baseUrl}/to-metadata`, { ...localOptions(), allowedPorts: [port, 80] })).resolves.toEqual({
+                ok: false,
+                status: 302,
+                finalUrl: 'http://169.254.169.254/',
+                contentType: null,
+                contentLength: null,
+                firstBytes: null,
+                reason: 'PRIVATE_ADDRESS'
+            });
+            const followed = await inspectUrl(`${baseUrl}/to-local`, localOptions());
+            expect(followed).toMatchObject({ ok: true, status: 200, finalUrl: `${baseUrl}/final`, contentType: 'text/plain' });
+        });
+
+        test('should stop after too many redirects', async () => {
+            handler = (_, res) => {
+                res.writeHead(301, { Location: '/loop' });
+                res.end();
+            };
+            const result = await inspectUrl(`${baseUrl}/`, { ...localOptions(), maxRedirects: 2 });
+            expect(result).toMatchObject({ ok: false, status: 301, reason: 'TOO_MANY_REDIRECTS' });
+        });
+
+        test('should report HTTP errors and fall back to GET when HEAD is not allowed', async () => {
+            const methods = [];
+            handler = (req, res) => {
+                methods.push(req.method);
+                res.statusCode = req.url === '/missing' ? 404 : req.method === 'HEAD' ? 405 : 200;
+                res.end('body');
+            };
+
+            expect(await inspectUrl(`${baseUrl}/missing`, localOptions())).toMatchObject({ ok: false, status: 404, reason: 'HTTP_ERROR' });
+            methods.length = 0;
+            expect(await inspectUrl(`${baseUrl}/`, localOptions())).toMatchObject({ ok: true, status: 200 });
+            expect(methods).toEqual(['HEAD', 'GET']);
+        });
+
+        test('should read the first bytes with a ranged GET when sniffing', async () => {
+            const ranges = [];
+            handler = (req, res) => {
+                if (req.method === 'HEAD') {
+                    res.statusCode = 405;
+                    return res.end();
+                }
+                ranges.push(req.headers.range);
+                res.writeHead(206, { 'Content-Range': 'bytes 0-3/5000', 'Content-Type': 'application/octet-stream' });
+                res.end('%PDF');
+            };
+
+            const result = await inspectUrl(`${baseUrl}/file`, { ...localOptions(), sniffBytes: 4 });
+            expect(result).toMatchObject({ ok: true, status: 206, contentLength: 5000 });
+            expect(result.firstBytes).toEqual(Buffer.from('%PDF'));
+            expect(ranges).toEqual(['bytes=0-3']);
+        });
+
+        test('should time out slow servers', async () => {
+            handler = () => {};
+            const result = await inspectUrl(`${baseUrl}/`, { ...localOptions(), timeoutMs: 100 });
+            expect(result).toMatchObject({ ok: false, status: null, reason: 'TIMEOUT' });
+        });
+
+        test('should reject invalid allowed addresses', async () => {
+            await expect(inspectUrl(`${baseUrl}/`, { allowedAddresses: ['intranet'] })).rejects.toThrow('Invalid allowed address "intranet".');
+        });
+    });
+
+    describe('checkUrls', () => {
+        let server;
+        let port;
+        let handler;
+        let lookupSpy;
+        let options;
+        const urlOf = (host, path = '/') => `http://${host}:${port}${path}`;
+
+        beforeAll(async () => {
+            server = createServer((req, res) => handler(req, res));
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            port = server.address().port;
+            options = { allowedAddresses: ['127.0.0.1'], allowedPorts: [port], backoff: 1 };
+        });
+
+        afterAll(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        beforeEach(() => {
+            // Every test host is served by the local server
+            lookupSpy = jest.spyOn(dns, 'lookup').mockResolvedValue([{ address: '127.0.0.1', family: 4 }]);
+        });
+
+        afterEach(() => {
+            lookupSpy.mockRestore();
+        });
+
+        test('should return the result of each URL in order', async () => {
+            handler = (req, res) => {
+                res.statusCode = req.url === '/missing' ? 404 : 200;
+                res.end();
+            };
+            const results = await checkUrls([urlOf('a.test'), urlOf('a.test', '/missing'), 'not a url'], options);
+            expect(results.map(result => [result.url, result.ok, result.reason, result.attempts])).toEqual([
+                [urlOf('a.test'), true, null, 1],
+                [urlOf('a.test', '/missing'), false, 'HTTP_ERROR', 1],
+                ['not a url', false, 'INVALID_URL', 1]
+            ]);
+        });
+
+        test('should limit the requests in flight overall and per host', async () => {
+            const active = { total: 0, hosts: {} };
+            const peak = { total: 0, hosts: {} };
+            handler = (req, res) => {
+                const host = req.headers.host;
+                active.total++;
+                active.hosts[host] = (active.hosts[host] || 0) + 1;
+                peak.total = Math.max(peak.total, active.total);
+                peak.hosts[host] = Math.max(peak.hosts[host] || 0, active.hosts[host]);
+                setTimeout(() => {
+                    active.total--;
+                    active.hosts[host]--;
+                    res.end();
+                }, 20);
+            };
+            const urls = [];
+            for (let i = 0; i < 6; i++) {
+                urls.push(urlOf('a.test', `/${i}`), urlOf('b.test', `/${i}`), urlOf('c.test', `/${i}`));
+            }
+
+            const results = await checkUrls(urls, { ...options, concurrency: 4, perHostConcurrency: 2 });
+            expect(results.every(result => result.ok)).toBe(true);
+            expect(peak.total).toBeLessThanOrEqual(4);
+            expect(Math.max(...Object.values(peak.hosts))).toBeLessThanOrEqual(2);
+        });
+
+        test('should retry transient failures only', async () => {
+            const counts = {};
+            handler = (req, res) => {
+                counts[req.url] = (counts[req.url] || 0) + 1;
+                if (req.url === '/flaky') {
+                    res.statusCode = counts[req.url] < 3 ? 503 : 200;
+                } else if (req.url === '/down') {
+                    res.statusCode = 502;
+                } else {
+                    res.statusCode = 404;
+                }
+                res.end();
+            };
+
+            const [flaky, down, missing] = await checkUrls([urlOf('a.test', '/flaky'), urlOf('a.test', '/down'), urlOf('a.test', '/missing')], options);
+            expect(flaky).toMatchObject({ ok: true, attempts: 3 });
+            expect(down).toMatchObject({ ok: false, status: 502, attempts: 3 });
+            expect(missing).toMatchObject({ ok: false, status: 404, attempts: 1 });
+        });
+
+        test('should check each URL once while it is cached', async () => {
+            let count = 0;
+            handler = (_, res) => {
+                count++;
+                res.end();
+            };
+            const cache = memoryStore();
+            const url = urlOf('a.test');
+
+            const results = await checkUrls([url, url, url], { ...options, cache });
+            expect(results).toHaveLength(3);
+            expect(count).toBe(1);
+
+            await checkUrls([url], { ...options, cache });
+            expect(count).toBe(1);
+            // Expired results are checked again
+            const other = urlOf('b.test');
+            await checkUrls([other], { ...options, cache, cacheTtl: 0 });
+            await checkUrls([other], { ...options, cache, cacheTtl: 0 });
+            expect(count).toBe(3);
+        });
+
+        test('should not reuse results cached with other inspection options', async () => {
+            handler = (_, res) => res.end();
+            const cache = memoryStore();
+            const url = urlOf('a.test');
+
+            expect((await checkUrls([url], { ...options, cache }))[0].ok).toBe(true);
+            const [result] = await checkUrls([url], { allowedPorts: [port], cache });
+            expect(result).toMatchObject({ ok: false, reason: 'PRIVATE_ADDRESS' });
+        });
+    });
+});
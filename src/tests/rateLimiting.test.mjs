@@ -0,0 +1,189 @@
+import express from 'express';
+import request from 'supertest';
+import { rateLimiter } from '../utils/rateLimiting.mjs';
+
+describe('Test rateLimiting', () => {
+
+    let now;
+    let dateNowSpy;
+
+    // Creates an app with a single rate-limited route
+    const createApp = (options, setup) => {
+        const app = express();
+        if (setup) {
+            app.use(setup);
+        }
+        app.use(rateLimiter(options));
+        app.get('/', (_, res) => res.json({ ok: true }));
+        return app;
+    };
+
+    beforeEach(() => {
+        now = 1700000000000;
+        dateNowSpy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+        dateNowSpy.mockRestore();
+    });
+
+    describe('rateLimiter with the fixed-window algorithm', () => {
+        test('should allow requests up to the limit and send RateLimit headers', async () => {
+            const app = createApp({ limit: 2, windowMs: 60000 });
+
+            const first = await request(app).get('/');
+            expect(first.status).toBe(200);
+            expect(first.headers['ratelimit-limit']).toBe('2');
+            expect(first.headers['ratelimit-remaining']).toBe('1');
+            expect(first.headers['ratelimit-reset']).toBe('60');
+            expect(first.headers['ratelimit-policy']).toBe('2;w=60');
+
+            now += 10000;
+            const second = await request(app).get('/');
+            expect(second.status).toBe(200);
+            expect(second.headers['ratelimit-remaining']).toBe('0');
+            expect(second.headers['ratelimit-reset']).toBe('50');
+        });
+
+        test('should reject requests over the limit with a 429 error', async () => {
+            const app = createApp({ limit: 1, windowMs: 60000 });
+            await request(app).get('/');
+
+            const response = await request(app).get('/');
+            expect(response.status).toBe(429);
+            expect(response.headers['retry-after']).toBe('60');
+            expect(response.body).toEqual({
+                error: { status: 429, code: 'TOO_MANY_REQUESTS', message: 'Too many requests, please try again later.' }
+            });
+        });
+
+        test('should reset the count in the next window', async () => {
+            const app = createApp({ limit: 1, windowMs: 60000 });
+            await request(app).get('/');
+            expect((await request(app).get('/')).status).toBe(429);
+
+            now += 60000;
+            expect((await request(app).get('/')).status).toBe(200);
+        });
+    });
+
+    describe('rateLimiter with the token-bucket algorithm', () => {
+        test('should allow a burst and refill tokens over time', async () => {
+            const app = createApp({ algorithm: 'token-bucket', limit: 3, windowMs: 3000 });
+
+            for (let i = 0; i < 3; i++) {
+                expect((await request(app).get('/')).status).toBe(200);
+            }
+            const limited = await request(app).get('/');
+            expect(limited.status).toBe(429);
+            expect(limited.headers['ratelimit-remaining']).toBe('0');
+            expect(limited.headers['retry-after']).toBe('1');
+
+            // One token is refilled per second
+            now += 1000;
+            const refilled = await request(app).get('/');
+            expect(refilled.status).toBe(200);
+            expect(refilled.headers['ratelimit-remaining']).toBe('0');
+            expect((await request(app).get('/')).status).toBe(429);
+        });
+    });
+
+    describe('rateLimiter keys', () => {
+        test('should limit users separately when keyed by user', async () => {
+            const app = createApp({ limit: 1, keyBy: 'user' }, (req, _, next) => {
+                req.user = { id: req.headers['x-user'] };
+                next();
+            });
+
+            expect((await request(app).get('/').set('x-user', 'a')).status).toBe(200);
+            expect((await request(app).get('/').set('x-user', 'a')).status).toBe(429);
+            expect((await request(app).get('/').set('x-user', 'b')).status).toBe(200);
+        });
+
+        test('should support a custom key function', async () => {
+            const app = createApp({ limit: 1, keyBy: req => req.headers['x-api-client'] });
+
+            expect((await request(app).get('/').set('x-api-client', 'one')).status).toBe(200);
+            expect((await request(app).get('/').set('x-api-client', 'two')).status).toBe(200);
+            expect((await request(app).get('/').set('x-api-client', 'one')).status).toBe(429);
+        });
+    });
+
+    describe('rateLimiter development token', () => {
+        test('should bypass the limit with a valid development token', async () => {
+            const app = createApp({ limit: 1 });
+            await request(app).get('/');
+
+            const response = await request(app).get('/').set('x-development-token', 'IgnoreRateLimit_2004');
+            expect(response.status).toBe(200);
+            expect(response.headers['ratelimit-limit']).toBeUndefined();
+        });
+
+        test('should not bypass the limit with an invalid token or when disabled', async () => {
+            const app = createApp({ limit: 1 });
+            await request(app).get('/');
+            expect((await request(app).get('/').set('x-development-token', 'IgnoreRateLimit_2005')).status).toBe(429);
+            expect((await request(app).get('/').set('x-development-token', 'short')).status).toBe(429);
+
+            const strictApp = createApp({ limit: 1, allowDevelopmentToken: false });
+            await request(strictApp).get('/');
+            expect((await request(strictApp).get('/').set('x-development-token', 'IgnoreRateLimit_2004')).status).toBe(429);
+        });
+    });
+
+    describe('rateLimiter stores', () => {
+        test('should work with an asynchronous store adapter', async () => {
+            const data = new Map();
+            const ttls = new Map();
+            const store = {
+                update: jest.fn(async (key, updater) => {
+                    const { value, ttlMs } = updater(data.get(key));
+                    data.set(key, value);
+                    ttls.set(key, ttlMs);
+                    return value;
+                })
+            };
+            const app = createApp({ limit: 1, store, prefix: 'test:' });
+
+            expect((await request(app).get('/')).status).toBe(200);
+            expect((await request(app).get('/')).status).toBe(429);
+            expect(store.update).toHaveBeenCalledWith(expect.stringMatching(/^test:ip:/), expect.any(Function));
+            const [key] = data.keys();
+            expect(data.get(key)).toEqual({ count: 2, resetAt: now + 60000 });
+            expect(ttls.get(key)).toBe(60000);
+        });
+
+        test('should use the outcome of the last updater call of a retrying store', async () => {
+            const data = new Map();
+            // Simulates an optimistic store whose first attempt loses a race against another request
+            const store = {
+                update: async (key, updater) => {
+                    updater(data.get(key));
+                    data.set(key, { count: 1, resetAt: now + 60000 });
+                    const { value } = updater(data.get(key));
+                    data.set(key, value);
+                    return value;
+                }
+            };
+            const response = await request(createApp({ limit: 1, store })).get('/');
+            expect(response.status).toBe(429);
+            expect(response.headers['ratelimit-remaining']).toBe('0');
+        });
+
+        test('should allow requests and report the error when the store fails', async () => {
+            const onError = jest.fn();
+            const failure = new Error('store down');
+            const store = { update: jest.fn().mockRejectedValue(failure) };
+            const app = createApp({ limit: 1, store, onError });
+
+            expect((await request(app).get('/')).status).toBe(200);
+            expect(onError).toHaveBeenCalledWith(failure);
+        });
+
+        test('should reject invalid options', () => {
+            expect(() => rateLimiter({ algorithm: 'sliding-log' })).toThrow('Unknown rate limiting algorithm "sliding-log".');
+            expect(() => rateLimiter({ limit: 0 })).toThrow('Rate limit and windowMs must be positive numbers.');
+            expect(() => rateLimiter({ store: { get() {}, set() {} } })).toThrow('The rate limiting store must have an update(key, updater) method.');
+        });
+    });
+});
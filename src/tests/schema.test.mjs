@@ -0,0 +1,336 @@
+import express, { json } from 'express';
+import request from 'supertest';
+import { decrypt } from '../utils/converters.mjs';
+import { validateRequest, validateResponse, validateSchema } from '../utils/schema.mjs';
+
+describe('Test schema', () => {
+
+    describe('validateSchema', () => {
+        const userSchema = {
+            type: 'object',
+            required: ['email', 'name'],
+            properties: {
+                email: { type: 'string', format: 'email' },
+                name: { type: 'string', minLength: 2, maxLength: 20 },
+                age: { type: 'integer', minimum: 0, maximum: 150 },
+                role: { type: 'string', enum: ['user', 'admin'], default: 'user' },
+                website: { type: 'string', format: 'url' },
+                tags: { type: 'array', items: { type: 'string' }, maxItems: 3, uniqueItems: true }
+            },
+            additionalProperties: false
+        };
+
+        test('should accept a valid value and apply defaults', () => {
+            const result = validateSchema({ email: 'a@b.com', name: 'John' }, userSchema);
+            expect(result).toEqual({ valid: true, value: { email: 'a@b.com', name: 'John', role: 'user' }, errors: [] });
+        });
+
+        test('should report every error with its path', () => {
+            const result = validateSchema({ email: 'invalid', age: -1, role: 'root', tags: ['a', 'a', 1] }, userSchema);
+            expect(result.valid).toBe(false);
+            expect(result.errors.map(error => [error.path, error.keyword])).toEqual([
+                ['email', 'format'],
+                ['age', 'minimum'],
+                ['role', 'enum'],
+                ['tags', 'uniqueItems'],
+                ['tags[2]', 'type'],
+                ['name', 'required']
+            ]);
+            expect(result.errors[0]).toEqual({ path: 'email', keyword: 'format', message: 'Must be a valid email.', value: 'invalid' });
+            expect(result.errors[2].message).toBe('Must be one of: "user", "admin".');
+        });
+
+        test('should use isValidUrl for the url format', () => {
+            expect(validateSchema({ email: 'a@b.com', name: 'Jo', website: 'https://example.com' }, userSchema).valid).toBe(true);
+            expect(validateSchema({ email: 'a@b.com', name: 'Jo', website: 'not a url' }, userSchema).errors[0].keyword).toBe('format');
+        });
+
+        test('should remove or reject undeclared properties', () => {
+            const value = { email: 'a@b.com', name: 'Jo', isAdmin: true };
+            expect(validateSchema(value, userSchema).value).toEqual({ email: 'a@b.com', name: 'Jo', role: 'user' });
+
+            const result = validateSchema(value, userSchema, { removeAdditional: false });
+            expect(result.errors).toEqual([{ path: 'isAdmin', keyword: 'additionalProperties', message: 'Is not allowed.', value: true }]);
+        });
+
+        test('should keep undeclared properties unless additionalProperties is false', () => {
+            const schema = { type: 'object', properties: { a: { type: 'number' } } };
+            expect(validateSchema({ a: 1, b: 2 }, schema).value).toEqual({ a: 1, b: 2 });
+
+            const typedSchema = { type: 'object', additionalProperties: { type: 'number' } };
+            expect(validateSchema({ a: 1, b: 'x' }, typedSchema).errors.map(error => error.path)).toEqual(['b']);
+        });
+
+        test('should keep a __proto__ key as data instead of replacing the prototype', () => {
+            const input = JSON.parse('{ "a": 1, "__proto__": { "isAdmin": true } }');
+
+            for (const schema of [{ type: 'object' }, { type: 'object', additionalProperties: { type: ['number', 'object'] } }]) {
+                const { value } = validateSchema(input, schema);
+                expect(Object.getPrototypeOf(value)).toBe(Object.prototype);
+                expect(value.isAdmin).toBeUndefined();
+                expect(Object.keys(value)).toEqual(['a', '__proto__']);
+            }
+        });
+
+        test('should coerce values only when enabled', () => {
+            const schema = {
+                type: 'object',
+                properties: {
+                    page: { type: 'integer' },
+                    active: { type: 'boolean' },
+                    ids: { type: 'array', items: { type: 'number' } },
+                    name: { type: 'string' },
+                    parent: { type: ['integer', 'null'] }
+                }
+            };
+            const input = { page: '2', active: 'false', ids: '7', name: 42, parent: 'null' };
+
+            expect(validateSchema(input, schema, { coerce: true })).toEqual({
+                valid: true,
+                value: { page: 2, active: false, ids: [7], name: '42', parent: null },
+                errors: []
+            });
+            expect(validateSchema(input, schema).errors).toHaveLength(5);
+            expect(validateSchema({ page: '2.5' }, schema, { coerce: true }).errors[0].message).toBe('Must be of type integer.');
+        });
+
+        test('should validate nested objects, arrays and string formats', () => {
+            const schema = {
+                type: 'object',
+                properties: {
+                    contacts: {
+                        type: 'array',
+                        minItems: 1,
+                        items: {
+                            type: 'object',
+                            required: ['id'],
+                            properties: { id: { type: 'string', format: 'uuid' }, since: { type: 'string', format: 'date' } }
+                        }
+                    },
+                    updatedAt: { type: 'string', format: 'date-time' },
+                    code: { type: 'string', pattern: '^[A-Z]{3}$' },
+                    version: { const: 2 }
+                }
+            };
+            const result = validateSchema({
+                contacts: [{ id: '1b9d6bcd-bbfd-4b2d-9b5d-ab8dfbbd4bed', since: '2024-02-29' }, { since: '2024-02-30' }],
+                updatedAt: '2024-01-01T10:00:00Z',
+                code: 'abc',
+                version: 3
+            }, schema);
+
+            expect(result.errors.map(error => [error.path, error.keyword])).toEqual([
+                ['contacts[1].since', 'format'],
+                ['contacts[1].id', 'required'],
+                ['code', 'pattern'],
+                ['version', 'const']
+            ]);
+        });
+
+        test('should accept IANA names for the timezone format', () => {
+            const schema = { type: 'string', format: 'timezone' };
+            expect(validateSchema('Europe/Berlin', schema).valid).toBe(true);
+            expect(validateSchema('UTC', schema).valid).toBe(true);
+            expect(validateSchema('Mars/Olympus', schema).errors[0].message).toBe('Must be a valid timezone.');
+        });
+
+        test('should not modify the input', () => {
+            const input = { email: 'a@b.com', name: 'Jo', extra: 1 };
+            validateSchema(input, userSchema);
+            expect(input).toEqual({ email: 'a@b.com', name: 'Jo', extra: 1 });
+        });
+
+        test('should reject unknown types and formats', () => {
+            expect(() => validateSchema('x', { type: 'text' })).toThrow('Unknown schema type "text" at "(root)".');
+            expect(() => validateSchema({}, { type: 'object', properties: { a: { format: 'phone' } } })).toThrow('Unknown schema format "phone" at "a".');
+        });
+    });
+
+    describe('validateRequest', () => {
+        let app;
+
+        beforeEach(() => {
+            app = express();
+            app.use(json());
+            app.post('/users/:id',
+                validateRequest({
+                    params: { type: 'object', properties: { id: { type: 'integer', minimum: 1 } } },
+                    query: {
+                        type: 'object',
+                        properties: { notify: { type: 'boolean', default: false }, tags: { type: 'array', items: { type: 'string' } } },
+                        additionalProperties: false
+                    },
+                    headers: { type: 'object', required: ['x-tenant'], properties: { 'x-tenant': { type: 'string', minLength: 3 } } },
+                    body: {
+                        type: 'object',
+                        required: ['email'],
+                        properties: { email: { type: 'string', format: 'email' }, age: { type: 'integer' } },
+                        additionalProperties: false
+                    }
+                }),
+                (req, res) => {
+                    res.json({ params: req.params, query: req.query, body: req.body, tenant: req.validated.headers['x-tenant'] });
+                }
+            );
+        });
+
+        test('should replace the request data with the sanitized, typed values', async () => {
+            const response = await request(app)
+                .post('/users/5?tags=a&debug=1')
+                .set('x-tenant', 'acme')
+                .send({ email: 'a@b.com', age: 30, isAdmin: true });
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({
+                params: { id: 5 },
+                query: { notify: false, tags: ['a'] },
+                body: { email: 'a@b.com', age: 30 },
+                tenant: 'acme'
+            });
+        });
+
+        test('should send all errors in the standard envelope', async () => {
+            const response = await request(app)
+                .post('/users/0')
+                .send({ email: 'invalid' });
+
+            expect(response.status).toBe(400);
+            expect(response.body).toEqual({
+                error: {
+                    status: 400,
+                    code: 'VALIDATION_FAILED',
+                    message: 'Request validation failed.',
+                    details: [
+                        { type: 'field', location: 'params', path: 'id', msg: 'Must be greater than or equal to 1.', value: 0 },
+                        { type: 'field', location: 'headers', path: 'x-tenant', msg: 'Is required.' },
+                        { type: 'field', location: 'body', path: 'email', msg: 'Must be a valid email.', value: 'invalid' }
+                    ]
+                }
+            });
+        });
+
+        test('should throw for invalid schemas when the middleware is created', () => {
+            expect(() => validateRequest({ body: { type: 'object', properties: { a: { type: 'str' } } } })).toThrow('Unknown schema type "str" at "a".');
+        });
+    });
+
+    describe('validateResponse', () => {
+        const userSchema = {
+            type: 'object',
+            required: ['id', 'email'],
+            properties: {
+                id: { type: 'integer' },
+                email: { type: 'string' },
+                createdAt: { type: 'string', format: 'date-time' },
+                profile: { type: 'object', properties: { displayName: { type: 'string' } } }
+            }
+        };
+        const user = {
+            id: 1,
+            email: 'a@b.com',
+            passwordHash: 'secret',
+            createdAt: new Date('2024-01-01T00:00:00Z'),
+            profile: { displayName: 'John', internalNotes: 'vip' }
+        };
+        const originalEnv = process.env.NODE_ENV;
+
+        // Creates an app that responds with the given payload and status
+        const createApp = (schema, options, payload = user, status = 200) => {
+            const app = express();
+            app.get('/', validateResponse(schema, options), (_, res) => res.status(status).json(payload));
+            return app;
+        };
+
+        afterEach(() => {
+            process.env.NODE_ENV = originalEnv;
+        });
+
+        test('should strip undeclared properties at every level', async () => {
+            const response = await request(createApp(userSchema)).get('/');
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({
+                id: 1,
+                email: 'a@b.com',
+                createdAt: '2024-01-01T00:00:00.000Z',
+                profile: { displayName: 'John' }
+            });
+        });
+
+        test('should validate each item of an array response', async () => {
+            const response = await request(createApp({ type: 'array', items: userSchema }, {}, [user, user])).get('/');
+            expect(response.body).toHaveLength(2);
+            expect(response.body[1].passwordHash).toBeUndefined();
+        });
+
+        test('should convert keys and encrypt properties as serialization steps', async () => {
+            const response = await request(createApp(userSchema, { case: 'snake', encrypt: ['display_name'] })).get('/');
+            expect(Object.keys(response.body)).toEqual(['id', 'email', 'created_at', 'profile']);
+            expect(response.body.profile.display_name).not.toBe('John');
+            expect(decrypt(response.body.profile.display_name)).toBe('John');
+        });
+
+        test('should fail with a 500 error in tests', async () => {
+            const response = await request(createApp(userSchema, {}, { id: 'x' })).get('/');
+            expect(response.status).toBe(500);
+            expect(response.body.error).toEqual({
+                status: 500,
+                code: 'RESPONSE_VALIDATION_FAILED',
+                message: 'Response validation failed.',
+                details: [
+                    { path: 'id', keyword: 'type', message: 'Must be of type integer.' },
+                    { path: 'email', keyword: 'required', message: 'Is required.' }
+                ]
+            });
+        });
+
+        test('should not expose the offending values', async () => {
+            process.env.NODE_ENV = 'development';
+            const response = await request(createApp(userSchema, {}, { ...user, email: { passwordHash: 'secret' } })).get('/');
+            expect(response.status).toBe(500);
+            expect(JSON.stringify(response.body)).not.toContain('secret');
+        });
+
+        test('should only report violations in production', async () => {
+            process.env.NODE_ENV = 'production';
+            const onViolation = jest.fn();
+            const response = await request(createApp(userSchema, { onViolation }, { id: 'x', secret: 1 })).get('/');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({});
+            expect(onViolation).toHaveBeenCalledWith([
+                { path: 'id', keyword: 'type', message: 'Must be of type integer.' },
+                { path: 'email', keyword: 'required', message: 'Is required.' }
+            ], expect.anything());
+            expect(onViolation.mock.calls[0][0].some(violation => 'value' in violation)).toBe(false);
+        });
+
+        test('should only report violations when NODE_ENV is not set', async () => {
+            delete process.env.NODE_ENV;
+            const response = await request(createApp(userSchema, { onViolation: jest.fn() }, { id: 1 })).get('/');
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({ id: 1 });
+        });
+
+        test('should strip values of the wrong type with everything nested in them', async () => {
+            process.env.NODE_ENV = 'production';
+            const payload = { ...user, email: { address: 'a@b.com', passwordHash: 'secret' }, profile: [{ internalNotes: 'vip' }] };
+            const response = await request(createApp(userSchema, { onViolation: jest.fn() }, payload)).get('/');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual({ id: 1, createdAt: '2024-01-01T00:00:00.000Z' });
+        });
+
+        test('should pick the schema by status and leave other responses unchanged', async () => {
+            const schemas = { 201: { type: 'object', properties: { id: { type: 'integer' } } } };
+            expect((await request(createApp(schemas, {}, user, 201)).get('/')).body).toEqual({ id: 1 });
+            expect((await request(createApp(schemas, {}, { a: 1 }, 200)).get('/')).body).toEqual({ a: 1 });
+            // A single schema only applies to 2xx responses
+            expect((await request(createApp(userSchema, {}, { message: 'gone' }, 404)).get('/')).body).toEqual({ message: 'gone' });
+        });
+
+        test('should reject invalid options', () => {
+            expect(() => validateResponse(userSchema, { case: 'title' })).toThrow('Unknown response case "title".');
+            expect(() => validateResponse({ 200: { type: 'date' } })).toThrow('Unknown schema type "date" at "(root)".');
+        });
+    });
+});
@@ -0,0 +1,49 @@
+import { memoryStore } from '../utils/stores.mjs';
+
+describe('Test stores', () => {
+
+    let now;
+    let dateNowSpy;
+
+    beforeEach(() => {
+        now = 1700000000000;
+        dateNowSpy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+        dateNowSpy.mockRestore();
+    });
+
+    describe('memoryStore', () => {
+        test('should expire entries after their TTL', () => {
+            const store = memoryStore();
+            store.set('a', { count: 1 }, 1000);
+            expect(store.get('a')).toEqual({ count: 1 });
+
+            now += 1000;
+            expect(store.get('a')).toBeUndefined();
+        });
+
+        test('should update an entry from its current value', () => {
+            const store = memoryStore();
+            const increment = jest.fn(count => ({ value: (count || 0) + 1, ttlMs: 1000 }));
+            expect(store.update('a', increment)).toBe(1);
+            expect(store.update('a', increment)).toBe(2);
+            expect(increment).toHaveBeenLastCalledWith(1);
+
+            now += 1000;
+            expect(store.update('a', increment)).toBe(1);
+        });
+
+        test('should sweep expired entries on writes', () => {
+            const store = memoryStore({ sweepIntervalMs: 500 });
+            store.set('a', 1, 100);
+            now += 1000;
+            store.set('b', 2, 100);
+            store.delete('b');
+            // Both entries are gone without reading 'a'
+            now -= 1000;
+            expect(store.get('a')).toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,159 @@
+import { randomBytes } from 'crypto';
+import { PassThrough, Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import * as configModule from '../config/config.mjs';
+import { DecryptionError, EncryptionError, InvalidEnvelopeError, KeyNotFoundError } from '../utils/errors.mjs';
+import { createDecryptStream, createEncryptStream, decryptBuffer, encryptBuffer } from '../utils/streams.mjs';
+
+// Pipes the given chunks through a transform stream and collects the output
+const runThrough = async (stream, chunks) => {
+    const output = [];
+    const sink = new PassThrough();
+    sink.on('data', chunk => output.push(chunk));
+    await pipeline(Readable.from(chunks), stream, sink);
+    return Buffer.concat(output);
+};
+
+// Splits a buffer into chunks of the given size
+const chunk = (buffer, size) => {
+    const chunks = [];
+    for (let i = 0; i < buffer.length; i += size) {
+        chunks.push(buffer.subarray(i, i + size));
+    }
+    return chunks;
+};
+
+describe('Test streams', () => {
+
+    const data = randomBytes(10000);
+
+    describe('encryptBuffer and decryptBuffer', () => {
+        test('should round-trip a Buffer', () => {
+            const encrypted = encryptBuffer(data);
+            expect(Buffer.isBuffer(encrypted)).toBe(true);
+            expect(decryptBuffer(encrypted)).toEqual(data);
+        });
+
+        test('should round-trip an empty Buffer', () => {
+            expect(decryptBuffer(encryptBuffer(Buffer.alloc(0)))).toEqual(Buffer.alloc(0));
+        });
+
+        test('should write a compact binary header', () => {
+            const encrypted = encryptBuffer(data);
+            expect(encrypted.subarray(0, 4).toString('ascii')).toBe('MRAE');
+            expect(encrypted[4]).toBe(1); // format version
+            expect(encrypted[5]).toBe('default'.length);
+            expect(encrypted.subarray(6, 13).toString('utf-8')).toBe('default');
+            // header + 12-byte IV + ciphertext + 16-byte tag
+            expect(encrypted.length).toBe(13 + 12 + data.length + 16);
+        });
+
+        test('should reject tampered data', () => {
+            const encrypted = encryptBuffer(data);
+            encrypted[100] ^= 0xff;
+            expect(() => decryptBuffer(encrypted)).toThrow(expect.objectContaining({
+                name: 'DecryptionError',
+                code: 'AUTHENTICATION_FAILED'
+            }));
+        });
+
+        test('should reject a tampered header', () => {
+            const getConfigSpy = jest.spyOn(configModule, 'getConfig');
+            try {
+                const baseConfig = configModule.getConfig();
+                const encrypted = encryptBuffer(data);
+                // Another ID for the same key: only the authentication of the header detects the change
+                getConfigSpy.mockReturnValue({
+                    ...baseConfig,
+                    keyring: [{ id: 'default', secretKey: baseConfig.secretKey, active: true }, { id: 'legacy1', secretKey: baseConfig.secretKey }]
+                });
+                encrypted.write('legacy1', 6, 'utf-8');
+                expect(() => decryptBuffer(encrypted)).toThrow(expect.objectContaining({ code: 'AUTHENTICATION_FAILED' }));
+            } finally {
+                getConfigSpy.mockRestore();
+            }
+        });
+
+        test('should reject truncated data', () => {
+            const encrypted = encryptBuffer(data);
+            expect(() => decryptBuffer(encrypted.subarray(0, 20))).toThrow(InvalidEnvelopeError);
+            expect(() => decryptBuffer(encrypted.subarray(0, encrypted.length - 1))).toThrow(DecryptionError);
+        });
+
+        test('should reject data that is not a binary ciphertext', () => {
+            expect(() => decryptBuffer(Buffer.from('plain text'))).toThrow(expect.objectContaining({
+                name: 'InvalidEnvelopeError',
+                code: 'MALFORMED_ENVELOPE'
+            }));
+        });
+
+        test('should reject an unsupported format version', () => {
+            const encrypted = encryptBuffer(data);
+            encrypted[4] = 9;
+            expect(() => decryptBuffer(encrypted)).toThrow(expect.objectContaining({ code: 'UNSUPPORTED_VERSION' }));
+        });
+
+        test('should reject input that is not a Buffer', () => {
+            expect(() => encryptBuffer('text')).toThrow(EncryptionError);
+            expect(() => decryptBuffer('text')).toThrow(InvalidEnvelopeError);
+        });
+
+        test('should pick the key by the key ID in the header', () => {
+            const getConfigSpy = jest.spyOn(configModule, 'getConfig');
+            try {
+                const baseConfig = configModule.getConfig();
+                const encrypted = encryptBuffer(data);
+
+                getConfigSpy.mockReturnValue({
+                    ...baseConfig,
+                    keyring: [
+                        { id: 'default', secretKey: baseConfig.secretKey },
+                        { id: '2024', secretKey: 'ab'.repeat(32), active: true }
+                    ]
+                });
+                expect(decryptBuffer(encrypted)).toEqual(data);
+
+                getConfigSpy.mockReturnValue({ ...baseConfig, keyring: [{ id: '2024', secretKey: 'ab'.repeat(32), active: true }] });
+                expect(() => decryptBuffer(encrypted)).toThrow(KeyNotFoundError);
+            } finally {
+                getConfigSpy.mockRestore();
+            }
+        });
+    });
+
+    describe('createEncryptStream and createDecryptStream', () => {
+        test('should round-trip data written in chunks', async () => {
+            const encrypted = await runThrough(createEncryptStream(), chunk(data, 1000));
+            const decrypted = await runThrough(createDecryptStream(), chunk(encrypted, 7));
+            expect(decrypted).toEqual(data);
+        });
+
+        test('should be compatible with the Buffer functions', async () => {
+            const streamed = await runThrough(createEncryptStream(), chunk(data, 333));
+            expect(decryptBuffer(streamed)).toEqual(data);
+
+            const decrypted = await runThrough(createDecryptStream(), chunk(encryptBuffer(data), 4096));
+            expect(decrypted).toEqual(data);
+        });
+
+        test('should handle an empty stream', async () => {
+            const encrypted = await runThrough(createEncryptStream(), []);
+            expect(decryptBuffer(encrypted)).toEqual(Buffer.alloc(0));
+        });
+
+        test('should emit a DecryptionError for tampered data', async () => {
+            const encrypted = encryptBuffer(data);
+            encrypted[encrypted.length - 1] ^= 0xff;
+            await expect(runThrough(createDecryptStream(), chunk(encrypted, 512))).rejects.toThrow(DecryptionError);
+        });
+
+        test('should emit an InvalidEnvelopeError for truncated data', async () => {
+            const encrypted = encryptBuffer(data);
+            await expect(runThrough(createDecryptStream(), [encrypted.subarray(0, 10)])).rejects.toThrow(InvalidEnvelopeError);
+        });
+
+        test('should emit an InvalidEnvelopeError for data that is not a binary ciphertext', async () => {
+            await expect(runThrough(createDecryptStream(), [Buffer.from('plain text that is long enough')])).rejects.toThrow(InvalidEnvelopeError);
+        });
+    });
+});
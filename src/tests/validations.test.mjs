@@ -1,7 +1,9 @@
 import express, { json } from 'express';
 import { body, query } from 'express-validator';
+import { createServer } from 'http';
 import request from 'supertest';
-import { checkJSONBody, checkRequestValidity, isValidEmail, isValidUrl, testUrlAccessibility} from '../utils/validations.mjs';
+import { requestContext } from '../utils/context.mjs';
+import { checkJSONBody, checkRequestValidity, isRemoteResource, isValidEmail, isValidUrl, testUrlAccessibility, validateEmail, validateRemoteResource } from '../utils/validations.mjs';
 
 describe('Test validation functions', () => {
 
@@ -14,6 +16,131 @@ describe('Test validation functions', () => {
         test('testUrlAccessibility returns false for an inaccessible URL', async () => {
             await expect(testUrlAccessibility('https://thisurldoesnotexist1234.com')).resolves.toBeFalsy();
         });
+
+        test('testUrlAccessibility forwards the request ID and trace context', async () => {
+            // A local server records the headers of the outgoing HEAD request
+            let receivedHeaders;
+            const server = createServer((req, res) => {
+                receivedHeaders = req.headers;
+                res.end();
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            const targetUrl = `http://127.0.0.1:${server.address().port}/`;
+
+            try {
+                const app = express();
+                app.use(requestContext());
+                app.get('/check', async (_, res) => {
+                    const options = { allowedAddresses: ['127.0.0.1'], allowedPorts: [server.address().port] };
+                    res.json({ accessible: await testUrlAccessibility(targetUrl, options) });
+                });
+
+                const response = await request(app).get('/check').set('X-Request-Id', 'abc-123');
+                expect(response.body.accessible).toBe(true);
+                expect(receivedHeaders['x-request-id']).toBe('abc-123');
+                expect(receivedHeaders.traceparent).toBe(response.headers.traceparent);
+            } finally {
+                await new Promise(resolve => server.close(resolve));
+            }
+        });
+
+        test('testUrlAccessibility refuses internal addresses and can return the detailed result', async () => {
+            await expect(testUrlAccessibility('http://169.254.169.254/latest/meta-data/')).resolves.toBe(false);
+            await expect(testUrlAccessibility('http://127.0.0.1/', { detailed: true })).resolves.toEqual({
+                ok: false,
+                status: null,
+                finalUrl: 'http://127.0.0.1/',
+                contentType: null,
+                contentLength: null,
+                firstBytes: null,
+                reason: 'PRIVATE_ADDRESS'
+            });
+        });
+    });
+
+    describe('validateRemoteResource', () => {
+        const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d]);
+        // HEAD is supported on /head/*; elsewhere it is refused and ranges are honoured
+        const files = {
+            '/avatar.png': { type: 'image/png', body: png },
+            '/disguised.png': { type: 'image/png', body: Buffer.from('<html></html>') },
+            '/report': { type: 'application/octet-stream', body: Buffer.from('%PDF-1.7 ...') },
+            '/large.jpg': { type: 'image/jpeg', body: Buffer.alloc(2048, 0xff) }
+        };
+        let server;
+        let baseUrl;
+        let options;
+
+        beforeAll(async () => {
+            server = createServer((req, res) => {
+                const isHead = req.url.startsWith('/head/');
+                const file = files[req.url.replace(/^\/head/, '')];
+                if (!file) {
+                    res.statusCode = 404;
+                    return res.end();
+                }
+                if (req.method === 'HEAD') {
+                    res.writeHead(isHead ? 200 : 405, isHead ? { 'Content-Type': file.type, 'Content-Length': file.body.length } : {});
+                    return res.end();
+                }
+                const [, start, end] = /^bytes=(\d+)-(\d+)$/.exec(req.headers.range);
+                res.writeHead(206, { 'Content-Type': file.type, 'Content-Range': `bytes ${start}-${end}/${file.body.length}` });
+                res.end(file.body.subarray(Number(start), Number(end) + 1));
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            options = { allowedAddresses: ['127.0.0.1'], allowedPorts: [server.address().port], maxBytes: 1024 };
+        });
+
+        afterAll(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        test('should read the type and size from the headers of a HEAD request', async () => {
+            await expect(validateRemoteResource(`${baseUrl}/head/avatar.png`, options)).resolves.toEqual({
+                valid: true,
+                mimeType: 'image/png',
+                size: png.length,
+                finalUrl: `${baseUrl}/head/avatar.png`,
+                reason: null
+            });
+            expect((await validateRemoteResource(`${baseUrl}/head/large.jpg`, options)).reason).toBe('TOO_LARGE');
+        });
+
+        test('should sniff the type from a ranged GET when HEAD is not supported', async () => {
+            expect(await validateRemoteResource(`${baseUrl}/avatar.png`, options)).toMatchObject({ valid: true, mimeType: 'image/png', size: png.length });
+            expect(await validateRemoteResource(`${baseUrl}/report`, options)).toMatchObject({ valid: true, mimeType: 'application/pdf' });
+            expect(await validateRemoteResource(`${baseUrl}/large.jpg`, options)).toMatchObject({ valid: false, mimeType: 'image/jpeg', size: 2048, reason: 'TOO_LARGE' });
+        });
+
+        test('should reject types that are not allowed', async () => {
+            expect(await validateRemoteResource(`${baseUrl}/report`, { ...options, allowedTypes: ['image/png'] })).toMatchObject({ valid: false, reason: 'TYPE_NOT_ALLOWED' });
+            // The declared type is used when the signature is unknown
+            expect(await validateRemoteResource(`${baseUrl}/disguised.png`, options)).toMatchObject({ valid: true, mimeType: 'image/png' });
+            expect(await validateRemoteResource(`${baseUrl}/disguised.png`, { ...options, allowedTypes: ['image/jpeg'] })).toMatchObject({ valid: false, reason: 'TYPE_NOT_ALLOWED' });
+        });
+
+        test('should pass on the reason of inaccessible URLs', async () => {
+            expect((await validateRemoteResource(`${baseUrl}/missing.png`, options)).reason).toBe('HTTP_ERROR');
+            expect((await validateRemoteResource('http://169.254.169.254/avatar.png')).reason).toBe('PRIVATE_ADDRESS');
+        });
+
+        test('should plug into express-validator chains with isRemoteResource', async () => {
+            const app = express();
+            app.use(json());
+            app.put('/profile',
+                body('profilePictureUrl').isURL({ require_tld: false }).bail().custom(isRemoteResource({ ...options, allowedTypes: ['image/png', 'image/jpeg'] })),
+                checkRequestValidity,
+                (_, res) => res.json({ ok: true })
+            );
+
+            expect((await request(app).put('/profile').send({ profilePictureUrl: `${baseUrl}/avatar.png` })).status).toBe(200);
+
+            const invalid = async (url) => (await request(app).put('/profile').send({ profilePictureUrl: url })).body.error.details[0].msg;
+            await expect(invalid(`${baseUrl}/report`)).resolves.toBe('Resource type "application/pdf" is not allowed.');
+            await expect(invalid(`${baseUrl}/large.jpg`)).resolves.toBe('Resource is larger than 1024 bytes.');
+            await expect(invalid(`${baseUrl}/missing.png`)).resolves.toBe('URL is not accessible (HTTP_ERROR).');
+        });
     });
 
     describe('isValidUrl', () => {
@@ -74,6 +201,57 @@ describe('Test validation functions', () => {
         test('should return false for an email with multiple "@" symbols', () => {
             expect(isValidEmail('user@@example.com')).toBe(false);
         });
+
+        test('should accept quoted local parts, IDN domains and long TLDs', () => {
+            expect(isValidEmail('"john doe"@example.com')).toBe(true);
+            expect(isValidEmail('user+tag@bücher.de')).toBe(true);
+            expect(isValidEmail('user@example.photography')).toBe(true);
+            expect(isValidEmail('user@mail.example.co.uk')).toBe(true);
+        });
+
+        test('should return false instead of throwing for non-string values', () => {
+            for (const value of [undefined, null, 42, {}, ['a@b.com']]) {
+                expect(isValidEmail(value)).toBe(false);
+            }
+        });
+    });
+
+    describe('validateEmail', () => {
+        test('should return the normalized address', () => {
+            expect(validateEmail(' John.Doe+news@Example.COM ')).toEqual({ valid: true, normalized: 'John.Doe+news@example.com', reason: null });
+            expect(validateEmail('user@bücher.de').normalized).toBe('user@xn--bcher-kva.de');
+        });
+
+        test('should canonicalize Gmail-style addresses on request', () => {
+            expect(validateEmail('John.Doe+news@googlemail.com', { canonicalize: true }).normalized).toBe('johndoe@gmail.com');
+            expect(validateEmail('john.doe+news@outlook.com', { canonicalize: true }).normalized).toBe('john.doe@outlook.com');
+            expect(validateEmail('john.doe+news@example.com', { canonicalize: true }).normalized).toBe('john.doe+news@example.com');
+        });
+
+        test('should reject addresses with no mailbox left after canonicalizing', () => {
+            expect(validateEmail('+news@gmail.com', { canonicalize: true })).toEqual({ valid: false, normalized: null, reason: 'INVALID_LOCAL_PART' });
+            expect(validateEmail('+news@outlook.com', { canonicalize: true }).reason).toBe('INVALID_LOCAL_PART');
+        });
+
+        test('should give the reason of invalid addresses', () => {
+            expect(validateEmail(undefined)).toEqual({ valid: false, normalized: null, reason: 'NOT_A_STRING' });
+            expect(validateEmail('user.example.com').reason).toBe('INVALID_FORMAT');
+            expect(validateEmail('user@').reason).toBe('INVALID_FORMAT');
+            expect(validateEmail(`${'a'.repeat(65)}@example.com`).reason).toBe('TOO_LONG');
+            expect(validateEmail('john..doe@example.com').reason).toBe('INVALID_LOCAL_PART');
+            expect(validateEmail('"unterminated@example.com').reason).toBe('INVALID_LOCAL_PART');
+            expect(validateEmail('user@-example.com').reason).toBe('INVALID_DOMAIN');
+            expect(validateEmail('user@example.123').reason).toBe('INVALID_DOMAIN');
+            expect(validateEmail('user@[127.0.0.1]').reason).toBe('INVALID_DOMAIN');
+        });
+
+        test('should reject disposable domains unless allowed', () => {
+            expect(validateEmail('user@mailinator.com')).toEqual({ valid: false, normalized: 'user@mailinator.com', reason: 'DISPOSABLE_DOMAIN' });
+            expect(validateEmail('user@inbox.yopmail.com').reason).toBe('DISPOSABLE_DOMAIN');
+            expect(validateEmail('user@mailinator.com', { blockDisposable: false }).valid).toBe(true);
+            expect(validateEmail('user@mailinator.com', { allowedDomains: ['mailinator.com'] }).valid).toBe(true);
+            expect(validateEmail('user@throwaway.example', { disposableDomains: ['throwaway.example'] }).reason).toBe('DISPOSABLE_DOMAIN');
+        });
     });
 
     describe('checkJSONBody', () => {
@@ -102,12 +280,16 @@ describe('Test validation functions', () => {
 
             expect(response.status).toBe(400);
             expect(response.body).toEqual({
-                message: 'Invalid JSON format.',
-                details: {
-                    type: 'entity.parse.failed',
-                    error: expect.any(String),
-                    position: '2',
-                    hint: 'Ensure that all keys and values are properly enclosed in double quotes.'
+                error: {
+                    status: 400,
+                    code: 'INVALID_JSON',
+                    message: 'Invalid JSON format.',
+                    details: {
+                        type: 'entity.parse.failed',
+                        error: expect.any(String),
+                        position: '2',
+                        hint: 'Ensure that all keys and values are properly enclosed in double quotes.'
+                    }
                 }
             });
         });
@@ -186,10 +368,15 @@ describe('Test validation functions', () => {
 
             expect(response.status).toBe(400);
             expect(response.body).toEqual({
-                errors: [
-                    { msg: 'Invalid email format.', path: 'email', location: 'body', type: 'field', value: 'invalid-email' },
-                    { msg: 'Password must be at least 6 characters long.', path: 'password', type: 'field', location: 'body', value: '123' }
-                ]
+                error: {
+                    status: 400,
+                    code: 'VALIDATION_FAILED',
+                    message: 'Request validation failed.',
+                    details: [
+                        { msg: 'Invalid email format.', path: 'email', location: 'body', type: 'field', value: 'invalid-email' },
+                        { msg: 'Password must be at least 6 characters long.', path: 'password', type: 'field', location: 'body', value: '123' }
+                    ]
+                }
             });
         });
 
@@ -211,7 +398,7 @@ describe('Test validation functions', () => {
                 .send({}); // Missing both email and password
 
             expect(response.status).toBe(400);
-            expect(response.body.errors.length).toBe(2); // Expecting two validation errors
+            expect(response.body.error.details.length).toBe(2); // Expecting two validation errors
         });
 
         // Query validation tests for /qtest
@@ -223,10 +410,15 @@ describe('Test validation functions', () => {
 
             expect(response.status).toBe(400);
             expect(response.body).toEqual({
-                errors: [
-                    { msg: 'Age must be a positive integer.', path: 'age', type: 'field', location: 'query', value: '-5' },
-                    { msg: 'Name must be at least 2 characters long.', path: 'name', type: 'field', location: 'query', value: 'A' }
-                ]
+                error: {
+                    status: 400,
+                    code: 'VALIDATION_FAILED',
+                    message: 'Request validation failed.',
+                    details: [
+                        { msg: 'Age must be a positive integer.', path: 'age', type: 'field', location: 'query', value: '-5' },
+                        { msg: 'Name must be at least 2 characters long.', path: 'name', type: 'field', location: 'query', value: 'A' }
+                    ]
+                }
             });
         });
 
@@ -247,7 +439,7 @@ describe('Test validation functions', () => {
                 .query({}); // Missing both age and name query parameters
 
             expect(response.status).toBe(400);
-            expect(response.body.errors.length).toBe(2); // Expecting two validation errors
+            expect(response.body.error.details.length).toBe(2); // Expecting two validation errors
         });
     });
 
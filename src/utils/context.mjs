@@ -0,0 +1,111 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomBytes, randomUUID } from 'crypto';
+
+/**
+ * Holds the context of the request being handled by the current asynchronous execution.
+ * @type {AsyncLocalStorage}
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * The incoming request IDs that are accepted as they are. Anything else is replaced with a new ID,
+ * so that clients cannot inject arbitrary text into logs and response headers.
+ * @type {RegExp}
+ */
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:\-]{1,128}$/;
+
+/**
+ * A W3C Trace Context `traceparent` header: version-traceId-parentId-flags.
+ * @type {RegExp}
+ */
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+/**
+ * Parses a W3C `traceparent` header.
+ *
+ * @param {string} [header] - The header value.
+ * @returns {{ traceId: string, parentSpanId: string, traceFlags: string }|null} The trace details, or
+ * `null` if the header is missing or invalid.
+ */
+const _parseTraceparent = (header) => {
+    const match = typeof header === 'string' ? TRACEPARENT_PATTERN.exec(header.trim().toLowerCase()) : null;
+    // Version ff is forbidden, and all-zero IDs are invalid
+    if (!match || match[1] === 'ff' || /^0+$/.test(match[2]) || /^0+$/.test(match[3])) {
+        return null;
+    }
+    return { traceId: match[2], parentSpanId: match[3], traceFlags: match[4] };
+};
+
+/**
+ * Creates an Express middleware that gives every request a correlation context.
+ *
+ * The request ID is read from the `X-Request-Id` header or generated, and the W3C `traceparent`
+ * header is continued: the trace ID is kept and a new span ID is created for this service, or a new
+ * trace is started if the header is missing or invalid. Both are echoed in the response headers,
+ * attached to the request as `req.requestContext`, and made available to all code running for the
+ * request through `getRequestContext()`.
+ *
+ * @param {Object} [options] - Middleware options.
+ * @param {boolean} [options.trustIncoming=true] - Reuse valid IDs sent by the client; set to `false`
+ * at a public edge to always generate new ones.
+ * @param {function(object): string} [options.generateId=randomUUID] - Generates a request ID for the request.
+ * @returns {function(object, object, function): void} The Express middleware.
+ *
+ * @example
+ * app.use(requestContext());
+ * app.get('/users', async (req, res) => {
+ *   console.log(getRequestContext().requestId);
+ * });
+ */
+export const requestContext = ({ trustIncoming = true, generateId = () => randomUUID() } = {}) => {
+    return (req, res, next) => {
+        const incomingId = trustIncoming ? req.headers['x-request-id'] : undefined;
+        const requestId = typeof incomingId === 'string' && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : generateId(req);
+
+        const parent = trustIncoming ? _parseTraceparent(req.headers.traceparent) : null;
+        const traceId = parent ? parent.traceId : randomBytes(16).toString('hex');
+        const spanId = randomBytes(8).toString('hex');
+        const traceFlags = parent ? parent.traceFlags : '01';
+
+        const context = {
+            requestId,
+            traceId,
+            spanId,
+            parentSpanId: parent ? parent.parentSpanId : null,
+            traceFlags,
+            traceparent: `00-${traceId}-${spanId}-${traceFlags}`
+        };
+
+        req.requestContext = context;
+        res.setHeader('X-Request-Id', requestId);
+        res.setHeader('traceparent', context.traceparent);
+        storage.run(context, next);
+    };
+};
+
+/**
+ * Returns the context of the request currently being handled, as set up by `requestContext`.
+ *
+ * @returns {{ requestId: string, traceId: string, spanId: string, parentSpanId: string|null, traceFlags: string, traceparent: string }|undefined}
+ * The request context, or `undefined` when called outside of a request.
+ */
+export const getRequestContext = () => {
+    return storage.getStore();
+};
+
+/**
+ * Returns the headers that propagate the current request context to an outgoing call:
+ * `X-Request-Id` and `traceparent`, with this service's span as the parent.
+ *
+ * @returns {Object<string, string>} The headers, or an empty object when called outside of a request.
+ *
+ * @example
+ * await axios.get(url, { headers: { ...getCorrelationHeaders(), accept: 'application/json' } });
+ */
+export const getCorrelationHeaders = () => {
+    const context = getRequestContext();
+    if (!context) {
+        return {};
+    }
+    return { 'x-request-id': context.requestId, traceparent: context.traceparent };
+};
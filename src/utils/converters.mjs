@@ -1,63 +1,255 @@
-import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
-import { getCreptoConfig } from './miscellaneous.mjs';
+import { createCipheriv, createDecipheriv, createHmac, hkdfSync, randomBytes } from 'crypto';
+import { getConfig } from '../config/config.mjs';
+import { getRequestContext } from './context.mjs';
+import { formatDate, parseISODate } from './dates.mjs';
+import { CryptoError, DecryptionError, EncryptionError, InvalidEnvelopeError, KeyNotFoundError } from './errors.mjs';
+import { DEFAULT_KEY_ID, createPathMatcher, formatPath, getCreptoConfig, transformDeep } from './miscellaneous.mjs';
+import { DEFAULT_HEADER_REDACTION_POLICY, DEFAULT_REDACTION_POLICY, redact } from './redaction.mjs';
 
 /**
- * Hides sensitive data within an object by masking specified properties. This function
- * iterates through each property of the provided object. If a property's name matches
- * any of the given forbidden properties (case-insensitive), its value is replaced with
- * a mask ('****'). Properties not listed as forbidden are left unchanged.
+ * Version written into the `v` field of every ciphertext envelope produced by `encrypt`.
+ * Envelopes without a `v` field are legacy AES-256-CTR payloads of the form `{ iv, content }`.
+ * Versioned envelopes also carry the ID of the key they were encrypted with in `kid`.
+ * @type {number}
+ */
+const ENVELOPE_VERSION = 2;
+
+/**
+ * Length in bytes of the random IV generated for AES-256-GCM.
+ * @type {number}
+ */
+const GCM_IV_LENGTH = 12;
+
+/**
+ * Length in bytes of the GCM authentication tag stored in the envelope.
+ * @type {number}
+ */
+const GCM_AUTH_TAG_LENGTH = 16;
+
+/**
+ * Derives a purpose-specific 32-byte subkey from a secret key with HKDF-SHA256, so that
+ * deterministic IVs and blind indexes never use the encryption key itself.
  *
- * This function is non-destructive; it returns a new object with the modified values
- * while leaving the original object intact.
+ * @param {Buffer} secretKey - The secret key from the keyring.
+ * @param {string} purpose - A label identifying what the subkey is used for.
+ * @returns {Buffer} The derived key.
+ */
+const _deriveKey = (secretKey, purpose) => {
+    return Buffer.from(hkdfSync('sha256', secretKey, Buffer.alloc(0), `mra-utils:${purpose}`, 32));
+};
+
+/**
+ * Computes the synthetic IV used by deterministic encryption: an HMAC of the plaintext under a
+ * key derived from the secret key, truncated to the GCM IV length. Equal plaintexts encrypted
+ * with the same key therefore produce equal ciphertexts, while different plaintexts never share an IV.
  *
- * @param {Object} obj - The object containing potential sensitive data to be masked.
- * @param {Array<string>} forbiddenProperties - An array of property names (strings)
- *                   that, if found in the object, should have their values masked.
- *                   Matching is case-insensitive.
- * @param {WeakSet} visited - (Optional) A WeakSet to keep track of visited objects to handle circular references.
- * @returns {Object} A new object with sensitive data masked. If the input is not an
- *                   object, the input is returned unchanged.
+ * @param {Buffer} secretKey - The secret key the text is encrypted with.
+ * @param {string} text - The plaintext.
+ * @returns {Buffer} The 12-byte IV.
  */
-const _hideSensitiveData = (obj, forbiddenProperties, visited = new WeakSet()) => {
-    if (!obj || typeof obj !== 'object' || visited.has(obj)) {
-        return obj;
+const _deterministicIv = (secretKey, text) => {
+    return createHmac('sha256', _deriveKey(secretKey, 'deterministic-iv')).update(text).digest().subarray(0, GCM_IV_LENGTH);
+};
+
+/**
+ * Resolves whether an encryption helper runs in strict mode. A per-call `strict` option wins
+ * over the global `strictCrypto` configuration flag; both default to `false`.
+ *
+ * @param {{ strict?: boolean }} [options] - The options passed to the helper.
+ * @returns {boolean} Returns `true` if errors should be thrown instead of swallowed.
+ */
+const _isStrict = (options = {}) => {
+    if (options.strict != null) {
+        return options.strict === true;
     }
+    try {
+        return getConfig().strictCrypto === true;
+    } catch {
+        return false;
+    }
+};
 
-    visited.add(obj);
+/**
+ * Converts a hex string from an envelope into a Buffer, rejecting anything that is not
+ * well-formed hex. `Buffer.from(..., 'hex')` silently stops at the first invalid character,
+ * which would otherwise let a corrupted field through as a shorter buffer.
+ *
+ * @param {*} value - The value read from the envelope.
+ * @param {string} field - The name of the envelope field, used in the error message.
+ * @param {boolean} [allowEmpty=false] - Whether an empty string is accepted (an empty plaintext yields empty content).
+ * @returns {Buffer} The decoded bytes.
+ * @throws {InvalidEnvelopeError} If the value is not an even-length hex string.
+ */
+const _hexField = (value, field, allowEmpty = false) => {
+    const hexRegex = allowEmpty ? /^(?:[0-9a-fA-F]{2})*$/ : /^(?:[0-9a-fA-F]{2})+$/;
+    if (typeof value !== 'string' || !hexRegex.test(value)) {
+        throw new InvalidEnvelopeError(`Envelope field "${field}" is missing or is not valid hex.`, 'MALFORMED_ENVELOPE');
+    }
+    return Buffer.from(value, 'hex');
+};
 
-    const newObj = {};
-    for (const key in obj) {
-        if (obj.hasOwnProperty(key)) {
-            const value = obj[key];
-            if (forbiddenProperties.some(prop => key.toLowerCase().includes(prop.toLowerCase()))) {
-                newObj[key] = '****';
-            } else {
-                newObj[key] = _hideSensitiveData(value, forbiddenProperties, visited);
-            }
+/**
+ * Decodes a base64 ciphertext envelope and checks that it has the shape of either a
+ * versioned (AES-256-GCM) or a legacy (AES-256-CTR) payload.
+ *
+ * @param {string} base64String - A base64 encoded string produced by `encrypt`.
+ * @returns {{ version: number, keyId?: string, iv: Buffer, content: Buffer, tag?: Buffer }} The parsed envelope.
+ * @throws {InvalidEnvelopeError} If the payload is not a recognised envelope.
+ */
+const _parseEnvelope = (base64String) => {
+    if (typeof base64String !== 'string' || base64String.length === 0) {
+        throw new InvalidEnvelopeError('Ciphertext must be a non-empty string.', 'INVALID_INPUT');
+    }
+    const jsonString = Buffer.from(base64String, 'base64').toString('utf-8');
+    let hashObject;
+    try {
+        hashObject = JSON.parse(jsonString);
+    } catch (err) {
+        throw new InvalidEnvelopeError('Ciphertext is not a base64 encoded JSON envelope.', 'MALFORMED_ENVELOPE', { cause: err });
+    }
+    if (hashObject === null || typeof hashObject !== 'object' || Array.isArray(hashObject)) {
+        throw new InvalidEnvelopeError('Ciphertext envelope must be an object.', 'MALFORMED_ENVELOPE');
+    }
+
+    // Legacy payloads predate the version field
+    if (hashObject.v === undefined) {
+        return { version: 1, iv: _hexField(hashObject.iv, 'iv'), content: _hexField(hashObject.content, 'content', true) };
+    }
+
+    if (hashObject.v !== ENVELOPE_VERSION) {
+        throw new InvalidEnvelopeError(`Unsupported ciphertext envelope version: ${hashObject.v}.`, 'UNSUPPORTED_VERSION');
+    }
+
+    if (hashObject.kid !== undefined && (typeof hashObject.kid !== 'string' || hashObject.kid.length === 0)) {
+        throw new InvalidEnvelopeError('Envelope field "kid" must be a non-empty string.', 'MALFORMED_ENVELOPE');
+    }
+
+    const tag = _hexField(hashObject.tag, 'tag');
+    if (tag.length !== GCM_AUTH_TAG_LENGTH) {
+        throw new InvalidEnvelopeError('Envelope field "tag" has an invalid length.', 'MALFORMED_ENVELOPE');
+    }
+
+    return {
+        version: ENVELOPE_VERSION,
+        keyId: hashObject.kid,
+        iv: _hexField(hashObject.iv, 'iv'),
+        content: _hexField(hashObject.content, 'content', true),
+        tag
+    };
+};
+
+/**
+ * Returns the cryptographic configuration for the key a ciphertext was encrypted with.
+ * Payloads without a key ID were written before key rotation, so they are decrypted with
+ * the `default` key when the keyring defines one, otherwise with the active key.
+ *
+ * @param {string} [keyId] - The key ID stored in the envelope.
+ * @returns {{ algorithm: string, legacyAlgorithm: string, keyId: string, secretKey: Buffer }} The cryptographic configuration.
+ * @throws {KeyNotFoundError} If the key is not defined in the configured keyring.
+ */
+const _getDecryptionConfig = (keyId) => {
+    if (keyId != null) {
+        return getCreptoConfig(keyId);
+    }
+    try {
+        return getCreptoConfig(DEFAULT_KEY_ID);
+    } catch (err) {
+        if (!(err instanceof KeyNotFoundError)) {
+            throw err;
         }
+        return getCreptoConfig();
     }
+};
 
-    return newObj;
+/**
+ * Decrypts a parsed envelope with the key it references.
+ *
+ * @param {{ version: number, keyId?: string, iv: Buffer, content: Buffer, tag?: Buffer }} envelope - The envelope returned by `_parseEnvelope`.
+ * @returns {string} The decrypted text.
+ * @throws {InvalidEnvelopeError} If the envelope is a legacy payload and `legacyDecryption` is not enabled.
+ * @throws {KeyNotFoundError} If the key is not defined in the configured keyring.
+ * @throws {DecryptionError} If, for versioned envelopes, the authentication tag does not match.
+ */
+const _decryptEnvelope = (envelope) => {
+    // Legacy payloads are not authenticated, and CTR under the GCM key can replay GCM keystream
+    if (envelope.version !== ENVELOPE_VERSION && getConfig().legacyDecryption !== true) {
+        throw new InvalidEnvelopeError('Legacy AES-256-CTR ciphertexts are only accepted with the legacyDecryption configuration flag.', 'UNSUPPORTED_VERSION');
+    }
+    const config = _getDecryptionConfig(envelope.keyId);
+    try {
+        let decipher;
+        if (envelope.version === ENVELOPE_VERSION) {
+            decipher = createDecipheriv(config.algorithm, config.secretKey, envelope.iv, { authTagLength: GCM_AUTH_TAG_LENGTH });
+            decipher.setAuthTag(envelope.tag);
+        } else {
+            decipher = createDecipheriv(config.legacyAlgorithm, config.secretKey, envelope.iv);
+        }
+        // For GCM, final() throws when the authentication tag does not match
+        const decrpyted = Buffer.concat([decipher.update(envelope.content), decipher.final()]);
+        return decrpyted.toString();
+    } catch (err) {
+        if (envelope.version === ENVELOPE_VERSION) {
+            throw new DecryptionError('Ciphertext failed authentication; it was tampered with or encrypted with a different key.', 'AUTHENTICATION_FAILED', { cause: err });
+        }
+        throw new DecryptionError('Ciphertext could not be decrypted.', 'DECRYPTION_FAILED', { cause: err });
+    }
 };
 
 /**
- * Encrypts a given text using AES-256-CTR encryption algorithm.
+ * Encrypts a given text using the AES-256-GCM authenticated encryption algorithm.
+ *
+ * The result is a base64 encoded JSON envelope of the form `{ v, kid, iv, content, tag }`, where `v` is
+ * the envelope version, `kid` is the ID of the active key and `tag` is the GCM authentication tag
+ * used by `decrypt` to detect tampering.
+ *
+ * With `deterministic: true` the IV is derived from an HMAC of the text, so the same text always
+ * encrypts to the same ciphertext under the same key. This makes the value searchable by equality,
+ * at the cost of revealing which records share a value; use it only for lookup fields such as emails.
  *
  * @param {string} text - The text to be encrypted.
- * @param {Buffer} [iv] - The initialization vector. If not provided, a random 16-byte IV is generated.
- * @returns {string} A base64 encoded string representing the encrypted text. Returns the original text if an error occurs.
+ * @param {Buffer} [iv] - Ignored. Kept for backward compatibility; a fresh random 12-byte IV is generated for every
+ * call, since reusing a GCM nonce under the same key exposes the authentication key.
+ * @param {Object} [options] - Encryption options.
+ * @param {boolean} [options.deterministic=false] - Derive the IV from the text instead of generating a random one.
+ * @param {boolean} [options.strict] - Throw typed errors instead of returning the input. Defaults to the `strictCrypto` configuration flag.
+ * @returns {string} A base64 encoded string representing the encrypted text. Returns the original text if an error occurs, unless in strict mode.
+ * @throws {KeyNotFoundError} In strict mode, if no key is configured.
+ * @throws {EncryptionError} In strict mode, if the text is not a string or cannot be encrypted.
+ *
+ * @example
+ * // Searchable ciphertext for an email column
+ * const encryptedEmail = encrypt(email.toLowerCase(), undefined, { deterministic: true });
  */
-export const encrypt = (text, iv) => {
+export const encrypt = (text, iv, options = {}) => {
     try {
+        if (typeof text !== 'string') {
+            throw new EncryptionError('Only strings can be encrypted.', 'INVALID_INPUT');
+        }
         const config = getCreptoConfig();
-        iv = iv != null ? iv : randomBytes(16);
-        const cipher = createCipheriv(config.algorithm, config.secretKey, iv);
-        const encrypted = Buffer.concat([cipher.update(text), cipher.final()]);
-        const hashObject = { iv: iv.toString('hex'), content: encrypted.toString('hex') };
+        // A caller-supplied IV is never used: a repeated GCM nonce leaks the authentication key
+        iv = options.deterministic ? _deterministicIv(config.secretKey, text) : randomBytes(GCM_IV_LENGTH);
+        let cipher;
+        let encrypted;
+        try {
+            cipher = createCipheriv(config.algorithm, config.secretKey, iv, { authTagLength: GCM_AUTH_TAG_LENGTH });
+            encrypted = Buffer.concat([cipher.update(text), cipher.final()]);
+        } catch (err) {
+            throw new EncryptionError('Text could not be encrypted.', 'ENCRYPTION_FAILED', { cause: err });
+        }
+        const hashObject = {
+            v: ENVELOPE_VERSION,
+            kid: config.keyId,
+            iv: iv.toString('hex'),
+            content: encrypted.toString('hex'),
+            tag: cipher.getAuthTag().toString('hex')
+        };
         const jsonString = JSON.stringify(hashObject);
         const base64String = Buffer.from(jsonString).toString('base64');
         return base64String;
-    } catch {
+    } catch (err) {
+        if (_isStrict(options)) {
+            throw err;
+        }
         return text;
     }
 };
@@ -65,138 +257,539 @@ export const encrypt = (text, iv) => {
 /**
  * Decrypts a base64 encoded string that was encrypted using the encrypt function.
  *
+ * The key is picked from the keyring by the key ID stored in the envelope. Versioned envelopes
+ * are verified against their GCM authentication tag, so a tampered or truncated payload is
+ * rejected rather than decrypted to garbage. Legacy `{ iv, content }` payloads written with
+ * AES-256-CTR are rejected unless the `legacyDecryption` configuration flag is set. They are not
+ * authenticated, and a versioned envelope can be rewritten as a legacy one to alter its plaintext,
+ * so only enable the flag while migrating old data with `reencrypt`.
+ *
  * @param {string} base64String - A base64 encoded string representing the encrypted text.
- * @returns {string} The decrypted text. Returns the original base64 string if an error occurs during decryption.
+ * @param {Object} [options] - Decryption options.
+ * @param {boolean} [options.strict] - Throw typed errors instead of returning the input. Defaults to the `strictCrypto` configuration flag.
+ * @returns {string} The decrypted text. Returns the original base64 string if the payload is rejected or an error occurs during decryption, unless in strict mode.
+ * @throws {InvalidEnvelopeError} In strict mode, if the input is not a ciphertext envelope (e.g. plaintext or corrupted data),
+ * or is a legacy payload and `legacyDecryption` is not enabled.
+ * @throws {KeyNotFoundError} In strict mode, if the key referenced by the envelope is not configured.
+ * @throws {DecryptionError} In strict mode, if the envelope fails authentication.
  */
-export const decrypt = (base64String) => {
+export const decrypt = (base64String, options) => {
     try {
-        const config = getCreptoConfig();
-        const jsonString = Buffer.from(base64String, 'base64').toString('utf-8');
-        const hashObject = JSON.parse(jsonString);
-        const decipher = createDecipheriv(config.algorithm, config.secretKey, Buffer.from(hashObject.iv, 'hex'));
-        const decrpyted = Buffer.concat([decipher.update(Buffer.from(hashObject.content, 'hex')), decipher.final()]);
-        return decrpyted.toString();
-    } catch {
+        return _decryptEnvelope(_parseEnvelope(base64String));
+    } catch (err) {
+        if (_isStrict(options)) {
+            throw err;
+        }
         return base64String;
     }
 };
 
 /**
- * Encrypts all string values within an object.
+ * Moves an existing ciphertext onto the active key. The payload is decrypted with the key it
+ * references and encrypted again with the active key and a fresh IV. Deterministic ciphertexts
+ * stay deterministic under the new key. Legacy AES-256-CTR payloads are upgraded to the
+ * versioned envelope on the way when the `legacyDecryption` configuration flag is set.
  *
- * @param {Object} obj - The object whose string values are to be encrypted.
- * @param {string[]} [propertiesToEncrypt] - List of property names to encrypt. If not provided, all string properties are encrypted.
- * @param {Buffer} [iv] - The initialization vector for encryption. If not provided, a random 16-byte IV is generated.
- * @returns {Object} A new object with all string values encrypted. Non-string values are copied as is.
- */
-export const encryptObjectItems = (obj, propertiesToEncrypt, iv) => {
-    // Check if the input is an array and handle it accordingly
-    if (Array.isArray(obj)) {
-        return obj.map(item => encryptObjectItems(item, propertiesToEncrypt, iv));
-    }
-    // Proceed if the input is an object
-    else if (obj !== null && typeof obj === 'object') {
-        const keys = Object.keys(obj);
-        if (keys.length > 0) {
-            const convertedObject = {};
-            for (let key of keys) {
-                if (obj.hasOwnProperty(key)) {
-                    // Check if the current item should be encrypted
-                    const shouldEncrypt = typeof obj[key] === 'string' && (!propertiesToEncrypt || propertiesToEncrypt.includes(key));
-                    if (shouldEncrypt) {
-                        convertedObject[key] = encrypt(obj[key], iv); // Encrypt the string value
-                    } else {
-                        // Recursively apply to nested objects or arrays, or copy other values as is
-                        convertedObject[key] = encryptObjectItems(obj[key], propertiesToEncrypt, iv);
-                    }
-                }
-            }
-            return convertedObject;
+ * @param {string} base64String - A base64 encoded string produced by `encrypt`.
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.strict] - Throw typed errors instead of returning the input. Defaults to the `strictCrypto` configuration flag.
+ * @returns {string} The ciphertext encrypted with the active key. Returns the input unchanged if it is
+ * already encrypted with the active key, or if it cannot be decrypted (unless in strict mode).
+ * @throws {CryptoError} In strict mode, the error raised by `decrypt` or `encrypt`.
+ *
+ * @example
+ * // After marking a new key as active in the keyring
+ * record.email = reencrypt(record.email);
+ */
+export const reencrypt = (base64String, options) => {
+    try {
+        const envelope = _parseEnvelope(base64String);
+        const { keyId } = getCreptoConfig();
+        if (envelope.version === ENVELOPE_VERSION && envelope.keyId === keyId) {
+            return base64String;
         }
-        else {
-            return obj;
+        const text = _decryptEnvelope(envelope);
+        const { secretKey } = _getDecryptionConfig(envelope.keyId);
+        const deterministic = envelope.version === ENVELOPE_VERSION && envelope.iv.equals(_deterministicIv(secretKey, text));
+        return encrypt(text, undefined, { deterministic, strict: true });
+    } catch (err) {
+        if (_isStrict(options)) {
+            throw err;
         }
+        return base64String;
     }
-    // Return non-object and non-array values unchanged
-    return obj;
+};
+
+/**
+ * Computes a blind index for a value: an HMAC-SHA256 lookup token that can be stored next to the
+ * encrypted value and queried by equality without decrypting anything. The HMAC key is derived
+ * from the active key and scoped to `field`, so equal values in different fields yield unrelated tokens.
+ *
+ * Normalise the value first (e.g. lowercase an email) so that equivalent inputs match.
+ *
+ * @param {string} value - The value to index.
+ * @param {string} field - The name of the field the index belongs to, e.g. `email`.
+ * @param {Object} [options] - Options.
+ * @param {string} [options.keyId] - The key to derive the index key from. Defaults to the active key;
+ * pin it to keep tokens stable across key rotations.
+ * @returns {string} The blind index as a hex string.
+ * @throws {EncryptionError} If `value` or `field` is not a string (`INVALID_INPUT`).
+ * @throws {KeyNotFoundError} If the key is not configured.
+ *
+ * @example
+ * const emailIndex = blindIndex(email.toLowerCase(), 'email');
+ * // SELECT * FROM users WHERE email_index = $1
+ */
+export const blindIndex = (value, field, options = {}) => {
+    if (typeof value !== 'string') {
+        throw new EncryptionError('Only strings can be indexed.', 'INVALID_INPUT');
+    }
+    if (typeof field !== 'string' || field.length === 0) {
+        throw new EncryptionError('A blind index requires a non-empty field name.', 'INVALID_INPUT');
+    }
+    const { secretKey } = getCreptoConfig(options.keyId);
+    return createHmac('sha256', _deriveKey(secretKey, `blind-index:${field}`)).update(value).digest('hex');
+};
+
+/**
+ * Applies a transformation to the string values of an object, walking nested objects, arrays,
+ * Maps and Sets with `transformDeep`. Shared by `encryptObjectItems` and `decryptObjectItems`.
+ *
+ * When the transformation throws a `CryptoError`, it is re-raised as an error of the same class
+ * whose `path` names the property that failed, e.g. `contacts[0].email`.
+ *
+ * @param {*} obj - The value to process.
+ * @param {function(Array<string|number>): boolean} [isSelected] - Decides from its path whether a string is transformed,
+ * including the items of arrays and Sets, e.g. `phones[*]`. If not provided, all string properties are transformed,
+ * but not the items of arrays and Sets.
+ * @param {function(string, Array<string|number>): string} transform - The transformation applied to each selected string; receives the value and its path.
+ * @param {number} [maxDepth] - The maximum nesting depth, see `transformDeep`.
+ * @returns {*} A new object with the selected values transformed. Non-object values are returned unchanged.
+ * @throws {RangeError} If the object is nested deeper than `maxDepth`.
+ */
+const _transformObjectItems = (obj, isSelected, transform, maxDepth) => {
+    return transformDeep(obj, (key, value, path) => {
+        if (typeof value !== 'string') {
+            return undefined;
+        }
+        // The items of arrays and Sets are only transformed when a selector addresses them
+        if (isSelected ? !isSelected(path) : typeof key !== 'string') {
+            return undefined;
+        }
+        try {
+            return { value: transform(value, path) };
+        } catch (err) {
+            if (!(err instanceof CryptoError)) {
+                throw err;
+            }
+            const ErrorClass = err.constructor;
+            const formattedPath = formatPath(path);
+            throw new ErrorClass(`Property "${formattedPath}": ${err.message}`, err.code, { cause: err, path: formattedPath });
+        }
+    }, { maxDepth });
+};
+
+/**
+ * Encrypts all string values within an object.
+ *
+ * Properties are chosen with path selectors: a bare name such as `email` matches at any depth,
+ * `user.email` is anchored at the root, `contacts[*].phone` matches every array element, `**.ssn`
+ * matches any number of levels and a leading `!` excludes paths, e.g. `!auditLog.**`. Strings held
+ * in arrays and Sets are encrypted when a selector addresses them, such as `phones[*]` or `phones[0]`;
+ * without selectors, only string properties are encrypted.
+ *
+ * @param {Object} obj - The object whose string values are to be encrypted.
+ * @param {string[]} [propertiesToEncrypt] - Path selectors of the properties to encrypt. If not provided, all string properties are encrypted.
+ * @param {Buffer} [iv] - Ignored, see `encrypt`. Every value gets its own random 12-byte IV.
+ * @param {Object} [options] - Encryption options.
+ * @param {boolean|string[]} [options.deterministic=false] - Path selectors of the properties to encrypt deterministically (see `encrypt`),
+ * or `true` for all of them. Other properties get a random IV.
+ * @param {boolean} [options.strict] - Throw typed errors instead of leaving values unencrypted. Defaults to the `strictCrypto` configuration flag.
+ * @param {number} [options.maxDepth=100] - The maximum nesting depth of the object, see `transformDeep`.
+ * @returns {Object} A new object with all string values encrypted. Non-string values are copied as is, and circular
+ * references are preserved.
+ * @throws {CryptoError} In strict mode, the error raised by `encrypt`, with `path` set to the property that failed.
+ * @throws {RangeError} If the object is nested deeper than `maxDepth`.
+ *
+ * @example
+ * // Email is searchable, phone numbers are not, audit log entries are left alone
+ * encryptObjectItems(report, ['user.email', 'contacts[*].phone', '**.ssn'], undefined, { deterministic: ['user.email'] });
+ */
+export const encryptObjectItems = (obj, propertiesToEncrypt, iv, options = {}) => {
+    const { deterministic, maxDepth, ...encryptOptions } = options;
+    const isSelected = propertiesToEncrypt ? createPathMatcher(propertiesToEncrypt) : undefined;
+    const isDeterministicPath = Array.isArray(deterministic) ? createPathMatcher(deterministic) : () => deterministic === true;
+    return _transformObjectItems(obj, isSelected, (value, path) => {
+        const isDeterministic = isDeterministicPath(path);
+        return encrypt(value, undefined, { ...encryptOptions, deterministic: isDeterministic });
+    }, maxDepth);
 };
 
 /**
  * Decrypts all string values within an object that were encrypted using encryptObjectItems.
+ * As there, the items of arrays and Sets are only decrypted when a selector addresses them.
  *
  * @param {Object} obj - The object with encrypted string values.
- * @param {string[]} [propertiesToDecrypt] - List of property names to decrypt. If not provided, all string properties are decrypted.
- * @returns {Object} A new object with all string values decrypted. Non-string values are copied as is.
- */
-export const decryptObjectItems = (obj, propertiesToDecrypt) => {
-    // Check if the input is an array and handle it accordingly
-    if (Array.isArray(obj)) {
-        return obj.map(item => decryptObjectItems(item, propertiesToDecrypt));
-    }
-    // Proceed if the input is an object
-    else if (obj !== null && typeof obj === 'object') {
-        const keys = Object.keys(obj);
-        if (keys.length > 0) {
-            const convertedObject = {};
-            for (let key of keys) {
-                if (obj.hasOwnProperty(key)) {
-                    // Check if the current item should be decrypted
-                    const shouldDecrypt = typeof obj[key] === 'string' && (!propertiesToDecrypt || propertiesToDecrypt.includes(key));
-                    if (shouldDecrypt) {
-                        convertedObject[key] = decrypt(obj[key]); // Decrypt the string value
-                    } else {
-                        // Recursively apply to nested objects or arrays, or copy other values as is
-                        convertedObject[key] = decryptObjectItems(obj[key], propertiesToDecrypt);
-                    }
-                }
+ * @param {string[]} [propertiesToDecrypt] - Path selectors of the properties to decrypt, as for `encryptObjectItems`. If not provided, all string properties are decrypted.
+ * @param {Object} [options] - Decryption options.
+ * @param {boolean} [options.strict] - Throw typed errors instead of leaving values as they are. Defaults to the `strictCrypto` configuration flag.
+ * @param {number} [options.maxDepth=100] - The maximum nesting depth of the object, see `transformDeep`.
+ * @returns {Object} A new object with all string values decrypted. Non-string values are copied as is, and circular
+ * references are preserved.
+ * @throws {CryptoError} In strict mode, the error raised by `decrypt`, with `path` set to the property that failed.
+ * @throws {RangeError} If the object is nested deeper than `maxDepth`.
+ */
+export const decryptObjectItems = (obj, propertiesToDecrypt, options = {}) => {
+    const { maxDepth, ...decryptOptions } = options;
+    const isSelected = propertiesToDecrypt ? createPathMatcher(propertiesToDecrypt) : undefined;
+    return _transformObjectItems(obj, isSelected, value => decrypt(value, decryptOptions), maxDepth);
+};
+
+/**
+ * The cases supported by `convertKey` and `convertKeys`.
+ * @type {ReadonlyArray<string>}
+ */
+export const KEY_CASES = Object.freeze(['camel', 'pascal', 'snake', 'kebab', 'constant']);
+
+/**
+ * Splits a word into case-insensitive parts: a run of capitals stays together unless it is followed
+ * by a capitalized word (`XMLHttp` is `XML` + `Http`), a plural `s` stays with it (`IDs`), and digits
+ * stay with the part before them. Capitals, lower-case letters and digits are those of any script.
+ * @type {RegExp}
+ */
+const WORD_PATTERN = /\p{Lu}{2,}s(?=\p{Lu}|[^\p{Lu}\p{Ll}]|$)|\p{Lu}{2,}(?=\p{Lu}\p{Ll}|[^\p{Lu}\p{Ll}]|$)\p{N}*|\p{Lu}?\p{Ll}+\p{N}*|\p{Lu}\p{N}*|\p{N}+\p{Ll}*/gu;
+
+/**
+ * Splits a run of capitals into known acronyms, e.g. `XMLHTTP` into `XML` and `HTTP`.
+ *
+ * @param {string} word - The upper-case word.
+ * @param {Array<string>} acronyms - The known acronyms, in upper case, longest first.
+ * @returns {Array<string>|null} The acronyms making up the whole word, or `null` if there are none.
+ */
+const _splitAcronyms = (word, acronyms) => {
+    if (word.length === 0) {
+        return [];
+    }
+    for (const acronym of acronyms) {
+        if (word.startsWith(acronym)) {
+            const rest = _splitAcronyms(word.slice(acronym.length), acronyms);
+            if (rest) {
+                return [acronym, ...rest];
             }
-            return convertedObject;
-        }
-        else {
-            return obj;
         }
     }
-    // Return non-object and non-array values unchanged
-    return obj;
+    return null;
 };
 
 /**
- * Converts the keys of an object from snake_case to lowerCamelCase.
+ * Splits a key into its words, keeping leading and trailing underscores (as in `_id` or `__v`) aside.
  *
- * @param {Object} obj - The object whose keys need to be converted.
- * @returns {Object} A new object with all keys in lowerCamelCase.
+ * @param {string} key - The key in any supported case.
+ * @param {Array<string>} acronyms - The known acronyms, in upper case, longest first.
+ * @returns {{ prefix: string, words: Array<string>, suffix: string }|null} The lower-case words, or `null`
+ * if the key contains characters other than upper- and lower-case letters, digits, `_`, `-` and spaces and must be kept as is.
  */
-export const toLowerCamelCase = (obj) => {
-    const convertKey = (key) => key.replace(/_([a-z])/g, (g) => g[1].toUpperCase());
+const _splitKey = (key, acronyms) => {
+    const [, prefix, core, suffix] = /^(_*)(.*?)(_*)$/s.exec(key);
+    if (core.length === 0 || !/^[\p{Lu}\p{Ll}\p{N}_\- ]+$/u.test(core)) {
+        return null;
+    }
+    const words = core
+        .split(/[_\- ]+/)
+        .flatMap(part => part.match(WORD_PATTERN) || [])
+        .flatMap(word => (/^\p{Lu}{2,}\p{N}*$/u.test(word) && _splitAcronyms(word, acronyms)) || [word])
+        .map(word => word.toLowerCase());
+    return { prefix, words, suffix };
+};
 
-    const processValue = (value) => {
-        // Check if the value is a date object
-        if (value instanceof Date) {
-            return value;
-        }
+/**
+ * Returns the case a key is written in, which is the case `convertKeys` converts back to when checking reversibility.
+ *
+ * @param {string} key - The key.
+ * @returns {string} One of `KEY_CASES`.
+ */
+const _detectCase = (key) => {
+    const core = key.replace(/^_+|_+$/g, '');
+    if (core.includes('-')) {
+        return 'kebab';
+    }
+    if (core === core.toUpperCase() && /\p{Lu}/u.test(core)) {
+        return 'constant';
+    }
+    if (core.includes('_')) {
+        return 'snake';
+    }
+    return /^\p{Lu}/u.test(core) ? 'pascal' : 'camel';
+};
+
+/**
+ * Normalizes the acronyms option into upper-case acronyms sorted longest first.
+ *
+ * @param {Array<string>} [acronyms=[]] - The acronyms.
+ * @returns {Array<string>} The normalized acronyms.
+ */
+const _normalizeAcronyms = (acronyms = []) => {
+    return [...new Set(acronyms.map(acronym => acronym.toUpperCase()))].sort((a, b) => b.length - a.length);
+};
+
+/**
+ * Converts a key into the target case, with the acronyms already normalized.
+ *
+ * @param {string} key - The key to convert.
+ * @param {string} targetCase - One of `KEY_CASES`.
+ * @param {Array<string>} acronyms - The normalized acronyms.
+ * @returns {string} The converted key.
+ */
+const _convertKey = (key, targetCase, acronyms) => {
+    const parts = _splitKey(key, acronyms);
+    if (!parts) {
+        return key;
+    }
+    const { prefix, words, suffix } = parts;
+    const capitalize = word => (acronyms.includes(word.toUpperCase()) ? word.toUpperCase() : word[0].toUpperCase() + word.slice(1));
+
+    let converted;
+    switch (targetCase) {
+        case 'camel':
+            converted = words.map((word, index) => (index === 0 ? word : capitalize(word))).join('');
+            break;
+        case 'pascal':
+            converted = words.map(capitalize).join('');
+            break;
+        case 'snake':
+            converted = words.join('_');
+            break;
+        case 'kebab':
+            converted = words.join('-');
+            break;
+        case 'constant':
+            converted = words.join('_').toUpperCase();
+            break;
+    }
+    return `${prefix}${converted}${suffix}`;
+};
+
+/**
+ * Checks a target case.
+ *
+ * @param {string} targetCase - The case to check.
+ * @throws {Error} If the case is not one of `KEY_CASES`.
+ */
+const _checkCase = (targetCase) => {
+    if (!KEY_CASES.includes(targetCase)) {
+        throw new Error(`Unknown case "${targetCase}".`);
+    }
+};
+
+/**
+ * Converts a single key into another case.
+ *
+ * Keys are split into words at `_`, `-` and spaces and at case changes, so that `userID`, `user_id`,
+ * `user-id` and `UserId` are all the words `user` and `id`. Runs of capitals are kept together
+ * (`XMLHttpRequest` is `xml`, `http`, `request`) and digits stay with the word before them
+ * (`address2`, `line2Text`). Letters of any script are supported (`prénom_client` is `prénom`,
+ * `client`). Leading and trailing underscores, as in `_id` or `__v`, are kept, and keys with other
+ * characters, such as `$ref`, `a.b` or letters without case, are returned unchanged.
+ *
+ * Known acronyms are split apart (`XMLHTTPRequest` with `XML` and `HTTP`) and written in capitals
+ * in camel and Pascal case, except as the first word in camel case.
+ *
+ * @param {string} key - The key to convert.
+ * @param {'camel'|'pascal'|'snake'|'kebab'|'constant'} targetCase - The target case.
+ * @param {Object} [options] - Conversion options.
+ * @param {string[]} [options.acronyms=[]] - Known acronyms, e.g. `['ID', 'URL', 'API']`.
+ * @returns {string} The converted key.
+ * @throws {Error} If the target case is unknown.
+ *
+ * @example
+ * convertKey('userID', 'snake'); // 'user_id'
+ * convertKey('user_id', 'camel', { acronyms: ['ID'] }); // 'userID'
+ * convertKey('XMLHttpRequest', 'constant'); // 'XML_HTTP_REQUEST'
+ * convertKey('_created_at', 'kebab'); // '_created-at'
+ */
+export const convertKey = (key, targetCase, { acronyms } = {}) => {
+    _checkCase(targetCase);
+    return _convertKey(key, targetCase, _normalizeAcronyms(acronyms));
+};
+
+/**
+ * Creates the date codec of `convertKeys`, which serializes `Date` values and revives date strings.
+ *
+ * @param {Object} options - The `dates` option of `convertKeys`.
+ * @param {'iso'|'epoch'|false} [options.serialize=false] - How Dates are serialized.
+ * @param {boolean|string[]} [options.revive=false] - Revive every ISO 8601 string, or only those under keys matching these patterns.
+ * @param {string} [options.timeZone] - The IANA timezone. Defaults to the `timezone` configuration.
+ * @returns {function(*, function(): string[]): *} Converts a value, given a function returning the names of the key it
+ * is found under; returns the value itself if it is left as is.
+ * @throws {Error} If an option is invalid.
+ */
+const _createDateCodec = ({ serialize = false, revive = false, timeZone } = {}) => {
+    if (![false, 'iso', 'epoch'].includes(serialize)) {
+        throw new Error(`Unknown date serialization "${serialize}".`);
+    }
+    if (typeof revive !== 'boolean' && !Array.isArray(revive)) {
+        throw new Error('dates.revive must be a boolean or an array of key patterns.');
+    }
+    // `*` stands for any characters, e.g. `*At` or `*_date`; everything else is literal
+    const escape = text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    const keyPatterns = Array.isArray(revive)
+        ? revive.map(pattern => new RegExp(`^${pattern.split('*').map(escape).join('.*')}$`))
+        : null;
 
-        // Check if the value is an array and process each item
-        if (Array.isArray(value)) {
-            return value.map(item => processValue(item));
+    return (value, getKeyNames) => {
+        if (value instanceof Date && serialize) {
+            if (Number.isNaN(value.getTime())) {
+                // As JSON.stringify does
+                return null;
+            }
+            return serialize === 'epoch' ? value.getTime() : formatDate(value, undefined, { timeZone });
+        }
+        if (typeof value === 'string' && revive && (!keyPatterns || getKeyNames().some(name => keyPatterns.some(pattern => pattern.test(name))))) {
+            return parseISODate(value, { timeZone }) ?? value;
         }
+        return value;
+    };
+};
+
+/**
+ * Converts the keys of a value with `transformDeep`, leaving excluded paths untouched.
+ *
+ * @param {*} value - The value whose keys need to be converted.
+ * @param {function(string): string} convertOne - Converts a single key.
+ * @param {Object} [options] - Conversion options.
+ * @param {function(Array<string|number>): boolean} [options.isExcluded] - Returns `true` for paths whose key and value are copied as is.
+ * @param {function(string, string, string): void} [options.onCollision] - Called when two keys of an object convert to the same key.
+ * @param {function(*, function(): string[]): *} [options.convertDate] - The date codec, see `_createDateCodec`.
+ * @param {number} [options.maxDepth] - The maximum nesting depth, see `transformDeep`.
+ * @returns {*} A new value with converted keys.
+ */
+const _convertKeys = (value, convertOne, { isExcluded, onCollision, convertDate, maxDepth } = {}) => {
+    // The original key of each converted key, per object or Map
+    const sources = new WeakMap();
 
-        // If the value is an object, convert its keys
-        if (typeof value === 'object' && value !== null) {
-            return toLowerCamelCase(value);
+    return transformDeep(value, (key, item, path, parent) => {
+        if (isExcluded && isExcluded(path)) {
+            return { value: item };
+        }
+        const result = {};
+        if (convertDate) {
+            // Items of arrays and Sets are matched against the key of their container
+            const getKeyNames = () => {
+                const name = path.findLast(segment => typeof segment === 'string');
+                return name === undefined ? [] : [name, convertOne(name)];
+            };
+            const converted = convertDate(item, getKeyNames);
+            if (converted !== item) {
+                result.value = converted;
+            }
+        }
+        // Array and Set indices, and non-string Map keys, are kept
+        if (typeof key !== 'string' || Array.isArray(parent) || parent instanceof Set) {
+            return result;
+        }
+        const converted = convertOne(key);
+        if (!sources.has(parent)) {
+            sources.set(parent, new Map());
+        }
+        const parentSources = sources.get(parent);
+        if (parentSources.has(converted) && onCollision) {
+            onCollision(parentSources.get(converted), key, converted);
         }
+        parentSources.set(converted, key);
+        result.key = converted;
+        return result;
+    }, { maxDepth });
+};
 
-        // For all other values, return them directly
-        return value;
+/**
+ * Converts the keys of an object into another case, recursively. See `convertKey` for how keys are
+ * split into words.
+ *
+ * Arrays, Sets and the values of Maps are converted item by item, and the string keys of Maps are
+ * converted. Class instances are converted into plain objects, using their `toJSON()` method if
+ * they have one. Dates, Buffers, typed arrays, regular expressions and BigInts are kept as they are,
+ * and circular references are preserved (see `transformDeep`).
+ *
+ * Conversion is lossy for some keys, e.g. `user__id` and `user_id` are both `userId` in camel case.
+ * With `reversible`, every key must convert back to itself from the target case (in the case it was
+ * written in), and no two keys of an object may convert to the same key; otherwise an error is thrown.
+ *
+ * The `dates` option adds a date codec to the conversion. When serializing, Dates become ISO 8601
+ * strings with the offset of the timezone (see `formatDate`) or milliseconds since the epoch. When
+ * parsing, ISO 8601 strings become Dates (see `parseISODate`): every such string, or only those
+ * under keys matching patterns such as `*At` or `*_date`, tested against the key as written and as
+ * converted. Strings that are not valid dates are kept.
+ *
+ * @param {*} obj - The value whose keys need to be converted.
+ * @param {'camel'|'pascal'|'snake'|'kebab'|'constant'} targetCase - The target case.
+ * @param {Object} [options] - Conversion options.
+ * @param {string[]} [options.acronyms=[]] - Known acronyms, see `convertKey`.
+ * @param {string[]} [options.exclude] - Path selectors (see `encryptObjectItems`) of properties whose key and value are
+ * left untouched, matched against the original keys. For example, `metadata.*` converts the `metadata` key but not the
+ * free-form map inside it.
+ * @param {boolean} [options.reversible=false] - Throw if a key cannot be converted back, or two keys collide.
+ * @param {number} [options.maxDepth=100] - The maximum nesting depth of the value.
+ * @param {Object} [options.dates] - The date codec.
+ * @param {'iso'|'epoch'|false} [options.dates.serialize=false] - Replace Dates with ISO 8601 strings or epoch milliseconds.
+ * @param {boolean|string[]} [options.dates.revive=false] - Replace ISO 8601 strings with Dates: all of them, or only
+ * those under keys matching these patterns, where `*` stands for any characters.
+ * @param {string} [options.dates.timeZone] - The timezone of serialized Dates and of revived strings without an offset.
+ * Defaults to the `timezone` configuration.
+ * @returns {*} A new value with converted keys. Non-object values are returned unchanged.
+ * @throws {Error} If the target case or a date option is unknown, or in reversible mode if a key cannot be converted reversibly.
+ * @throws {RangeError} If the value is nested deeper than `maxDepth`.
+ *
+ * @example
+ * convertKeys({ userID: 1, billingAddress: { line2: 'x' } }, 'snake'); // { user_id: 1, billing_address: { line2: 'x' } }
+ * convertKeys(new Map([['first_name', 'John']]), 'pascal'); // Map { 'FirstName' => 'John' }
+ * convertKeys({ api_url: 'x' }, 'camel', { acronyms: ['API', 'URL'], reversible: true }); // { apiURL: 'x' }
+ * convertKeys({ created_at: '2024-07-01T09:00:00Z' }, 'camel', { dates: { revive: ['*At'] } }); // { createdAt: Date }
+ * convertKeys({ createdAt: new Date(0) }, 'snake', { dates: { serialize: 'iso', timeZone: 'Europe/Berlin' } });
+ * // { created_at: '1970-01-01T01:00:00.000+01:00' }
+ */
+export const convertKeys = (obj, targetCase, { acronyms, exclude, reversible = false, maxDepth, dates } = {}) => {
+    _checkCase(targetCase);
+    const convertDate = dates ? _createDateCodec(dates) : undefined;
+    const normalizedAcronyms = _normalizeAcronyms(acronyms);
+    const isExcluded = exclude?.length > 0 ? createPathMatcher(exclude) : undefined;
+
+    const convertOne = (key) => {
+        const converted = _convertKey(key, targetCase, normalizedAcronyms);
+        if (reversible && _convertKey(converted, _detectCase(key), normalizedAcronyms) !== key) {
+            throw new Error(`Key "${key}" cannot be converted to ${targetCase} case reversibly.`);
+        }
+        return converted;
     };
+    const onCollision = reversible
+        ? (first, second, converted) => {
+            throw new Error(`Keys "${first}" and "${second}" both convert to "${converted}".`);
+        }
+        : undefined;
+
+    return _convertKeys(obj, convertOne, { isExcluded, onCollision, convertDate, maxDepth });
+};
 
-    return Object.entries(obj).reduce((acc, [key, value]) => {
-        acc[convertKey(key)] = processValue(value);
-        return acc;
-    }, {});
+/**
+ * Converts the keys of an object to lowerCamelCase. Shorthand for `convertKeys(obj, 'camel', options)`.
+ *
+ * Every key is split into words and joined again (see `convertKey`), including keys that already are
+ * in camel case: `userID` becomes `userId` unless `ID` is one of the `acronyms`. Use `exclude` to keep
+ * keys as they are.
+ *
+ * @param {Object} obj - The object whose keys need to be converted.
+ * @param {Object} [options] - The options of `convertKeys`, e.g. `exclude`, `acronyms` and `dates`.
+ * @returns {Object} A new object with all keys in lowerCamelCase.
+ *
+ * @example
+ * toLowerCamelCase({ userID: 1, prénom_client: 'x' }); // { userId: 1, prénomClient: 'x' }
+ * toLowerCamelCase({ userID: 1 }, { acronyms: ['ID'] }); // { userID: 1 }
+ */
+export const toLowerCamelCase = (obj, options) => {
+    return convertKeys(obj, 'camel', options);
 };
 
 /**
- * Converts the keys of an object from lowerCamelCase to snake_case.
+ * Converts the keys of an object to snake_case. Shorthand for `convertKeys(obj, 'snake', options)`.
  *
  * This function recursively converts all object keys to snake_case, where
  * each word is separated by an underscore and all letters are in lowercase.
@@ -205,60 +798,134 @@ export const toLowerCamelCase = (obj) => {
  * except for the recursive conversion of array items or object properties.
  *
  * @param {Object} obj - The object whose keys need to be converted to snake_case.
+ * @param {Object} [options] - The options of `convertKeys`, e.g. `exclude`, `acronyms` and `dates`.
  * @returns {Object} A new object with all keys in snake_case.
  */
-export const toSnakeCase = (obj) => {
-    const convertKey = (key) => key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+export const toSnakeCase = (obj, options) => {
+    return convertKeys(obj, 'snake', options);
+};
+
+/**
+ * Creates an Express middleware that converts the keys of `req.body` and `req.query` on the way
+ * in, and wraps `res.json` to convert the keys of the payload on the way out. By default, clients
+ * speak snake_case and handlers work with lowerCamelCase.
+ *
+ * Mount it globally or per route with different options; set a direction to `false` to leave it
+ * untouched. Keys or subtrees that must not be converted, such as free-form metadata maps, are
+ * given as path selectors (see `encryptObjectItems`) matched against the original keys of each
+ * direction: `metadata.*` keeps the keys inside a top-level `metadata` while still converting
+ * `metadata` itself, and `**.metadata.*` does the same at any depth.
+ *
+ * @param {Object} [options] - Conversion options.
+ * @param {'camel'|'pascal'|'snake'|'kebab'|'constant'|false} [options.request='camel'] - The case of incoming body and query keys.
+ * @param {'camel'|'pascal'|'snake'|'kebab'|'constant'|false} [options.response='snake'] - The case of outgoing `res.json` payload keys.
+ * @param {string[]} [options.acronyms] - Known acronyms, see `convertKey`.
+ * @param {string[]} [options.exclude] - Path selectors of properties left untouched in both directions.
+ * @param {string[]} [options.excludeRequest] - Path selectors of properties left untouched in the request only.
+ * @param {string[]} [options.excludeResponse] - Path selectors of properties left untouched in the response only.
+ * @param {Object} [options.dates] - The date codec (see `convertKeys`): `revive` applies to the request and `serialize`
+ * to the response, both in `timeZone`.
+ * @returns {function(object, object, function): void} The Express middleware.
+ * @throws {Error} If a direction names an unknown case, or a date option is unknown.
+ *
+ * @example
+ * app.use(express.json());
+ * app.use(caseConversion({ exclude: ['metadata.*'] }));
+ * // A third-party webhook keeps its own keys
+ * app.post('/webhooks/stripe', caseConversion({ request: false, response: false }), handleWebhook);
+ * // Timestamps are sent in the configured timezone, and `*_at` fields arrive as Dates
+ * app.use(caseConversion({ dates: { serialize: 'iso', revive: ['*_at'] } }));
+ */
+export const caseConversion = (options = {}) => {
+    const { request = 'camel', response = 'snake', acronyms, exclude = [], excludeRequest = [], excludeResponse = [], dates } = options;
+    for (const targetCase of [request, response]) {
+        if (targetCase !== false) {
+            _checkCase(targetCase);
+        }
+    }
+    const { serialize, revive, timeZone } = dates || {};
+    const requestOptions = { acronyms, exclude: [...exclude, ...excludeRequest], dates: revive ? { revive, timeZone } : undefined };
+    const responseOptions = { acronyms, exclude: [...exclude, ...excludeResponse], dates: serialize ? { serialize, timeZone } : undefined };
+    // Invalid date options are reported when the middleware is created
+    if (dates) {
+        _createDateCodec(dates);
+    }
 
-    const processValue = (value) => {
-        // Check if the value is a date object
-        if (value instanceof Date) {
+    const convert = (value, targetCase, conversionOptions) => {
+        if (value === null || typeof value !== 'object') {
             return value;
         }
+        return convertKeys(value, targetCase, conversionOptions);
+    };
 
-        // Check if the value is an array and process each item
-        if (Array.isArray(value)) {
-            return value.map(item => processValue(item));
+    return (req, res, next) => {
+        if (request) {
+            for (const location of ['body', 'query']) {
+                if (req[location] && typeof req[location] === 'object' && !Buffer.isBuffer(req[location])) {
+                    // req.query is a getter in some versions of Express, so it cannot simply be assigned
+                    Object.defineProperty(req, location, {
+                        value: convert(req[location], request, requestOptions),
+                        writable: true,
+                        configurable: true,
+                        enumerable: true
+                    });
+                }
+            }
         }
 
-        // If the value is an object, convert its keys to snake_case
-        if (typeof value === 'object' && value !== null) {
-            return toSnakeCase(value);
+        if (response) {
+            const originalJson = res.json;
+            res.json = function (body) {
+                return originalJson.call(this, convert(body, response, responseOptions));
+            };
         }
 
-        // For all other values, return them directly
-        return value;
+        next();
     };
-
-    return Object.entries(obj).reduce((acc, [key, value]) => {
-        acc[convertKey(key)] = processValue(value);
-        return acc;
-    }, {});
 };
 
 /**
  * Extracts key information from the Express request object and returns it as a JSON string.
  * Handles circular references in the object structure to ensure proper JSON serialization.
  *
+ * Sensitive data is masked with `redact`. The policies come from the `redaction` configuration
+ * (`redaction.headers` for headers, `redaction.data` for the body, query, params and cookies) and
+ * default to `DEFAULT_HEADER_REDACTION_POLICY` and `DEFAULT_REDACTION_POLICY`.
+ *
+ * When the request passed through `requestContext`, its `requestId` and `traceId` are included
+ * so that log entries can be correlated across services.
+ *
  * @param {object} req - The Express request object.
  * @returns {string} A JSON string representing key information from the request object.
  */
 export const convertRequestData = (req) => {
-    // Array of properties to hide
-    const forbiddenProperties = ['password', 'token', 'email', 'firstName', 'middleName', 'lastName', 'dateOfBirth', 'profilePictureUrl', 'profilePictureThumbnailUrl'];
+    // The request data is also logged before the configuration is set, e.g. during startup
+    let redaction = {};
+    try {
+        redaction = getConfig().redaction || {};
+    } catch {
+        // Fall back to the default policies
+    }
+    const dataPolicy = redaction.data || DEFAULT_REDACTION_POLICY;
+    const headerPolicy = redaction.headers || DEFAULT_HEADER_REDACTION_POLICY;
+
+    // The request context is read from the request first, as loggers often run outside of it
+    const context = req.requestContext || getRequestContext();
 
     const requestData = {
+        requestId: context?.requestId,
+        traceId: context?.traceId,
         method: req.method,
         originalUrl: req.originalUrl,
-        headers: _hideSensitiveData(req.headers, ['Authorization', 'x-development-token']),
-        body: _hideSensitiveData(req.body, forbiddenProperties),
-        query: _hideSensitiveData(req.query, forbiddenProperties),
-        params: _hideSensitiveData(req.params, forbiddenProperties),
+        headers: redact(req.headers, headerPolicy),
+        body: redact(req.body, dataPolicy),
+        query: redact(req.query, dataPolicy),
+        params: redact(req.params, dataPolicy),
         ip: req.ip,
         hostname: req.hostname,
         protocol: req.protocol,
         path: req.path,
-        cookies: _hideSensitiveData(req.cookies, forbiddenProperties)
+        cookies: redact(req.cookies, dataPolicy)
     };
 
     return requestData;
@@ -0,0 +1,480 @@
+import { getConfig } from '../config/config.mjs';
+
+/**
+ * The number of milliseconds in a day without a DST transition.
+ * @type {number}
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * An ISO 8601 date (`2024-03-10`) or date-time (`2024-03-10T02:30`, `2024-03-10T02:30:00.000+01:00`).
+ * Seconds, fractions and the offset are optional.
+ * @type {RegExp}
+ */
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d{1,9}))?)?(Z|[+-]\d{2}(?::?\d{2})?)?)?$/i;
+
+/**
+ * The tokens of `formatDate` patterns; text in single quotes is copied as it is.
+ * @type {RegExp}
+ */
+const FORMAT_TOKEN_PATTERN = /'([^']*)'|yyyy|yy|MM|M|dd|d|HH|H|mm|ss|SSS|XXX/g;
+
+/**
+ * The default pattern of `formatDate`: ISO 8601 with milliseconds and the offset of the timezone.
+ * @type {string}
+ */
+const ISO_FORMAT = "yyyy-MM-dd'T'HH:mm:ss.SSSXXX";
+
+/**
+ * How `fromZoned` picks an instant for a wall-clock time that is skipped or repeated by a DST transition.
+ * @type {string[]}
+ */
+const DISAMBIGUATIONS = ['compatible', 'earlier', 'later', 'reject'];
+
+/**
+ * The formatters that read the wall-clock time of an instant, by timezone.
+ * @type {Map<string, Intl.DateTimeFormat>}
+ */
+const wallClockFormatters = new Map();
+
+/**
+ * Returns the formatter that reads the wall-clock time in a timezone, creating it on first use.
+ *
+ * @param {string} timeZone - The IANA timezone, e.g. `Europe/Berlin`.
+ * @returns {Intl.DateTimeFormat} The formatter.
+ * @throws {RangeError} If the timezone is unknown.
+ */
+const _getWallClockFormatter = (timeZone) => {
+    let formatter = wallClockFormatters.get(timeZone);
+    if (!formatter) {
+        try {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            });
+        } catch {
+            throw new RangeError(`Unknown timezone "${timeZone}".`);
+        }
+        wallClockFormatters.set(timeZone, formatter);
+    }
+    return formatter;
+};
+
+/**
+ * Returns the timezone to use: the given one, or else the configured `timezone`. Dates are also
+ * handled before the configuration is set, e.g. during startup, in which case UTC is used.
+ *
+ * @param {string} [timeZone] - The IANA timezone.
+ * @returns {string} The timezone.
+ * @throws {RangeError} If the timezone is unknown.
+ */
+const _resolveTimeZone = (timeZone) => {
+    if (timeZone === undefined) {
+        try {
+            timeZone = getConfig().timezone || 'UTC';
+        } catch {
+            timeZone = 'UTC';
+        }
+    }
+    _getWallClockFormatter(timeZone);
+    return timeZone;
+};
+
+/**
+ * Converts wall-clock fields to milliseconds as if they were UTC. Out-of-range fields roll over,
+ * e.g. day 32 of January is the 1st of February.
+ *
+ * @param {{ year: number, month: number, day: number, hour?: number, minute?: number, second?: number, millisecond?: number }} fields - The fields; `month` is 1-based.
+ * @returns {number} The milliseconds since the epoch.
+ */
+const _fieldsToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }) => {
+    // Unlike Date.UTC, setUTCFullYear does not map the years 0 to 99 to 1900 to 1999
+    const date = new Date(0);
+    date.setUTCFullYear(year, month - 1, day);
+    date.setUTCHours(hour, minute, second, millisecond);
+    return date.getTime();
+};
+
+/**
+ * Reads the wall-clock time of an instant in a timezone.
+ *
+ * @param {number} time - The milliseconds since the epoch.
+ * @param {string} timeZone - The IANA timezone.
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number, millisecond: number }}
+ * The fields; `month` is 1-based.
+ */
+const _getWallClock = (time, timeZone) => {
+    const parts = {};
+    for (const { type, value } of _getWallClockFormatter(timeZone).formatToParts(time)) {
+        parts[type] = Number(value);
+    }
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour % 24,
+        minute: parts.minute,
+        second: parts.second,
+        millisecond: ((time % 1000) + 1000) % 1000
+    };
+};
+
+/**
+ * Returns the offset of a timezone from UTC at an instant.
+ *
+ * @param {number} time - The milliseconds since the epoch.
+ * @param {string} timeZone - The IANA timezone.
+ * @returns {number} The offset in milliseconds, e.g. `3600000` for UTC+01:00.
+ */
+const _getOffset = (time, timeZone) => {
+    return _fieldsToUtc(_getWallClock(time, timeZone)) - time;
+};
+
+/**
+ * Formats an offset from UTC as `+01:00`, or `Z` for UTC.
+ *
+ * @param {number} offset - The offset in milliseconds.
+ * @returns {string} The formatted offset.
+ */
+const _formatOffset = (offset) => {
+    if (offset === 0) {
+        return 'Z';
+    }
+    const minutes = Math.round(Math.abs(offset) / 60000);
+    const pad = value => String(value).padStart(2, '0');
+    return `${offset < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+};
+
+/**
+ * Converts a date to milliseconds since the epoch. Strings are parsed with `parseISODate`.
+ *
+ * @param {Date|number|string} date - The date.
+ * @param {string} timeZone - The timezone of strings without an offset.
+ * @returns {number} The milliseconds since the epoch.
+ * @throws {TypeError} If the date is invalid.
+ */
+const _toTime = (date, timeZone) => {
+    let time = NaN;
+    if (date instanceof Date) {
+        time = date.getTime();
+    } else if (typeof date === 'number') {
+        time = date;
+    } else if (typeof date === 'string') {
+        time = parseISODate(date, { timeZone })?.getTime() ?? NaN;
+    }
+    if (!Number.isFinite(time)) {
+        throw new TypeError(`Invalid date "${date}".`);
+    }
+    return time;
+};
+
+/**
+ * Returns the wall-clock time of a date in a timezone.
+ *
+ * @param {Date|number|string} date - The date, as a `Date`, milliseconds since the epoch or an ISO 8601 string.
+ * @param {Object} [options] - Options.
+ * @param {string} [options.timeZone] - The IANA timezone. Defaults to the `timezone` configuration.
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number, millisecond: number, weekday: number, offset: number, timeZone: string }}
+ * The fields; `month` is 1-based, `weekday` goes from 1 (Monday) to 7 (Sunday) and `offset` is the offset from UTC in minutes.
+ * @throws {TypeError} If the date is invalid.
+ * @throws {RangeError} If the timezone is unknown.
+ *
+ * @example
+ * toZoned(new Date('2024-07-01T12:00:00Z'), { timeZone: 'Europe/Berlin' });
+ * // { year: 2024, month: 7, day: 1, hour: 14, minute: 0, second: 0, millisecond: 0, weekday: 1, offset: 120, timeZone: 'Europe/Berlin' }
+ */
+export const toZoned = (date, { timeZone } = {}) => {
+    timeZone = _resolveTimeZone(timeZone);
+    const time = _toTime(date, timeZone);
+    const fields = _getWallClock(time, timeZone);
+    const local = _fieldsToUtc(fields);
+    return {
+        ...fields,
+        weekday: (new Date(local).getUTCDay() + 6) % 7 + 1,
+        offset: Math.round((local - time) / 60000),
+        timeZone
+    };
+};
+
+/**
+ * Returns the instant at which the clocks of a timezone show a wall-clock time.
+ *
+ * Around DST transitions a wall-clock time can be skipped (when clocks move forward) or repeated
+ * (when they move back). `disambiguation` picks the instant in these cases:
+ * - `compatible` (default): the later instant for skipped times, moving forward by the length of the
+ *   gap (02:30 becomes 03:30), and the earlier instant for repeated times, as `Date` does;
+ * - `earlier` / `later`: the earlier or later of the two possible instants;
+ * - `reject`: throw a `RangeError`.
+ *
+ * @param {{ year: number, month?: number, day?: number, hour?: number, minute?: number, second?: number, millisecond?: number }} fields -
+ * The wall-clock time; `month` is 1-based. Out-of-range fields roll over, e.g. day 32 of January is the 1st of February.
+ * @param {Object} [options] - Options.
+ * @param {string} [options.timeZone] - The IANA timezone. Defaults to the `timezone` configuration.
+ * @param {'compatible'|'earlier'|'later'|'reject'} [options.disambiguation='compatible'] - How skipped and repeated times are resolved.
+ * @returns {Date} The instant.
+ * @throws {RangeError} If the timezone is unknown, or the time is skipped or repeated with the `reject` disambiguation.
+ * @throws {Error} If the disambiguation is unknown.
+ *
+ * @example
+ * fromZoned({ year: 2024, month: 3, day: 10, hour: 2, minute: 30 }, { timeZone: 'America/New_York' });
+ * // 2024-03-10T07:30:00.000Z, i.e. 03:30 EDT, as 02:30 was skipped
+ */
+export const fromZoned = (fields, { timeZone, disambiguation = 'compatible' } = {}) => {
+    if (!DISAMBIGUATIONS.includes(disambiguation)) {
+        throw new Error(`Unknown disambiguation "${disambiguation}".`);
+    }
+    timeZone = _resolveTimeZone(timeZone);
+    const local = _fieldsToUtc({ month: 1, day: 1, ...fields });
+
+    // A day before and after, the offsets on both sides of a transition are known
+    const offsetBefore = _getOffset(local - DAY_MS, timeZone);
+    const offsetAfter = _getOffset(local + DAY_MS, timeZone);
+    const candidates = [...new Set([offsetBefore, offsetAfter])]
+        .map(offset => local - offset)
+        .filter(time => _fieldsToUtc(_getWallClock(time, timeZone)) === local)
+        .sort((a, b) => a - b);
+
+    if (candidates.length === 1) {
+        return new Date(candidates[0]);
+    }
+    if (disambiguation === 'reject') {
+        const kind = candidates.length === 0 ? 'does not exist' : 'is ambiguous';
+        throw new RangeError(`${new Date(local).toISOString().slice(0, 23)} ${kind} in ${timeZone}.`);
+    }
+    if (candidates.length === 0) {
+        // The offset before the gap gives the later instant
+        return new Date(disambiguation === 'earlier' ? local - offsetAfter : local - offsetBefore);
+    }
+    return new Date(disambiguation === 'later' ? candidates[candidates.length - 1] : candidates[0]);
+};
+
+/**
+ * Parses an ISO 8601 date or date-time.
+ *
+ * Date-times with an offset (`Z`, `+01:00`, `+0100` or `+01`) denote that instant. Dates and
+ * date-times without an offset are wall-clock times in the timezone, so `2024-03-10` is the start
+ * of that day there (see `fromZoned` for times skipped or repeated by DST transitions).
+ * Impossible dates such as `2024-02-30` are rejected.
+ *
+ * @param {string} value - The string to parse.
+ * @param {Object} [options] - Options.
+ * @param {string} [options.timeZone] - The IANA timezone of values without an offset. Defaults to the `timezone` configuration.
+ * @returns {Date|null} The date, or `null` if the value is not a valid ISO 8601 date.
+ * @throws {RangeError} If the timezone is unknown.
+ *
+ * @example
+ * parseISODate('2024-07-01T09:00:00+02:00'); // 2024-07-01T07:00:00.000Z
+ * parseISODate('2024-07-01', { timeZone: 'Europe/Berlin' }); // 2024-06-30T22:00:00.000Z
+ * parseISODate('2024-02-30'); // null
+ */
+export const parseISODate = (value, { timeZone } = {}) => {
+    timeZone = _resolveTimeZone(timeZone);
+    const match = typeof value === 'string' ? ISO_DATE_PATTERN.exec(value.trim()) : null;
+    if (!match) {
+        return null;
+    }
+    const [, year, month, day, hour = 0, minute = 0, second = 0, fraction = '', offset] = match;
+    const fields = {
+        year: Number(year),
+        month: Number(month),
+        day: Number(day),
+        hour: Number(hour),
+        minute: Number(minute),
+        second: Number(second),
+        millisecond: Number(fraction.padEnd(3, '0').slice(0, 3))
+    };
+    // Out-of-range fields would roll over, so they are checked against the normalized date
+    const local = _fieldsToUtc(fields);
+    const normalized = new Date(local);
+    if (normalized.getUTCMonth() + 1 !== fields.month || normalized.getUTCDate() !== fields.day
+        || fields.hour > 23 || fields.minute > 59 || fields.second > 59) {
+        return null;
+    }
+
+    if (!offset) {
+        return fromZoned(fields, { timeZone });
+    }
+    if (offset.toUpperCase() === 'Z') {
+        return normalized;
+    }
+    const offsetHours = Number(offset.slice(1, 3));
+    const offsetMinutes = Number(offset.slice(-2)) * (offset.length > 3 ? 1 : 0);
+    if (offsetHours > 23 || offsetMinutes > 59) {
+        return null;
+    }
+    const sign = offset[0] === '-' ? -1 : 1;
+    return new Date(local - sign * (offsetHours * 60 + offsetMinutes) * 60000);
+};
+
+/**
+ * Formats a date in a timezone.
+ *
+ * `format` is either a pattern or `Intl.DateTimeFormat` options. Patterns support the tokens
+ * `yyyy`, `yy`, `MM`, `M`, `dd`, `d`, `HH`, `H`, `mm`, `ss`, `SSS` (milliseconds) and `XXX` (the
+ * offset, e.g. `+01:00`, or `Z` for UTC); text in single quotes is copied as it is. The default
+ * pattern is ISO 8601 with the offset of the timezone.
+ *
+ * @param {Date|number|string} date - The date, as a `Date`, milliseconds since the epoch or an ISO 8601 string.
+ * @param {string|Intl.DateTimeFormatOptions} [format="yyyy-MM-dd'T'HH:mm:ss.SSSXXX"] - The pattern or `Intl.DateTimeFormat` options.
+ * @param {Object} [options] - Options.
+ * @param {string} [options.timeZone] - The IANA timezone. Defaults to the `timezone` configuration.
+ * @param {string} [options.locale='en-US'] - The locale used with `Intl.DateTimeFormat` options.
+ * @returns {string} The formatted date.
+ * @throws {TypeError} If the date is invalid.
+ * @throws {RangeError} If the timezone is unknown.
+ *
+ * @example
+ * formatDate('2024-07-01T12:00:00Z', undefined, { timeZone: 'Europe/Berlin' }); // '2024-07-01T14:00:00.000+02:00'
+ * formatDate(new Date(), "dd.MM.yyyy 'at' HH:mm"); // '01.07.2024 at 12:00'
+ * formatDate(new Date(), { dateStyle: 'long' }, { locale: 'de-DE' }); // '1. Juli 2024'
+ */
+export const formatDate = (date, format = ISO_FORMAT, { timeZone, locale = 'en-US' } = {}) => {
+    timeZone = _resolveTimeZone(timeZone);
+    const time = _toTime(date, timeZone);
+    if (typeof format === 'object' && format !== null) {
+        return new Intl.DateTimeFormat(locale, { ...format, timeZone }).format(time);
+    }
+
+    const fields = _getWallClock(time, timeZone);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const tokens = {
+        yyyy: () => pad(fields.year, 4),
+        yy: () => pad(fields.year % 100),
+        MM: () => pad(fields.month),
+        M: () => String(fields.month),
+        dd: () => pad(fields.day),
+        d: () => String(fields.day),
+        HH: () => pad(fields.hour),
+        H: () => String(fields.hour),
+        mm: () => pad(fields.minute),
+        ss: () => pad(fields.second),
+        SSS: () => pad(fields.millisecond, 3),
+        XXX: () => _formatOffset(_fieldsToUtc(fields) - time)
+    };
+    return String(format).replace(FORMAT_TOKEN_PATTERN, (token, literal) => literal ?? tokens[token]());
+};
+
+/**
+ * Returns the first instant of the day of a date in a timezone. This is usually midnight, but it
+ * can be later when a DST transition skips midnight.
+ *
+ * @param {Date|number|string} date - The date, as a `Date`, milliseconds since the epoch or an ISO 8601 string.
+ * @param {Object} [options] - Options.
+ * @param {string} [options.timeZone] - The IANA timezone. Defaults to the `timezone` configuration.
+ * @returns {Date} The start of the day.
+ * @throws {TypeError} If the date is invalid.
+ * @throws {RangeError} If the timezone is unknown.
+ *
+ * @example
+ * startOfDay('2024-07-01T20:00:00Z', { timeZone: 'Asia/Tokyo' }); // 2024-07-01T15:00:00.000Z
+ */
+export const startOfDay = (date, { timeZone } = {}) => {
+    return getPeriod(date, 'day', { timeZone }).start;
+};
+
+/**
+ * Returns the last millisecond of the day of a date in a timezone. Days with a DST transition are
+ * 23 or 25 hours long.
+ *
+ * @param {Date|number|string} date - The date, as a `Date`, milliseconds since the epoch or an ISO 8601 string.
+ * @param {Object} [options] - Options.
+ * @param {string} [options.timeZone] - The IANA timezone. Defaults to the `timezone` configuration.
+ * @returns {Date} The end of the day.
+ * @throws {TypeError} If the date is invalid.
+ * @throws {RangeError} If the timezone is unknown.
+ *
+ * @example
+ * endOfDay('2024-07-01T20:00:00Z', { timeZone: 'Asia/Tokyo' }); // 2024-07-02T14:59:59.999Z
+ */
+export const endOfDay = (date, { timeZone } = {}) => {
+    return getPeriod(date, 'day', { timeZone }).end;
+};
+
+/**
+ * Returns the reporting period that contains a date in a timezone.
+ *
+ * Periods are `day`, `week` (starting on `weekStartsOn`), `month`, `quarter` (calendar quarters),
+ * `year`, and `fiscalQuarter` and `fiscalYear`, which start in the month `fiscalYearStart`. A fiscal
+ * year is named after the calendar year it starts in. Periods start at the beginning of their first
+ * day (see `startOfDay`) and end at the last millisecond of their last day, so their length follows
+ * DST transitions.
+ *
+ * @param {Date|number|string} date - The date, as a `Date`, milliseconds since the epoch or an ISO 8601 string.
+ * @param {'day'|'week'|'month'|'quarter'|'year'|'fiscalQuarter'|'fiscalYear'} unit - The kind of period.
+ * @param {Object} [options] - Options.
+ * @param {string} [options.timeZone] - The IANA timezone. Defaults to the `timezone` configuration.
+ * @param {number} [options.weekStartsOn=1] - The first day of weeks, from 1 (Monday) to 7 (Sunday).
+ * @param {number} [options.fiscalYearStart=1] - The first month of fiscal years, from 1 (January) to 12.
+ * @returns {{ start: Date, end: Date }} The first and last millisecond of the period.
+ * @throws {TypeError} If the date is invalid.
+ * @throws {RangeError} If the timezone is unknown, or `weekStartsOn` or `fiscalYearStart` is out of range.
+ * @throws {Error} If the unit is unknown.
+ *
+ * @example
+ * getPeriod('2024-05-15', 'fiscalYear', { timeZone: 'Australia/Sydney', fiscalYearStart: 7 });
+ * // { start: 2023-06-30T14:00:00.000Z, end: 2024-06-30T13:59:59.999Z }, i.e. 1 July 2023 to 30 June 2024 in Sydney
+ */
+export const getPeriod = (date, unit, { timeZone, weekStartsOn = 1, fiscalYearStart = 1 } = {}) => {
+    if (!Number.isInteger(weekStartsOn) || weekStartsOn < 1 || weekStartsOn > 7) {
+        throw new RangeError('weekStartsOn must be an integer from 1 (Monday) to 7 (Sunday).');
+    }
+    if (!Number.isInteger(fiscalYearStart) || fiscalYearStart < 1 || fiscalYearStart > 12) {
+        throw new RangeError('fiscalYearStart must be an integer from 1 (January) to 12 (December).');
+    }
+    const { year, month, day, weekday, timeZone: zone } = toZoned(date, { timeZone });
+    // Months into the fiscal year, from 0 to 11
+    const fiscalMonth = (month - fiscalYearStart + 12) % 12;
+
+    let first;
+    let next;
+    switch (unit) {
+        case 'day':
+            first = { year, month, day };
+            next = { year, month, day: day + 1 };
+            break;
+        case 'week': {
+            const startDay = day - (weekday - weekStartsOn + 7) % 7;
+            first = { year, month, day: startDay };
+            next = { year, month, day: startDay + 7 };
+            break;
+        }
+        case 'month':
+            first = { year, month, day: 1 };
+            next = { year, month: month + 1, day: 1 };
+            break;
+        case 'quarter': {
+            const startMonth = month - (month - 1) % 3;
+            first = { year, month: startMonth, day: 1 };
+            next = { year, month: startMonth + 3, day: 1 };
+            break;
+        }
+        case 'year':
+            first = { year, month: 1, day: 1 };
+            next = { year: year + 1, month: 1, day: 1 };
+            break;
+        case 'fiscalQuarter': {
+            const startMonth = month - fiscalMonth % 3;
+            first = { year, month: startMonth, day: 1 };
+            next = { year, month: startMonth + 3, day: 1 };
+            break;
+        }
+        case 'fiscalYear': {
+            const startYear = month >= fiscalYearStart ? year : year - 1;
+            first = { year: startYear, month: fiscalYearStart, day: 1 };
+            next = { year: startYear + 1, month: fiscalYearStart, day: 1 };
+            break;
+        }
+        default:
+            throw new Error(`Unknown period "${unit}".`);
+    }
+    return {
+        start: fromZoned(first, { timeZone: zone }),
+        end: new Date(fromZoned(next, { timeZone: zone }).getTime() - 1)
+    };
+};
@@ -0,0 +1,100 @@
+/**
+ * Domains of well-known disposable (temporary) email providers, used by `validateEmail`.
+ * Subdomains of these domains are disposable as well.
+ *
+ * The list is not exhaustive; extend it with the `disposableDomains` option of `validateEmail`.
+ * @type {ReadonlyArray<string>}
+ */
+export const DISPOSABLE_DOMAINS = Object.freeze([
+    '0-mail.com',
+    '10minutemail.com',
+    '10minutemail.net',
+    '20minutemail.com',
+    '33mail.com',
+    'armyspy.com',
+    'burnermail.io',
+    'byom.de',
+    'cool.fr.nf',
+    'courriel.fr.nf',
+    'cuvox.de',
+    'dayrep.com',
+    'deadaddress.com',
+    'discard.email',
+    'discardmail.com',
+    'dispostable.com',
+    'dropmail.me',
+    'einrot.com',
+    'emailfake.com',
+    'emailondeck.com',
+    'eyepaste.com',
+    'fakeinbox.com',
+    'fakemail.net',
+    'fleckens.hu',
+    'getairmail.com',
+    'getnada.com',
+    'grr.la',
+    'guerrillamail.biz',
+    'guerrillamail.com',
+    'guerrillamail.de',
+    'guerrillamail.net',
+    'guerrillamail.org',
+    'gustr.com',
+    'harakirimail.com',
+    'inboxkitten.com',
+    'incognitomail.org',
+    'jetable.fr.nf',
+    'jourrapide.com',
+    'mail.tm',
+    'mailcatch.com',
+    'maildrop.cc',
+    'mailinator.com',
+    'mailinator.net',
+    'mailnesia.com',
+    'mailpoof.com',
+    'mailsac.com',
+    'mailtothis.com',
+    'mega.zik.dk',
+    'mintemail.com',
+    'moakt.com',
+    'mohmal.com',
+    'moncourrier.fr.nf',
+    'monemail.fr.nf',
+    'monmail.fr.nf',
+    'mt2015.com',
+    'mytemp.email',
+    'nada.email',
+    'nomail.xl.cx',
+    'nospam.ze.tc',
+    'pokemail.net',
+    'rhyta.com',
+    'sharklasers.com',
+    'spam4.me',
+    'spambox.us',
+    'spamdecoy.net',
+    'spamgourmet.com',
+    'speed.1s.fr',
+    'superrito.com',
+    'teleworm.us',
+    'temp-mail.io',
+    'temp-mail.org',
+    'tempinbox.com',
+    'tempmail.com',
+    'tempmail.net',
+    'tempmailo.com',
+    'tempr.email',
+    'throwawaymail.com',
+    'tmail.ws',
+    'tmpmail.net',
+    'tmpmail.org',
+    'trash-mail.com',
+    'trashmail.com',
+    'trashmail.de',
+    'trashmail.me',
+    'trashmail.net',
+    'trbvm.com',
+    'wegwerfmail.de',
+    'wegwerfmail.net',
+    'yopmail.com',
+    'yopmail.fr',
+    'yopmail.net'
+]);
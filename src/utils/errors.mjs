@@ -0,0 +1,376 @@
+import { STATUS_CODES } from 'http';
+import { getConfig } from '../config/config.mjs';
+import { getRequestContext } from './context.mjs';
+
+/**
+ * Base class for errors raised by the encryption helpers in strict mode.
+ * Every error carries a machine-readable `code` describing the reason of the failure and,
+ * when raised while processing an object, the `path` of the property that failed.
+ */
+export class CryptoError extends Error {
+    /**
+     * @param {string} message - A human-readable description of the error.
+     * @param {string} code - A reason code, e.g. `AUTHENTICATION_FAILED`.
+     * @param {Object} [options] - Additional error details.
+     * @param {Error} [options.cause] - The underlying error, if any.
+     * @param {string} [options.path] - The property path that failed, e.g. `contacts[0].email`.
+     */
+    constructor(message, code, { cause, path } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.code = code;
+        if (path !== undefined) {
+            this.path = path;
+        }
+    }
+}
+
+/**
+ * Raised when a value cannot be encrypted, e.g. because it is not a string or the IV is invalid.
+ * Reason codes: `INVALID_INPUT`, `ENCRYPTION_FAILED`.
+ */
+export class EncryptionError extends CryptoError { }
+
+/**
+ * Raised when a well-formed envelope cannot be decrypted, e.g. because the authentication tag does not match.
+ * Reason codes: `AUTHENTICATION_FAILED`, `DECRYPTION_FAILED`.
+ */
+export class DecryptionError extends CryptoError { }
+
+/**
+ * Raised when a value is not a ciphertext envelope produced by `encrypt`, such as plaintext or corrupted data.
+ * Reason codes: `INVALID_INPUT`, `MALFORMED_ENVELOPE`, `UNSUPPORTED_VERSION`.
+ */
+export class InvalidEnvelopeError extends DecryptionError { }
+
+/**
+ * Raised when no key is configured, or the key referenced by a ciphertext is not in the keyring.
+ * Reason codes: `KEY_NOT_CONFIGURED`, `KEY_NOT_FOUND`.
+ */
+export class KeyNotFoundError extends CryptoError { }
+
+/**
+ * Raised by `loadConfig` and `validateConfig` when the configuration cannot be read or is invalid. The message names
+ * every invalid field, and `errors` lists them as `{ path, message }` entries.
+ */
+export class ConfigError extends Error {
+    /**
+     * @param {string} message - A human-readable description of the error.
+     * @param {Array<{ path: string, message: string }>} [errors=[]] - The invalid fields.
+     */
+    constructor(message, errors = []) {
+        super(message);
+        this.name = this.constructor.name;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Raised by `withTimeout` when an operation does not settle in time. `timeout` is the time limit in milliseconds.
+ */
+export class TimeoutError extends Error {
+    /**
+     * @param {string} message - A human-readable description of the error.
+     * @param {number} timeout - The time limit that was exceeded, in milliseconds.
+     */
+    constructor(message, timeout) {
+        super(message);
+        this.name = this.constructor.name;
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * Base class for errors that map to an HTTP response. `errorHandler` turns them into the standard
+ * error envelope with their `status`, `code`, `message` and `details`.
+ *
+ * The message of a 4xx error is sent to the client; the message of a 5xx error is replaced with a
+ * generic one unless `expose` is set, as it may contain internal details.
+ */
+export class HttpError extends Error {
+    /**
+     * @param {number} status - The HTTP status code.
+     * @param {string} [message] - A human-readable description of the error. Defaults to the status text.
+     * @param {Object} [options] - Additional error details.
+     * @param {string} [options.code] - A machine-readable reason code. Defaults to the status text in upper snake case, e.g. `NOT_FOUND`.
+     * @param {*} [options.details] - Additional data sent to the client, e.g. a list of validation errors.
+     * @param {Object<string, string>} [options.headers] - Headers set on the error response, e.g. `Retry-After`.
+     * @param {boolean} [options.expose] - Whether the message is sent to the client. Defaults to `true` for 4xx errors.
+     * @param {Error} [options.cause] - The underlying error, if any.
+     */
+    constructor(status, message, { code, details, headers, expose, cause } = {}) {
+        const statusText = STATUS_CODES[status] || 'Unknown Error';
+        super(message || statusText, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.statusCode = status;
+        this.code = code || statusText.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+        this.expose = expose ?? status < 500;
+        if (details !== undefined) {
+            this.details = details;
+        }
+        if (headers) {
+            this.headers = headers;
+        }
+    }
+}
+
+/**
+ * 400 Bad Request: the request is malformed or fails validation.
+ */
+export class BadRequestError extends HttpError {
+    /**
+     * @param {string} [message] - A human-readable description of the error.
+     * @param {Object} [options] - See `HttpError`.
+     */
+    constructor(message, options) {
+        super(400, message, options);
+    }
+}
+
+/**
+ * 401 Unauthorized: the request lacks valid credentials.
+ */
+export class UnauthorizedError extends HttpError {
+    /**
+     * @param {string} [message] - A human-readable description of the error.
+     * @param {Object} [options] - See `HttpError`.
+     */
+    constructor(message, options) {
+        super(401, message, options);
+    }
+}
+
+/**
+ * 403 Forbidden: the credentials do not allow the request.
+ */
+export class ForbiddenError extends HttpError {
+    /**
+     * @param {string} [message] - A human-readable description of the error.
+     * @param {Object} [options] - See `HttpError`.
+     */
+    constructor(message, options) {
+        super(403, message, options);
+    }
+}
+
+/**
+ * 404 Not Found: the requested resource does not exist.
+ */
+export class NotFoundError extends HttpError {
+    /**
+     * @param {string} [message] - A human-readable description of the error.
+     * @param {Object} [options] - See `HttpError`.
+     */
+    constructor(message, options) {
+        super(404, message, options);
+    }
+}
+
+/**
+ * 409 Conflict: the request conflicts with the current state of the resource, e.g. a duplicate.
+ */
+export class ConflictError extends HttpError {
+    /**
+     * @param {string} [message] - A human-readable description of the error.
+     * @param {Object} [options] - See `HttpError`.
+     */
+    constructor(message, options) {
+        super(409, message, options);
+    }
+}
+
+/**
+ * 422 Unprocessable Entity: the request is well-formed but semantically invalid.
+ */
+export class UnprocessableEntityError extends HttpError {
+    /**
+     * @param {string} [message] - A human-readable description of the error.
+     * @param {Object} [options] - See `HttpError`.
+     */
+    constructor(message, options) {
+        super(422, message, options);
+    }
+}
+
+/**
+ * 429 Too Many Requests: the client has exceeded a rate limit.
+ */
+export class TooManyRequestsError extends HttpError {
+    /**
+     * @param {string} [message] - A human-readable description of the error.
+     * @param {Object} [options] - See `HttpError`.
+     */
+    constructor(message, options) {
+        super(429, message, options);
+    }
+}
+
+/**
+ * 500 Internal Server Error: an unexpected failure on the server.
+ */
+export class InternalServerError extends HttpError {
+    /**
+     * @param {string} [message] - A description of the error; it is not sent to the client unless `expose` is set.
+     * @param {Object} [options] - See `HttpError`.
+     */
+    constructor(message, options) {
+        super(500, message, options);
+    }
+}
+
+/**
+ * 503 Service Unavailable: the server cannot handle the request right now.
+ */
+export class ServiceUnavailableError extends HttpError {
+    /**
+     * @param {string} [message] - A human-readable description of the error.
+     * @param {Object} [options] - See `HttpError`.
+     */
+    constructor(message, options) {
+        super(503, message, options);
+    }
+}
+
+/**
+ * Converts any thrown value into an `HttpError`. Errors with a 4xx or 5xx `status` or `statusCode`,
+ * such as those of `express.json()`, keep their status; anything else becomes a 500 error.
+ *
+ * @param {*} err - The thrown value.
+ * @returns {HttpError} The HTTP error.
+ */
+const _toHttpError = (err) => {
+    if (err instanceof HttpError) {
+        return err;
+    }
+    const status = Number(err?.status ?? err?.statusCode);
+    if (Number.isInteger(status) && status >= 400 && status < 600) {
+        return new HttpError(status, err.message, {
+            code: typeof err.code === 'string' ? err.code : undefined,
+            expose: typeof err.expose === 'boolean' ? err.expose : status < 500,
+            cause: err
+        });
+    }
+    return new InternalServerError(err?.message, { cause: err instanceof Error ? err : undefined });
+};
+
+/**
+ * Returns the options of the error envelope, falling back to the `errors` configuration.
+ *
+ * @param {Object} options - The options passed to `errorHandler` or `sendError`.
+ * @returns {{ format: string, includeStack: boolean, typeBaseUrl?: string }} The resolved options.
+ */
+const _getErrorOptions = (options) => {
+    let config = {};
+    try {
+        config = getConfig().errors || {};
+    } catch {
+        // Errors can be sent before the configuration is set
+    }
+    return {
+        format: options.format || config.format || 'json',
+        includeStack: options.includeStack ?? config.includeStack ?? process.env.NODE_ENV === 'development',
+        typeBaseUrl: options.typeBaseUrl || config.typeBaseUrl
+    };
+};
+
+/**
+ * Sends an error response in the standard envelope. Used by `errorHandler`, `checkJSONBody` and
+ * `checkRequestValidity`, and by route handlers that answer with an error directly.
+ *
+ * The `json` format (the default) sends:
+ * `{ error: { status, code, message, details?, requestId?, stack? } }`.
+ *
+ * The `problem` format sends an RFC 7807 `application/problem+json` document:
+ * `{ type, title, status, detail, instance, code, details?, requestId?, stack? }`.
+ *
+ * The request ID from `requestContext` is included when available. The stack trace is only
+ * included when `includeStack` is set, which by default is the case when `NODE_ENV` is `development`.
+ *
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @param {*} err - The error to send; anything other than an `HttpError` is converted to one.
+ * @param {Object} [options] - Envelope options. Defaults come from the `errors` configuration.
+ * @param {'json'|'problem'} [options.format='json'] - The envelope format.
+ * @param {boolean} [options.includeStack] - Whether the stack trace is included.
+ * @param {string} [options.typeBaseUrl] - The base of the problem `type` URI, followed by the error code in
+ * lower kebab case. Without it the type is `about:blank`.
+ * @returns {object} The Express response.
+ *
+ * @example
+ * sendError(req, res, new NotFoundError('User not found.'));
+ * // 404 { error: { status: 404, code: 'NOT_FOUND', message: 'User not found.' } }
+ */
+export const sendError = (req, res, err, options = {}) => {
+    const error = _toHttpError(err);
+    const { format, includeStack, typeBaseUrl } = _getErrorOptions(options);
+    const message = error.expose ? error.message : STATUS_CODES[error.status] || 'Internal Server Error';
+    const requestId = (req.requestContext || getRequestContext())?.requestId;
+    const stack = includeStack ? (err instanceof Error ? err : error).stack : undefined;
+
+    if (error.headers) {
+        res.set(error.headers);
+    }
+    res.status(error.status);
+
+    if (format === 'problem') {
+        const problem = {
+            type: typeBaseUrl ? `${typeBaseUrl}${error.code.toLowerCase().replace(/_/g, '-')}` : 'about:blank',
+            title: STATUS_CODES[error.status] || 'Error',
+            status: error.status,
+            detail: message,
+            instance: req.originalUrl,
+            code: error.code,
+            details: error.details,
+            requestId,
+            stack
+        };
+        return res.type('application/problem+json').send(JSON.stringify(problem));
+    }
+
+    return res.json({
+        error: {
+            status: error.status,
+            code: error.code,
+            message,
+            details: error.details,
+            requestId,
+            stack
+        }
+    });
+};
+
+/**
+ * Creates the final error-handling middleware, which turns any error passed to `next(err)` or
+ * thrown by a route handler into the standard error envelope (see `sendError`).
+ *
+ * Errors that are not `HttpError`s become 500 errors with a generic message, unless they carry a
+ * 4xx status such as the errors of `express.json()`. Server errors are reported to `onError`.
+ * If the response has already been started, the error is passed on to Express.
+ *
+ * @param {Object} [options] - The envelope options of `sendError`, plus:
+ * @param {function(Error, object): void} [options.onError=console.error] - Called with every 5xx error and the request.
+ * @returns {function(*, object, object, function): void} The Express error-handling middleware.
+ *
+ * @example
+ * app.get('/users/:id', async (req, res, next) => {
+ *   const user = await findUser(req.params.id);
+ *   if (!user) {
+ *     return next(new NotFoundError('User not found.'));
+ *   }
+ *   res.json(user);
+ * });
+ * app.use(errorHandler({ format: 'problem' }));
+ */
+export const errorHandler = ({ onError = console.error, ...options } = {}) => {
+    return (err, req, res, next) => {
+        if (res.headersSent) {
+            return next(err);
+        }
+        const error = _toHttpError(err);
+        if (error.status >= 500) {
+            onError(err, req);
+        }
+        sendError(req, res, err, options);
+    };
+};
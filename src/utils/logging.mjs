@@ -0,0 +1,286 @@
+import { appendFile, rename, stat } from 'fs/promises';
+import { getConfig } from '../config/config.mjs';
+import { convertRequestData } from './converters.mjs';
+import { DEFAULT_REDACTION_POLICY, redact, validateRedactionPolicy } from './redaction.mjs';
+
+/**
+ * The maximum number of response body bytes captured when `responseBody` is enabled.
+ * @type {number}
+ */
+const DEFAULT_MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * Creates a sink that writes each log entry as one line of JSON to a stream.
+ *
+ * @param {Object} [options] - Sink options.
+ * @param {import('stream').Writable} [options.stream=process.stdout] - The stream to write to.
+ * @returns {{ write: function(Object): void }} The sink.
+ *
+ * @example
+ * app.use(requestLogger({ sink: consoleSink({ stream: process.stderr }) }));
+ */
+export const consoleSink = ({ stream = process.stdout } = {}) => {
+    return {
+        write(entry) {
+            stream.write(`${JSON.stringify(entry)}\n`);
+        }
+    };
+};
+
+/**
+ * Creates a sink that appends each log entry as one line of JSON to a file, rotating it by size.
+ * When the file would grow past `maxBytes`, it is renamed to `<path>.1`, older files are shifted
+ * to `<path>.2` … `<path>.<maxFiles>`, and the oldest one is dropped.
+ *
+ * Writes are queued so that lines are never interleaved; `flush()` resolves once the queue is empty.
+ *
+ * @param {Object} options - Sink options.
+ * @param {string} options.path - The path of the log file.
+ * @param {number} [options.maxBytes=10485760] - The size at which the file is rotated.
+ * @param {number} [options.maxFiles=5] - The number of rotated files to keep.
+ * @returns {{ write: function(Object): Promise<void>, flush: function(): Promise<void> }} The sink.
+ * @throws {Error} If `path` is not provided.
+ *
+ * @example
+ * app.use(requestLogger({ sink: fileSink({ path: 'logs/requests.log', maxBytes: 5 * 1024 * 1024 }) }));
+ */
+export const fileSink = ({ path, maxBytes = 10 * 1024 * 1024, maxFiles = 5 } = {}) => {
+    if (!path) {
+        throw new Error('fileSink requires a path.');
+    }
+
+    let queue = Promise.resolve();
+    let size = null;
+
+    const renameIfExists = async (from, to) => {
+        try {
+            await rename(from, to);
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                throw err;
+            }
+        }
+    };
+
+    const rotate = async () => {
+        for (let index = maxFiles - 1; index >= 1; index--) {
+            await renameIfExists(`${path}.${index}`, `${path}.${index + 1}`);
+        }
+        await renameIfExists(path, `${path}.1`);
+        size = 0;
+    };
+
+    const append = async (line) => {
+        if (size === null) {
+            size = await stat(path).then(stats => stats.size, () => 0);
+        }
+        const length = Buffer.byteLength(line);
+        if (size > 0 && size + length > maxBytes) {
+            await rotate();
+        }
+        await appendFile(path, line);
+        size += length;
+    };
+
+    return {
+        write(entry) {
+            const result = queue.then(() => append(`${JSON.stringify(entry)}\n`));
+            // Keep the queue going even if one write fails
+            queue = result.catch(() => { });
+            return result;
+        },
+        flush() {
+            return queue;
+        }
+    };
+};
+
+/**
+ * Returns the sampling rate for a request: the `rate` of the first matching rule, or `defaultRate`.
+ *
+ * @param {object} req - The Express request object.
+ * @param {Array<{ path?: string|RegExp, method?: string, rate: number }>} rules - The sampling rules.
+ * @param {number} defaultRate - The rate used when no rule matches.
+ * @returns {number} The sampling rate between 0 and 1.
+ */
+const _getSampleRate = (req, rules, defaultRate) => {
+    const path = req.path || req.originalUrl || '';
+    const rule = rules.find((candidate) => {
+        if (candidate.method && candidate.method.toUpperCase() !== req.method) {
+            return false;
+        }
+        if (candidate.path instanceof RegExp) {
+            return candidate.path.test(path);
+        }
+        if (typeof candidate.path === 'string') {
+            return path === candidate.path || path.startsWith(candidate.path.endsWith('/') ? candidate.path : `${candidate.path}/`);
+        }
+        return true;
+    });
+    return rule ? rule.rate : defaultRate;
+};
+
+/**
+ * Converts captured response bytes into a loggable body: parsed and redacted JSON, or a
+ * placeholder for text, binary or truncated content. Text is not logged because the redaction
+ * detectors only match whole values, so they cannot find sensitive data inside free text.
+ *
+ * @param {Buffer} body - The captured bytes.
+ * @param {boolean} truncated - Whether the body exceeded the capture limit.
+ * @param {string} [contentType] - The response content type.
+ * @param {Object} policy - The redaction policy applied to JSON bodies.
+ * @returns {*} The body to log.
+ * @throws {Error} If the redaction policy is invalid.
+ */
+const _formatResponseBody = (body, truncated, contentType = '', policy) => {
+    if (truncated) {
+        return `[truncated: more than ${body.length} bytes]`;
+    }
+    if (/json/i.test(contentType)) {
+        let parsed;
+        try {
+            parsed = JSON.parse(body.toString('utf-8'));
+        } catch {
+            return '[invalid JSON]';
+        }
+        return redact(parsed, policy);
+    }
+    if (/^text\//i.test(contentType)) {
+        return `[text: ${body.length} bytes]`;
+    }
+    return body.length > 0 ? `[binary: ${body.length} bytes]` : undefined;
+};
+
+/**
+ * Creates an Express middleware that logs every request once its response has been sent.
+ *
+ * Each entry holds the sanitized request (see `convertRequestData`), the response status,
+ * the duration in milliseconds, the response size in bytes and, optionally, the redacted
+ * response body:
+ * `{ timestamp, request, response: { statusCode, size, body? }, durationMs, aborted }`.
+ *
+ * A sink is either a function receiving the entry or an object with a `write(entry)` method;
+ * see `consoleSink` and `fileSink`. Sinks may return a promise; failures, like failures to build
+ * an entry, are reported to `onError` and never affect the response.
+ *
+ * @param {Object} [options] - Logger options.
+ * @param {function(Object)|{ write: function(Object) }} [options.sink=consoleSink()] - Where entries are written.
+ * @param {Array<{ path?: string|RegExp, method?: string, rate: number }>} [options.sampling=[]] - Per-route sampling rules;
+ * the first rule whose `path` (exact or prefix string, or RegExp) and `method` match gives the rate between 0 and 1.
+ * @param {number} [options.sampleRate=1] - The rate used when no sampling rule matches.
+ * @param {boolean} [options.alwaysLogErrors=true] - Log responses with a 5xx status regardless of sampling.
+ * @param {boolean} [options.responseBody=false] - Capture the response body; JSON bodies are redacted, text bodies
+ * are logged as a `[text: N bytes]` placeholder.
+ * @param {Object} [options.redaction] - The policy for response bodies. Defaults to the `redaction.data` configuration or `DEFAULT_REDACTION_POLICY`.
+ * @param {number} [options.maxBodyBytes=65536] - The maximum number of response body bytes captured.
+ * @param {function(Error)} [options.onError=console.error] - Called when an entry cannot be built or a sink fails.
+ * @returns {function(object, object, function): void} The Express middleware.
+ * @throws {Error} If `options.redaction` is not a valid redaction policy.
+ *
+ * @example
+ * app.use(requestLogger({
+ *   sink: fileSink({ path: 'logs/requests.log' }),
+ *   sampling: [{ path: '/health', rate: 0 }, { path: /^\/api\/reports/, method: 'GET', rate: 0.1 }],
+ *   responseBody: true
+ * }));
+ */
+export const requestLogger = (options = {}) => {
+    const {
+        sink = consoleSink(),
+        sampling = [],
+        sampleRate = 1,
+        alwaysLogErrors = true,
+        responseBody = false,
+        maxBodyBytes = DEFAULT_MAX_BODY_BYTES,
+        onError = console.error
+    } = options;
+    const write = typeof sink === 'function' ? sink : entry => sink.write(entry);
+    if (options.redaction) {
+        validateRedactionPolicy(options.redaction);
+    }
+
+    const getResponsePolicy = () => {
+        if (options.redaction) {
+            return options.redaction;
+        }
+        try {
+            return getConfig().redaction?.data || DEFAULT_REDACTION_POLICY;
+        } catch {
+            return DEFAULT_REDACTION_POLICY;
+        }
+    };
+
+    return (req, res, next) => {
+        const startTime = process.hrtime.bigint();
+        const timestamp = new Date().toISOString();
+        const chunks = [];
+        let size = 0;
+        let captured = 0;
+        let truncated = false;
+        let logged = false;
+
+        // Count (and optionally capture) every byte written to the response
+        const track = (chunk, encoding) => {
+            if (chunk == null || typeof chunk === 'function') {
+                return;
+            }
+            const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf-8');
+            size += buffer.length;
+            if (responseBody && !truncated) {
+                if (captured + buffer.length > maxBodyBytes) {
+                    truncated = true;
+                } else {
+                    chunks.push(buffer);
+                    captured += buffer.length;
+                }
+            }
+        };
+
+        const originalWrite = res.write;
+        const originalEnd = res.end;
+        res.write = function (chunk, encoding, ...rest) {
+            track(chunk, encoding);
+            return originalWrite.call(this, chunk, encoding, ...rest);
+        };
+        res.end = function (chunk, encoding, ...rest) {
+            track(chunk, encoding);
+            return originalEnd.call(this, chunk, encoding, ...rest);
+        };
+
+        const log = (aborted) => {
+            if (logged) {
+                return;
+            }
+            logged = true;
+
+            const isServerError = res.statusCode >= 500;
+            const rate = _getSampleRate(req, sampling, sampleRate);
+            if (!(alwaysLogErrors && isServerError) && !(rate >= 1 || (rate > 0 && Math.random() < rate))) {
+                return;
+            }
+
+            try {
+                const response = { statusCode: res.statusCode, size };
+                if (responseBody) {
+                    response.body = _formatResponseBody(Buffer.concat(chunks), truncated, res.getHeader('content-type'), getResponsePolicy());
+                }
+
+                const entry = {
+                    timestamp,
+                    request: convertRequestData(req),
+                    response,
+                    durationMs: Number(process.hrtime.bigint() - startTime) / 1e6,
+                    aborted
+                };
+
+                Promise.resolve(write(entry)).catch(onError);
+            } catch (err) {
+                onError(err);
+            }
+        };
+
+        res.on('finish', () => log(false));
+        res.on('close', () => log(!res.writableFinished));
+        next();
+    };
+};
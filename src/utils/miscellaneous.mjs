@@ -1,17 +1,153 @@
 import { getConfig } from '../config/config.mjs';
+import { KeyNotFoundError, TimeoutError } from './errors.mjs';
 
 /**
  * Pauses the execution for a specified amount of time.
  *
  * @param {number} ms - The number of milliseconds to pause.
+ * @param {Object} [options] - Options.
+ * @param {AbortSignal} [options.signal] - Stops waiting when aborted; the promise then rejects with the abort reason.
  * @returns {Promise<void>} A promise that resolves after the specified time has elapsed.
  *
  * @example
  * // Pauses execution for 1 second
  * await sleep(1000);
+ * // Stops waiting when the client disconnects
+ * await sleep(30000, { signal: controller.signal });
  */
-export const sleep = (ms) => {
-    return new Promise(resolve => setTimeout(resolve, ms));
+export const sleep = (ms, { signal } = {}) => {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        let timer;
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+};
+
+/**
+ * Waits for an operation with a time limit.
+ *
+ * The operation is a promise, or a function that receives an `AbortSignal` and returns a promise. The
+ * signal is aborted when the time limit is reached or `options.signal` is aborted, so that the
+ * operation can stop its work, e.g. by passing the signal to `fetch`. A promise cannot be cancelled:
+ * it keeps running, but its result is ignored.
+ *
+ * @param {Promise<*>|function(AbortSignal): Promise<*>} operation - The operation.
+ * @param {number} ms - The time limit, in milliseconds.
+ * @param {Object} [options] - Options.
+ * @param {AbortSignal} [options.signal] - Stops waiting when aborted; the promise then rejects with the abort reason.
+ * @param {string} [options.message] - The message of the `TimeoutError`.
+ * @returns {Promise<*>} The result of the operation.
+ * @throws {TimeoutError} If the operation does not settle within `ms` milliseconds.
+ *
+ * @example
+ * const response = await withTimeout(signal => fetch(url, { signal }), 5000);
+ */
+export const withTimeout = (operation, ms, { signal, message } = {}) => {
+    return new Promise((resolve, reject) => {
+        const controller = new AbortController();
+        let timer;
+        const onAbort = () => fail(signal.reason);
+        const cleanUp = () => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        };
+        const fail = (reason) => {
+            cleanUp();
+            controller.abort(reason);
+            reject(reason);
+        };
+
+        if (signal?.aborted) {
+            fail(signal.reason);
+            return;
+        }
+        timer = setTimeout(() => fail(new TimeoutError(message ?? `Operation timed out after ${ms} ms.`, ms)), ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        let promise;
+        try {
+            promise = typeof operation === 'function' ? operation(controller.signal) : operation;
+        } catch (err) {
+            fail(err);
+            return;
+        }
+        // Settling after a failure has no effect
+        Promise.resolve(promise).then((value) => {
+            cleanUp();
+            resolve(value);
+        }, (err) => {
+            cleanUp();
+            reject(err);
+        });
+    });
+};
+
+/**
+ * Calls a function until it succeeds, waiting longer after each failure (exponential backoff).
+ *
+ * The wait before retry `n` is `delay * factor ** (n - 1)`, at most `maxDelay`. With `jitter`, a random
+ * part of it is left out so that clients failing together do not retry together: `0.5` waits between
+ * 50% and 100% of the delay. Only errors for which `retryIf` returns `true` are retried; the last
+ * error is thrown once `retries` retries have failed.
+ *
+ * @param {function(number): Promise<*>|*} fn - The function to call, with the number of the attempt, starting at 1.
+ * @param {Object} [options] - Retry options.
+ * @param {number} [options.retries=3] - The maximum number of retries after the first attempt.
+ * @param {number} [options.delay=100] - The wait before the first retry, in milliseconds.
+ * @param {number} [options.factor=2] - The factor by which the wait grows after each retry.
+ * @param {number} [options.maxDelay=30000] - The maximum wait between two attempts, in milliseconds.
+ * @param {number} [options.jitter=0] - The part of the wait that is random, from 0 to 1.
+ * @param {function(Error, number): boolean|Promise<boolean>} [options.retryIf] - Decides from the error and the number of
+ * the failed attempt whether to retry. By default, every error is retried.
+ * @param {function(Error, number, number): *} [options.onRetry] - Called before waiting for a retry, with the error, the
+ * number of the failed attempt and the wait in milliseconds, e.g. to log the failure.
+ * @param {AbortSignal} [options.signal] - Stops retrying when aborted; the promise then rejects with the abort reason.
+ * @returns {Promise<*>} The result of the first successful call.
+ * @throws {RangeError} If `retries` or `jitter` is out of range.
+ *
+ * @example
+ * const user = await retry(() => withTimeout(signal => fetchUser(id, { signal }), 2000), {
+ *   retries: 5,
+ *   jitter: 0.5,
+ *   retryIf: err => err instanceof TimeoutError || err.status >= 500,
+ *   onRetry: (err, attempt, wait) => logger.warn(`Attempt ${attempt} failed, retrying in ${wait} ms: ${err.message}`)
+ * });
+ */
+export const retry = async (fn, options = {}) => {
+    const { retries = 3, delay = 100, factor = 2, maxDelay = 30 * 1000, jitter = 0, retryIf = () => true, onRetry, signal } = options;
+    if (!Number.isInteger(retries) || retries < 0) {
+        throw new RangeError('retries must be a non-negative integer.');
+    }
+    if (typeof jitter !== 'number' || jitter < 0 || jitter > 1) {
+        throw new RangeError('jitter must be a number from 0 to 1.');
+    }
+
+    for (let attempt = 1; ; attempt++) {
+        signal?.throwIfAborted();
+        try {
+            return await fn(attempt);
+        } catch (err) {
+            if (attempt > retries || signal?.aborted || !(await retryIf(err, attempt))) {
+                throw err;
+            }
+            const wait = Math.round(Math.min(delay * factor ** (attempt - 1), maxDelay) * (1 - jitter * Math.random()));
+            if (onRetry) {
+                await onRetry(err, attempt, wait);
+            }
+            await sleep(wait, { signal });
+        }
+    }
 };
 
 /**
@@ -34,23 +170,311 @@ export const isEmptyObject = (obj) => {
     return obj !== null && typeof obj === 'object' && !Array.isArray(obj) && Object.keys(obj).length === 0;
 };
 
+/**
+ * The key ID given to `secretKey` when the configuration does not define a keyring.
+ * Ciphertexts without a key ID are also decrypted with the key of this ID when it exists.
+ * @type {string}
+ */
+export const DEFAULT_KEY_ID = 'default';
+
 /**
  * Retrieves the cryptographic configuration for encryption.
  *
- * @returns {{ algorithm: string, secretKey: Buffer }} The cryptographic configuration object containing the algorithm and secret key.
+ * `algorithm` is the authenticated cipher used for new ciphertexts, while `legacyAlgorithm`
+ * is only used to read payloads produced before the versioned envelope was introduced.
+ *
+ * Keys come from the configured `keyring`, or from `secretKey` which then acts as a
+ * one-key keyring whose ID is `default`.
+ *
+ * @param {string} [keyId] - The ID of the key to use. If not provided, the active key is returned.
+ * @param {Object} [config=getConfig()] - The configuration to read the keys from, e.g. one captured earlier in a `scopeConfig` scope.
+ * @returns {{ algorithm: string, legacyAlgorithm: string, keyId: string, secretKey: Buffer }} The cryptographic configuration object containing the algorithms, the key ID and the secret key.
  *
- * @throws {Error} If the secret key is not defined in the environment variables.
+ * @throws {KeyNotFoundError} If the secret key is not defined in the environment variables (`KEY_NOT_CONFIGURED`).
+ * @throws {KeyNotFoundError} If no key with the given ID is defined in the keyring (`KEY_NOT_FOUND`).
  */
-export const getCreptoConfig = () => {
-    const algorithm = 'aes-256-ctr';
-    const config = getConfig();
-    const secretKeyHex = config.secretKey;
+export const getCreptoConfig = (keyId, config = getConfig()) => {
+    const algorithm = 'aes-256-gcm';
+    const legacyAlgorithm = 'aes-256-ctr';
+    const keyring = config.keyring || (config.secretKey ? [{ id: DEFAULT_KEY_ID, secretKey: config.secretKey, active: true }] : null);
 
     // Check if the secret key is defined
-    if (!secretKeyHex) {
-        throw new Error('Secret key variable is not defined via configuration.');
+    if (!keyring) {
+        throw new KeyNotFoundError('Secret key variable is not defined via configuration.', 'KEY_NOT_CONFIGURED');
     }
 
-    const secretKey = Buffer.from(secretKeyHex, 'hex');
-    return { algorithm, secretKey };
+    const key = keyId == null ? keyring.find(item => item.active) : keyring.find(item => item.id === keyId);
+    if (!key) {
+        throw new KeyNotFoundError(`Key "${keyId}" is not defined in the configured keyring.`, 'KEY_NOT_FOUND');
+    }
+
+    const secretKey = Buffer.from(key.secretKey, 'hex');
+    return { algorithm, legacyAlgorithm, keyId: key.id, secretKey };
+};
+
+/**
+ * Parses a single path selector into tokens. Each token is one of:
+ * `{ key }` for a property name, `{ anyKey: true }` for `*`, `{ index }` for `[n]`,
+ * `{ anyIndex: true }` for `[*]`, or `{ globstar: true }` for `**`.
+ *
+ * @param {string} selector - The selector without a leading `!`.
+ * @returns {Array<Object>} The parsed tokens.
+ * @throws {Error} If the selector is empty or malformed.
+ */
+const _parsePathSelector = (selector) => {
+    const tokens = [];
+    // A segment is a property name followed by any number of `[n]` / `[*]` suffixes
+    const segmentRegex = /^([^.[\]]*)((?:\[(?:\*|\d+)\])*)$/;
+
+    for (const segment of selector.split('.')) {
+        const match = segmentRegex.exec(segment);
+        if (!match || segment === '') {
+            throw new Error(`Invalid path selector "${selector}".`);
+        }
+        const [, name, brackets] = match;
+        if (name === '**') {
+            tokens.push({ globstar: true });
+        } else if (name === '*') {
+            tokens.push({ anyKey: true });
+        } else if (name !== '') {
+            tokens.push({ key: name });
+        }
+        for (const [, index] of brackets.matchAll(/\[(\*|\d+)\]/g)) {
+            tokens.push(index === '*' ? { anyIndex: true } : { index: Number(index) });
+        }
+    }
+
+    return tokens;
+};
+
+/**
+ * Checks whether a path matches parsed selector tokens, starting at the given positions.
+ *
+ * @param {Array<Object>} tokens - The parsed selector tokens.
+ * @param {Array<string|number>} path - The path segments; numbers are array indices.
+ * @param {number} [t=0] - The current token position.
+ * @param {number} [p=0] - The current path position.
+ * @returns {boolean} Returns `true` if the rest of the path matches the rest of the tokens.
+ */
+const _matchPathTokens = (tokens, path, t = 0, p = 0) => {
+    if (t === tokens.length) {
+        return p === path.length;
+    }
+    const token = tokens[t];
+    if (token.globstar) {
+        // `**` matches zero or more segments of any kind
+        for (let next = p; next <= path.length; next++) {
+            if (_matchPathTokens(tokens, path, t + 1, next)) {
+                return true;
+            }
+        }
+        return false;
+    }
+    if (p === path.length) {
+        return false;
+    }
+    const segment = path[p];
+    const matches = typeof segment === 'number'
+        ? token.anyIndex || token.index === segment
+        : token.anyKey || token.key === segment;
+    return matches && _matchPathTokens(tokens, path, t + 1, p + 1);
+};
+
+/**
+ * Compiles a list of path selectors into a matcher function for nested object paths.
+ *
+ * Supported selector syntax:
+ * - `email` - a bare property name matches that property at any depth (same as `**.email`).
+ * - `user.email` - a dot path anchored at the root object.
+ * - `contacts[*].phone`, `contacts[0].phone` - any or a specific array element.
+ * - `user.*` - any single property; `**.ssn` - any number of levels.
+ * - `!auditLog.**` - a leading `!` excludes matching paths, even if another selector includes them.
+ *
+ * If the list only holds exclusions, every other path matches.
+ *
+ * @param {string[]} selectors - The path selectors.
+ * @returns {function(Array<string|number>): boolean} A function that takes the path segments of a value
+ * (numbers for array indices) and returns `true` if the path is selected.
+ * @throws {Error} If a selector is malformed.
+ *
+ * @example
+ * const matches = createPathMatcher(['user.email', 'contacts[*].phone', '!auditLog.**']);
+ * matches(['user', 'email']); // true
+ * matches(['contacts', 2, 'phone']); // true
+ * matches(['auditLog', 'actor', 'email']); // false
+ */
+export const createPathMatcher = (selectors) => {
+    const includes = [];
+    const excludes = [];
+
+    for (const selector of selectors) {
+        if (typeof selector !== 'string' || selector.length === 0) {
+            throw new Error(`Invalid path selector "${selector}".`);
+        }
+        const isExclude = selector.startsWith('!');
+        const body = isExclude ? selector.slice(1) : selector;
+        // A bare property name keeps its historical meaning: match it at any depth
+        const tokens = /^[^.[\]*]+$/.test(body) ? [{ globstar: true }, { key: body }] : _parsePathSelector(body);
+        (isExclude ? excludes : includes).push(tokens);
+    }
+
+    return (path) => {
+        if (excludes.some(tokens => _matchPathTokens(tokens, path))) {
+            return false;
+        }
+        return includes.length === 0 || includes.some(tokens => _matchPathTokens(tokens, path));
+    };
+};
+
+/**
+ * Formats path segments as a readable property path, e.g. `contacts[0].email`.
+ *
+ * @param {Array<string|number>} path - The path segments; numbers are array indices.
+ * @returns {string} The formatted path.
+ */
+export const formatPath = (path) => {
+    return path.reduce((acc, segment) => {
+        if (typeof segment === 'number') {
+            return `${acc}[${segment}]`;
+        }
+        return acc ? `${acc}.${segment}` : segment;
+    }, '');
+};
+
+/**
+ * The default maximum nesting depth of `transformDeep`.
+ * @type {number}
+ */
+export const DEFAULT_MAX_DEPTH = 100;
+
+/**
+ * Checks whether a value is an object that `transformDeep` keeps as it is instead of walking into it:
+ * dates, regular expressions, errors, promises, weak collections, ArrayBuffers and their views
+ * (Buffers, typed arrays and DataViews).
+ *
+ * @param {Object} value - The object to check.
+ * @returns {boolean} Returns `true` if the object is a value rather than a container.
+ */
+const _isOpaqueObject = (value) => {
+    return value instanceof Date
+        || value instanceof RegExp
+        || value instanceof Error
+        || value instanceof Promise
+        || value instanceof WeakMap
+        || value instanceof WeakSet
+        || value instanceof ArrayBuffer
+        || ArrayBuffer.isView(value);
+};
+
+/**
+ * Sets a property on a plain object. `__proto__` is defined as an own property rather than assigned,
+ * so that a key such as the one in `JSON.parse('{"__proto__": {}}')` cannot replace the prototype.
+ *
+ * @param {Object} obj - The object.
+ * @param {string} key - The property name.
+ * @param {*} value - The property value.
+ */
+const _setProperty = (obj, key, value) => {
+    if (key === '__proto__') {
+        Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+    } else {
+        obj[key] = value;
+    }
+};
+
+/**
+ * Copies a value deeply, letting a callback rename or replace each entry on the way. This is the
+ * traversal shared by the key converters, the object encryption helpers and `redact`.
+ *
+ * - Primitives (including BigInts), dates, regular expressions, errors, Buffers, typed arrays and
+ *   other ArrayBuffer views are kept as they are.
+ * - Arrays, Maps and Sets are copied entry by entry; the entries of arrays and Sets are keyed by index.
+ * - Class instances with a `toJSON()` method are replaced by its result, as `JSON.stringify` does;
+ *   other objects are copied into plain objects with their own enumerable properties.
+ * - Every object is copied once: shared references and circular references point to the same copy
+ *   in the result, so cycles are preserved rather than followed forever.
+ *
+ * For every entry, `onEntry(key, value, path, parent)` may return `undefined` to copy the entry and walk
+ * into its value, or an object with a `key` to rename the entry (objects and Maps only) and/or a `value`
+ * to use instead of walking into the original one.
+ *
+ * @param {*} root - The value to copy.
+ * @param {function(string|number|*, *, Array<string|number|*>, Object): ({ key?: *, value?: * }|undefined)} [onEntry] - Called
+ * for each entry with its key, value, path from the root and the container it belongs to.
+ * @param {Object} [options] - Traversal options.
+ * @param {number} [options.maxDepth=DEFAULT_MAX_DEPTH] - The maximum number of nested containers.
+ * @param {function(Object, Array<string|number|*>): *} [options.onMaxDepth] - Returns the replacement of a container
+ * nested deeper than `maxDepth`. If not provided, an error is thrown instead.
+ * @returns {*} The copy.
+ * @throws {RangeError} If a container is nested deeper than `maxDepth` and `onMaxDepth` is not provided.
+ *
+ * @example
+ * const user = { name: 'John', password: 'secret' };
+ * user.self = user;
+ * const copy = transformDeep(user, key => (key === 'password' ? { value: '****' } : undefined));
+ * // { name: 'John', password: '****', self: [Circular] }, with copy.self === copy
+ */
+export const transformDeep = (root, onEntry, { maxDepth = DEFAULT_MAX_DEPTH, onMaxDepth } = {}) => {
+    const copies = new WeakMap();
+
+    const walk = (value, path) => {
+        if (value === null || typeof value !== 'object' || _isOpaqueObject(value)) {
+            return value;
+        }
+        if (copies.has(value)) {
+            return copies.get(value);
+        }
+        if (path.length >= maxDepth) {
+            if (onMaxDepth) {
+                return onMaxDepth(value, path);
+            }
+            throw new RangeError(`Maximum depth of ${maxDepth} exceeded at "${formatPath(path)}".`);
+        }
+
+        const visit = (key, item, setEntry) => {
+            const itemPath = [...path, key];
+            const result = onEntry ? onEntry(key, item, itemPath, value) : undefined;
+            const newKey = result && 'key' in result ? result.key : key;
+            setEntry(newKey, result && 'value' in result ? result.value : walk(item, itemPath));
+        };
+
+        if (Array.isArray(value)) {
+            const copy = [];
+            copies.set(value, copy);
+            value.forEach((item, index) => visit(index, item, (_, newItem) => {
+                copy[index] = newItem;
+            }));
+            return copy;
+        }
+
+        if (value instanceof Map) {
+            const copy = new Map();
+            copies.set(value, copy);
+            value.forEach((item, key) => visit(key, item, (newKey, newItem) => copy.set(newKey, newItem)));
+            return copy;
+        }
+
+        if (value instanceof Set) {
+            const copy = new Set();
+            copies.set(value, copy);
+            [...value].forEach((item, index) => visit(index, item, (_, newItem) => copy.add(newItem)));
+            return copy;
+        }
+
+        const prototype = Object.getPrototypeOf(value);
+        if (prototype !== Object.prototype && prototype !== null && typeof value.toJSON === 'function') {
+            const copy = walk(value.toJSON(), path);
+            copies.set(value, copy);
+            return copy;
+        }
+
+        const copy = {};
+        copies.set(value, copy);
+        for (const key of Object.keys(value)) {
+            visit(key, value[key], (newKey, newItem) => _setProperty(copy, newKey, newItem));
+        }
+        return copy;
+    };
+
+    return walk(root, []);
 };
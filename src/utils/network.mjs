@@ -0,0 +1,494 @@
+import axios from 'axios';
+import { promises as dns } from 'dns';
+import { Agent as HttpAgent } from 'http';
+import { Agent as HttpsAgent } from 'https';
+import { BlockList, isIP } from 'net';
+import { getCorrelationHeaders } from './context.mjs';
+import { sleep } from './miscellaneous.mjs';
+import { memoryStore } from './stores.mjs';
+
+/**
+ * The address ranges that are not reachable on the public internet: "this" network, private,
+ * shared (carrier-grade NAT), loopback, link-local (including cloud metadata endpoints such as
+ * 169.254.169.254), documentation, benchmarking, multicast and reserved ranges, and their IPv6
+ * counterparts. IPv4-mapped IPv6 addresses (`::ffff:127.0.0.1`) are checked against the IPv4 ranges.
+ * The IPv6 ranges that embed an IPv4 address (IPv4-compatible `::/96`, NAT64 `64:ff9b::/96` and
+ * 6to4 `2002::/16`) are blocked as a whole, as is the deprecated site-local range `fec0::/10`.
+ * @type {BlockList}
+ */
+const NON_PUBLIC_RANGES = new BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => NON_PUBLIC_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 96], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001:db8::', 32],
+    ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => NON_PUBLIC_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * The HTTP statuses that redirect to the URL in the `Location` header.
+ * @type {Set<number>}
+ */
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+/**
+ * The default ports of the allowed protocols.
+ * @type {Object<string, number>}
+ */
+const DEFAULT_PORTS = { 'http:': 80, 'https:': 443 };
+
+/**
+ * Checks whether an IP address belongs to a range that is not reachable on the public internet,
+ * such as private networks, loopback and link-local addresses.
+ *
+ * @param {string} address - The IPv4 or IPv6 address.
+ * @returns {boolean} Returns `true` if the address is not public, or is not a valid IP address.
+ *
+ * @example
+ * isPrivateAddress('169.254.169.254'); // true
+ * isPrivateAddress('::1'); // true
+ * isPrivateAddress('93.184.215.14'); // false
+ */
+export const isPrivateAddress = (address) => {
+    const family = isIP(address);
+    if (family === 0) {
+        return true;
+    }
+    return NON_PUBLIC_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Compiles the addresses and subnets that are allowed although they are not public.
+ *
+ * @param {string[]} allowedAddresses - IP addresses or subnets in CIDR notation, e.g. `10.0.0.0/8`.
+ * @returns {BlockList} The allowed addresses.
+ * @throws {Error} If an entry is not an IP address or subnet.
+ */
+const _compileAllowedAddresses = (allowedAddresses) => {
+    const list = new BlockList();
+    for (const entry of allowedAddresses) {
+        const [address, prefix] = String(entry).split('/');
+        const family = isIP(address);
+        if (family === 0 || (prefix !== undefined && !/^\d{1,3}$/.test(prefix))) {
+            throw new Error(`Invalid allowed address "${entry}".`);
+        }
+        const type = family === 4 ? 'ipv4' : 'ipv6';
+        if (prefix === undefined) {
+            list.addAddress(address, type);
+        } else {
+            list.addSubnet(address, Number(prefix), type);
+        }
+    }
+    return list;
+};
+
+/**
+ * Rejects with the reason of the signal when it aborts, so that steps without abort support
+ * (such as DNS lookups) still honour the timeout.
+ *
+ * @param {Promise<*>} promise - The pending step.
+ * @param {AbortSignal} signal - The signal of the inspection.
+ * @returns {Promise<*>} The result of the step.
+ */
+const _abortable = (promise, signal) => {
+    if (signal.aborted) {
+        return Promise.reject(signal.reason);
+    }
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+};
+
+/**
+ * Resolves the host of a URL and checks every address it resolves to.
+ *
+ * @param {URL} url - The URL.
+ * @param {function(string): boolean} isAllowed - Decides whether an address may be contacted.
+ * @param {AbortSignal} signal - The signal of the inspection.
+ * @returns {Promise<{ address: string, family: number }|{ reason: string }>} The address to connect to,
+ * or the reason why the host may not be contacted.
+ */
+const _resolveHost = async (url, isAllowed, signal) => {
+    // IPv6 literals are written in brackets in URLs
+    const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+    let addresses;
+    if (isIP(hostname)) {
+        addresses = [{ address: hostname, family: isIP(hostname) }];
+    } else {
+        try {
+            addresses = await _abortable(dns.lookup(hostname, { all: true, verbatim: true }), signal);
+        } catch (err) {
+            if (signal.aborted) {
+                throw err;
+            }
+            return { reason: 'DNS_FAILED' };
+        }
+    }
+    // A host with one internal address among public ones is rejected as a whole
+    if (addresses.length === 0 || !addresses.every(({ address }) => isAllowed(address))) {
+        return { reason: 'PRIVATE_ADDRESS' };
+    }
+    return addresses[0];
+};
+
+/**
+ * Creates an agent that connects to an already checked address, whatever the hostname resolves to
+ * by the time the connection is made. This prevents DNS rebinding between the check and the request.
+ *
+ * @param {string} protocol - The protocol of the URL, `http:` or `https:`.
+ * @param {{ address: string, family: number }} pinned - The checked address.
+ * @returns {HttpAgent|HttpsAgent} The agent.
+ */
+const _createPinnedAgent = (protocol, { address, family }) => {
+    const lookup = (hostname, options, callback) => {
+        if (options?.all) {
+            callback(null, [{ address, family }]);
+        } else {
+            callback(null, address, family);
+        }
+    };
+    const Agent = protocol === 'https:' ? HttpsAgent : HttpAgent;
+    return new Agent({ keepAlive: false, lookup });
+};
+
+/**
+ * Reads the size of a resource from a response: the total of the `Content-Range` header of a
+ * partial response, or the `Content-Length` header of a full one.
+ *
+ * @param {Object} response - The axios response.
+ * @returns {number|null} The size in bytes, or `null` if it is unknown.
+ */
+const _getContentLength = (response) => {
+    const header = response.status === 206
+        ? /\/(\d+)$/.exec(response.headers['content-range'] || '')?.[1]
+        : response.headers['content-length'];
+    return header != null && /^\d+$/.test(header) ? Number(header) : null;
+};
+
+/**
+ * Reads the first bytes of a response body, then closes the stream.
+ *
+ * @param {import('stream').Readable} stream - The response body.
+ * @param {number} length - The number of bytes to read.
+ * @returns {Promise<Buffer>} Up to `length` bytes; fewer if the body is shorter.
+ */
+const _readFirstBytes = (stream, length) => {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let received = 0;
+        const done = () => {
+            stream.destroy();
+            resolve(Buffer.concat(chunks).subarray(0, length));
+        };
+        stream.on('data', (chunk) => {
+            chunks.push(chunk);
+            received += chunk.length;
+            if (received >= length) {
+                done();
+            }
+        });
+        stream.on('end', done);
+        stream.on('error', reject);
+    });
+};
+
+/**
+ * Builds the result of an inspection.
+ *
+ * @param {URL|string} url - The last URL that was requested or checked.
+ * @param {Object} [response] - The axios response, if any.
+ * @param {string|null} [reason=null] - Why the URL is not accessible.
+ * @param {Buffer|null} [firstBytes=null] - The first bytes of the body, if they were read.
+ * @returns {{ ok: boolean, status: number|null, finalUrl: string, contentType: string|null, contentLength: number|null, firstBytes: Buffer|null, reason: string|null }} The result.
+ */
+const _result = (url, response, reason = null, firstBytes = null) => ({
+    ok: reason === null,
+    status: response?.status ?? null,
+    finalUrl: String(url),
+    contentType: response?.headers?.['content-type'] ?? null,
+    contentLength: response ? _getContentLength(response) : null,
+    firstBytes,
+    reason
+});
+
+/**
+ * Checks whether a URL is accessible without letting it reach internal services (server-side
+ * request forgery). Use it on every URL supplied by users, such as profile picture URLs.
+ *
+ * Before each request, including every redirect, the URL must:
+ * - use an allowed protocol (`http:` or `https:` by default) and port (80 and 443 by default);
+ * - resolve only to public addresses: private, loopback, link-local (e.g. `169.254.169.254`),
+ *   multicast and other reserved ranges are rejected unless listed in `allowedAddresses`.
+ *
+ * The connection is made to the address that was checked, not to a second DNS answer. Redirects
+ * are followed manually, up to `maxRedirects`. The whole inspection, DNS lookups included, is
+ * bounded by `timeoutMs`. Servers that refuse `HEAD` requests with 405 or 501 are asked again with
+ * a `GET` request; its body is not read, unless `sniffBytes` is set, in which case only that many
+ * bytes are requested with a `Range` header and read. Environment proxy settings are ignored.
+ *
+ * The `reason` of a failed inspection is one of `INVALID_URL`, `PROTOCOL_NOT_ALLOWED`,
+ * `PORT_NOT_ALLOWED`, `DNS_FAILED`, `PRIVATE_ADDRESS`, `TOO_MANY_REDIRECTS`, `TIMEOUT`,
+ * `NETWORK_ERROR` or `HTTP_ERROR` (the final status is not 2xx).
+ *
+ * The request ID and trace context of the current request are forwarded (see `getCorrelationHeaders`).
+ *
+ * @param {string} url - The URL to inspect.
+ * @param {Object} [options] - Inspection options.
+ * @param {string[]} [options.allowedProtocols=['http:', 'https:']] - The allowed protocols.
+ * @param {number[]} [options.allowedPorts=[80, 443]] - The allowed ports.
+ * @param {string[]} [options.allowedAddresses=[]] - Non-public addresses or CIDR subnets that may be contacted,
+ * e.g. `['10.1.2.0/24']` for a trusted internal service.
+ * @param {number} [options.maxRedirects=5] - The maximum number of redirects to follow.
+ * @param {number} [options.timeoutMs=5000] - The time limit of the whole inspection.
+ * @param {Object<string, string>} [options.headers] - Additional request headers.
+ * @param {number} [options.sniffBytes=0] - The number of bytes of the body to read when falling back to `GET`.
+ * @returns {Promise<{ ok: boolean, status: number|null, finalUrl: string, contentType: string|null, contentLength: number|null, firstBytes: Buffer|null, reason: string|null }>}
+ * The outcome: `ok` is `true` if the final response has a 2xx status; `status`, `contentType` and
+ * `contentLength` (the size of the whole resource, if known) are those of the last response (or `null`);
+ * `firstBytes` holds the bytes read when sniffing (or `null`); and `finalUrl` is the last URL requested or checked.
+ * @throws {Error} If `allowedAddresses` holds an invalid entry.
+ *
+ * @example
+ * const result = await inspectUrl(req.body.avatarUrl);
+ * if (!result.ok || !result.contentType?.startsWith('image/')) {
+ *   throw new BadRequestError('The avatar URL is not accessible.', { details: { reason: result.reason } });
+ * }
+ */
+export const inspectUrl = async (url, options = {}) => {
+    const {
+        allowedProtocols = ['http:', 'https:'],
+        allowedPorts = [80, 443],
+        allowedAddresses = [],
+        maxRedirects = 5,
+        timeoutMs = 5000,
+        headers = {},
+        sniffBytes = 0
+    } = options;
+
+    const allowedList = _compileAllowedAddresses(allowedAddresses);
+    const isAllowed = (address) => {
+        const family = isIP(address) === 4 ? 'ipv4' : 'ipv6';
+        return !isPrivateAddress(address) || allowedList.check(address, family);
+    };
+
+    let currentUrl;
+    try {
+        currentUrl = new URL(url);
+    } catch {
+        return _result(url, undefined, 'INVALID_URL');
+    }
+
+    const signal = AbortSignal.timeout(timeoutMs);
+    let response;
+    let isRangedGet = false;
+    try {
+        for (let redirects = 0; ; redirects++) {
+            if (!allowedProtocols.includes(currentUrl.protocol) || !DEFAULT_PORTS[currentUrl.protocol]) {
+                return _result(currentUrl, response, 'PROTOCOL_NOT_ALLOWED');
+            }
+            const port = Number(currentUrl.port || DEFAULT_PORTS[currentUrl.protocol]);
+            if (!allowedPorts.includes(port)) {
+                return _result(currentUrl, response, 'PORT_NOT_ALLOWED');
+            }
+            const resolved = await _resolveHost(currentUrl, isAllowed, signal);
+            if (resolved.reason) {
+                return _result(currentUrl, response, resolved.reason);
+            }
+
+            const agent = _createPinnedAgent(currentUrl.protocol, resolved);
+            const request = (method, extraHeaders) => axios.request({
+                method,
+                url: currentUrl.href,
+                headers: { ...headers, ...extraHeaders, ...getCorrelationHeaders() },
+                httpAgent: agent,
+                httpsAgent: agent,
+                proxy: false,
+                maxRedirects: 0,
+                responseType: 'stream',
+                validateStatus: () => true,
+                signal
+            });
+            response = await request('HEAD');
+            isRangedGet = false;
+            if (response.status === 405 || response.status === 501) {
+                response.data.destroy();
+                isRangedGet = sniffBytes > 0;
+                response = await request('GET', isRangedGet ? { Range: `bytes=0-${sniffBytes - 1}` } : {});
+            }
+
+            const location = response.headers.location;
+            if (!REDIRECT_STATUSES.has(response.status) || !location) {
+                break;
+            }
+            // Only the status and headers of redirects matter
+            response.data.destroy();
+            if (redirects >= maxRedirects) {
+                return _result(currentUrl, response, 'TOO_MANY_REDIRECTS');
+            }
+            try {
+                currentUrl = new URL(location, currentUrl);
+            } catch {
+                return _result(location, response, 'INVALID_URL');
+            }
+        }
+    } catch {
+        response?.data?.destroy();
+        return _result(currentUrl, response, signal.aborted ? 'TIMEOUT' : 'NETWORK_ERROR');
+    }
+
+    const isSuccess = response.status >= 200 && response.status < 300;
+    if (!isSuccess || !isRangedGet) {
+        response.data.destroy();
+        return _result(currentUrl, response, isSuccess ? null : 'HTTP_ERROR');
+    }
+    try {
+        const firstBytes = await _abortable(_readFirstBytes(response.data, sniffBytes), signal);
+        return _result(currentUrl, response, null, firstBytes);
+    } catch {
+        response.data.destroy();
+        return _result(currentUrl, response, signal.aborted ? 'TIMEOUT' : 'NETWORK_ERROR');
+    }
+};
+
+/**
+ * The statuses of responses that are worth retrying.
+ * @type {Set<number>}
+ */
+const TRANSIENT_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+/**
+ * Checks whether a failed inspection may succeed if it is retried.
+ *
+ * @param {Object} result - The result of `inspectUrl`.
+ * @returns {boolean} Returns `true` for timeouts, network errors and transient HTTP statuses.
+ */
+const _isTransientFailure = (result) => {
+    return result.reason === 'TIMEOUT'
+        || result.reason === 'NETWORK_ERROR'
+        || (result.reason === 'HTTP_ERROR' && TRANSIENT_STATUSES.has(result.status));
+};
+
+/**
+ * Creates a function that runs asynchronous tasks with at most `limit` of them at a time; the
+ * others wait in a queue.
+ *
+ * @param {number} limit - The maximum number of tasks running at the same time.
+ * @returns {function(function(): Promise<*>): Promise<*>} Runs a task when a slot is free.
+ */
+const _createLimiter = (limit) => {
+    let active = 0;
+    const queue = [];
+    const next = () => {
+        if (active < limit && queue.length > 0) {
+            active++;
+            queue.shift()();
+        }
+    };
+
+    return async (task) => {
+        await new Promise((resolve) => {
+            queue.push(resolve);
+            next();
+        });
+        try {
+            return await task();
+        } finally {
+            active--;
+            next();
+        }
+    };
+};
+
+/**
+ * Checks many URLs with `inspectUrl`, e.g. the sources of an import.
+ *
+ * - At most `concurrency` requests run at the same time, and at most `perHostConcurrency` of them
+ *   go to the same host.
+ * - Timeouts, network errors and transient statuses (408, 425, 429, 500, 502, 503 and 504) are retried
+ *   up to `retries` times, waiting `backoff`, then twice as long after each attempt, up to `maxBackoff`.
+ * - Results are cached for `cacheTtl`, so a URL that appears several times is only checked once. Pass
+ *   the same `cache` to several calls to share results between them; any store with `get(key)` and
+ *   `set(key, value, ttlMs)` methods, such as `memoryStore()`, will do. Results are cached per URL
+ *   and `inspectUrl` options, so that a call with other options, e.g. `allowedAddresses`, does not
+ *   reuse the verdicts of another.
+ *
+ * @param {string[]} urls - The URLs to check.
+ * @param {Object} [options] - Check options, and the options of `inspectUrl`.
+ * @param {number} [options.concurrency=10] - The maximum number of requests at the same time.
+ * @param {number} [options.perHostConcurrency=2] - The maximum number of requests to the same host at the same time.
+ * @param {number} [options.retries=2] - The number of retries of transient failures.
+ * @param {number} [options.backoff=250] - The delay before the first retry, in milliseconds.
+ * @param {number} [options.maxBackoff=10000] - The maximum delay between two attempts, in milliseconds.
+ * @param {number} [options.cacheTtl=300000] - How long results are cached, in milliseconds.
+ * @param {{ get: function(string): *, set: function(string, Object, number): * }} [options.cache=memoryStore()] - Where results are cached.
+ * @returns {Promise<Array<Object>>} The result of `inspectUrl` for each URL, in the same order, with the `url`
+ * and the number of `attempts` it took.
+ *
+ * @example
+ * const results = await checkUrls(sources.map(source => source.url), { concurrency: 20, retries: 3 });
+ * const broken = results.filter(result => !result.ok).map(result => `${result.url}: ${result.reason}`);
+ */
+export const checkUrls = async (urls, options = {}) => {
+    const {
+        concurrency = 10,
+        perHostConcurrency = 2,
+        retries = 2,
+        backoff = 250,
+        maxBackoff = 10 * 1000,
+        cacheTtl = 5 * 60 * 1000,
+        cache = memoryStore(),
+        ...inspectOptions
+    } = options;
+
+    const runLimited = _createLimiter(concurrency);
+    const hostLimiters = new Map();
+    const pending = new Map();
+
+    const getHost = (url) => {
+        try {
+            return new URL(url).host;
+        } catch {
+            return '';
+        }
+    };
+
+    // Options such as allowedAddresses change the verdict, so they are part of the key
+    const optionsKey = JSON.stringify(Object.entries(inspectOptions).sort(([a], [b]) => a.localeCompare(b)));
+
+    const check = async (url) => {
+        const cacheKey = `${url} ${optionsKey}`;
+        const cached = await cache.get(cacheKey);
+        if (cached) {
+            return cached;
+        }
+        const host = getHost(url);
+        if (!hostLimiters.has(host)) {
+            hostLimiters.set(host, _createLimiter(perHostConcurrency));
+        }
+        const runForHost = hostLimiters.get(host);
+
+        let result;
+        for (let attempt = 1; ; attempt++) {
+            // Waiting for a host does not take a slot from other hosts
+            result = { url, ...await runForHost(() => runLimited(() => inspectUrl(url, inspectOptions))), attempts: attempt };
+            if (attempt > retries || !_isTransientFailure(result)) {
+                break;
+            }
+            await sleep(Math.min(backoff * 2 ** (attempt - 1), maxBackoff));
+        }
+        await cache.set(cacheKey, result, cacheTtl);
+        return result;
+    };
+
+    return Promise.all(urls.map((url) => {
+        // The same URL is only checked once, even when it appears several times
+        if (!pending.has(url)) {
+            pending.set(url, check(url));
+        }
+        return pending.get(url);
+    }));
+};
@@ -0,0 +1,189 @@
+import { createHash, timingSafeEqual } from 'crypto';
+import { getConfig } from '../config/config.mjs';
+import { TooManyRequestsError, sendError } from './errors.mjs';
+import { memoryStore } from './stores.mjs';
+
+/**
+ * The header that carries the development token.
+ * @type {string}
+ */
+const DEVELOPMENT_TOKEN_HEADER = 'x-development-token';
+
+/**
+ * Rate limiting algorithms. Each one takes the stored state of a key (or `undefined`), the limit,
+ * the window and the current time, and returns the new state together with the outcome.
+ * @type {Object<string, function(Object|undefined, number, number, number): { state: Object, ttlMs: number, allowed: boolean, remaining: number, resetMs: number }>}
+ */
+const ALGORITHMS = {
+    // Counts requests in consecutive windows of windowMs; the count resets at the end of each window
+    'fixed-window': (state, limit, windowMs, now) => {
+        const current = state && state.resetAt > now ? state : { count: 0, resetAt: now + windowMs };
+        const count = current.count + 1;
+        const resetMs = current.resetAt - now;
+        return {
+            state: { count, resetAt: current.resetAt },
+            ttlMs: resetMs,
+            allowed: count <= limit,
+            remaining: Math.max(0, limit - count),
+            resetMs
+        };
+    },
+    // Holds up to limit tokens, refilled continuously at limit tokens per windowMs; each request takes one
+    'token-bucket': (state, limit, windowMs, now) => {
+        const refillPerMs = limit / windowMs;
+        const tokens = state ? Math.min(limit, state.tokens + (now - state.updatedAt) * refillPerMs) : limit;
+        const allowed = tokens >= 1;
+        const remainingTokens = allowed ? tokens - 1 : tokens;
+        return {
+            state: { tokens: remainingTokens, updatedAt: now },
+            // Once the bucket is full again the state carries no information
+            ttlMs: Math.ceil((limit - remainingTokens) / refillPerMs) || 1,
+            allowed,
+            remaining: Math.floor(remainingTokens),
+            // When limited: until the next token; otherwise: until the bucket is full
+            resetMs: allowed ? (limit - remainingTokens) / refillPerMs : (1 - remainingTokens) / refillPerMs
+        };
+    }
+};
+
+/**
+ * Returns the key that identifies the client of a request.
+ *
+ * @param {object} req - The Express request object.
+ * @param {'ip'|'user'|function(object): string} keyBy - How the client is identified.
+ * @returns {string} The client key.
+ */
+const _getClientKey = (req, keyBy) => {
+    if (typeof keyBy === 'function') {
+        return String(keyBy(req));
+    }
+    if (keyBy === 'user' && req.user?.id != null) {
+        return `user:${req.user.id}`;
+    }
+    return `ip:${req.ip}`;
+};
+
+/**
+ * Checks whether a request carries the configured development token. Both values are hashed
+ * first, so that the comparison takes constant time whatever their lengths.
+ *
+ * @param {object} req - The Express request object.
+ * @returns {boolean} Returns `true` if the `x-development-token` header matches `developmentToken`.
+ */
+const _hasDevelopmentToken = (req) => {
+    const token = req.headers?.[DEVELOPMENT_TOKEN_HEADER];
+    if (typeof token !== 'string' || token.length === 0) {
+        return false;
+    }
+    let developmentToken;
+    try {
+        developmentToken = getConfig().developmentToken;
+    } catch {
+        return false;
+    }
+    if (typeof developmentToken !== 'string' || developmentToken.length === 0) {
+        return false;
+    }
+    const hash = value => createHash('sha256').update(value).digest();
+    return timingSafeEqual(hash(token), hash(developmentToken));
+};
+
+/**
+ * Creates an Express middleware that limits the number of requests per client.
+ *
+ * Two algorithms are available:
+ * - `fixed-window` - at most `limit` requests per window of `windowMs`.
+ * - `token-bucket` - bursts of up to `limit` requests, refilled at `limit` requests per `windowMs`.
+ *
+ * Every response carries the `RateLimit-Limit`, `RateLimit-Remaining`, `RateLimit-Reset` (in seconds)
+ * and `RateLimit-Policy` headers. Limited requests receive a 429 error in the standard envelope
+ * (see `sendError`) with a `Retry-After` header.
+ *
+ * Requests whose `x-development-token` header matches the configured `developmentToken` bypass the
+ * limit. The token is compared in constant time.
+ *
+ * A store is any object with an atomic `update(key, updater)` method, synchronous or returning a
+ * promise. It calls `updater` with the stored state (or `undefined`), which returns `{ value, ttlMs }`,
+ * and stores `value` with that TTL so that no other request updates the key in between; a separate
+ * read and write would let concurrent requests overshoot the limit. A Redis adapter can, for example,
+ * run the updater in a `WATCH`/`MULTI` transaction and call it again when the transaction is aborted.
+ * The default is a `memoryStore()` per limiter. If the store fails, the request is allowed and the
+ * error is reported to `onError`, so that an outage of the store does not take the API down.
+ *
+ * @param {Object} [options] - Limiter options.
+ * @param {'fixed-window'|'token-bucket'} [options.algorithm='fixed-window'] - The algorithm.
+ * @param {number} [options.limit=100] - The number of requests allowed per window, or the bucket size.
+ * @param {number} [options.windowMs=60000] - The window, or the time to refill the whole bucket.
+ * @param {'ip'|'user'|function(object): string} [options.keyBy='ip'] - How clients are identified:
+ * by `req.ip`, by `req.user.id` (falling back to the IP), or by a function of the request.
+ * @param {{ update: function(string, function(*): { value: Object, ttlMs: number }): * }} [options.store=memoryStore()] - Where the state is kept.
+ * @param {string} [options.prefix='rl:'] - Prefix of the store keys, to share a store between limiters.
+ * @param {boolean} [options.allowDevelopmentToken=true] - Whether the development token bypasses the limit.
+ * @param {string} [options.message='Too many requests, please try again later.'] - The message of the 429 error.
+ * @param {function(Error): void} [options.onError=console.error] - Called when the store fails.
+ * @returns {function(object, object, function): Promise<void>} The Express middleware.
+ * @throws {Error} If the algorithm is unknown, the limit or window is not a positive number, or the store has no `update` method.
+ *
+ * @example
+ * app.use('/api', rateLimiter({ limit: 100, windowMs: 60 * 1000 }));
+ * app.post('/login', rateLimiter({ algorithm: 'token-bucket', limit: 5, windowMs: 60 * 1000, prefix: 'rl:login:' }), login);
+ */
+export const rateLimiter = (options = {}) => {
+    const {
+        algorithm = 'fixed-window',
+        limit = 100,
+        windowMs = 60 * 1000,
+        keyBy = 'ip',
+        store = memoryStore(),
+        prefix = 'rl:',
+        allowDevelopmentToken = true,
+        message = 'Too many requests, please try again later.',
+        onError = console.error
+    } = options;
+
+    const consume = ALGORITHMS[algorithm];
+    if (!consume) {
+        throw new Error(`Unknown rate limiting algorithm "${algorithm}".`);
+    }
+    if (!(limit > 0) || !(windowMs > 0)) {
+        throw new Error('Rate limit and windowMs must be positive numbers.');
+    }
+    if (typeof store?.update !== 'function') {
+        throw new Error('The rate limiting store must have an update(key, updater) method.');
+    }
+    const policy = `${limit};w=${Math.ceil(windowMs / 1000)}`;
+
+    return async (req, res, next) => {
+        if (allowDevelopmentToken && _hasDevelopmentToken(req)) {
+            return next();
+        }
+
+        let result;
+        try {
+            const key = `${prefix}${_getClientKey(req, keyBy)}`;
+            // The store may call the updater more than once; the last outcome is the one stored
+            await store.update(key, (state) => {
+                result = consume(state, limit, windowMs, Date.now());
+                return { value: result.state, ttlMs: result.ttlMs };
+            });
+        } catch (err) {
+            onError(err);
+            return next();
+        }
+
+        const resetSeconds = Math.max(0, Math.ceil(result.resetMs / 1000));
+        res.set({
+            'RateLimit-Limit': String(limit),
+            'RateLimit-Remaining': String(result.remaining),
+            'RateLimit-Reset': String(resetSeconds),
+            'RateLimit-Policy': policy
+        });
+
+        if (!result.allowed) {
+            return sendError(req, res, new TooManyRequestsError(message, {
+                headers: { 'Retry-After': String(Math.max(1, resetSeconds)) }
+            }));
+        }
+        next();
+    };
+};
@@ -0,0 +1,272 @@
+import { createHash, createHmac } from 'crypto';
+import { createPathMatcher, transformDeep } from './miscellaneous.mjs';
+
+/**
+ * The mask written in place of a fully redacted value.
+ * @type {string}
+ */
+const FULL_MASK = '****';
+
+/**
+ * The built-in mask strategies, see `_applyMask`.
+ * @type {Set<string>}
+ */
+const MASK_STRATEGIES = new Set(['full', 'partial', 'hash']);
+
+/**
+ * The value written in place of objects nested deeper than the maximum depth.
+ * @type {string}
+ */
+const MAX_DEPTH_PLACEHOLDER = '[MaxDepth]';
+
+/**
+ * Checks a card number with the Luhn algorithm.
+ *
+ * @param {string} digits - The card number without separators.
+ * @returns {boolean} Returns `true` if the checksum is valid.
+ */
+const _isLuhnValid = (digits) => {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) {
+                digit -= 9;
+            }
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+};
+
+/**
+ * Checks an IBAN with the ISO 13616 mod-97 checksum.
+ *
+ * @param {string} iban - The IBAN without spaces, in upper case.
+ * @returns {boolean} Returns `true` if the checksum is valid.
+ */
+const _isIbanValid = (iban) => {
+    const rearranged = iban.slice(4) + iban.slice(0, 4);
+    let remainder = 0;
+    for (const char of rearranged) {
+        const value = char >= 'A' ? (char.charCodeAt(0) - 55).toString() : char;
+        for (const digit of value) {
+            remainder = (remainder * 10 + Number(digit)) % 97;
+        }
+    }
+    return remainder === 1;
+};
+
+/**
+ * Built-in value detectors, referenced by name from a redaction rule. Each one receives a string
+ * value and returns `true` if the whole value looks like sensitive data of that kind.
+ * @type {Object<string, function(string): boolean>}
+ */
+const DETECTORS = {
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim()),
+    jwt: value => /^eyJ[A-Za-z0-9_-]*\.eyJ[A-Za-z0-9_-]*\.[A-Za-z0-9_-]*$/.test(value.trim()),
+    creditCard: (value) => {
+        if (!/^\d[\d -]{11,21}\d$/.test(value.trim())) {
+            return false;
+        }
+        const digits = value.replace(/[ -]/g, '');
+        return digits.length >= 13 && digits.length <= 19 && _isLuhnValid(digits);
+    },
+    iban: (value) => {
+        const iban = value.replace(/ /g, '').toUpperCase();
+        return /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban) && _isIbanValid(iban);
+    }
+};
+
+/**
+ * Matches the names of properties and headers holding credentials, e.g. `newPassword`,
+ * `refresh_token` or `x-auth-token`. `token` must not be followed by a letter, so that `tokenCount` is kept.
+ * @type {RegExp}
+ */
+const CREDENTIAL_KEY_PATTERN = /password|secret|token(?![a-z])|api[_-]?key$/i;
+
+/**
+ * The default policy applied to the body, query, params and cookies by `convertRequestData`.
+ * Keys are matched exactly (case-insensitive) or by pattern, so `accessToken`, `contactEmail` and
+ * `first_name` are masked while `tokenCount` and `emailVerified` are not. Email addresses are also
+ * masked by value, whatever their key.
+ * @type {{ mask: string, rules: Array<Object> }}
+ */
+export const DEFAULT_REDACTION_POLICY = Object.freeze({
+    mask: 'full',
+    rules: Object.freeze([
+        Object.freeze({
+            keys: Object.freeze([
+                'email', 'firstName', 'middleName', 'lastName', 'dateOfBirth', 'profilePictureUrl',
+                'profilePictureThumbnailUrl', 'ssn', 'creditCard', 'cardNumber', 'cvv', 'iban'
+            ])
+        }),
+        Object.freeze({ pattern: /e[_-]?mail(?:[_-]?address)?$|(?:first|middle|last|full|given|family|display|maiden|sur)[_-]?name$/i }),
+        Object.freeze({ pattern: CREDENTIAL_KEY_PATTERN }),
+        Object.freeze({ detector: 'email' }),
+        Object.freeze({ detector: 'jwt' }),
+        Object.freeze({ detector: 'creditCard', mask: 'partial' }),
+        Object.freeze({ detector: 'iban', mask: 'partial' })
+    ])
+});
+
+/**
+ * The default policy applied to request headers by `convertRequestData`.
+ * @type {{ mask: string, rules: Array<Object> }}
+ */
+export const DEFAULT_HEADER_REDACTION_POLICY = Object.freeze({
+    mask: 'full',
+    rules: Object.freeze([
+        Object.freeze({
+            keys: Object.freeze(['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key', 'x-development-token'])
+        }),
+        Object.freeze({ pattern: CREDENTIAL_KEY_PATTERN })
+    ])
+});
+
+/**
+ * Compiles a policy rule into a matcher. Key-based rules (`keys`, `pattern`, `paths`) match a
+ * property whatever its value; `detector` rules only match string values.
+ *
+ * @param {Object} rule - The rule from the policy.
+ * @returns {{ matchesKey: function(string, Array<string|number>): boolean, matchesValue: function(*): boolean, mask: * }} The compiled rule.
+ * @throws {Error} If the rule references an unknown detector or has nothing to match on.
+ */
+const _compileRule = (rule) => {
+    const keys = rule.keys ? new Set(rule.keys.map(key => key.toLowerCase())) : null;
+    const matchesPath = rule.paths ? createPathMatcher(rule.paths) : null;
+    let detector = null;
+
+    if (typeof rule.detector === 'string') {
+        detector = DETECTORS[rule.detector];
+        if (!detector) {
+            throw new Error(`Unknown redaction detector "${rule.detector}".`);
+        }
+    } else if (rule.detector instanceof RegExp) {
+        detector = value => rule.detector.test(value);
+    } else if (typeof rule.detector === 'function') {
+        detector = rule.detector;
+    }
+
+    if (!keys && !rule.pattern && !matchesPath && !detector) {
+        throw new Error('A redaction rule needs keys, pattern, paths or detector.');
+    }
+
+    return {
+        matchesKey: (key, path) => Boolean(
+            (keys && keys.has(key.toLowerCase())) ||
+            (rule.pattern && rule.pattern.test(key)) ||
+            (matchesPath && matchesPath(path))
+        ),
+        matchesValue: value => Boolean(detector && typeof value === 'string' && detector(value)),
+        mask: rule.mask
+    };
+};
+
+/**
+ * Compiles the rules of a policy, checking its mask strategies up front so that a typo fails even
+ * before any value matches.
+ *
+ * @param {Object} policy - The redaction policy (see `redact`).
+ * @returns {Array<Object>} The compiled rules, see `_compileRule`.
+ * @throws {Error} If the policy references an unknown detector or mask strategy.
+ */
+const _compilePolicy = (policy) => {
+    for (const mask of [policy.mask, ...(policy.rules || []).map(rule => rule.mask)]) {
+        if (mask !== undefined && typeof mask !== 'function' && !MASK_STRATEGIES.has(mask)) {
+            throw new Error(`Unknown redaction mask strategy "${mask}".`);
+        }
+    }
+    return (policy.rules || []).map(_compileRule);
+};
+
+/**
+ * Replaces a value according to a mask strategy.
+ *
+ * @param {*} value - The value to mask.
+ * @param {string|function} strategy - `full`, `partial`, `hash` or a custom function.
+ * @param {string} key - The property name of the value.
+ * @param {Array<string|number>} path - The path of the value from the root object.
+ * @param {string} [hashSecret] - Optional secret used to key the `hash` strategy.
+ * @returns {*} The masked value.
+ * @throws {Error} If the strategy is unknown.
+ */
+const _applyMask = (value, strategy, key, path, hashSecret) => {
+    if (typeof strategy === 'function') {
+        return strategy(value, key, path);
+    }
+    switch (strategy) {
+        case 'full':
+            return FULL_MASK;
+        case 'partial': {
+            // Keep the last four characters, e.g. ****1234, if that leaves most of the value hidden
+            const text = typeof value === 'string' ? value.replace(/[\s-]/g, '') : '';
+            return text.length >= 8 ? `${FULL_MASK}${text.slice(-4)}` : FULL_MASK;
+        }
+        case 'hash': {
+            const text = typeof value === 'string' ? value : JSON.stringify(value) ?? String(value);
+            const hash = hashSecret ? createHmac('sha256', hashSecret) : createHash('sha256');
+            return `sha256:${hash.update(text).digest('hex').slice(0, 16)}`;
+        }
+        default:
+            throw new Error(`Unknown redaction mask strategy "${strategy}".`);
+    }
+};
+
+/**
+ * Redacts sensitive data within an object according to a policy. The object is walked
+ * recursively; a property is masked when the first matching rule of the policy matches its key,
+ * its path, or (for string values) its content.
+ *
+ * This function is non-destructive; it returns a new object while leaving the original intact.
+ * Shared and circular references are redacted once and preserved in the copy (see `transformDeep`).
+ * Objects nested deeper than `maxDepth` are replaced by `[MaxDepth]` rather than throwing, so that
+ * redaction is safe to use when logging.
+ *
+ * A policy has the form `{ mask, hashSecret, rules }`, where each rule has one or more of:
+ * - `keys` - exact property names, matched case-insensitively.
+ * - `pattern` - a regular expression tested against property names.
+ * - `paths` - path selectors as accepted by `createPathMatcher`, e.g. `user.email`.
+ * - `detector` - `email`, `jwt`, `creditCard`, `iban`, a RegExp or a function tested against string values.
+ * - `mask` - the strategy for this rule, overriding the policy-wide `mask`:
+ *   `full` (`****`), `partial` (`****1234`), `hash` (`sha256:…`, keyed with `hashSecret` if given) or a
+ *   function `(value, key, path) => maskedValue`.
+ *
+ * @param {*} obj - The value containing potential sensitive data.
+ * @param {Object} [policy=DEFAULT_REDACTION_POLICY] - The redaction policy.
+ * @param {Object} [options] - Redaction options.
+ * @param {number} [options.maxDepth=100] - The maximum nesting depth of the value.
+ * @returns {*} A copy of the value with sensitive data masked. Non-object values are returned unchanged.
+ * @throws {Error} If the policy references an unknown detector or mask strategy.
+ *
+ * @example
+ * redact({ user: { ssn: '123-45-6789', card: '4111 1111 1111 1111' } }, {
+ *   rules: [{ keys: ['ssn'] }, { detector: 'creditCard', mask: 'partial' }]
+ * });
+ * // { user: { ssn: '****', card: '****1111' } }
+ */
+export const redact = (obj, policy = DEFAULT_REDACTION_POLICY, { maxDepth } = {}) => {
+    const rules = _compilePolicy(policy);
+    const defaultMask = policy.mask || 'full';
+
+    return transformDeep(obj, (key, item, path) => {
+        const name = String(key);
+        const rule = rules.find(candidate => candidate.matchesKey(name, path) || candidate.matchesValue(item));
+        return rule ? { value: _applyMask(item, rule.mask || defaultMask, name, path, policy.hashSecret) } : undefined;
+    }, { maxDepth, onMaxDepth: () => MAX_DEPTH_PLACEHOLDER });
+};
+
+/**
+ * Checks a redaction policy without applying it, e.g. when a middleware that redacts is created,
+ * so that a misconfigured policy fails at startup rather than on the first request.
+ *
+ * @param {Object} policy - The redaction policy (see `redact`).
+ * @throws {Error} If the policy references an unknown detector or mask strategy, or a rule has nothing to match on.
+ *
+ * @example
+ * validateRedactionPolicy({ rules: [{ detector: 'phone' }] }); // throws 'Unknown redaction detector "phone".'
+ */
+export const validateRedactionPolicy = (policy) => {
+    _compilePolicy(policy);
+};
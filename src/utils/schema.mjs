@@ -0,0 +1,573 @@
+import { KEY_CASES, convertKeys, encryptObjectItems } from './converters.mjs';
+import { BadRequestError, InternalServerError, sendError } from './errors.mjs';
+import { formatPath } from './miscellaneous.mjs';
+import { isValidEmail, isValidUrl } from './validations.mjs';
+
+/**
+ * The types a schema can declare in `type`.
+ * @type {Set<string>}
+ */
+const TYPES = new Set(['string', 'number', 'integer', 'boolean', 'object', 'array', 'null']);
+
+/**
+ * Checks whether a string is an IANA timezone known to `Intl`, e.g. `Europe/Berlin` or `UTC`.
+ *
+ * @param {string} value - The timezone.
+ * @returns {boolean} Returns `true` if the timezone is supported.
+ */
+const _isValidTimeZone = (value) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * The formats a string schema can declare in `format`.
+ * @type {Object<string, function(string): boolean>}
+ */
+const FORMATS = {
+    email: value => isValidEmail(value),
+    url: value => isValidUrl(value),
+    uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+    date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)) && new Date(value).toISOString().startsWith(value),
+    'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/i.test(value) && !Number.isNaN(Date.parse(value)),
+    timezone: value => _isValidTimeZone(value)
+};
+
+/**
+ * Returned by `_coerce` when a value cannot be converted.
+ * @type {symbol}
+ */
+const NOT_COERCIBLE = Symbol('notCoercible');
+
+/**
+ * The request properties validated by `validateRequest`, in the order they are checked.
+ * @type {Array<string>}
+ */
+const REQUEST_LOCATIONS = ['params', 'query', 'headers', 'body'];
+
+/**
+ * The keys of a map of response schemas by status: `200`, `2xx` or `default`.
+ * @type {RegExp}
+ */
+const STATUS_KEY_PATTERN = /^([1-5]\d\d|[1-5]xx|default)$/;
+
+/**
+ * Checks whether a value has the given schema type.
+ *
+ * @param {*} value - The value to check.
+ * @param {string} type - The schema type.
+ * @returns {boolean} Returns `true` if the value has the type.
+ */
+const _matchesType = (value, type) => {
+    switch (type) {
+        case 'string':
+            return typeof value === 'string';
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'null':
+            return value === null;
+        default:
+            return false;
+    }
+};
+
+/**
+ * Converts a value to the given schema type, as needed for query strings, route params and headers,
+ * which are always strings: `'42'` becomes `42`, `'true'` becomes `true`, and a single value becomes
+ * an array with one item.
+ *
+ * @param {*} value - The value to convert.
+ * @param {string} type - The target schema type.
+ * @returns {*} The converted value, or `NOT_COERCIBLE`.
+ */
+const _coerce = (value, type) => {
+    switch (type) {
+        case 'number':
+        case 'integer': {
+            if (typeof value !== 'string' || value.trim() === '') {
+                return typeof value === 'boolean' ? Number(value) : NOT_COERCIBLE;
+            }
+            const number = Number(value);
+            return _matchesType(number, type) ? number : NOT_COERCIBLE;
+        }
+        case 'boolean':
+            if (value === 'true' || value === '1' || value === 1) {
+                return true;
+            }
+            if (value === 'false' || value === '0' || value === 0) {
+                return false;
+            }
+            return NOT_COERCIBLE;
+        case 'string':
+            return typeof value === 'number' || typeof value === 'boolean' ? String(value) : NOT_COERCIBLE;
+        case 'null':
+            return value === '' || value === 'null' ? null : NOT_COERCIBLE;
+        case 'array':
+            return value === undefined || Array.isArray(value) ? NOT_COERCIBLE : [value];
+        default:
+            return NOT_COERCIBLE;
+    }
+};
+
+/**
+ * Compares two JSON values for `enum` and `const`.
+ *
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {boolean} Returns `true` if the values are equal.
+ */
+const _isEqual = (a, b) => a === b || (typeof a === 'object' && typeof b === 'object' && JSON.stringify(a) === JSON.stringify(b));
+
+/**
+ * Checks that a schema only uses supported types and formats, so that mistakes in a schema are
+ * reported when it is declared rather than on the first request.
+ *
+ * @param {Object} schema - The schema to check.
+ * @param {Array<string|number>} [path=[]] - The path of the schema, for error messages.
+ * @throws {Error} If the schema declares an unknown type or format.
+ */
+const _checkSchema = (schema, path = []) => {
+    if (!schema || typeof schema !== 'object') {
+        throw new Error(`Invalid schema at "${formatPath(path) || '(root)'}".`);
+    }
+    for (const type of [].concat(schema.type ?? [])) {
+        if (!TYPES.has(type)) {
+            throw new Error(`Unknown schema type "${type}" at "${formatPath(path) || '(root)'}".`);
+        }
+    }
+    if (schema.format !== undefined && !FORMATS[schema.format]) {
+        throw new Error(`Unknown schema format "${schema.format}" at "${formatPath(path) || '(root)'}".`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+        _checkSchema(propertySchema, [...path, key]);
+    }
+    if (schema.items) {
+        _checkSchema(schema.items, [...path, 0]);
+    }
+    if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        _checkSchema(schema.additionalProperties, [...path, '*']);
+    }
+};
+
+/**
+ * Validates a value against a schema, collecting errors and returning the sanitized value.
+ *
+ * @param {*} value - The value to validate.
+ * @param {Object} schema - The schema.
+ * @param {Array<string|number>} path - The path of the value from the root.
+ * @param {{ coerce: boolean, useDefaults: boolean, removeAdditional: boolean|'all', removeInvalid: boolean, errors: Array<Object> }} context - The options and the collected errors.
+ * @returns {*} The sanitized value.
+ */
+const _validate = (value, schema, path, context) => {
+    const addError = (keyword, message) => {
+        context.errors.push({ path: formatPath(path), keyword, message, value });
+    };
+
+    const types = schema.type === undefined ? null : [].concat(schema.type);
+    if (types && !types.some(type => _matchesType(value, type))) {
+        const coerced = context.coerce
+            ? types.map(type => _coerce(value, type)).find(candidate => candidate !== NOT_COERCIBLE)
+            : undefined;
+        if (coerced === undefined) {
+            addError('type', `Must be of type ${types.join(' or ')}.`);
+            return context.removeInvalid ? undefined : value;
+        }
+        value = coerced;
+    }
+
+    if (schema.enum && !schema.enum.some(option => _isEqual(option, value))) {
+        addError('enum', `Must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}.`);
+    }
+    if ('const' in schema && !_isEqual(schema.const, value)) {
+        addError('const', `Must be ${JSON.stringify(schema.const)}.`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            addError('minLength', `Must be at least ${schema.minLength} characters long.`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            addError('maxLength', `Must be at most ${schema.maxLength} characters long.`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+            addError('pattern', `Must match the pattern ${schema.pattern}.`);
+        }
+        if (schema.format !== undefined && !FORMATS[schema.format](value)) {
+            addError('format', `Must be a valid ${schema.format}.`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            addError('minimum', `Must be greater than or equal to ${schema.minimum}.`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            addError('maximum', `Must be less than or equal to ${schema.maximum}.`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            addError('exclusiveMinimum', `Must be greater than ${schema.exclusiveMinimum}.`);
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            addError('exclusiveMaximum', `Must be less than ${schema.exclusiveMaximum}.`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            addError('minItems', `Must contain at least ${schema.minItems} items.`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            addError('maxItems', `Must contain at most ${schema.maxItems} items.`);
+        }
+        if (schema.uniqueItems && value.some((item, index) => value.findIndex(other => _isEqual(other, item)) !== index)) {
+            addError('uniqueItems', 'Must not contain duplicate items.');
+        }
+        if (schema.items) {
+            value = value.map((item, index) => _validate(item, schema.items, [...path, index], context));
+        }
+    }
+
+    if (_matchesType(value, 'object') && (schema.properties || schema.required || schema.additionalProperties !== undefined)) {
+        value = _validateObject(value, schema, path, context);
+    }
+
+    return value;
+};
+
+/**
+ * Sets a property on the sanitized object. Every key is defined as an own property, so a `__proto__`
+ * key from a parsed request body is kept as data instead of replacing the prototype of the result.
+ *
+ * @param {Object} obj - The sanitized object.
+ * @param {string} key - The property name.
+ * @param {*} value - The property value.
+ */
+const _defineProperty = (obj, key, value) => {
+    Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+};
+
+/**
+ * Validates the properties of an object, applying defaults and removing or rejecting undeclared properties.
+ *
+ * @param {Object} value - The object to validate.
+ * @param {Object} schema - The object schema.
+ * @param {Array<string|number>} path - The path of the object from the root.
+ * @param {Object} context - See `_validate`.
+ * @returns {Object} A new object with the sanitized properties.
+ */
+const _validateObject = (value, schema, path, context) => {
+    const properties = schema.properties || {};
+    const required = new Set(schema.required || []);
+    const result = {};
+
+    for (const [key, propertySchema] of Object.entries(properties)) {
+        let item = Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined;
+        if (item === undefined && context.useDefaults && 'default' in propertySchema) {
+            item = structuredClone(propertySchema.default);
+        }
+        if (item === undefined) {
+            continue;
+        }
+        item = _validate(item, propertySchema, [...path, key], context);
+        if (item !== undefined || !context.removeInvalid) {
+            _defineProperty(result, key, item);
+        }
+    }
+
+    for (const key of required) {
+        if (result[key] === undefined && value[key] === undefined) {
+            context.errors.push({ path: formatPath([...path, key]), keyword: 'required', message: 'Is required.', value: undefined });
+        }
+    }
+
+    for (const key of Object.keys(value)) {
+        if (Object.prototype.hasOwnProperty.call(properties, key)) {
+            continue;
+        }
+        if (context.removeAdditional === 'all' && schema.properties && typeof schema.additionalProperties !== 'object') {
+            continue;
+        }
+        if (schema.additionalProperties === false) {
+            if (!context.removeAdditional) {
+                context.errors.push({ path: formatPath([...path, key]), keyword: 'additionalProperties', message: 'Is not allowed.', value: value[key] });
+            }
+        } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+            const item = _validate(value[key], schema.additionalProperties, [...path, key], context);
+            if (item !== undefined || !context.removeInvalid) {
+                _defineProperty(result, key, item);
+            }
+        } else {
+            _defineProperty(result, key, value[key]);
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Validates a value against a JSON-Schema-like schema and returns the sanitized value.
+ *
+ * Supported keywords:
+ * - `type` - `string`, `number`, `integer`, `boolean`, `object`, `array`, `null`, or an array of them.
+ * - `enum`, `const`, `default`.
+ * - Strings: `minLength`, `maxLength`, `pattern`, `format` (`email` and `url`, which use
+ *   `isValidEmail` and `isValidUrl`, `uuid`, `date`, `date-time` and `timezone`, an IANA timezone).
+ * - Numbers: `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`.
+ * - Arrays: `items`, `minItems`, `maxItems`, `uniqueItems`.
+ * - Objects: `properties`, `required`, `additionalProperties` (`false` or a schema).
+ *
+ * The input is not modified. Other keywords are ignored.
+ *
+ * @param {*} value - The value to validate.
+ * @param {Object} schema - The schema.
+ * @param {Object} [options] - Validation options.
+ * @param {boolean} [options.coerce=false] - Convert values to the declared type where possible, e.g. `'42'` to `42`.
+ * @param {boolean} [options.useDefaults=true] - Fill in missing properties from their `default`.
+ * @param {boolean|'all'} [options.removeAdditional=true] - Remove properties not allowed by `additionalProperties: false`
+ * instead of reporting them as errors. With `'all'`, properties not listed in `properties` are removed from every object
+ * schema that lists properties, unless `additionalProperties` is a schema.
+ * @param {boolean} [options.removeInvalid=false] - Remove values that do not match their declared type, along with
+ * everything nested in them, instead of returning them unchanged. Array items are replaced with `undefined`.
+ * @returns {{ valid: boolean, value: *, errors: Array<{ path: string, keyword: string, message: string, value: * }> }}
+ * The result; `value` is the sanitized value, and `path` is e.g. `contacts[0].email`.
+ * @throws {Error} If the schema declares an unknown type or format.
+ *
+ * @example
+ * validateSchema({ age: '42', extra: true }, {
+ *   type: 'object',
+ *   properties: { age: { type: 'integer', minimum: 0 }, role: { type: 'string', default: 'user' } },
+ *   additionalProperties: false
+ * }, { coerce: true });
+ * // { valid: true, value: { age: 42, role: 'user' }, errors: [] }
+ */
+export const validateSchema = (value, schema, { coerce = false, useDefaults = true, removeAdditional = true, removeInvalid = false } = {}) => {
+    _checkSchema(schema);
+    const context = { coerce, useDefaults, removeAdditional, removeInvalid, errors: [] };
+    if (value === undefined && useDefaults && 'default' in schema) {
+        value = structuredClone(schema.default);
+    }
+    const result = value === undefined ? undefined : _validate(value, schema, [], context);
+    return { valid: context.errors.length === 0, value: result, errors: context.errors };
+};
+
+/**
+ * Creates an Express middleware that validates the request against declarative schemas (see
+ * `validateSchema`), one per request property: `params`, `query`, `headers` and `body`.
+ *
+ * If any check fails, it sends a 400 error response in the standard envelope (see `sendError`) with
+ * the code `VALIDATION_FAILED` and one entry per error in `details`, in the same shape as the errors
+ * of `checkRequestValidity`: `{ type: 'field', location, path, msg, value }`.
+ *
+ * Otherwise `req.body`, `req.query` and `req.params` are replaced with the sanitized, typed values,
+ * and all validated values are also available as `req.validated`. Headers are validated but
+ * `req.headers` is left unchanged; header names in the schema must be lower case.
+ *
+ * Values are coerced to the declared types by default, since query strings, params and headers are
+ * always strings.
+ *
+ * @param {Object} schemas - The schemas of the request properties.
+ * @param {Object} [schemas.params] - The schema of the route params.
+ * @param {Object} [schemas.query] - The schema of the query string.
+ * @param {Object} [schemas.headers] - The schema of the headers.
+ * @param {Object} [schemas.body] - The schema of the body.
+ * @param {Object} [options] - The options of `validateSchema`; `coerce` defaults to `true`.
+ * @returns {function(object, object, function): void} The Express middleware.
+ * @throws {Error} If a schema declares an unknown type or format.
+ *
+ * @example
+ * app.post('/users',
+ *   validateRequest({
+ *     body: {
+ *       type: 'object',
+ *       required: ['email'],
+ *       properties: { email: { type: 'string', format: 'email' }, age: { type: 'integer', minimum: 0 } },
+ *       additionalProperties: false
+ *     },
+ *     query: { type: 'object', properties: { notify: { type: 'boolean', default: false } } }
+ *   }),
+ *   (req, res) => { ... }
+ * );
+ */
+export const validateRequest = (schemas, options = {}) => {
+    const locations = REQUEST_LOCATIONS.filter(location => schemas[location]);
+    for (const location of locations) {
+        _checkSchema(schemas[location]);
+    }
+    const schemaOptions = { coerce: true, ...options };
+
+    return (req, res, next) => {
+        const details = [];
+        const validated = {};
+
+        for (const location of locations) {
+            const input = req[location] ?? {};
+            // Headers not named in the schema are always kept
+            const locationOptions = location === 'headers' ? { ...schemaOptions, removeAdditional: false } : schemaOptions;
+            const result = validateSchema(input, schemas[location], locationOptions);
+            for (const error of result.errors) {
+                details.push({ type: 'field', location, path: error.path, msg: error.message, value: error.value });
+            }
+            validated[location] = result.value;
+        }
+
+        if (details.length > 0) {
+            return sendError(req, res, new BadRequestError('Request validation failed.', {
+                code: 'VALIDATION_FAILED',
+                details
+            }));
+        }
+
+        for (const location of locations) {
+            if (location !== 'headers') {
+                // req.query is a getter in some versions of Express, so it cannot simply be assigned
+                Object.defineProperty(req, location, { value: validated[location], writable: true, configurable: true, enumerable: true });
+            }
+        }
+        req.validated = validated;
+        next();
+    };
+};
+
+/**
+ * Returns the response schema for a status code from a map of schemas by status, preferring an
+ * exact status over a range such as `2xx`, and a range over `default`.
+ *
+ * @param {Object<string, Object>} schemasByStatus - The schemas by status.
+ * @param {number} statusCode - The status code of the response.
+ * @returns {Object|undefined} The schema, or `undefined` if the response is not validated.
+ */
+const _getResponseSchema = (schemasByStatus, statusCode) => {
+    return schemasByStatus[statusCode] || schemasByStatus[`${String(statusCode)[0]}xx`] || schemasByStatus.default;
+};
+
+/**
+ * Applies a serialization step to a response body, item by item if the body is an array.
+ *
+ * @param {*} body - The response body.
+ * @param {function(Object): Object} step - The step, applied to objects.
+ * @returns {*} The serialized body.
+ */
+const _serialize = (body, step) => {
+    if (Array.isArray(body)) {
+        return body.map(item => _serialize(item, step));
+    }
+    return body !== null && typeof body === 'object' ? step(body) : body;
+};
+
+/**
+ * Creates an Express middleware that validates and serializes the payloads sent with `res.json`
+ * against a declared response schema (see `validateSchema`).
+ *
+ * The payload is validated as it would be serialized, e.g. with Dates as ISO strings. Properties
+ * that the schema does not declare are stripped, so that handlers cannot leak fields, and so are
+ * values of the wrong type, e.g. an object sent where the schema declares a string.
+ * The sanitized payload can then be serialized: first its keys are converted with `convertKeys`,
+ * then properties are encrypted with `encryptObjectItems`. Encryption selectors
+ * therefore refer to the converted keys.
+ *
+ * `schema` is either one schema, used for 2xx responses, or a map of schemas by status such as
+ * `{ 200: schema, 201: schema, '4xx': schema, default: schema }`. Responses without a schema are
+ * sent unchanged.
+ *
+ * When a payload violates its schema, the `strict` mode sends a 500 error in the standard envelope
+ * (see `sendError`) with the code `RESPONSE_VALIDATION_FAILED` and the paths and messages of the
+ * violations as `details`; the `log` mode reports the violations to `onViolation` and sends the
+ * stripped payload. In both modes the offending values are left out of the violations. The mode
+ * defaults to `strict` only when `NODE_ENV` is `development` or `test`, so that mistakes surface
+ * there, and to `log` otherwise.
+ *
+ * @param {Object} schema - The response schema, or a map of schemas by status.
+ * @param {Object} [options] - Response options.
+ * @param {'camel'|'pascal'|'snake'|'kebab'|'constant'} [options.case] - Convert the keys of the payload to this case.
+ * @param {string[]} [options.acronyms] - Known acronyms for the key conversion, see `convertKey`.
+ * @param {string[]} [options.encrypt] - Path selectors of the properties to encrypt (see `encryptObjectItems`).
+ * @param {Object} [options.encryptOptions] - Options passed to `encryptObjectItems`, e.g. `{ deterministic: ['email'] }`.
+ * @param {'strict'|'log'} [options.mode] - How violations are handled.
+ * @param {function(Array<{ path: string, keyword: string, message: string }>, object): void} [options.onViolation=console.error] -
+ * Called with the violations and the request in `log` mode.
+ * @returns {function(object, object, function): void} The Express middleware.
+ * @throws {Error} If a schema declares an unknown type or format.
+ *
+ * @example
+ * app.get('/users/:id',
+ *   validateResponse({
+ *     type: 'object',
+ *     properties: { id: { type: 'integer' }, email: { type: 'string' }, createdAt: { type: 'string' } }
+ *   }, { case: 'snake', encrypt: ['email'] }),
+ *   async (req, res) => {
+ *     res.json(await findUser(req.params.id)); // passwordHash and other columns are stripped
+ *   }
+ * );
+ */
+export const validateResponse = (schema, options = {}) => {
+    const {
+        case: targetCase,
+        acronyms,
+        encrypt: propertiesToEncrypt,
+        encryptOptions,
+        mode = ['development', 'test'].includes(process.env.NODE_ENV) ? 'strict' : 'log',
+        onViolation = console.error
+    } = options;
+
+    const isStatusMap = Object.keys(schema).length > 0 && Object.keys(schema).every(key => STATUS_KEY_PATTERN.test(key));
+    const schemasByStatus = isStatusMap ? schema : { '2xx': schema };
+    for (const statusSchema of Object.values(schemasByStatus)) {
+        _checkSchema(statusSchema);
+    }
+    if (targetCase !== undefined && !KEY_CASES.includes(targetCase)) {
+        throw new Error(`Unknown response case "${targetCase}".`);
+    }
+
+    return (req, res, next) => {
+        const originalJson = res.json;
+
+        res.json = function (body) {
+            // Only the first payload is validated; sendError below calls res.json again
+            res.json = originalJson;
+
+            const statusSchema = _getResponseSchema(schemasByStatus, res.statusCode);
+            if (!statusSchema) {
+                return originalJson.call(this, body);
+            }
+
+            // Validate what would be sent, e.g. Dates as ISO strings and without undefined properties
+            const serialized = body === undefined ? undefined : JSON.parse(JSON.stringify(body));
+            const result = validateSchema(serialized, statusSchema, { removeAdditional: 'all', removeInvalid: true, useDefaults: false });
+            if (!result.valid) {
+                // The offending values may be the very fields the schema is meant to keep private
+                const violations = result.errors.map(({ path, keyword, message }) => ({ path, keyword, message }));
+                if (mode === 'strict') {
+                    return sendError(req, res, new InternalServerError('Response validation failed.', {
+                        code: 'RESPONSE_VALIDATION_FAILED',
+                        details: violations,
+                        expose: true
+                    }));
+                }
+                onViolation(violations, req);
+            }
+
+            let payload = result.value;
+            if (targetCase) {
+                payload = convertKeys(payload, targetCase, { acronyms });
+            }
+            if (propertiesToEncrypt) {
+                payload = _serialize(payload, item => encryptObjectItems(item, propertiesToEncrypt, undefined, encryptOptions));
+            }
+            return originalJson.call(this, payload);
+        };
+
+        next();
+    };
+};
@@ -0,0 +1,65 @@
+/**
+ * Creates an in-memory store with expiring entries, used by `rateLimiter` for its counters and by
+ * `checkUrls` as its cache. Entries expire after their TTL; expired entries are removed when they
+ * are read and by a sweep that runs at most once per `sweepIntervalMs` on writes.
+ *
+ * `update(key, updater)` calls `updater` with the current value (or `undefined`) and stores the
+ * `value` it returns for `ttlMs`, in one synchronous step, so that no other update of the key can
+ * interleave. It returns the new value.
+ *
+ * The store is local to the process; use a shared store when running several instances.
+ *
+ * @param {Object} [options] - Store options.
+ * @param {number} [options.sweepIntervalMs=60000] - The minimum time between two sweeps of expired entries.
+ * @returns {{ get: function(string): Object|undefined, set: function(string, Object, number): void,
+ * update: function(string, function(*): { value: *, ttlMs: number }): *, delete: function(string): void, clear: function(): void }} The store.
+ */
+export const memoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+    const entries = new Map();
+    let lastSweep = Date.now();
+
+    const sweep = (now) => {
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= now) {
+                entries.delete(key);
+            }
+        }
+        lastSweep = now;
+    };
+
+    const get = (key) => {
+        const entry = entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return undefined;
+        }
+        return entry.value;
+    };
+
+    const set = (key, value, ttlMs) => {
+        const now = Date.now();
+        if (now - lastSweep >= sweepIntervalMs) {
+            sweep(now);
+        }
+        entries.set(key, { value, expiresAt: now + ttlMs });
+    };
+
+    return {
+        get,
+        set,
+        update(key, updater) {
+            const { value, ttlMs } = updater(get(key));
+            set(key, value, ttlMs);
+            return value;
+        },
+        delete(key) {
+            entries.delete(key);
+        },
+        clear() {
+            entries.clear();
+        }
+    };
+};
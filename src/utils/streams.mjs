@@ -0,0 +1,314 @@
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
+import { Transform } from 'stream';
+import { getConfig } from '../config/config.mjs';
+import { CryptoError, DecryptionError, EncryptionError, InvalidEnvelopeError } from './errors.mjs';
+import { getCreptoConfig } from './miscellaneous.mjs';
+
+/**
+ * Magic bytes at the start of every binary ciphertext, so that binary payloads can be told
+ * apart from arbitrary files and from the base64 JSON envelope used by `encrypt`.
+ * @type {Buffer}
+ */
+const MAGIC = Buffer.from('MRAE', 'ascii');
+
+/**
+ * Version of the binary format written after the magic bytes.
+ * @type {number}
+ */
+const FORMAT_VERSION = 1;
+
+/**
+ * Length in bytes of the random IV generated for AES-256-GCM.
+ * @type {number}
+ */
+const IV_LENGTH = 12;
+
+/**
+ * Length in bytes of the GCM authentication tag appended to the ciphertext.
+ * @type {number}
+ */
+const AUTH_TAG_LENGTH = 16;
+
+/**
+ * Length of the fixed part of the header: magic, version and key ID length.
+ * @type {number}
+ */
+const FIXED_HEADER_LENGTH = MAGIC.length + 2;
+
+/**
+ * Creates a cipher for the active key together with the binary header that precedes the ciphertext.
+ *
+ * The binary format is: `MRAE` magic (4 bytes) | format version (1 byte) | key ID length (1 byte) |
+ * key ID (UTF-8) | IV (12 bytes) | ciphertext | GCM authentication tag (16 bytes). The whole header
+ * is authenticated as additional data, so that it cannot be altered either.
+ *
+ * @param {Object} [appConfig=getConfig()] - The configuration holding the keys.
+ * @returns {{ header: Buffer, cipher: import('crypto').CipherGCM }} The header and the cipher.
+ * @throws {KeyNotFoundError} If no key is configured.
+ * @throws {EncryptionError} If the key ID does not fit in the header.
+ */
+const _createEncryptor = (appConfig = getConfig()) => {
+    const config = getCreptoConfig(undefined, appConfig);
+    const keyId = Buffer.from(config.keyId, 'utf-8');
+    if (keyId.length > 255) {
+        throw new EncryptionError('Key IDs longer than 255 bytes cannot be written into the binary header.', 'ENCRYPTION_FAILED');
+    }
+    const iv = randomBytes(IV_LENGTH);
+    const cipher = createCipheriv(config.algorithm, config.secretKey, iv, { authTagLength: AUTH_TAG_LENGTH });
+    const header = Buffer.concat([MAGIC, Buffer.from([FORMAT_VERSION, keyId.length]), keyId, iv]);
+    cipher.setAAD(header);
+    return { header, cipher };
+};
+
+/**
+ * Reads the binary header from the start of a buffer.
+ *
+ * @param {Buffer} buffer - The data received so far.
+ * @returns {{ keyId: string, iv: Buffer, bytes: Buffer, length: number }|null} The key ID, the IV, the raw header
+ * and its length, or `null` if the buffer does not hold the complete header yet.
+ * @throws {InvalidEnvelopeError} If the data does not start with a supported header.
+ */
+const _readHeader = (buffer) => {
+    const magicLength = Math.min(buffer.length, MAGIC.length);
+    if (!buffer.subarray(0, magicLength).equals(MAGIC.subarray(0, magicLength))) {
+        throw new InvalidEnvelopeError('Data is not a binary ciphertext produced by this library.', 'MALFORMED_ENVELOPE');
+    }
+    if (buffer.length < FIXED_HEADER_LENGTH) {
+        return null;
+    }
+    const version = buffer[MAGIC.length];
+    if (version !== FORMAT_VERSION) {
+        throw new InvalidEnvelopeError(`Unsupported binary ciphertext version: ${version}.`, 'UNSUPPORTED_VERSION');
+    }
+    const keyIdLength = buffer[MAGIC.length + 1];
+    const length = FIXED_HEADER_LENGTH + keyIdLength + IV_LENGTH;
+    if (keyIdLength === 0) {
+        throw new InvalidEnvelopeError('Binary ciphertext header has an empty key ID.', 'MALFORMED_ENVELOPE');
+    }
+    if (buffer.length < length) {
+        return null;
+    }
+    return {
+        keyId: buffer.subarray(FIXED_HEADER_LENGTH, FIXED_HEADER_LENGTH + keyIdLength).toString('utf-8'),
+        iv: buffer.subarray(FIXED_HEADER_LENGTH + keyIdLength, length),
+        bytes: buffer.subarray(0, length),
+        length
+    };
+};
+
+/**
+ * Creates a decipher for the key referenced by a binary header.
+ *
+ * @param {{ keyId: string, iv: Buffer, bytes: Buffer }} header - The header returned by `_readHeader`.
+ * @param {Object} [appConfig=getConfig()] - The configuration holding the keys.
+ * @returns {import('crypto').DecipherGCM} The decipher.
+ * @throws {KeyNotFoundError} If the key is not defined in the configured keyring.
+ */
+const _createDecryptor = (header, appConfig = getConfig()) => {
+    const config = getCreptoConfig(header.keyId, appConfig);
+    const decipher = createDecipheriv(config.algorithm, config.secretKey, header.iv, { authTagLength: AUTH_TAG_LENGTH });
+    decipher.setAAD(header.bytes);
+    return decipher;
+};
+
+/**
+ * Verifies the authentication tag and finishes decryption.
+ *
+ * @param {import('crypto').DecipherGCM} decipher - The decipher that received the whole ciphertext.
+ * @param {Buffer} tag - The authentication tag read from the end of the data.
+ * @returns {Buffer} The last decrypted bytes.
+ * @throws {DecryptionError} If the data was tampered with or encrypted with a different key.
+ */
+const _finalizeDecryptor = (decipher, tag) => {
+    try {
+        decipher.setAuthTag(tag);
+        return decipher.final();
+    } catch (err) {
+        throw new DecryptionError('Ciphertext failed authentication; it was tampered with or encrypted with a different key.', 'AUTHENTICATION_FAILED', { cause: err });
+    }
+};
+
+/**
+ * Captures the configuration a stream is created in. Streams are written to later, and often from
+ * outside the `scopeConfig` scope that created them, so the keys are looked up in the captured
+ * configuration. If no configuration is set, the error is raised when the stream is first used,
+ * so that it is emitted as a stream error.
+ *
+ * @returns {function(): Object} Returns the captured configuration, or throws the error of `getConfig`.
+ */
+const _captureConfig = () => {
+    try {
+        const config = getConfig();
+        return () => config;
+    } catch (err) {
+        return () => {
+            throw err;
+        };
+    }
+};
+
+/**
+ * Wraps unexpected errors from a stream callback into a typed crypto error.
+ *
+ * @param {Error} err - The error raised while processing the stream.
+ * @param {typeof CryptoError} ErrorClass - The class used for errors that are not crypto errors yet.
+ * @returns {CryptoError} The error to emit.
+ */
+const _toCryptoError = (err, ErrorClass) => {
+    if (err instanceof CryptoError) {
+        return err;
+    }
+    return new ErrorClass(err.message, ErrorClass === EncryptionError ? 'ENCRYPTION_FAILED' : 'DECRYPTION_FAILED', { cause: err });
+};
+
+/**
+ * Encrypts a Buffer with AES-256-GCM using the active key.
+ *
+ * Unlike `encrypt`, the result is raw binary with a compact header instead of hex inside JSON
+ * inside base64, so it is only slightly larger than the input. It is meant for files such as
+ * generated PDFs and CSV exports.
+ *
+ * @param {Buffer|Uint8Array} buffer - The data to encrypt.
+ * @returns {Buffer} The binary ciphertext.
+ * @throws {EncryptionError} If the input is not a Buffer (`INVALID_INPUT`).
+ * @throws {KeyNotFoundError} If no key is configured.
+ *
+ * @example
+ * await fs.promises.writeFile('report.pdf.enc', encryptBuffer(pdfBuffer));
+ */
+export const encryptBuffer = (buffer) => {
+    if (!(buffer instanceof Uint8Array)) {
+        throw new EncryptionError('Only Buffers can be encrypted with encryptBuffer.', 'INVALID_INPUT');
+    }
+    const { header, cipher } = _createEncryptor();
+    return Buffer.concat([header, cipher.update(buffer), cipher.final(), cipher.getAuthTag()]);
+};
+
+/**
+ * Decrypts a Buffer produced by `encryptBuffer` or `createEncryptStream`. The key is picked from
+ * the keyring by the key ID stored in the header, and the data is verified against its
+ * authentication tag before anything is returned.
+ *
+ * @param {Buffer|Uint8Array} buffer - The binary ciphertext.
+ * @returns {Buffer} The decrypted data.
+ * @throws {InvalidEnvelopeError} If the input is not a binary ciphertext or is truncated.
+ * @throws {KeyNotFoundError} If the key referenced by the header is not configured.
+ * @throws {DecryptionError} If the data fails authentication.
+ */
+export const decryptBuffer = (buffer) => {
+    if (!(buffer instanceof Uint8Array)) {
+        throw new InvalidEnvelopeError('Only Buffers can be decrypted with decryptBuffer.', 'INVALID_INPUT');
+    }
+    buffer = Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    const header = _readHeader(buffer);
+    if (!header || buffer.length < header.length + AUTH_TAG_LENGTH) {
+        throw new InvalidEnvelopeError('Binary ciphertext is truncated.', 'MALFORMED_ENVELOPE');
+    }
+    const decipher = _createDecryptor(header);
+    const tagStart = buffer.length - AUTH_TAG_LENGTH;
+    const content = decipher.update(buffer.subarray(header.length, tagStart));
+    return Buffer.concat([content, _finalizeDecryptor(decipher, buffer.subarray(tagStart))]);
+};
+
+/**
+ * Creates a Transform stream that encrypts everything written to it with the active key,
+ * producing the same binary format as `encryptBuffer`. The key is taken from the configuration
+ * the stream is created in, even if data is written to it outside that `scopeConfig` scope.
+ *
+ * @returns {import('stream').Transform} The encrypting stream. It emits an `EncryptionError` or
+ * `KeyNotFoundError` if encryption fails.
+ *
+ * @example
+ * await pipeline(fs.createReadStream('export.csv'), createEncryptStream(), fs.createWriteStream('export.csv.enc'));
+ */
+export const createEncryptStream = () => {
+    const getStreamConfig = _captureConfig();
+    let encryptor = null;
+
+    // The header is written lazily so that key errors surface as stream errors
+    const start = (stream) => {
+        encryptor = _createEncryptor(getStreamConfig());
+        stream.push(encryptor.header);
+    };
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            try {
+                if (!encryptor) {
+                    start(this);
+                }
+                callback(null, encryptor.cipher.update(chunk));
+            } catch (err) {
+                callback(_toCryptoError(err, EncryptionError));
+            }
+        },
+        flush(callback) {
+            try {
+                if (!encryptor) {
+                    start(this);
+                }
+                this.push(encryptor.cipher.final());
+                callback(null, encryptor.cipher.getAuthTag());
+            } catch (err) {
+                callback(_toCryptoError(err, EncryptionError));
+            }
+        }
+    });
+};
+
+/**
+ * Creates a Transform stream that decrypts data produced by `createEncryptStream` or `encryptBuffer`.
+ *
+ * The authentication tag sits at the end of the data, so decrypted chunks are emitted before the
+ * data has been verified. The stream emits a `DecryptionError` at the end if verification fails;
+ * treat the output as untrusted until the stream has finished without error.
+ *
+ * As with `createEncryptStream`, keys are looked up in the configuration the stream is created in.
+ *
+ * @returns {import('stream').Transform} The decrypting stream. It emits an `InvalidEnvelopeError`,
+ * `KeyNotFoundError` or `DecryptionError` if decryption fails.
+ *
+ * @example
+ * await pipeline(fs.createReadStream('export.csv.enc'), createDecryptStream(), res);
+ */
+export const createDecryptStream = () => {
+    const getStreamConfig = _captureConfig();
+    let pending = Buffer.alloc(0);
+    let decipher = null;
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            try {
+                pending = Buffer.concat([pending, chunk]);
+                if (!decipher) {
+                    const header = _readHeader(pending);
+                    if (!header) {
+                        return callback();
+                    }
+                    decipher = _createDecryptor(header, getStreamConfig());
+                    pending = pending.subarray(header.length);
+                }
+                // Hold back the last bytes, which may be the authentication tag
+                const available = pending.length - AUTH_TAG_LENGTH;
+                if (available <= 0) {
+                    return callback();
+                }
+                const output = decipher.update(pending.subarray(0, available));
+                pending = pending.subarray(available);
+                callback(null, output);
+            } catch (err) {
+                callback(_toCryptoError(err, DecryptionError));
+            }
+        },
+        flush(callback) {
+            try {
+                if (!decipher || pending.length < AUTH_TAG_LENGTH) {
+                    throw new InvalidEnvelopeError('Binary ciphertext is truncated.', 'MALFORMED_ENVELOPE');
+                }
+                callback(null, _finalizeDecryptor(decipher, pending));
+            } catch (err) {
+                callback(_toCryptoError(err, DecryptionError));
+            }
+        }
+    });
+};
@@ -1,24 +1,146 @@
-import axios from 'axios';
 import { validationResult } from 'express-validator';
-import { Agent } from 'https';
+import { domainToASCII } from 'url';
+import { DISPOSABLE_DOMAINS } from './disposableDomains.mjs';
+import { BadRequestError, sendError } from './errors.mjs';
+import { inspectUrl } from './network.mjs';
 
 /**
- * Tests if a given URL is accessible by making a HEAD request.
+ * Tests if a given URL is accessible by making a HEAD request, with the protection against
+ * server-side request forgery of `inspectUrl`: only public addresses on the allowed protocols and
+ * ports are contacted, also after redirects. When called while handling a request, the request ID
+ * and trace context are forwarded (see `getCorrelationHeaders`).
  *
  * @async
  * @param {string} url - The URL to test for accessibility.
- * @returns {Promise<boolean>} True if the URL is accessible, false otherwise.
+ * @param {Object} [options] - The options of `inspectUrl`.
+ * @param {boolean} [options.detailed=false] - Resolve with the detailed result of `inspectUrl` instead of a boolean.
+ * @returns {Promise<boolean|Object>} True if the URL is accessible, false otherwise; or the detailed result of `inspectUrl`.
+ *
+ * @example
+ * await testUrlAccessibility('http://169.254.169.254/latest/meta-data/'); // false
+ * await testUrlAccessibility('https://example.com/avatar.png', { detailed: true });
+ * // { ok: true, status: 200, finalUrl: 'https://example.com/avatar.png', contentType: 'image/png', contentLength: 5120, firstBytes: null, reason: null }
  */
-export const testUrlAccessibility = async function (url) {
-    try {
-        // Create a new instance of the HTTPS agent with keepAlive set to false
-        const httpsAgent = new Agent({ keepAlive: false });
-        // Use axios to make a HEAD request to the URL
-        await axios.head(url, { httpsAgent });
-        return true; // URL is accessible
-    } catch (err) {
-        return false; // URL is not accessible
+export const testUrlAccessibility = async function (url, options = {}) {
+    const { detailed = false, ...inspectOptions } = options;
+    const result = await inspectUrl(url, inspectOptions);
+    return detailed ? result : result.ok;
+};
+
+/**
+ * The signatures of the file types recognized by `validateRemoteResource`: the MIME type, the
+ * offset of the signature and its bytes.
+ * @type {Array<{ mimeType: string, offset: number, bytes: number[] }>}
+ */
+const MAGIC_BYTES = [
+    { mimeType: 'image/png', offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    { mimeType: 'image/jpeg', offset: 0, bytes: [0xff, 0xd8, 0xff] },
+    { mimeType: 'image/gif', offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] },
+    { mimeType: 'image/webp', offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] },
+    { mimeType: 'application/pdf', offset: 0, bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }
+];
+
+/**
+ * The number of bytes read to recognize a file type.
+ * @type {number}
+ */
+const SNIFF_BYTES = 16;
+
+/**
+ * The default maximum size of a remote resource, in bytes.
+ * @type {number}
+ */
+const DEFAULT_MAX_RESOURCE_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Recognizes the type of a file from its first bytes.
+ *
+ * @param {Buffer} bytes - The first bytes of the file.
+ * @returns {string|null} The MIME type, or `null` if the signature is unknown.
+ */
+const _sniffMimeType = (bytes) => {
+    const match = MAGIC_BYTES.find(({ offset, bytes: signature }) => {
+        return signature.every((byte, index) => bytes[offset + index] === byte);
+    });
+    return match ? match.mimeType : null;
+};
+
+/**
+ * Checks that a URL points to a resource of an allowed type and size, e.g. a profile picture or
+ * an attached document. The URL is inspected with `inspectUrl`, so the same protection against
+ * server-side request forgery applies.
+ *
+ * The type and size are taken from the headers of a `HEAD` request. If the server does not support
+ * `HEAD`, the first bytes of the resource are fetched with a ranged `GET` and the type is recognized
+ * from its signature (PNG, JPEG, GIF, WebP or PDF), falling back to the `Content-Type` header. The
+ * size comes from `Content-Range` or `Content-Length`; resources of unknown size are accepted.
+ *
+ * The `reason` of an invalid resource is one of the reasons of `inspectUrl`, `TYPE_NOT_ALLOWED` or
+ * `TOO_LARGE`.
+ *
+ * @async
+ * @param {string} url - The URL of the resource.
+ * @param {Object} [options] - Validation options, and the options of `inspectUrl`.
+ * @param {string[]} [options.allowedTypes=['image/png', 'image/jpeg', 'application/pdf']] - The allowed MIME types.
+ * @param {number} [options.maxBytes=5242880] - The maximum size in bytes (5 MB).
+ * @returns {Promise<{ valid: boolean, mimeType: string|null, size: number|null, finalUrl: string, reason: string|null }>}
+ * The outcome, with the MIME type and size of the resource when they are known.
+ *
+ * @example
+ * await validateRemoteResource('https://example.com/cv.pdf', { allowedTypes: ['application/pdf'], maxBytes: 1024 * 1024 });
+ * // { valid: true, mimeType: 'application/pdf', size: 48213, finalUrl: 'https://example.com/cv.pdf', reason: null }
+ */
+export const validateRemoteResource = async (url, options = {}) => {
+    const {
+        allowedTypes = ['image/png', 'image/jpeg', 'application/pdf'],
+        maxBytes = DEFAULT_MAX_RESOURCE_BYTES,
+        ...inspectOptions
+    } = options;
+
+    const result = await inspectUrl(url, { ...inspectOptions, sniffBytes: SNIFF_BYTES });
+    const declaredType = result.contentType ? result.contentType.split(';')[0].trim().toLowerCase() : null;
+    const mimeType = (result.firstBytes && _sniffMimeType(result.firstBytes)) || declaredType || null;
+    const size = result.contentLength;
+
+    let reason = result.reason;
+    if (!reason && !allowedTypes.includes(mimeType)) {
+        reason = 'TYPE_NOT_ALLOWED';
+    } else if (!reason && size !== null && size > maxBytes) {
+        reason = 'TOO_LARGE';
     }
+    return { valid: reason === null, mimeType, size, finalUrl: result.finalUrl, reason };
+};
+
+/**
+ * Creates an asynchronous custom validator for express-validator chains that checks a URL with
+ * `validateRemoteResource`. The validation error message explains why the URL was rejected.
+ *
+ * @param {Object} [options] - The options of `validateRemoteResource`.
+ * @returns {function(string): Promise<boolean>} The custom validator.
+ *
+ * @example
+ * app.put('/profile',
+ *   body('profilePictureUrl').isURL().bail().custom(isRemoteResource({ allowedTypes: ['image/png', 'image/jpeg'], maxBytes: 2 * 1024 * 1024 })),
+ *   checkRequestValidity,
+ *   updateProfile
+ * );
+ */
+export const isRemoteResource = (options = {}) => {
+    const maxBytes = options.maxBytes ?? DEFAULT_MAX_RESOURCE_BYTES;
+
+    return async (value) => {
+        const { reason, mimeType } = await validateRemoteResource(value, options);
+        if (reason === 'TYPE_NOT_ALLOWED') {
+            throw new Error(mimeType ? `Resource type "${mimeType}" is not allowed.` : 'Resource type is unknown.');
+        }
+        if (reason === 'TOO_LARGE') {
+            throw new Error(`Resource is larger than ${maxBytes} bytes.`);
+        }
+        if (reason) {
+            throw new Error(`URL is not accessible (${reason}).`);
+        }
+        return true;
+    };
 };
 
 /**
@@ -36,33 +158,191 @@ export const isValidUrl = (inputUrl) => {
     }
 };
 
+/**
+ * An unquoted local part: dot-separated atoms of letters, digits and the symbols allowed by RFC 5322.
+ * @type {RegExp}
+ */
+const DOT_ATOM_PATTERN = /^[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[A-Za-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+
+/**
+ * A quoted local part, e.g. `"john doe"`: printable characters, with `"` and `\` escaped.
+ * @type {RegExp}
+ */
+const QUOTED_LOCAL_PART_PATTERN = /^"(?:[\x20\x21\x23-\x5b\x5d-\x7e]|\\[\x20-\x7e])*"$/;
+
+/**
+ * A domain label in ASCII (IDN labels are in punycode).
+ * @type {RegExp}
+ */
+const DOMAIN_LABEL_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+
+/**
+ * How the mailbox of a provider is canonicalized: whether dots in the local part are ignored, whether
+ * a `+tag` is ignored, and the domain the addresses are delivered to.
+ * @type {Object<string, { ignoreDots: boolean, ignoreTag: boolean, domain: string }>}
+ */
+const PROVIDER_RULES = {
+    'gmail.com': { ignoreDots: true, ignoreTag: true, domain: 'gmail.com' },
+    'googlemail.com': { ignoreDots: true, ignoreTag: true, domain: 'gmail.com' },
+    'outlook.com': { ignoreDots: false, ignoreTag: true, domain: 'outlook.com' },
+    'hotmail.com': { ignoreDots: false, ignoreTag: true, domain: 'hotmail.com' },
+    'icloud.com': { ignoreDots: false, ignoreTag: true, domain: 'icloud.com' },
+    'proton.me': { ignoreDots: false, ignoreTag: true, domain: 'proton.me' },
+    'protonmail.com': { ignoreDots: false, ignoreTag: true, domain: 'protonmail.com' },
+    'fastmail.com': { ignoreDots: false, ignoreTag: true, domain: 'fastmail.com' }
+};
+
+/**
+ * The bundled disposable domains, as a set.
+ * @type {Set<string>}
+ */
+const DISPOSABLE_DOMAIN_SET = new Set(DISPOSABLE_DOMAINS);
+
+/**
+ * Checks whether a domain or one of its parent domains is in a set.
+ *
+ * @param {string} domain - The domain in lower case.
+ * @param {Set<string>} domains - The domains.
+ * @returns {boolean} Returns `true` if the domain or a parent domain is in the set.
+ */
+const _isDomainListed = (domain, domains) => {
+    const labels = domain.split('.');
+    return labels.some((_, index) => domains.has(labels.slice(index).join('.')));
+};
+
+/**
+ * Converts a domain to ASCII and checks its labels.
+ *
+ * @param {string} domain - The domain, possibly internationalized.
+ * @returns {string|null} The domain in lower-case ASCII, or `null` if it is not a valid domain with a top-level domain.
+ */
+const _normalizeDomain = (domain) => {
+    // domainToASCII also accepts names that are not host names, so the labels are checked afterwards
+    const asciiDomain = domainToASCII(domain).toLowerCase();
+    const labels = asciiDomain.split('.');
+    if (asciiDomain.length === 0 || asciiDomain.length > 253 || labels.length < 2) {
+        return null;
+    }
+    const topLevelDomain = labels[labels.length - 1];
+    if (!labels.every(label => DOMAIN_LABEL_PATTERN.test(label)) || !/^(?:[a-z]{2,63}|xn--[a-z0-9-]+)$/.test(topLevelDomain)) {
+        return null;
+    }
+    return asciiDomain;
+};
+
+/**
+ * Validates and normalizes an email address.
+ *
+ * The address is checked against the syntax of RFC 5321/5322: an unquoted (`john.doe+news`) or quoted
+ * (`"john doe"`) local part of up to 64 characters, and a domain with a top-level domain. Internationalized
+ * domains are accepted and converted to punycode (`user@bücher.de` becomes `user@xn--bcher-kva.de`).
+ * IP address literals and comments are not accepted.
+ *
+ * The normalized address is trimmed and has a lower-case ASCII domain. With `canonicalize`, addresses of providers
+ * that ignore dots or `+tags` are reduced to the mailbox they are delivered to, e.g.
+ * `John.Doe+news@googlemail.com` becomes `johndoe@gmail.com`; use it to detect duplicate accounts.
+ *
+ * The `reason` of an invalid address is one of `NOT_A_STRING`, `INVALID_FORMAT`, `TOO_LONG`,
+ * `INVALID_LOCAL_PART`, `INVALID_DOMAIN` or `DISPOSABLE_DOMAIN`.
+ *
+ * @param {*} email - The email address.
+ * @param {Object} [options] - Validation options.
+ * @param {boolean} [options.canonicalize=false] - Canonicalize the addresses of providers such as Gmail.
+ * @param {boolean} [options.blockDisposable=true] - Reject disposable email domains, see `DISPOSABLE_DOMAINS`.
+ * @param {string[]} [options.disposableDomains=[]] - More disposable domains to reject.
+ * @param {string[]} [options.allowedDomains=[]] - Domains that are never considered disposable.
+ * @returns {{ valid: boolean, normalized: string|null, reason: string|null }} The outcome, with the
+ * normalized address if the syntax is valid.
+ *
+ * @example
+ * validateEmail('John.Doe+news@GoogleMail.com', { canonicalize: true });
+ * // { valid: true, normalized: 'johndoe@gmail.com', reason: null }
+ * validateEmail('user@mailinator.com');
+ * // { valid: false, normalized: 'user@mailinator.com', reason: 'DISPOSABLE_DOMAIN' }
+ */
+export const validateEmail = (email, options = {}) => {
+    const {
+        canonicalize = false,
+        blockDisposable = true,
+        disposableDomains = [],
+        allowedDomains = []
+    } = options;
+    const invalid = reason => ({ valid: false, normalized: null, reason });
+
+    if (typeof email !== 'string') {
+        return invalid('NOT_A_STRING');
+    }
+    const address = email.trim();
+    // The local part may contain @ when it is quoted, the domain never does
+    const at = address.lastIndexOf('@');
+    if (at <= 0 || at === address.length - 1) {
+        return invalid('INVALID_FORMAT');
+    }
+    let localPart = address.slice(0, at);
+    if (localPart.length > 64) {
+        return invalid('TOO_LONG');
+    }
+    if (!DOT_ATOM_PATTERN.test(localPart) && !QUOTED_LOCAL_PART_PATTERN.test(localPart)) {
+        return invalid('INVALID_LOCAL_PART');
+    }
+    let domain = _normalizeDomain(address.slice(at + 1));
+    if (!domain) {
+        return invalid('INVALID_DOMAIN');
+    }
+    if (localPart.length + domain.length + 1 > 254) {
+        return invalid('TOO_LONG');
+    }
+
+    const rule = PROVIDER_RULES[domain];
+    if (canonicalize && rule && !localPart.startsWith('"')) {
+        localPart = localPart.toLowerCase();
+        if (rule.ignoreTag) {
+            localPart = localPart.split('+')[0];
+        }
+        if (rule.ignoreDots) {
+            localPart = localPart.replace(/\./g, '');
+        }
+        // e.g. `+news@gmail.com`, which has no mailbox left
+        if (!localPart) {
+            return invalid('INVALID_LOCAL_PART');
+        }
+        domain = rule.domain;
+    }
+    const normalized = `${localPart}@${domain}`;
+
+    const toSet = domains => new Set(domains.map(item => item.toLowerCase()));
+    const isDisposable = blockDisposable
+        && !_isDomainListed(domain, toSet(allowedDomains))
+        && (_isDomainListed(domain, DISPOSABLE_DOMAIN_SET) || _isDomainListed(domain, toSet(disposableDomains)));
+    if (isDisposable) {
+        return { valid: false, normalized, reason: 'DISPOSABLE_DOMAIN' };
+    }
+    return { valid: true, normalized, reason: null };
+};
+
 /**
  * Function to validate an email address format.
- * It uses a regular expression to check if the email follows the standard email format.
+ * It checks the syntax with `validateEmail`, without rejecting disposable domains.
+ * Values that are not strings are invalid.
  *
  * @param {string} email - The email address to validate.
  * @returns {boolean} - Returns true if the email is valid, otherwise false.
  *
  * @example
  * isValidEmail('test@example.com'); // true
+ * isValidEmail('"john doe"@bücher.de'); // true
  * isValidEmail('invalid-email'); // false
+ * isValidEmail(undefined); // false
  */
 export const isValidEmail = (email) => {
-    // Improved regular expression for more robust email validation
-    const emailRegex = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}(?:\.[a-zA-Z]{2,})?$/;
-
-    // Check if email contains consecutive dots in the domain part
-    if (/\.\./.test(email.split('@')[1])) {
-        return false;
-    }
-
-    return emailRegex.test(email);
+    return validateEmail(email, { blockDisposable: false }).valid;
 };
 
 /**
  * Middleware to validate request data using validationResult.
  * It checks if the request meets the validation criteria set by previous validation middlewares.
- * If the validation fails, it sends a 400 status code with the validation errors.
+ * If the validation fails, it sends a 400 error response in the standard envelope (see `sendError`)
+ * with the code `VALIDATION_FAILED` and the validation errors as `details`.
  * Otherwise, it passes control to the next middleware function in the stack.
  *
  * @param {object} req - The request object from Express.js containing the client's request data.
@@ -72,7 +352,10 @@ export const isValidEmail = (email) => {
 export const checkRequestValidity = (req, res, next) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-        return res.status(400).json({ errors: errors.array() });
+        return sendError(req, res, new BadRequestError('Request validation failed.', {
+            code: 'VALIDATION_FAILED',
+            details: errors.array()
+        }));
     }
     next();
 };
@@ -82,7 +365,8 @@ export const checkRequestValidity = (req, res, next) => {
  * This middleware captures `SyntaxError` thrown by the `express.json()` middleware
  * when the incoming request contains invalid JSON. It extracts useful information
  * about the error, including the error type, message, and position where the error
- * occurred in the JSON string, and sends a detailed response back to the client.
+ * occurred in the JSON string, and sends a 400 error response in the standard envelope
+ * (see `sendError`) with the code `INVALID_JSON` and these details.
  *
  * @param {object} err - The error object thrown by `express.json()` when it encounters malformed JSON.
  * @param {object} req - The request object from Express.js containing the client's request data.
@@ -103,15 +387,16 @@ export const checkJSONBody = (err, req, res, next) => {
         const position = err.message.match(/position (\d+)/)?.[1] || 'Unknown';
         const errorSnippet = err.message.split('\n')[0]; // Get first line of the error
 
-        return res.status(400).json({
-            message: 'Invalid JSON format.',
+        return sendError(req, res, new BadRequestError('Invalid JSON format.', {
+            code: 'INVALID_JSON',
             details: {
                 type: err.type,
                 error: errorSnippet,  // Include the main error message
                 position: position,  // Provide position of the error in the JSON string
                 hint: 'Ensure that all keys and values are properly enclosed in double quotes.'
-            }
-        });
+            },
+            cause: err
+        }));
     }
     // Pass the error to the next error-handling middleware, if any
     next(err);